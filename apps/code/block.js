@@ -144,7 +144,9 @@ Blockly.ComputerCraft.Block = function(prefix, colour, info) {
 Blockly.ComputerCraft.Block.prototype.init = function() {
   this.setColour(this.colour);
   this.setInputsInline(true);
-  if (this.info.helpUrlType ==
+  if (this.info.helpUrl) {
+    this.helpUrl = this.info.helpUrl;
+  } else if (this.info.helpUrlType ==
       Blockly.ComputerCraft.HelpUrlType.PREFIX_NAME) {
       this.helpUrl =
         Blockly.ComputerCraft.BASE_HELP_URL +
@@ -199,14 +201,16 @@ Blockly.ComputerCraft.Block.prototype.generateDropdownCode = function(field) {
 /**
  * Generate Lua code without distinguishing between statements and
  * expressions.
+ * @param {Array.<string>=} opt_names Names of the inputs and titles to pass
+ *     as parameters, in order.  This defaults to all of the parameters.
  * @return {!string} Lua code for this block.
  */
-Blockly.ComputerCraft.Block.prototype.generateLuaInner_ = function() {
+Blockly.ComputerCraft.Block.prototype.generateLuaInner_ = function(opt_names) {
   // Evaluate each parameter in order, building up a list of parameter
   // expressions.
   var inputsCode = [];
   var thisBlock = this;
-  this.getOrderedParameterNames().forEach(function(name) {
+  (opt_names || this.getOrderedParameterNames()).forEach(function(name) {
     // Is it the name of an input?
     var input = thisBlock.getInput(name);
     if (input) {
@@ -235,8 +239,19 @@ Blockly.ComputerCraft.Block.prototype.generateLuaInner_ = function() {
  * @return {!string|!Array.<!string, number>} The Lua code.
  */
 Blockly.ComputerCraft.Block.prototype.generateLua = function() {
-  var code = this.generateLuaInner_();
-  if (this.outputConnection) {
+  return Blockly.ComputerCraft.generateLua(this);
+};
+
+/**
+ * Generate Lua code for a block.  This can be used as a block's generator.
+ * @param {!Blockly.ComputerCraft.Block} block The block.
+ * @param {Array.<string>=} opt_names Names of the inputs and titles to pass
+ *     as parameters, in order.  This defaults to all of the parameters.
+ * @return {!string|!Array.<!string, number>} The Lua code.
+ */
+Blockly.ComputerCraft.generateLua = function(block, opt_names) {
+  var code = block.generateLuaInner_(opt_names);
+  if (block.outputConnection) {
     return [code, Blockly.Lua.ORDER_HIGH];
   } else {
     return code + '\n';
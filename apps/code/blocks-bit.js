@@ -37,6 +37,7 @@ Blockly.ComputerCraft.BIT_FUNCS_ = [
            ['BITS', 'Number']],
    output: 'Number',
    ddFuncName: 'OPTION',
+   suppressLua: true,
    tooltip:
    'Shift the number by the specified number of bits.\n' +
    'This inputs are treated as 32-bit unsigned integers.\n' +
@@ -53,6 +54,7 @@ Blockly.ComputerCraft.BIT_FUNCS_ = [
            ['Y', 'Number']],
    output: 'Number',
    ddFuncName: 'FUNCTION',
+   suppressLua: true,
    tooltip: function(block) {
      var HELP = {'bxor': {name: 'exclusive OR', description: 'exactly one'},
                  'bor': {name: 'inclusive OR', description: 'at least one'},
@@ -69,11 +71,86 @@ Blockly.ComputerCraft.BIT_FUNCS_ = [
    text: 'bitwise not %1',
    args: [['X', 'Number']],
    output: 'Number',
+   suppressLua: true,
    tooltip:
    'Compute the bitwise inverse of a number, taken in\n' +
    'the domain and range of 32-bit unsigned integers.'}
 ];
 
+/**
+ * Names of the Lua 5.2 bit32 functions corresponding to the bit API's.
+ */
+Blockly.ComputerCraft.BIT32_NAMES_ = {
+  blshift: 'lshift',
+  brshift: 'arshift',
+  blogic_rshift: 'rshift',
+  bxor: 'bxor',
+  bor: 'bor',
+  band: 'band',
+  bnot: 'bnot'
+};
+
+/**
+ * Lua 5.3 expressions equivalent to the bit API's functions, where '%1' and
+ * '%2' stand for the arguments.  Results are kept to 32 bits.
+ * Shifting right arithmetically has no operator.
+ */
+Blockly.ComputerCraft.BIT_OPERATORS_ = {
+  blshift: '(%1 << %2) & 0xFFFFFFFF',
+  blogic_rshift: '(%1 & 0xFFFFFFFF) >> %2',
+  bxor: '%1 ~ %2',
+  bor: '%1 | %2',
+  band: '%1 & %2',
+  bnot: '~%1 & 0xFFFFFFFF'
+};
+
+/**
+ * Generate Lua for a bit block in the target dialect: a call to the bit API,
+ * a call to the bit32 library, or an expression using Lua 5.3's operators.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Array.<string|number>} The Lua code and its order.
+ */
+Blockly.ComputerCraft.generateBitLua_ = function(block) {
+  var bitLibrary = Blockly.Lua.getDialect().bitLibrary;
+  if (bitLibrary == 'bit') {
+    return block.generateLua();
+  }
+  var funcName = block.getFuncName().replace(/^bit\./, '');
+  var operator = bitLibrary ? null :
+      Blockly.ComputerCraft.BIT_OPERATORS_[funcName];
+  // Operands must bind more tightly than the bitwise operators.
+  var order = !operator ? Blockly.Lua.ORDER_NONE :
+      funcName == 'bnot' ? Blockly.Lua.ORDER_UNARY : Blockly.Lua.CONCATENATION;
+  var args = block.getOrderedParameterNames().filter(function(name) {
+    return block.getInput(name);
+  }).map(function(name) {
+    return Blockly.Lua.valueToCode(block, name, order) || '0';
+  });
+  if (operator) {
+    var code = operator.replace(/%(\d)/g, function(match, n) {
+      return args[n - 1];
+    });
+    return [code, Blockly.Lua.ORDER_RELATIONAL];
+  }
+  if (bitLibrary) {
+    funcName = bitLibrary + '.' + Blockly.ComputerCraft.BIT32_NAMES_[funcName];
+  } else {
+    // Shift right arithmetically, treating the number as 32 bits.
+    funcName = Blockly.Lua.provideFunction_(
+        'bit_arshift',
+        ['function ' + Blockly.Lua.FUNCTION_NAME_PLACEHOLDER_ + '(n, bits)',
+         '  n = n & 0xFFFFFFFF',
+         '  if n >= 0x80000000 then',
+         '    n = n - 0x100000000',
+         '  end',
+         '  return (n // (1 << bits)) & 0xFFFFFFFF',
+         'end']);
+  }
+  return [funcName + '(' + args.join(', ') + ')', Blockly.Lua.ORDER_HIGH];
+};
+
 Blockly.ComputerCraft.BIT_FUNCS_.forEach(function(info) {
-  Blockly.ComputerCraft.buildValueBlock(
-    'bit', Blockly.ComputerCraft.BIT_BLOCK_COLOUR_, info)});
+  var block = Blockly.ComputerCraft.buildValueBlock(
+    'bit', Blockly.ComputerCraft.BIT_BLOCK_COLOUR_, info);
+  Blockly.Lua[block.blockName] = Blockly.ComputerCraft.generateBitLua_;
+});
@@ -0,0 +1,222 @@
+/**
+ * Blockly Lua: ComputerCraft event handlers
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Top-level blocks that handle ComputerCraft events.  The
+ *     code generator combines the handlers in the workspace into one loop
+ *     at the end of the program, which pulls events and runs the handlers
+ *     of each.
+ */
+'use strict';
+goog.require('ComputerCraft.Block');
+
+Blockly.ComputerCraft.EVENTS_BLOCK_COLOUR_ = 30;
+
+/**
+ * The events with handler blocks.  Each has the event's name, the block's
+ * text, and its parameters, each of which is described by its label, the
+ * name of its variable title, and the variable's default name.
+ */
+Blockly.ComputerCraft.EVENT_HANDLERS_ = [
+  {event: 'key',
+   text: 'when a key is pressed',
+   params: [['with key code', 'KEY_VAR', 'key']],
+   tooltip:
+   'Run these blocks when a key is pressed, setting the variable to the\n' +
+   'key\'s code, which can be compared with the keys blocks.'},
+  {event: 'char',
+   text: 'when a character is typed',
+   params: [['with character', 'CHAR_VAR', 'character']],
+   tooltip:
+   'Run these blocks when a key that types a character is pressed,\n' +
+   'setting the variable to the character.'},
+  {event: 'timer',
+   text: 'when a timer goes off',
+   params: [['with timer ID', 'TIMER_VAR', 'timer']],
+   tooltip:
+   'Run these blocks when a timer started by this program goes off,\n' +
+   'setting the variable to the ID returned when it was started.'},
+  {event: 'alarm',
+   text: 'when an alarm goes off',
+   params: [['with alarm ID', 'ALARM_VAR', 'alarm']],
+   tooltip:
+   'Run these blocks when an alarm set by this program goes off,\n' +
+   'setting the variable to the ID returned when it was set.'},
+  {event: 'redstone',
+   text: 'when redstone input changes',
+   params: [],
+   tooltip:
+   'Run these blocks when the redstone input on any side changes.'},
+  {event: 'rednet_message',
+   text: 'when a rednet message arrives',
+   params: [['with sender', 'SENDER_VAR', 'sender'],
+            ['message', 'MESSAGE_VAR', 'message'],
+            ['protocol', 'PROTOCOL_VAR', 'protocol']],
+   tooltip:
+   'Run these blocks when a rednet message arrives on an open modem,\n' +
+   'setting the variables to the ID of the computer that sent it, the\n' +
+   'message, and its protocol (or nil if it has none).'},
+  {event: 'disk',
+   text: 'when a disk is inserted',
+   params: [['with side', 'SIDE_VAR', 'side']],
+   tooltip:
+   'Run these blocks when a disk is put in a disk drive, setting the\n' +
+   'variable to the side the drive is on.'},
+  {event: 'disk_eject',
+   text: 'when a disk is removed',
+   params: [['with side', 'SIDE_VAR', 'side']],
+   tooltip:
+   'Run these blocks when a disk is taken out of a disk drive, setting\n' +
+   'the variable to the side the drive is on.'},
+  {event: 'peripheral',
+   text: 'when a peripheral is attached',
+   params: [['with side', 'SIDE_VAR', 'side']],
+   tooltip:
+   'Run these blocks when a peripheral is attached, setting the\n' +
+   'variable to the side it is on.'},
+  {event: 'monitor_touch',
+   text: 'when a monitor is touched',
+   params: [['with side', 'SIDE_VAR', 'side'],
+            ['x', 'X_VAR', 'x'],
+            ['y', 'Y_VAR', 'y']],
+   tooltip:
+   'Run these blocks when an advanced monitor is right-clicked, setting\n' +
+   'the variables to the side the monitor is on and the column and row\n' +
+   'touched.'},
+  {event: 'terminate',
+   text: 'when the program is terminated',
+   params: [],
+   tooltip:
+   'Run these blocks when Ctrl+T is held to stop the program, before\n' +
+   'it stops.'}];
+
+/**
+ * Add the code of an event handler block to the event loop.
+ * @param {!Blockly.Block} block The block.
+ * @param {string} assignment Code setting the block's variables, indented
+ *     one level.
+ * @return {null} Nothing, since the block's code goes in the event loop.
+ * @private
+ */
+Blockly.ComputerCraft.addEventHandler_ = function(block, assignment) {
+  var code = assignment + Blockly.Lua.statementToCode(block, 'DO');
+  var comment = block.getCommentText();
+  if (comment) {
+    code = Blockly.Lua.prefixLines(Blockly.Lua.comment_(comment), '  ') +
+        code;
+  }
+  Blockly.Lua.addEventHandler(block.getEventName(),
+                              Blockly.Lua.markSource(block, code));
+  return null;
+};
+
+/**
+ * Get the names of the variables of an event handler block.
+ * @return {!Array.<string>} The names.
+ * @this Blockly.Block
+ */
+Blockly.ComputerCraft.getEventVars_ = function() {
+  return this.params_.map(function(param) {
+    return this.getTitleValue(param[1]);
+  }, this);
+};
+
+/**
+ * Rename a variable of an event handler block.
+ * @param {string} oldName The variable's old name.
+ * @param {string} newName Its new name.
+ * @this Blockly.Block
+ */
+Blockly.ComputerCraft.renameEventVar_ = function(oldName, newName) {
+  this.params_.forEach(function(param) {
+    if (Blockly.Names.equals(oldName, this.getTitleValue(param[1]))) {
+      this.setTitleValue(newName, param[1]);
+    }
+  }, this);
+};
+
+Blockly.ComputerCraft.EVENT_HANDLERS_.forEach(function(info) {
+  var name = 'events_' + info.event;
+  Blockly.Blocks[name] = {
+    params_: info.params,
+    init: function() {
+      this.setHelpUrl(Blockly.ComputerCraft.BASE_HELP_URL +
+          info.event.charAt(0).toUpperCase() + info.event.slice(1) +
+          '_(event)');
+      this.setColour(Blockly.ComputerCraft.EVENTS_BLOCK_COLOUR_);
+      var input = this.appendDummyInput().appendTitle(info.text);
+      info.params.forEach(function(param) {
+        input.appendTitle(param[0])
+            .appendTitle(new Blockly.FieldVariable(param[2]), param[1]);
+      });
+      this.appendStatementInput('DO').appendTitle('do');
+      this.setTooltip(info.tooltip);
+    },
+    getEventName: function() {
+      return info.event;
+    },
+    getVars: Blockly.ComputerCraft.getEventVars_,
+    renameVar: Blockly.ComputerCraft.renameEventVar_
+  };
+
+  Blockly.Lua[name] = function(block) {
+    var event = Blockly.Lua.EVENT_PLACEHOLDER_;
+    var names = [];
+    var values = [];
+    block.getVars().forEach(function(variable, x) {
+      names.push(Blockly.Lua.variableDB_.getName(variable,
+          Blockly.Variables.NAME_TYPE));
+      // The event's name comes before its parameters.
+      values.push(event + '[' + (x + 2) + ']');
+    });
+    return Blockly.ComputerCraft.addEventHandler_(block, names.length ?
+        '  ' + names.join(', ') + ' = ' + values.join(', ') + '\n' : '');
+  };
+});
+
+Blockly.Blocks['events_custom'] = {
+  // Handle an event queued by a program.
+  params_: [['with parameters', 'PARAMS_VAR', 'parameters']],
+  init: function() {
+    this.setHelpUrl(Blockly.ComputerCraft.BASE_HELP_URL + 'Os.queueEvent');
+    this.setColour(Blockly.ComputerCraft.EVENTS_BLOCK_COLOUR_);
+    this.appendDummyInput()
+        .appendTitle('when event')
+        .appendTitle(new Blockly.FieldTextInput('my_event'), 'EVENT')
+        .appendTitle('happens with parameters')
+        .appendTitle(new Blockly.FieldVariable('parameters'), 'PARAMS_VAR');
+    this.appendStatementInput('DO').appendTitle('do');
+    this.setTooltip(
+        'Run these blocks when an event with this name happens, such as\n' +
+        'one queued by a program, setting the variable to a list of the\n' +
+        'event\'s parameters.');
+  },
+  getEventName: function() {
+    return this.getTitleValue('EVENT');
+  },
+  getVars: Blockly.ComputerCraft.getEventVars_,
+  renameVar: Blockly.ComputerCraft.renameEventVar_
+};
+
+Blockly.Lua['events_custom'] = function(block) {
+  var name = Blockly.Lua.variableDB_.getName(block.getTitleValue('PARAMS_VAR'),
+      Blockly.Variables.NAME_TYPE);
+  return Blockly.ComputerCraft.addEventHandler_(block, '  ' + name + ' = {' +
+      Blockly.Lua.unpack_(Blockly.Lua.EVENT_PLACEHOLDER_, '2') + '}\n');
+};
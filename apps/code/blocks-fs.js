@@ -118,3 +118,154 @@ Blockly.ComputerCraft.FS_FUNCS_ = [
 Blockly.ComputerCraft.FS_FUNCS_.forEach(function(info) {
   Blockly.ComputerCraft.buildValueBlock(
     'fs', Blockly.ComputerCraft.FS_BLOCK_COLOUR_, info);});
+
+// The rest of this file is devoted to file handles, which fs.open returns.
+// Their type is 'FileHandle', so that a handle can only be plugged into
+// the inputs of the blocks that use one (or into untyped inputs).
+
+Blockly.ComputerCraft.FS_OPEN_HELP_URL_ =
+    Blockly.ComputerCraft.BASE_HELP_URL + 'Fs.open';
+
+Blockly.ComputerCraft.FS_MODES_ = [['reading', 'r'],
+                                   ['writing', 'w'],
+                                   ['appending', 'a'],
+                                   ['reading bytes', 'rb'],
+                                   ['writing bytes', 'wb']];
+
+Blockly.ComputerCraft.buildValueBlock(
+  'fs', Blockly.ComputerCraft.FS_BLOCK_COLOUR_,
+  {funcName: 'open',
+   output: 'FileHandle',
+   text: 'open file %1 for %2',
+   args: [['PATH', 'String'],
+          ['MODE', new Blockly.FieldDropdown(Blockly.ComputerCraft.FS_MODES_)]],
+   tooltip:
+   'Opens a file for reading or writing text or bytes,\n' +
+   'returning a handle for use with the other file blocks,\n' +
+   'or nil if the file cannot be opened.\n' +
+   'Writing replaces the file\'s contents; appending adds to the end.'});
+
+// Each of these calls a function of the handle plugged into its HANDLE
+// input, such as handle.readLine().
+Blockly.ComputerCraft.FILE_HANDLE_FUNCS_ = [
+  {funcName: 'readLine',
+   output: 'String',
+   text: 'read line from file %1',
+   tooltip:
+   'Reads the next line from a file opened for reading,\n' +
+   'without the line break, or nil at the end of the file.'},
+  {funcName: 'readAll',
+   output: 'String',
+   text: 'read rest of file %1',
+   tooltip:
+   'Reads the rest of a file opened for reading,\n' +
+   'without the line break at the end.'},
+  {funcName: 'read',
+   output: 'Number',
+   text: 'read byte from file %1',
+   tooltip:
+   'Reads the next byte (0-255) from a file opened for reading bytes,\n' +
+   'or nil at the end of the file.'},
+  {funcName: 'write',
+   text: 'write %2 to file %1',
+   args: [['VALUE', ['String', 'Number']]],
+   tooltip:
+   'Writes text to a file opened for writing or appending,\n' +
+   'or a byte (0-255) to a file opened for writing bytes.'},
+  {funcName: 'writeLine',
+   text: 'write line %2 to file %1',
+   args: [['VALUE', ['String', 'Number']]],
+   tooltip:
+   'Writes text and a line break to a file opened for writing or appending.'},
+  {funcName: 'flush',
+   text: 'save what has been written to file %1',
+   tooltip:
+   'Saves what has been written to a file so far, without closing it.'},
+  {funcName: 'close',
+   text: 'close file %1',
+   tooltip:
+   'Closes a file, saving what has been written to it.\n' +
+   'The handle cannot be used afterwards.'}];
+
+Blockly.ComputerCraft.FILE_HANDLE_FUNCS_.forEach(function(info) {
+  info.blockName = 'handle_' +
+      Blockly.ComputerCraft.convertFromCamelCase(info.funcName);
+  info.args = [['HANDLE', 'FileHandle']].concat(info.args || []);
+  info.helpUrl = Blockly.ComputerCraft.FS_OPEN_HELP_URL_;
+  var block = Blockly.ComputerCraft.buildValueBlock(
+    'fs', Blockly.ComputerCraft.FS_BLOCK_COLOUR_, info);
+  // The handle is called rather than passed as a parameter.
+  block.getFuncName = function() {
+    return Blockly.Lua.valueToCode(this, 'HANDLE', Blockly.Lua.ORDER_HIGH) +
+        '.' + this.info.funcName;
+  };
+  block.getOrderedParameterNames = function() {
+    return this.info.args.slice(1).map(function(pair) {
+      return pair[0];
+    });
+  };
+});
+
+Blockly.Blocks['fs_with_file'] = {
+  // Open a file, run some blocks with it, and close it.
+  // The blocks run in a function of their own, so they can't break out of a
+  // loop or return from a procedure around this block.
+  isolatesStatements: true,
+  init: function() {
+    this.setHelpUrl(Blockly.ComputerCraft.FS_OPEN_HELP_URL_);
+    this.setColour(Blockly.ComputerCraft.FS_BLOCK_COLOUR_);
+    this.appendValueInput('PATH')
+        .setCheck('String')
+        .appendTitle('with file');
+    this.appendDummyInput()
+        .appendTitle('open for')
+        .appendTitle(new Blockly.FieldDropdown(Blockly.ComputerCraft.FS_MODES_),
+                     'MODE')
+        .appendTitle('as')
+        .appendTitle(new Blockly.FieldVariable('handle'), 'VAR');
+    this.setInputsInline(true);
+    this.appendStatementInput('DO')
+        .appendTitle('do');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip(
+        'Opens a file, runs the blocks inside with the variable set to its\n' +
+        'handle, and then closes the file, even if the blocks stop with an\n' +
+        'error.  The blocks are skipped if the file cannot be opened.\n' +
+        'Blocks inside cannot break out of a loop or return from a\n' +
+        'function around this one.');
+  },
+  getVars: function() {
+    return [this.getTitleValue('VAR')];
+  },
+  renameVar: function(oldName, newName) {
+    if (Blockly.Names.equals(oldName, this.getTitleValue('VAR'))) {
+      this.setTitleValue(newName, 'VAR');
+    }
+  }
+};
+
+Blockly.Lua['fs_with_file'] = function(block) {
+  // The blocks inside run in a function called through pcall, so that an
+  // error doesn't stop the file from being closed.
+  var handle = Blockly.Lua.variableDB_.getName(
+      block.getTitleValue('VAR'), Blockly.Variables.NAME_TYPE);
+  var path = Blockly.Lua.valueToCode(block, 'PATH',
+      Blockly.Lua.ORDER_NONE) || '\'\'';
+  var branch = Blockly.Lua.statementToCode(block, 'DO');
+  var ok = Blockly.Lua.variableDB_.getDistinctName(
+      'ok', Blockly.Variables.NAME_TYPE);
+  var message = Blockly.Lua.variableDB_.getDistinctName(
+      'message', Blockly.Variables.NAME_TYPE);
+  return handle + ' = fs.open(' + path + ', \'' +
+      block.getTitleValue('MODE') + '\')\n' +
+      'if ' + handle + ' then\n' +
+      '  local ' + ok + ', ' + message + ' = pcall(function()\n' +
+      (branch ? Blockly.Lua.prefixLines(branch, '  ') : '') +
+      '  end)\n' +
+      '  ' + handle + '.close()\n' +
+      '  if not ' + ok + ' then\n' +
+      '    error(' + message + ', 0)\n' +
+      '  end\n' +
+      'end\n';
+};
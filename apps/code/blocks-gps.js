@@ -0,0 +1,258 @@
+/**
+ * Blockly Lua: ComputerCraft GPS API
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Blocks for the ComputerCraft GPS API, and turtle blocks that
+ *     find their way with it.
+ */
+'use strict';
+goog.require('ComputerCraft.ValueBlock');
+
+Blockly.ComputerCraft.GPS_BLOCK_COLOUR_ = 290;
+
+// Seconds to wait for GPS hosts to answer in the navigation helpers.
+Blockly.ComputerCraft.GPS_HELPER_TIMEOUT_ = 2;
+
+/**
+ * Provide the Lua function that locates the computer as a vector.
+ * @return {string} The function's name.
+ * @private
+ */
+Blockly.ComputerCraft.provideGpsLocate_ = function() {
+  return Blockly.Lua.provideFunction_(
+      'gps_locate_vector',
+      ['function ' + Blockly.Lua.FUNCTION_NAME_PLACEHOLDER_ +
+          '(timeout, debug)',
+       '  local x, y, z = gps.locate(timeout, debug)',
+       '  if x then',
+       '    return vector.new(x, y, z)',
+       '  end',
+       '  return nil',
+       'end']);
+};
+
+/**
+ * Provide the Lua function that finds which way a turtle faces, by moving
+ * it forward (turning to find a free space if necessary), locating it, and
+ * moving it back.  The function returns 0 for north, 1 for east, 2 for
+ * south or 3 for west, or nil if that can't be found.
+ * @return {string} The function's name.
+ * @private
+ */
+Blockly.ComputerCraft.provideGpsHeading_ = function() {
+  var timeout = Blockly.ComputerCraft.GPS_HELPER_TIMEOUT_;
+  return Blockly.Lua.provideFunction_(
+      'turtle_gps_heading',
+      ['function ' + Blockly.Lua.FUNCTION_NAME_PLACEHOLDER_ + '()',
+       '  local x1, _, z1 = gps.locate(' + timeout + ')',
+       '  if not x1 then',
+       '    return nil',
+       '  end',
+       '  for turns = 0, 3 do',
+       '    if turtle.forward() then',
+       '      local x2, _, z2 = gps.locate(' + timeout + ')',
+       '      turtle.back()',
+       '      for i = 1, turns do',
+       '        turtle.turnLeft()',
+       '      end',
+       '      if not x2 then',
+       '        return nil',
+       '      end',
+       '      local heading = 0',
+       '      if x2 > x1 then',
+       '        heading = 1',
+       '      elseif z2 > z1 then',
+       '        heading = 2',
+       '      elseif x2 < x1 then',
+       '        heading = 3',
+       '      end',
+       '      return (heading - turns) % 4',
+       '    end',
+       '    turtle.turnRight()',
+       '  end',
+       '  return nil',
+       'end']);
+};
+
+/**
+ * Provide the Lua function that turns a turtle to face a compass direction.
+ * @return {string} The function's name.
+ * @private
+ */
+Blockly.ComputerCraft.provideGpsFace_ = function() {
+  var heading = Blockly.ComputerCraft.provideGpsHeading_();
+  return Blockly.Lua.provideFunction_(
+      'turtle_face',
+      ['function ' + Blockly.Lua.FUNCTION_NAME_PLACEHOLDER_ + '(direction)',
+       '  local target = ({north = 0, east = 1, south = 2, west = 3})' +
+           '[direction]',
+       '  local heading = ' + heading + '()',
+       '  if not target or not heading then',
+       '    return false',
+       '  end',
+       '  local turns = (target - heading) % 4',
+       '  if turns == 3 then',
+       '    turtle.turnLeft()',
+       '  else',
+       '    for i = 1, turns do',
+       '      turtle.turnRight()',
+       '    end',
+       '  end',
+       '  return true',
+       'end']);
+};
+
+/**
+ * Provide the Lua function that moves a turtle to a position, first up or
+ * down, then east or west, then north or south.
+ * @return {string} The function's name.
+ * @private
+ */
+Blockly.ComputerCraft.provideGpsGoTo_ = function() {
+  var face = Blockly.ComputerCraft.provideGpsFace_();
+  return Blockly.Lua.provideFunction_(
+      'turtle_go_to',
+      ['function ' + Blockly.Lua.FUNCTION_NAME_PLACEHOLDER_ + '(x, y, z)',
+       '  local cx, cy, cz = gps.locate(' +
+           Blockly.ComputerCraft.GPS_HELPER_TIMEOUT_ + ')',
+       '  if not cx then',
+       '    return false',
+       '  end',
+       '  cx, cy, cz = math.floor(cx + 0.5), math.floor(cy + 0.5), ' +
+           'math.floor(cz + 0.5)',
+       '  x, y, z = math.floor(x + 0.5), math.floor(y + 0.5), ' +
+           'math.floor(z + 0.5)',
+       '  while cy ~= y do',
+       '    if cy < y then',
+       '      if not turtle.up() then',
+       '        return false',
+       '      end',
+       '      cy = cy + 1',
+       '    else',
+       '      if not turtle.down() then',
+       '        return false',
+       '      end',
+       '      cy = cy - 1',
+       '    end',
+       '  end',
+       '  if cx ~= x and not ' + face + '(cx < x and "east" or "west") then',
+       '    return false',
+       '  end',
+       '  while cx ~= x do',
+       '    if not turtle.forward() then',
+       '      return false',
+       '    end',
+       '    cx = cx + (cx < x and 1 or -1)',
+       '  end',
+       '  if cz ~= z and not ' + face + '(cz < z and "south" or "north") then',
+       '    return false',
+       '  end',
+       '  while cz ~= z do',
+       '    if not turtle.forward() then',
+       '      return false',
+       '    end',
+       '    cz = cz + (cz < z and 1 or -1)',
+       '  end',
+       '  return true',
+       'end']);
+};
+
+// The code generators of these blocks call the functions provided above,
+// which they name through getFuncName.
+Blockly.ComputerCraft.GPS_FUNCS_ = [
+  {funcName: 'locate',
+   text: 'locate with GPS, waiting %1 seconds %2',
+   args: [['TIMEOUT', 'Number'],
+          ['DEBUG', new Blockly.FieldDropdown(
+            [['quietly', 'false'],
+             ['printing progress', 'true']])]],
+   quoteDropdownValues: false,
+   output: 'Vector',
+   provideFunction: Blockly.ComputerCraft.provideGpsLocate_,
+   tooltip:
+   'Find the position of this computer from the GPS hosts in range of\n' +
+   'its wireless modem, returning it as a vector, or nil if it cannot\n' +
+   'be found in time.  Rednet must be open on the modem.'}];
+
+Blockly.ComputerCraft.GPS_FUNCS_.forEach(function(info) {
+  var block = Blockly.ComputerCraft.buildValueBlock(
+    'gps', Blockly.ComputerCraft.GPS_BLOCK_COLOUR_, info);
+  block.getFuncName = function() {
+    return this.info.provideFunction();
+  };
+});
+
+// A custom code generator for the block is defined below.
+Blockly.ComputerCraft.buildValueBlock(
+  'gps', Blockly.ComputerCraft.GPS_BLOCK_COLOUR_,
+  {blockName: 'host',
+   text: 'host GPS at x %1 y %2 z %3',
+   args: [['X', 'Number'], ['Y', 'Number'], ['Z', 'Number']],
+   helpUrl: Blockly.ComputerCraft.BASE_HELP_URL + 'Gps_(program)',
+   suppressLua: true,
+   tooltip:
+   'Answer other computers\' GPS requests, giving this computer\'s\n' +
+   'position, until the program is stopped.  If the position is left\n' +
+   'out, the computer finds it with GPS.  GPS needs at least four\n' +
+   'hosts, which should not all be at the same height.'});
+
+Blockly.Lua['gps_host'] = function(block) {
+  var args = ['\'gps\'', '\'host\''];
+  var position = ['X', 'Y', 'Z'].map(function(name) {
+    return Blockly.Lua.valueToCode(block, name, Blockly.Lua.ORDER_NONE);
+  });
+  if (position.every(function(code) { return code; })) {
+    args = args.concat(position);
+  }
+  return 'shell.run(' + args.join(', ') + ')\n';
+};
+
+// Turtle blocks that use GPS to find where they are and which way they face.
+Blockly.ComputerCraft.GPS_TURTLE_FUNCS_ = [
+  {blockName: 'go_to',
+   text: 'go to x %1 y %2 z %3',
+   args: [['X', 'Number'], ['Y', 'Number'], ['Z', 'Number']],
+   provideFunction: Blockly.ComputerCraft.provideGpsGoTo_,
+   tooltip:
+   'Move the turtle to a position found with GPS, going up or down\n' +
+   'first, then east or west, then north or south, and returning\n' +
+   'true if it gets there, false if it is blocked or GPS fails.'},
+  {blockName: 'face',
+   text: 'face %1',
+   args: [['DIRECTION', new Blockly.FieldDropdown(
+            [['north', 'north'],
+             ['east', 'east'],
+             ['south', 'south'],
+             ['west', 'west']])]],
+   provideFunction: Blockly.ComputerCraft.provideGpsFace_,
+   tooltip:
+   'Turn the turtle to face a compass direction, returning true if\n' +
+   'it could, false otherwise.  To find which way it faces, the turtle\n' +
+   'moves one block and back, locating itself with GPS.'}];
+
+Blockly.ComputerCraft.GPS_TURTLE_FUNCS_.forEach(function(info) {
+  info.output = 'Boolean';
+  info.expStmt = true;
+  info.helpUrl = Blockly.ComputerCraft.BASE_HELP_URL + 'Gps.locate';
+  var block = Blockly.ComputerCraft.buildValueBlock(
+    'turtle', Blockly.ComputerCraft.TURTLE_BLOCK_COLOUR_, info);
+  block.getFuncName = function() {
+    return this.info.provideFunction();
+  };
+});
@@ -0,0 +1,102 @@
+/**
+ * Blockly Lua: Raw Lua blocks
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Blocks holding Lua code as text, for code that the importer
+ * could not turn into other blocks.
+ */
+'use strict';
+
+Blockly.ComputerCraft.LUA_BLOCK_COLOUR_ = 0;
+
+Blockly.Blocks['lua_raw'] = {
+  // Lua statements.
+  init: function() {
+    this.setColour(Blockly.ComputerCraft.LUA_BLOCK_COLOUR_);
+    this.appendDummyInput()
+        .appendTitle('Lua')
+        .appendTitle(new Blockly.FieldTextInput(''), 'CODE');
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip('Lua statements, included in the program as they are.');
+  }
+};
+
+Blockly.Lua['lua_raw'] = function(block) {
+  var code = block.getTitleValue('CODE');
+  return code ? code + '\n' : '';
+};
+
+Blockly.Blocks['lua_raw_value'] = {
+  // A Lua expression.
+  init: function() {
+    this.setColour(Blockly.ComputerCraft.LUA_BLOCK_COLOUR_);
+    this.appendDummyInput()
+        .appendTitle('Lua')
+        .appendTitle(new Blockly.FieldTextInput(''), 'CODE');
+    this.setOutput(true);
+    this.setTooltip('A Lua expression, included in the program as it is.');
+  }
+};
+
+Blockly.Lua['lua_raw_value'] = function(block) {
+  // Unless the expression is a name followed by fields, indexes and calls,
+  // it may contain any operator, so it is parenthesized when it is an
+  // operand.
+  var code = block.getTitleValue('CODE') || 'nil';
+  return [code, Blockly.ComputerCraft.isSuffixedExpression_(code) ?
+          Blockly.Lua.ORDER_HIGH : Blockly.Lua.ORDER_OR];
+};
+
+/**
+ * Check whether Lua code is a name followed by any number of fields, indexes
+ * and calls, such as 'turtle.getItemCount(slot)'.
+ * @param {string} code Lua expression.
+ * @return {boolean} True if the code has that form.
+ * @private
+ */
+Blockly.ComputerCraft.isSuffixedExpression_ = function(code) {
+  if (!/^[A-Za-z_]/.test(code)) {
+    return false;
+  }
+  var depth = 0;
+  var quote = null;
+  for (var x = 0; x < code.length; x++) {
+    var c = code.charAt(x);
+    if (quote) {
+      if (c == '\\') {
+        x++;
+      } else if (c == quote) {
+        quote = null;
+      }
+    } else if (depth && (c == '"' || c == '\'')) {
+      quote = c;
+    } else if ('([{'.indexOf(c) != -1) {
+      depth++;
+    } else if (')]}'.indexOf(c) != -1) {
+      if (--depth < 0) {
+        return false;
+      }
+    } else if (!depth && !/[\w.:]/.test(c)) {
+      // An operator, a space or a string outside the brackets.
+      return false;
+    }
+  }
+  return !depth && !quote;
+};
@@ -23,14 +23,27 @@
  */
 'use strict';
 
-Blockly.ComputerCraft.deprecatedOnChange = function(newBlock) {
-  return function() {
-    if (!this.workspace) {
-      // Block has been deleted.
-      return;
-    }
-    this.setWarningText('This block has been deprecated.  Please replace it with the "' + newBlock + '" block.');
-  };
+/**
+ * Build the explanation of why a block is deprecated, for its 'deprecated'
+ * property.
+ * @param {string} newBlock Text of the block replacing it.
+ * @return {string} Explanation.
+ */
+Blockly.ComputerCraft.deprecation = function(newBlock) {
+  return 'This block has been deprecated.  Please replace it with the "' +
+      newBlock + '" block.';
+};
+
+/**
+ * Show a deprecated block's 'deprecated' property as its warning.
+ * @this Blockly.Block
+ */
+Blockly.ComputerCraft.deprecatedOnChange = function() {
+  if (!this.workspace) {
+    // Block has been deleted.
+    return;
+  }
+  this.setWarningText(this.deprecated);
 };
 
 
@@ -44,7 +57,9 @@ Blockly.Blocks['turtle_get_item_count'] = {
     this.setOutput(true, 'Number');
     this.setTooltip('Get the count of items in the supplied slot number.');
   },
-  onchange: Blockly.ComputerCraft.deprecatedOnChange('get [item count/free space] in slot')
+  deprecated: Blockly.ComputerCraft.deprecation(
+      'get [item count/free space] in slot'),
+  onchange: Blockly.ComputerCraft.deprecatedOnChange
 };
 
 Blockly.Lua['turtle_get_item_count'] = function(block) {
@@ -66,7 +81,9 @@ Blockly.Blocks['turtle_get_item_space'] = {
     this.setOutput(true, 'Number');
     this.setTooltip('Get the number of items that can be placed in the numbered slot.');
   },
-  onchange: Blockly.ComputerCraft.deprecatedOnChange('get [item count/free space] in slot')
+  deprecated: Blockly.ComputerCraft.deprecation(
+      'get [item count/free space] in slot'),
+  onchange: Blockly.ComputerCraft.deprecatedOnChange
 };
 
 Blockly.Lua['turtle_get_item_space'] = function(block) {
@@ -0,0 +1,82 @@
+/**
+ * Blockly Lua: ComputerCraft Parallel API
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Blocks for the ComputerCraft Parallel API, which run
+ *     branches of code at the same time.
+ */
+'use strict';
+goog.require('ComputerCraft.VarArgsBlock');
+
+Blockly.ComputerCraft.PARALLEL_BLOCK_COLOUR_ = 290;
+
+Blockly.ComputerCraft.PARALLEL_FUNCS_ = [
+  {funcName: 'waitForAll',
+   text: 'run all at the same time %v',
+   tooltip:
+   'Run the branches at the same time, taking turns whenever one waits,\n' +
+   'such as for an event or a turtle move, until all of them finish.\n' +
+   'Blocks in a branch cannot break out of a loop or return from a\n' +
+   'function around this one.\n' +
+   'Change the number of branches by clicking the star.'},
+  {funcName: 'waitForAny',
+   text: 'run until any finishes %v',
+   tooltip:
+   'Run the branches at the same time, taking turns whenever one waits,\n' +
+   'such as for an event or a turtle move, until one of them finishes.\n' +
+   'The others are stopped where they were waiting.\n' +
+   'Blocks in a branch cannot break out of a loop or return from a\n' +
+   'function around this one.\n' +
+   'Change the number of branches by clicking the star.'}];
+
+/**
+ * Generate the code for a parallel block, which passes each branch to the
+ * Parallel API as an anonymous function.  The functions are closures, so
+ * the branches share the variables of the procedure or program around them:
+ * those are declared 'local' at its top or on a statement of its own, never
+ * inside a branch.
+ * @param {!Blockly.Block} block The block.
+ * @return {string} Lua code.
+ * @private
+ */
+Blockly.ComputerCraft.generateParallelLua_ = function(block) {
+  var branches = [];
+  for (var x = 1; x <= block.info.varArgCount; x++) {
+    branches.push('function()\n' +
+        Blockly.Lua.statementToCode(block, 'ARG' + x) + 'end');
+  }
+  return 'parallel.' + block.info.funcName + '(' + branches.join(', ') +
+      ')\n';
+};
+
+Blockly.ComputerCraft.PARALLEL_FUNCS_.forEach(function(info) {
+  info.varArgName = 'branch';
+  info.varArgStatements = true;
+  info.varArgTitle = 'do';
+  info.varArgCount = 2;
+  info.varArgTooltip = 'Code to run alongside the other branches.';
+  info.varContainerName = 'branches';
+  info.varContainerTooltip = 'Add, delete, or reorder branches.';
+  var block = Blockly.ComputerCraft.buildVarArgsBlock(
+    'parallel', Blockly.ComputerCraft.PARALLEL_BLOCK_COLOUR_, info);
+  // Each branch is a function of its own, so it can't break out of a loop
+  // or return from a procedure around this block.
+  block.isolatesStatements = true;
+  Blockly.Lua[block.blockName] = Blockly.ComputerCraft.generateParallelLua_;
+});
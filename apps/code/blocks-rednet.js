@@ -46,12 +46,41 @@ Blockly.ComputerCraft.REDNET_FUNCS_ = [
    'Check if rednet is open on the specified side.'},
   {funcName: 'run',
    text: 'run rednet',
-   tooltip: 'Run rednet.'}];
+   tooltip: 'Run rednet.'},
+  {funcName: 'host',
+   text: 'host protocol %1 as %2 on rednet',
+   args: [['PROTOCOL', 'String'], ['HOSTNAME', 'String']],
+   tooltip:
+   'Register this computer under a name for a protocol,\n' +
+   'so that other computers can find it with the "find computer" block.'},
+  {funcName: 'unhost',
+   text: 'stop hosting protocol %1 on rednet',
+   args: [['PROTOCOL', 'String']],
+   tooltip:
+   'Stop this computer from being found for a protocol.'},
+  {funcName: 'lookup',
+   text: 'find computer named %2 hosting protocol %1',
+   args: [['PROTOCOL', 'String'], ['HOSTNAME', 'String']],
+   output: 'Number',
+   tooltip:
+   'Return the ID of the computer hosting a protocol under a name,\n' +
+   'or nil if none is found within two seconds.'},
+  // A custom code generator for the block is defined below.
+  {blockName: 'lookup_all',
+   funcName: 'lookup',
+   text: 'find computers hosting protocol %1',
+   args: [['PROTOCOL', 'String']],
+   output: 'Array',
+   suppressLua: true,
+   tooltip:
+   'Return a list of the IDs of the computers hosting a protocol\n' +
+   'that answer within two seconds.'}];
 
 Blockly.ComputerCraft.REDNET_FUNCS_.forEach(function(info) {
   Blockly.ComputerCraft.buildValueBlock(
     'rednet', Blockly.ComputerCraft.REDNET_BLOCK_COLOUR_, info);});
 
+// A custom code generator for the block is defined below.
 Blockly.ComputerCraft.buildDependentInputBlock(
   'rednet',
   Blockly.ComputerCraft.REDNET_BLOCK_COLOUR_,
@@ -61,7 +90,12 @@ Blockly.ComputerCraft.buildDependentInputBlock(
            [['empty message', 'announce'],
             ['message', 'broadcast*']]],
           ['MESSAGE^', 'String']],
-   ddFuncName: 'OPTION'});
+   ddFuncName: 'OPTION',
+   suppressLua: true,
+   tooltip:
+   'Send a message to every computer in range.\n' +
+   'A table is sent as a string, which the\n' +
+   '"convert string to table" block turns back into a table.'});
 
 Blockly.ComputerCraft.buildDependentInputBlock(
   'rednet',
@@ -73,3 +107,152 @@ Blockly.ComputerCraft.buildDependentInputBlock(
            [['forever', 'forever'],
             ['seconds', 'seconds*']]]],
    multipleOutputs: 3});
+
+Blockly.Lua['rednet_lookup_all'] = function(block) {
+  return ['{' + block.generateLuaInner_() + '}', Blockly.Lua.ORDER_ATOMIC];
+};
+
+// Types of the blocks whose values are tables.
+Blockly.ComputerCraft.REDNET_TABLE_TYPES_ = ['Table', 'List', 'Array'];
+
+// A custom code generator for the block is defined below.
+Blockly.ComputerCraft.buildDependentInputBlock(
+  'rednet',
+  Blockly.ComputerCraft.REDNET_BLOCK_COLOUR_,
+  {funcName: 'send',
+   text: 'send %2 to computer %1 %3 %4 on rednet',
+   args: [['ID', 'Number'],
+          ['MESSAGE', null],
+          ['OPTION*',
+           [['without protocol', 'none'],
+            ['with protocol', 'protocol*']]],
+          ['PROTOCOL^', 'String']],
+   suppressLua: true,
+   tooltip:
+   'Send a message to the computer with an ID, optionally using\n' +
+   'a protocol that the receiver can wait for.\n' +
+   'A table is sent as a string, which the\n' +
+   '"convert string to table" block turns back into a table.'});
+
+/**
+ * Generate a statement calling a rednet function that sends a message.
+ * Unless the message is known not to be a table, the statement calls a
+ * helper that first turns tables into strings.
+ * @param {!Blockly.Block} block Block with a MESSAGE input.
+ * @param {string} funcName Name of the rednet function, such as 'send'.
+ * @param {!Array.<string>} params Names of the function's parameters, one of
+ *     which is 'message'.
+ * @param {!Array.<string>} args Lua code for the arguments.
+ * @return {string} Lua code.
+ * @private
+ */
+Blockly.ComputerCraft.rednetSendLua_ = function(block, funcName, params,
+                                                args) {
+  var source = block.getInputTargetBlock('MESSAGE');
+  var types = source && source.outputConnection.check_;
+  if (types && !types.some(function(type) {
+        return Blockly.ComputerCraft.REDNET_TABLE_TYPES_.indexOf(type) != -1;
+      })) {
+    return 'rednet.' + funcName + '(' + args.join(', ') + ')\n';
+  }
+  var helperName = Blockly.Lua.provideFunction_(
+      'rednet_' + funcName,
+      ['function ' + Blockly.Lua.FUNCTION_NAME_PLACEHOLDER_ +
+           '(' + params.join(', ') + ')',
+       '  if type(message) == \'table\' then',
+       '    message = textutils.serialize(message)',
+       '  end',
+       '  rednet.' + funcName + '(' + params.join(', ') + ')',
+       'end']);
+  return helperName + '(' + args.join(', ') + ')\n';
+};
+
+Blockly.Lua['rednet_send'] = function(block) {
+  var args = [Blockly.Lua.valueToCode(block, 'ID',
+                  Blockly.Lua.ORDER_NONE) || 'nil',
+              Blockly.Lua.valueToCode(block, 'MESSAGE',
+                  Blockly.Lua.ORDER_NONE) || 'nil'];
+  if (block.dependentInputShown) {
+    args.push(Blockly.Lua.valueToCode(block, 'PROTOCOL',
+        Blockly.Lua.ORDER_NONE) || 'nil');
+  }
+  return Blockly.ComputerCraft.rednetSendLua_(
+      block, 'send', ['id', 'message', 'protocol'], args);
+};
+
+Blockly.Lua['rednet_broadcast'] = function(block) {
+  if (!block.dependentInputShown) {
+    // rednet.announce()
+    return Blockly.ComputerCraft.generateLua(block);
+  }
+  return Blockly.ComputerCraft.rednetSendLua_(
+      block, 'broadcast', ['message'],
+      [Blockly.Lua.valueToCode(block, 'MESSAGE',
+           Blockly.Lua.ORDER_NONE) || 'nil']);
+};
+
+Blockly.Blocks['rednet_receive_vars'] = {
+  // Wait for a message and put the sender, message and protocol in
+  // variables.  Since ComputerCraft 1.6, rednet.receive gives the protocol
+  // where it used to give the distance to the sender, which rednet no longer
+  // reports.
+  init: function() {
+    this.setHelpUrl(Blockly.ComputerCraft.BASE_HELP_URL + 'Rednet.receive');
+    this.setColour(Blockly.ComputerCraft.REDNET_BLOCK_COLOUR_);
+    this.appendValueInput('PROTOCOL')
+        .setCheck('String')
+        .setOptional(true)
+        .appendTitle('wait for rednet message with protocol');
+    this.appendValueInput('TIMEOUT')
+        .setCheck('Number')
+        .setOptional(true)
+        .appendTitle('for at most');
+    this.appendDummyInput()
+        .appendTitle('seconds and set')
+        .appendTitle(new Blockly.FieldVariable('sender'), 'SENDER_VAR')
+        .appendTitle(new Blockly.FieldVariable('message'), 'MESSAGE_VAR')
+        .appendTitle(new Blockly.FieldVariable('protocol'), 'PROTOCOL_VAR');
+    this.setInputsInline(true);
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+    this.setTooltip(
+        'Wait for a rednet message and set the variables to the ID of\n' +
+        'the computer that sent it, the message, and its protocol.\n' +
+        'Without a protocol, a message with any protocol is accepted.\n' +
+        'Without a number of seconds, this waits forever; if the time\n' +
+        'runs out, the variables are set to nil.\n' +
+        'ComputerCraft 1.6 and later give the protocol in place of the\n' +
+        'distance to the sender, which earlier versions gave.');
+  },
+  getVars: function() {
+    return [this.getTitleValue('SENDER_VAR'),
+            this.getTitleValue('MESSAGE_VAR'),
+            this.getTitleValue('PROTOCOL_VAR')];
+  },
+  renameVar: function(oldName, newName) {
+    ['SENDER_VAR', 'MESSAGE_VAR', 'PROTOCOL_VAR'].forEach(function(name) {
+      if (Blockly.Names.equals(oldName, this.getTitleValue(name))) {
+        this.setTitleValue(newName, name);
+      }
+    }, this);
+  }
+};
+
+Blockly.Lua['rednet_receive_vars'] = function(block) {
+  var vars = block.getVars().map(function(name) {
+    return Blockly.Lua.variableDB_.getName(name, Blockly.Variables.NAME_TYPE);
+  });
+  // rednet.receive takes a timeout alone in place of the protocol.
+  var args = [];
+  var protocol = Blockly.Lua.valueToCode(block, 'PROTOCOL',
+      Blockly.Lua.ORDER_NONE);
+  if (protocol) {
+    args.push(protocol);
+  }
+  var timeout = Blockly.Lua.valueToCode(block, 'TIMEOUT',
+      Blockly.Lua.ORDER_NONE);
+  if (timeout) {
+    args.push(timeout);
+  }
+  return vars.join(', ') + ' = rednet.receive(' + args.join(', ') + ')\n';
+};
@@ -31,7 +31,7 @@ var Code = {};
  * List of tab names.
  * @private
  */
-Code.TABS_ = ['blocks', 'lua', 'xml'];
+Code.TABS_ = ['blocks', 'lua', 'xml', 'run'];
 
 Code.selected = 'blocks';
 
@@ -87,39 +87,16 @@ Code.tabClick = function(id) {
   if (id == 'tab_lua') {
     // Check for bad block configurations that make it unlikely that
     // the resulting code is correct.
-    var badBlock = Blockly.Lua.getUnconnectedBlock();
-    if (badBlock) {
-      warningText = 'This block is not properly connected to other blocks.';
-    } else {
-      badBlock = Blockly.Lua.getBlockWithWarning();
-      if (badBlock) {
-        warningText = 'Please fix the warning on this block.';
-      }
-    }
-
-    if (badBlock) {
+    var diagnostics = Blockly.Lua.getDiagnostics();
+    if (diagnostics.length) {
       // Go to blocks pane.
       Code.displayTab('tab_blocks');
-      // Pop up warning dialog, making an offending block blink.
+      // Pop up a dialog listing the problems, making the first offending
+      // block blink.
       // If they close the dialog with "OK", they remain in the blocks pane.
       // If they choose the other option ("generate Lua anyway"), the fake
       // tab "tab_lua!" is selected, and this validation will get skipped.
-      var style = {
-        left: '25%',
-        top: '5em'
-      };
-      document.getElementById('badBlockMsg').innerHTML = warningText;
-      BlocklyApps.showDialog(document.getElementById('badBlockDiv'), null,
-                             false, true, style, BlocklyApps.stopDialogKeyDown);
-      BlocklyApps.startDialogKeyDown();
-      var blink = function() {
-        badBlock.select();
-        if (BlocklyApps.isDialogVisible_) {
-          window.setTimeout(function() {badBlock.unselect();}, 150);
-          window.setTimeout(blink, 300);
-        }
-      };
-      blink();
+      Code.showDiagnostics(diagnostics);
       return;
     }
   }
@@ -131,10 +108,73 @@ Code.tabClick = function(id) {
   Code.displayTab(id);
 };
 
+/**
+ * Show a dialog listing problems with the blocks.  Clicking a problem makes
+ * its block blink.
+ * @param {!Array.<!Object>} diagnostics Diagnostics from
+ *     Blockly.Generator.prototype.getDiagnostics.
+ */
+Code.showDiagnostics = function(diagnostics) {
+  var list = document.getElementById('badBlockList');
+  list.innerHTML = '';
+  diagnostics.forEach(function(diagnostic) {
+    var item = document.createElement('li');
+    item.className = diagnostic.severity;
+    item.textContent = diagnostic.message;
+    item.addEventListener('click', function() {
+      Code.blinkBlock(diagnostic.blockId);
+    }, false);
+    list.appendChild(item);
+  });
+  var style = {
+    left: '25%',
+    top: '5em'
+  };
+  BlocklyApps.showDialog(document.getElementById('badBlockDiv'), null,
+                         false, true, style, BlocklyApps.stopDialogKeyDown);
+  BlocklyApps.startDialogKeyDown();
+  Code.blinkBlock(diagnostics[0].blockId);
+};
+
+/**
+ * Token identifying the most recent call to Code.blinkBlock, so that
+ * earlier blinking stops.
+ * @type {Object}
+ * @private
+ */
+Code.blinkId_ = null;
+
+/**
+ * Make a block blink while the dialog is visible, instead of any block
+ * blinking already.
+ * @param {string} id ID of the block.
+ */
+Code.blinkBlock = function(id) {
+  var block = Blockly.mainWorkspace.getBlockById(id);
+  var blinkId = Code.blinkId_ = {};
+  var blink = function() {
+    if (Code.blinkId_ != blinkId) {
+      return;
+    }
+    block.select();
+    if (BlocklyApps.isDialogVisible_) {
+      window.setTimeout(function() {block.unselect();}, 150);
+      window.setTimeout(blink, 300);
+    }
+  };
+  if (block) {
+    blink();
+  }
+};
+
 /**
  * Populate the currently selected pane with content generated from the blocks.
  */
 Code.renderContent = function() {
+  // The workspace may have been replaced, along with its dialect.
+  Code.updateDialectMenu();
+  Code.updateLoopOptions();
+  Code.updateFuelTarget();
   var content = document.getElementById('content_' + Code.selected);
   // Initialize the pane.
   if (content.id == 'content_xml') {
@@ -144,13 +184,83 @@ Code.renderContent = function() {
     xmlTextarea.value = xmlText;
     xmlTextarea.focus();
   } else if (content.id == 'content_lua') {
-    var code = Blockly.Lua.workspaceToCode();
-    content.textContent = code;
+    // The user may have chosen to generate Lua despite problems with the
+    // blocks, so blocks that can't be generated are skipped.
+    var result = Blockly.Lua.workspaceToCodeWithSourceMap();
+    Code.sourceMap = result.sourceMap;
+    content.textContent = result.code;
     if (typeof prettyPrintOne == 'function') {
-      code = content.innerHTML;
-      code = prettyPrintOne(code, 'lang-lua');
+      // Number the lines, which puts each line in its own <li> element.
+      var code = content.innerHTML;
+      code = prettyPrintOne(code, 'lang-lua', true);
       content.innerHTML = code;
     }
+    Code.highlightLuaLines(Blockly.selected);
+  } else if (content.id == 'content_run') {
+    Code.showTurtle_();
+    Code.showFiles_();
+  }
+};
+
+/**
+ * Source map from the most recent rendering of the Lua pane.
+ * @type {Blockly.Generator.SourceMap}
+ */
+Code.sourceMap = null;
+
+/**
+ * Highlight the lines of the Lua pane that were generated by a block.
+ * @param {Blockly.Block} block The block, or null to clear highlighting.
+ */
+Code.highlightLuaLines = function(block) {
+  var lines = document.getElementById('content_lua').getElementsByTagName('li');
+  var highlighted = {};
+  var first = null;
+  if (block && Code.sourceMap) {
+    var ranges = Code.sourceMap.getRanges(String(block.id));
+    for (var x = 0, range; range = ranges[x]; x++) {
+      for (var y = range.startLine; y <= range.endLine; y++) {
+        highlighted[y] = true;
+        first = first === null ? y : Math.min(first, y);
+      }
+    }
+  }
+  for (var y = 0; y < lines.length; y++) {
+    lines[y].className = lines[y].className.replace(/ luaHighlight/, '') +
+        (highlighted[y] ? ' luaHighlight' : '');
+  }
+  if (first !== null && lines[first]) {
+    lines[first].scrollIntoView(false);
+  }
+};
+
+/**
+ * Select the block that generated a clicked line of the Lua pane.
+ * @param {!Event} e Mouse click event.
+ */
+Code.luaClick = function(e) {
+  var item = e.target;
+  while (item && item.nodeName.toLowerCase() != 'li') {
+    item = item.parentNode;
+  }
+  if (!item || !Code.sourceMap) {
+    return;
+  }
+  var line = 0;
+  while ((item = item.previousSibling)) {
+    if (item.nodeName.toLowerCase() == 'li') {
+      line++;
+    }
+  }
+  var lines = document.getElementById('content_lua').getElementsByTagName('li');
+  // Choose the block responsible for the line as a whole, not an expression
+  // within it, by looking at the first non-blank character.
+  var column = lines[line].textContent.match(/^\s*/)[0].length;
+  var id = Code.sourceMap.getBlockAt(line, column);
+  if (id) {
+    Blockly.mainWorkspace.traceOn(true);
+    Blockly.mainWorkspace.highlightBlock(id);
+    Code.highlightLuaLines(Blockly.mainWorkspace.getBlockById(id));
   }
 };
 
@@ -160,6 +270,12 @@ Code.renderContent = function() {
 Code.init = function() {
   BlocklyApps.init();
 
+  // Lua has no 'continue'; it is generated using 'goto', which only some
+  // dialects have.
+  Blockly.Blocks['controls_flow_statements'].isContinueSupported = function() {
+    return Blockly.Lua.getDialect().hasGoto;
+  };
+
   var toolbox = document.getElementById('toolbox');
   Blockly.inject(document.getElementById('content_blocks'),
       {path: '../../',
@@ -188,6 +304,10 @@ Code.init = function() {
   };
   window.addEventListener('resize', onresize, false);
 
+  BlocklyApps.bindClick('content_lua', Code.luaClick);
+
+  // The blocks loaded are the program of the computer shown last.
+  Code.loadComputers_();
   BlocklyApps.loadBlocks('');
 
   if ('BlocklyStorage' in window) {
@@ -201,6 +321,49 @@ Code.init = function() {
   BlocklyApps.bindClick('trashButton',
       function() {Code.discard(); Code.renderContent();});
 
+  BlocklyApps.bindClick('infoButton', Code.showProgramInfo);
+  BlocklyApps.bindClick('runButton', Code.runProgram);
+  BlocklyApps.bindClick('stopButton', Code.stopProgram);
+  BlocklyApps.bindClick('importButton', Code.showImport);
+  BlocklyApps.bindClick('exportButton', Code.showExport);
+  document.getElementById('importFile').addEventListener('change',
+      Code.readImportFile, false);
+  var screen = document.getElementById('terminal');
+  screen.addEventListener('keydown', Code.terminalKeyDown_, false);
+  screen.addEventListener('keypress', Code.terminalKeyPress_, false);
+  document.getElementById('fileList').addEventListener('change',
+      Code.selectFile_, false);
+  BlocklyApps.bindClick('newFileButton', Code.newFile_);
+  BlocklyApps.bindClick('newDirButton', Code.newDir_);
+  BlocklyApps.bindClick('deleteFileButton', Code.deleteFile_);
+  BlocklyApps.bindClick('diskButton', Code.toggleDisk_);
+  BlocklyApps.bindClick('saveFileButton', Code.saveFile_);
+  BlocklyApps.bindClick('addComputerButton', Code.addComputer_);
+  Code.showComputers_();
+  Code.initRedstone_();
+  Code.initDebugger_();
+  Code.initEvents_();
+
+  var dialectMenu = document.getElementById('dialectMenu');
+  for (var key in Blockly.Lua.DIALECTS) {
+    var option = document.createElement('option');
+    option.value = key;
+    option.textContent = Blockly.Lua.DIALECTS[key].name;
+    dialectMenu.appendChild(option);
+  }
+  dialectMenu.addEventListener('change', Code.changeDialect, false);
+  Code.updateDialectMenu();
+  document.getElementById('loopYield').addEventListener('change',
+      Code.changeLoopOptions, false);
+  document.getElementById('stepBudget').addEventListener('change',
+      Code.changeLoopOptions, false);
+  Code.updateLoopOptions();
+  document.getElementById('fuelTarget').addEventListener('change',
+      Code.changeFuelTarget, false);
+  Code.updateFuelTarget();
+  Blockly.addChangeListener(Code.showFuelEstimate);
+  Code.showFuelEstimate();
+
   BlocklyApps.bindClick('pastebinButton',
       function() {
         if (Blockly.mainWorkspace.getTopBlocks(false).length == 0) {
@@ -229,3 +392,1720 @@ Code.discard = function() {
     window.location.hash = '';
   }
 };
+
+/**
+ * Show a dialog for editing the program's title and description, which
+ * appear in a comment at the top of the generated Lua.
+ */
+Code.showProgramInfo = function() {
+  document.getElementById('programTitle').value =
+      Blockly.mainWorkspace.getProperty('title');
+  document.getElementById('programDescription').value =
+      Blockly.mainWorkspace.getProperty('description');
+  BlocklyApps.showDialog(document.getElementById('programInfoDiv'),
+                         this, true, true, {}, null);
+};
+
+/**
+ * Save the title and description from the program info dialog.
+ */
+Code.saveProgramInfo = function() {
+  Blockly.mainWorkspace.setProperty('title',
+      document.getElementById('programTitle').value.trim());
+  Blockly.mainWorkspace.setProperty('description',
+      document.getElementById('programDescription').value.trim());
+  BlocklyApps.hideDialog();
+  Code.renderContent();
+};
+
+/**
+ * Show the workspace's Lua dialect in the dialect menu.
+ */
+Code.updateDialectMenu = function() {
+  var dialectMenu = document.getElementById('dialectMenu');
+  if (dialectMenu) {
+    dialectMenu.value = Blockly.mainWorkspace.getProperty('dialect') ||
+        Blockly.Lua.DIALECT;
+  }
+};
+
+/**
+ * Generate code for the dialect chosen in the dialect menu.  The choice is
+ * saved with the blocks.
+ */
+Code.changeDialect = function() {
+  Blockly.mainWorkspace.setProperty('dialect',
+      document.getElementById('dialectMenu').value);
+  // Let blocks update warnings about features the dialect lacks.
+  Blockly.mainWorkspace.fireChangeEvent();
+  Code.renderContent();
+};
+
+/**
+ * Show the workspace's protection against runaway loops in the loop options.
+ */
+Code.updateLoopOptions = function() {
+  var loopYield = document.getElementById('loopYield');
+  if (loopYield) {
+    var protection = Blockly.Lua.getLoopProtection();
+    loopYield.checked = protection.yields;
+    document.getElementById('stepBudget').value =
+        protection.stepBudget || '';
+  }
+};
+
+/**
+ * Generate code with the protection against runaway loops chosen in the loop
+ * options.  The choice is saved with the blocks.
+ */
+Code.changeLoopOptions = function() {
+  Blockly.mainWorkspace.setProperty('loopYield',
+      document.getElementById('loopYield').checked ? 'true' : 'false');
+  var stepBudget = parseInt(document.getElementById('stepBudget').value, 10);
+  Blockly.mainWorkspace.setProperty('stepBudget',
+      stepBudget > 0 ? String(stepBudget) : null);
+  Code.renderContent();
+};
+
+/**
+ * Show the fuel target saved with the blocks.
+ */
+Code.updateFuelTarget = function() {
+  var fuelTarget = document.getElementById('fuelTarget');
+  if (fuelTarget) {
+    fuelTarget.value = Blockly.mainWorkspace.getProperty('fuelTarget');
+  }
+};
+
+/**
+ * Save the fuel target entered with the blocks, and compare the estimate
+ * with it.
+ */
+Code.changeFuelTarget = function() {
+  var fuelTarget = parseInt(document.getElementById('fuelTarget').value, 10);
+  Blockly.mainWorkspace.setProperty('fuelTarget',
+      fuelTarget >= 0 ? String(fuelTarget) : null);
+  Code.showFuelEstimate();
+};
+
+/**
+ * Estimate the fuel the program needs, and show the estimate of each loop
+ * on its block and the total next to the tabs, compared with the fuel
+ * target if there is one.
+ */
+Code.showFuelEstimate = function() {
+  var estimate = new Blockly.ComputerCraft.FuelEstimate(Blockly.mainWorkspace);
+  var blocks = Blockly.mainWorkspace.getAllBlocks();
+  for (var x = 0; x < blocks.length; x++) {
+    var loop = estimate.getLoop(blocks[x].id);
+    blocks[x].setBadgeText(loop &&
+        'fuel ' + Blockly.ComputerCraft.formatFuel(loop));
+  }
+  var total = estimate.total;
+  var target = parseInt(Blockly.mainWorkspace.getProperty('fuelTarget'), 10);
+  var element = document.getElementById('fuelEstimate');
+  element.textContent = 'Fuel: ' + Blockly.ComputerCraft.formatFuel(total) +
+      (target >= 0 ? ' / ' + target : '');
+  if (!(target >= 0)) {
+    element.className = 'tabmin';
+    element.title = 'Fuel the program needs.';
+  } else if (total.min > target) {
+    element.className = 'tabmin fuelShort';
+    element.title = 'The program needs more fuel than the target.';
+  } else if (total.max > target) {
+    element.className = 'tabmin fuelRisk';
+    element.title = 'The program may need more fuel than the target.';
+  } else {
+    element.className = 'tabmin fuelEnough';
+    element.title = 'The target is enough fuel for the program.';
+  }
+};
+
+/**
+ * Show a dialog for downloading the program and its API modules.
+ */
+Code.showExport = function() {
+  var name = document.getElementById('exportName');
+  if (!name.value) {
+    name.value = Blockly.mainWorkspace.getProperty('title')
+        .replace(/\W+/g, '_') || 'program';
+  }
+  document.getElementById('exportError').textContent = '';
+  BlocklyApps.showDialog(document.getElementById('exportDiv'),
+                         this, true, true, {}, null);
+};
+
+/**
+ * Generate the files to export, with the main program named as in the
+ * export dialog.
+ * @return {Array.<{name: string, code: string}>} Files from
+ *     Blockly.Lua.workspaceToFiles, or null if the name can't be used.
+ * @private
+ */
+Code.exportFiles_ = function() {
+  var name = document.getElementById('exportName').value.trim();
+  var error = document.getElementById('exportError');
+  if (!/^[\w.-]+$/.test(name)) {
+    error.textContent = 'Name the program with letters, digits, dots, ' +
+        'dashes and underscores.';
+    return null;
+  }
+  if (Blockly.Lua.getModules().indexOf(name) != -1) {
+    error.textContent = 'The program can\'t have the name of one of its ' +
+        'API modules.';
+    return null;
+  }
+  return Blockly.Lua.workspaceToFiles(name);
+};
+
+/**
+ * Offer a file for download.
+ * @param {string} name File name.
+ * @param {string|!Uint8Array} data Contents of the file.
+ * @param {string} type MIME type.
+ * @private
+ */
+Code.download_ = function(name, data, type) {
+  var link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([data], {type: type}));
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.setTimeout(function() {URL.revokeObjectURL(link.href);}, 0);
+};
+
+/**
+ * Download the program and its API modules as a zip archive.
+ */
+Code.exportZip = function() {
+  var files = Code.exportFiles_();
+  if (files) {
+    Code.download_(files[0].name + '.zip', Blockly.ComputerCraft.zip(files),
+                   'application/zip');
+    BlocklyApps.hideDialog();
+  }
+};
+
+/**
+ * Download an installer that writes the program and its API modules to a
+ * computer.
+ */
+Code.exportInstaller = function() {
+  var files = Code.exportFiles_();
+  if (files) {
+    Code.download_('install_' + files[0].name,
+                   Blockly.ComputerCraft.installerScript(files),
+                   'text/plain');
+    BlocklyApps.hideDialog();
+  }
+};
+
+/**
+ * Show a dialog for importing a Lua program.
+ */
+Code.showImport = function() {
+  document.getElementById('importError').textContent = '';
+  BlocklyApps.showDialog(document.getElementById('importDiv'),
+                         this, true, true, {}, null);
+};
+
+/**
+ * Copy the Lua file chosen in the import dialog into its text area.
+ */
+Code.readImportFile = function() {
+  var file = this.files[0];
+  if (file) {
+    var reader = new FileReader();
+    reader.onload = function() {
+      document.getElementById('importCode').value = reader.result;
+    };
+    reader.readAsText(file);
+  }
+};
+
+/**
+ * Vertical space between imported stacks of blocks, in pixels.
+ * @private
+ */
+Code.IMPORT_SPACING_ = 20;
+
+/**
+ * Replace the blocks with the program in the import dialog.
+ */
+Code.importLua = function() {
+  var xml;
+  try {
+    xml = Blockly.ComputerCraft.Importer.luaToDom(
+        document.getElementById('importCode').value);
+  } catch (e) {
+    if (!(e instanceof LuaParser.Error)) {
+      throw e;
+    }
+    document.getElementById('importError').textContent = e.message;
+    return;
+  }
+  if (Blockly.mainWorkspace.getTopBlocks(false).length &&
+      !window.confirm('Replace the current blocks with the Lua program?')) {
+    return;
+  }
+  BlocklyApps.hideDialog();
+  Blockly.mainWorkspace.clear();
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
+  // Stack the imported blocks so they do not overlap.
+  var y = 0;
+  Blockly.mainWorkspace.getTopBlocks(false).forEach(function(block) {
+    block.moveBy(0, y);
+    y += block.getHeightWidth().height + Code.IMPORT_SPACING_;
+  });
+  Code.renderContent();
+};
+
+/**
+ * Milliseconds between updates of a running program.
+ * @private
+ */
+Code.RUN_INTERVAL_ = 50;
+
+/**
+ * Maximum number of Lua instructions a program runs in each update.
+ * @private
+ */
+Code.RUN_BUDGET_ = 100000;
+
+/**
+ * Simulated computer running the program, if it has been run.
+ * @type {Blockly.ComputerCraft.Computer}
+ * @private
+ */
+Code.computer_ = null;
+
+/**
+ * Simulated turtle controlled by the program.
+ * @type {Blockly.ComputerCraft.SimulatedTurtle}
+ * @private
+ */
+Code.turtle_ = null;
+
+/**
+ * Screen of the simulated computer.
+ * @type {Blockly.ComputerCraft.Terminal}
+ * @private
+ */
+Code.terminal_ = null;
+
+/**
+ * Files of the simulated computers by computer ID, which are kept between
+ * runs.
+ * @private
+ */
+Code.fileSystems_ = {};
+
+/**
+ * Redstone signals on the sides of the simulated computers by computer ID.
+ * The inputs are kept between runs, as levers next to a computer would be.
+ * @private
+ */
+Code.redstones_ = {};
+
+/**
+ * For each side shown on the redstone bench: its lever, signal strength,
+ * lamp, and the wires of the bundled cables going in and out.
+ * @private
+ */
+Code.redstoneViews_ = {};
+
+/**
+ * Computers on the simulated network.  Each has an ID, a label, a position,
+ * a modem, and the blocks and Lua of its program as of when it was last
+ * shown.
+ * @private
+ */
+Code.computers_ = [];
+
+/**
+ * Index in Code.computers_ of the computer whose program is in the editor
+ * and whose screen, turtle and files are shown.
+ * @private
+ */
+Code.selectedComputer_ = 0;
+
+/**
+ * Network of the running computers.
+ * @type {Blockly.ComputerCraft.Network}
+ * @private
+ */
+Code.network_ = null;
+
+/**
+ * For each running computer, in the order of Code.computers_: the computer,
+ * its terminal and its turtle.
+ * @private
+ */
+Code.machines_ = [];
+
+/**
+ * Most messages shown in the network's message log.
+ * @private
+ */
+Code.MAX_LOGGED_MESSAGES_ = 100;
+
+/**
+ * Views of the peripherals of the shown computer, each with its
+ * peripheral, its element and a function updating it.
+ * @private
+ */
+Code.peripheralViews_ = [];
+
+/**
+ * Peripherals by side that Code.peripheralViews_ show.
+ * @private
+ */
+Code.shownPeripherals_ = null;
+
+/**
+ * Floppy disk last taken out of the disk drive, to put back in.
+ * @private
+ */
+Code.ejectedDisk_ = null;
+
+/**
+ * ID of the timer for the next update of the running program.
+ * @private
+ */
+Code.runTimer_ = null;
+
+/**
+ * Real time of the last update of the running program.
+ * @private
+ */
+Code.lastRunTime_ = 0;
+
+/**
+ * How many times faster than real time the simulated computers' clock
+ * runs.
+ * @private
+ */
+Code.clockSpeed_ = 1;
+
+/**
+ * Debugger of the program of the computer shown when the programs were run.
+ * Its breakpoints are on the blocks in the editor.
+ * @type {Blockly.ComputerCraft.Debugger}
+ * @private
+ */
+Code.debugger_ = null;
+
+/**
+ * Lua names of the variables in the program being debugged, by the names of
+ * their blocks.
+ * @private
+ */
+Code.watchNames_ = {};
+
+/**
+ * Paths of the tables expanded in the variable watch.  A path is the
+ * variable's name followed by the keys leading to the table, each on its
+ * own line.
+ * @private
+ */
+Code.expandedWatches_ = {};
+
+/**
+ * Run the program of each computer on the network, on turtles in a new
+ * world.
+ */
+Code.runProgram = function() {
+  Code.startPrograms_('run');
+};
+
+/**
+ * Run the program of each computer on the network, on turtles in a new
+ * world, with the shown computer's program in the debugger.
+ * @param {string} mode 'run' to pause only at breakpoints, or 'into' to
+ *     pause at the first statement.
+ * @private
+ */
+Code.startPrograms_ = function(mode) {
+  Code.stopProgram();
+  Code.storeProgram_();
+  var world = new Blockly.ComputerCraft.TurtleWorld();
+  Code.network_ = new Blockly.ComputerCraft.Network();
+  Code.network_.onMessage = Code.logMessage_;
+  document.getElementById('messageList').innerHTML = '';
+  var started = false;
+  Code.machines_ = Code.computers_.map(function(settings, index) {
+    var machine = {
+      computer: new Blockly.ComputerCraft.Computer(
+          {id: settings.id, label: settings.label}),
+      terminal: new Blockly.ComputerCraft.Terminal(),
+      turtle: new Blockly.ComputerCraft.SimulatedTurtle(world,
+          {x: settings.x, z: settings.z})
+    };
+    var computer = machine.computer;
+    machine.terminal.install(computer);
+    Code.getFileSystem_(settings.id).install(computer);
+    machine.turtle.install(computer);
+    Code.getRedstone_(settings.id).install(computer);
+    Code.network_.install(computer, {position: machine.turtle});
+    machine.peripherals = Code.attachPeripherals_(computer, settings);
+    var code = settings.code;
+    if (code !== null && index == Code.selectedComputer_) {
+      code = Code.debugCode_();
+      Code.debugger_.install(computer, mode);
+    }
+    if (code === null) {
+      machine.terminal.print('The simulator runs Lua 5.1, as ' +
+          'ComputerCraft does.  Choose "' +
+          Blockly.Lua.DIALECTS.COMPUTERCRAFT.name + '" to run the program.',
+          Blockly.ComputerCraft.Terminal.ERROR_COLOUR);
+    } else if (computer.start(code, 'program')) {
+      started = true;
+    }
+    return machine;
+  });
+  Code.showMachine_();
+  if (started) {
+    document.getElementById('runButton').disabled = true;
+    document.getElementById('stopButton').disabled = false;
+    document.getElementById('terminal').focus();
+    Code.lastRunTime_ = Date.now();
+    Code.runStep_();
+  }
+  Code.showTurtle_();
+};
+
+/**
+ * Stop the running program.
+ */
+Code.stopProgram = function() {
+  if (Code.runTimer_) {
+    window.clearTimeout(Code.runTimer_);
+    Code.runTimer_ = null;
+  }
+  Code.machines_.forEach(function(machine, index) {
+    var computer = machine.computer;
+    if (computer.isOn()) {
+      computer.stop();
+    }
+    // Programs can label their computers, as in ComputerCraft.
+    Code.computers_[index].label = computer.label;
+  });
+  document.getElementById('runButton').disabled = false;
+  document.getElementById('stopButton').disabled = true;
+  Code.showTurtle_();
+  if (Code.machines_.length) {
+    // Keep what the programs saved.
+    for (var id in Code.fileSystems_) {
+      Code.saveFiles_(Number(id));
+    }
+    Code.showFiles_();
+    Code.saveComputers_();
+    Code.showComputers_();
+  }
+};
+
+/**
+ * Move the simulated computers' clock on by the time since the last update,
+ * and let the programs run.
+ * @private
+ */
+Code.runStep_ = function() {
+  Code.runTimer_ = null;
+  var network = Code.network_;
+  var now = Date.now();
+  // Don't rush to catch up after the browser paused the page.
+  var time = network.time +
+      Math.min(now - Code.lastRunTime_, 1000) * Code.clockSpeed_;
+  Code.lastRunTime_ = now;
+  // Let the programs run at each moment a timer goes off or a turtle
+  // finishes moving on the way, so that a fast clock keeps them in order.
+  for (var next = network.getNextTime();
+       next > network.time && next < time && !Code.debugger_.isPaused();
+       next = network.getNextTime()) {
+    network.advanceTo(next);
+    network.run(Code.RUN_BUDGET_);
+  }
+  if (!Code.debugger_.isPaused()) {
+    network.advanceTo(time);
+  }
+  network.run(Code.RUN_BUDGET_);
+  if (network.isOn()) {
+    // The clock stops while the debugger has the program paused.
+    if (!Code.debugger_.isPaused()) {
+      Code.runTimer_ = window.setTimeout(Code.runStep_, Code.RUN_INTERVAL_);
+    }
+    Code.showTurtle_();
+  } else {
+    Code.stopProgram();
+  }
+};
+
+/**
+ * Pass a key pressed on the simulated computer's screen to the program.
+ * @param {!Event} e Keydown event.
+ * @private
+ */
+Code.terminalKeyDown_ = function(e) {
+  if (Code.computer_ && Code.computer_.isOn() &&
+      Code.terminal_.keyDown(e.keyCode, e.ctrlKey)) {
+    e.preventDefault();
+  }
+};
+
+/**
+ * Pass a character typed on the simulated computer's screen to the
+ * program.
+ * @param {!Event} e Keypress event.
+ * @private
+ */
+Code.terminalKeyPress_ = function(e) {
+  if (Code.computer_ && Code.computer_.isOn() && !e.ctrlKey) {
+    Code.terminal_.keyPress(e.charCode);
+    e.preventDefault();
+  }
+};
+
+/**
+ * Descriptions of the states of the simulated computer.
+ * @private
+ */
+Code.RUN_STATES_ = {
+  off: 'Stopped',
+  running: 'Running',
+  waiting: 'Waiting for an event',
+  busy: 'Running',
+  paused: 'Paused',
+  done: 'Finished',
+  error: 'Stopped with an error'
+};
+
+/**
+ * Draw the simulated turtle, its inventory, the program's state, the
+ * computer's screen and its redstone signals.
+ * @private
+ */
+Code.showTurtle_ = function() {
+  if (!Code.turtle_) {
+    // Show the world the program will run in.
+    Code.turtle_ = new Blockly.ComputerCraft.SimulatedTurtle(
+        new Blockly.ComputerCraft.TurtleWorld());
+  }
+  if (!Code.terminal_) {
+    Code.terminal_ = new Blockly.ComputerCraft.Terminal();
+  }
+  var turtle = Code.turtle_;
+  var time = Code.computer_ ? Code.computer_.time : 0;
+  Code.terminal_.draw(document.getElementById('terminal'), time);
+  Blockly.ComputerCraft.drawTurtle(turtle,
+      document.getElementById('turtleTopView'),
+      document.getElementById('turtleSideView'), time);
+  document.getElementById('turtleFuel').textContent = turtle.fuel;
+  var table = document.getElementById('turtleInventory');
+  table.innerHTML = '';
+  for (var row = 0; row < 4; row++) {
+    var tr = document.createElement('tr');
+    for (var column = 0; column < 4; column++) {
+      var number = row * 4 + column + 1;
+      var slot = turtle.slots[number - 1];
+      var td = document.createElement('td');
+      td.textContent = slot ? slot.count + ' ' + slot.name : '';
+      td.title = 'Slot ' + number;
+      if (number == turtle.selected) {
+        td.className = 'selected';
+      }
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  }
+  document.getElementById('runStatus').textContent = Code.computer_ ?
+      Code.RUN_STATES_[Code.computer_.state] : '';
+  Code.showRedstone_();
+  Code.showEvents_();
+  Code.showPeripherals_();
+  Code.showDebugger_();
+};
+
+/**
+ * Get something kept in local storage.  Like the backup of the blocks, it
+ * belongs to the page's URL.
+ * @param {string} name What it is.
+ * @return {*} The value kept, or null if there is none.
+ * @private
+ */
+Code.loadStored_ = function(name) {
+  try {
+    var saved = window.localStorage.getItem(
+        window.location.href.split('#')[0] + '#' + name);
+  } catch (e) {
+    // Local storage may be disabled.
+    return null;
+  }
+  return saved ? JSON.parse(saved) : null;
+};
+
+/**
+ * Keep something in local storage.
+ * @param {string} name What it is.
+ * @param {*} value The value, which can be saved as JSON.
+ * @private
+ */
+Code.store_ = function(name, value) {
+  try {
+    window.localStorage.setItem(
+        window.location.href.split('#')[0] + '#' + name,
+        JSON.stringify(value));
+  } catch (e) {
+    // Local storage may be disabled or full.
+  }
+};
+
+/**
+ * Get the files of a simulated computer, loading them from local storage
+ * the first time.
+ * @param {number=} opt_id ID of the computer, if not the one shown.
+ * @return {!Blockly.ComputerCraft.FileSystem} The files.
+ * @private
+ */
+Code.getFileSystem_ = function(opt_id) {
+  var id = opt_id === undefined ?
+      Code.computers_[Code.selectedComputer_].id : opt_id;
+  if (!Code.fileSystems_[id]) {
+    var fileSystem = new Blockly.ComputerCraft.FileSystem();
+    // The first computer's files were kept before there was a network.
+    var saved = Code.loadStored_(id ? 'files' + id : 'files');
+    if (saved) {
+      fileSystem.loadJson(saved);
+    }
+    Code.fileSystems_[id] = fileSystem;
+  }
+  return Code.fileSystems_[id];
+};
+
+/**
+ * Keep a simulated computer's files in local storage.
+ * @param {number=} opt_id ID of the computer, if not the one shown.
+ * @private
+ */
+Code.saveFiles_ = function(opt_id) {
+  var id = opt_id === undefined ?
+      Code.computers_[Code.selectedComputer_].id : opt_id;
+  Code.store_(id ? 'files' + id : 'files', Code.getFileSystem_(id).toJson());
+};
+
+/**
+ * List the simulated computer's files in the file browser.
+ * @private
+ */
+Code.showFiles_ = function() {
+  var fileSystem = Code.getFileSystem_();
+  var list = document.getElementById('fileList');
+  var selected = list.value;
+  list.innerHTML = '';
+  fileSystem.getAllPaths().forEach(function(path) {
+    var option = document.createElement('option');
+    option.value = path;
+    option.textContent = LuaParser.fromBytes(path) +
+        (fileSystem.isDir(path) ? '/' : '');
+    list.appendChild(option);
+  });
+  list.value = selected;
+  var side = Code.getDriveSide_();
+  var drive = side && fileSystem.drives[side];
+  var diskButton = document.getElementById('diskButton');
+  diskButton.textContent = drive && drive.disk ? 'Eject disk' : 'Insert disk';
+  diskButton.disabled = !side;
+  Code.selectFile_();
+};
+
+/**
+ * Show the contents of the file selected in the file browser.
+ * @private
+ */
+Code.selectFile_ = function() {
+  var fileSystem = Code.getFileSystem_();
+  var path = document.getElementById('fileList').value;
+  var contents = path ? fileSystem.readFile(path) : null;
+  var textarea = document.getElementById('fileContents');
+  textarea.value = contents === null ? '' : LuaParser.fromBytes(contents);
+  textarea.readOnly = contents === null || fileSystem.isReadOnly(path);
+  document.getElementById('saveFileButton').disabled = textarea.readOnly;
+  document.getElementById('fileError').textContent = '';
+};
+
+/**
+ * Change the simulated computer's files, showing the error if that fails.
+ * @param {!Function} action Function that changes the files.
+ * @return {boolean} True if the files were changed.
+ * @private
+ */
+Code.changeFiles_ = function(action) {
+  try {
+    action(Code.getFileSystem_());
+  } catch (e) {
+    if (!(e instanceof LuaInterpreter.Error)) {
+      throw e;
+    }
+    document.getElementById('fileError').textContent = e.message;
+    return false;
+  }
+  Code.saveFiles_();
+  return true;
+};
+
+/**
+ * Save the contents shown in the file browser to the selected file.
+ * @private
+ */
+Code.saveFile_ = function() {
+  var path = document.getElementById('fileList').value;
+  var contents = document.getElementById('fileContents').value;
+  Code.changeFiles_(function(fileSystem) {
+    fileSystem.writeFile(path, LuaParser.toBytes(contents));
+  });
+};
+
+/**
+ * Ask for a path and create an empty file there.
+ * @private
+ */
+Code.newFile_ = function() {
+  var path = window.prompt('Name of the new file:');
+  if (!path) {
+    return;
+  }
+  path = Blockly.ComputerCraft.FileSystem.sanitize(LuaParser.toBytes(path));
+  var created = Code.changeFiles_(function(fileSystem) {
+    if (fileSystem.exists(path)) {
+      throw new LuaInterpreter.Error('File exists');
+    }
+    fileSystem.writeFile(path, '');
+  });
+  if (created) {
+    Code.showFiles_();
+    document.getElementById('fileList').value = path;
+    Code.selectFile_();
+  }
+};
+
+/**
+ * Ask for a path and create a directory there.
+ * @private
+ */
+Code.newDir_ = function() {
+  var path = window.prompt('Name of the new folder:');
+  if (path && Code.changeFiles_(function(fileSystem) {
+    fileSystem.makeDir(LuaParser.toBytes(path));
+  })) {
+    Code.showFiles_();
+  }
+};
+
+/**
+ * Delete the file or directory selected in the file browser.
+ * @private
+ */
+Code.deleteFile_ = function() {
+  var path = document.getElementById('fileList').value;
+  if (!path ||
+      !window.confirm('Delete "' + LuaParser.fromBytes(path) + '"?')) {
+    return;
+  }
+  if (Code.changeFiles_(function(fileSystem) {
+    fileSystem.remove(path);
+  })) {
+    Code.showFiles_();
+  }
+};
+
+/**
+ * Put a floppy disk in the simulated computer's disk drive, or take it out.
+ * @private
+ */
+Code.toggleDisk_ = function() {
+  Code.changeFiles_(function(fileSystem) {
+    var side = Code.getDriveSide_();
+    if (!side) {
+      return;
+    }
+    var disk = fileSystem.ejectDisk(side);
+    if (disk) {
+      Code.ejectedDisk_ = disk;
+    } else {
+      fileSystem.insertDisk(side,
+          Code.ejectedDisk_ || fileSystem.createDisk());
+      Code.ejectedDisk_ = null;
+    }
+  });
+  Code.showFiles_();
+};
+
+/**
+ * Load the computers on the simulated network from local storage.  The
+ * program in the editor belongs to the one that was shown last.
+ * @private
+ */
+Code.loadComputers_ = function() {
+  var saved = Code.loadStored_('network');
+  if (saved && saved.computers.length) {
+    Code.computers_ = saved.computers;
+    Code.computers_.forEach(function(settings) {
+      if (!settings.peripherals) {
+        // Computers were saved with only a modem, and always had a disk
+        // drive on the left.
+        settings.peripherals = {left: 'drive'};
+        if (settings.modem) {
+          settings.peripherals[settings.side] =
+              settings.modem == 'wired' ? 'wired_modem' : 'modem';
+        }
+        delete settings.modem;
+        delete settings.side;
+      }
+    });
+    Code.selectedComputer_ = Math.min(saved.selected || 0,
+                                      saved.computers.length - 1);
+  } else {
+    Code.computers_ = [Code.newComputer_(0)];
+    Code.selectedComputer_ = 0;
+  }
+};
+
+/**
+ * Keep the computers on the simulated network in local storage.
+ * @private
+ */
+Code.saveComputers_ = function() {
+  Code.store_('network', {computers: Code.computers_,
+                          selected: Code.selectedComputer_});
+};
+
+/**
+ * Create the settings of a computer with no program, near the others.
+ * @param {number} id ID of the computer.
+ * @return {!Object} The settings.
+ * @private
+ */
+Code.newComputer_ = function(id) {
+  return {id: id, label: null, x: id * 2, z: 0,
+          peripherals: {top: 'modem', left: 'drive'}, xml: null, code: ''};
+};
+
+/**
+ * Remember the program in the editor as the shown computer's program.
+ * @private
+ */
+Code.storeProgram_ = function() {
+  var settings = Code.computers_[Code.selectedComputer_];
+  settings.xml = Blockly.Xml.domToText(
+      Blockly.Xml.workspaceToDom(Blockly.mainWorkspace));
+  // A program that needs another dialect of Lua can't be run.
+  settings.code =
+      Blockly.Lua.getDialect() == Blockly.Lua.DIALECTS.COMPUTERCRAFT ?
+      Blockly.Lua.workspaceToCode() : null;
+  Code.saveComputers_();
+};
+
+/**
+ * Show a computer on the network: put its program in the editor, and show
+ * its screen, turtle and files.
+ * @param {number} index Index of the computer in Code.computers_.
+ * @private
+ */
+Code.selectComputer_ = function(index) {
+  if (index == Code.selectedComputer_) {
+    return;
+  }
+  Code.storeProgram_();
+  Code.selectedComputer_ = index;
+  // The breakpoints were on the other program's blocks.
+  Code.debugger_.clearBreakpoints();
+  var workspace = Blockly.mainWorkspace;
+  workspace.clear();
+  var xml = Code.computers_[index].xml;
+  if (xml) {
+    Blockly.Xml.domToWorkspace(workspace, Blockly.Xml.textToDom(xml));
+  }
+  Code.updateDialectMenu();
+  Code.updateLoopOptions();
+  Code.saveComputers_();
+  Code.showMachine_();
+  Code.showComputers_();
+  Code.showFiles_();
+  Code.renderContent();
+};
+
+/**
+ * Point Code.computer_, Code.terminal_ and Code.turtle_ at the shown
+ * computer, if it is running.
+ * @private
+ */
+Code.showMachine_ = function() {
+  var machine = Code.machines_[Code.selectedComputer_];
+  Code.computer_ = machine ? machine.computer : null;
+  Code.terminal_ = machine ? machine.terminal : null;
+  Code.turtle_ = machine ? machine.turtle : null;
+  Code.showTurtle_();
+};
+
+/**
+ * Add a computer with no program to the network.
+ * @private
+ */
+Code.addComputer_ = function() {
+  var id = 0;
+  Code.computers_.forEach(function(settings) {
+    id = Math.max(id, settings.id + 1);
+  });
+  Code.computers_.push(Code.newComputer_(id));
+  Code.saveComputers_();
+  Code.showComputers_();
+};
+
+/**
+ * Take a computer off the network.  Its files are kept, for a computer
+ * later given the same ID.
+ * @param {number} index Index of the computer in Code.computers_.
+ * @private
+ */
+Code.removeComputer_ = function(index) {
+  var settings = Code.computers_[index];
+  if (!window.confirm('Remove computer ' + settings.id + ' and its ' +
+                      'program?')) {
+    return;
+  }
+  Code.computers_.splice(index, 1);
+  var machine = Code.machines_.splice(index, 1)[0];
+  if (machine) {
+    machine.computer.stop();
+  }
+  if (Code.selectedComputer_ > index) {
+    Code.selectedComputer_--;
+  }
+  Code.saveComputers_();
+  Code.showComputers_();
+};
+
+/**
+ * Fill in the table of computers on the network.
+ * @private
+ */
+Code.showComputers_ = function() {
+  var list = document.getElementById('computerList');
+  list.innerHTML = '';
+  Code.computers_.forEach(function(settings, index) {
+    var tr = document.createElement('tr');
+    var addCell = function(element) {
+      var td = document.createElement('td');
+      td.appendChild(element);
+      tr.appendChild(td);
+      return element;
+    };
+    var addInput = function(property, type, onChange) {
+      var input = document.createElement('input');
+      input.type = type;
+      input.value = settings[property] === null ? '' : settings[property];
+      input.addEventListener('change', function() {
+        settings[property] = onChange(input.value);
+        Code.saveComputers_();
+      }, false);
+      return addCell(input);
+    };
+    var shown = addCell(document.createElement('input'));
+    shown.type = 'radio';
+    shown.name = 'shownComputer';
+    shown.checked = index == Code.selectedComputer_;
+    shown.addEventListener('change', function() {
+      Code.selectComputer_(index);
+    }, false);
+    addCell(document.createTextNode(settings.id));
+    addInput('label', 'text', function(value) {
+      return value || null;
+    });
+    ['x', 'z'].forEach(function(property) {
+      addInput(property, 'number', function(value) {
+        return Math.round(Number(value)) || 0;
+      }).className = 'coordinate';
+    });
+    var remove = addCell(document.createElement('button'));
+    remove.className = 'secondary';
+    remove.textContent = 'Remove';
+    // The shown computer's program is in the editor.
+    remove.disabled = index == Code.selectedComputer_;
+    remove.addEventListener('click', function() {
+      Code.removeComputer_(index);
+    }, false);
+    list.appendChild(tr);
+  });
+  Code.showPeripheralSettings_();
+};
+
+/**
+ * Add a message sent on the network to the message log.
+ * @param {!Object} entry The message's entry in the network's log.
+ * @private
+ */
+Code.logMessage_ = function(entry) {
+  var list = document.getElementById('messageList');
+  var tr = document.createElement('tr');
+  var to = entry.to === null ? '' :
+      entry.to == Blockly.ComputerCraft.CHANNEL_BROADCAST ? 'everyone' :
+      entry.to;
+  [(entry.time / 1000).toFixed(2), entry.from, to, entry.channel,
+   entry.protocol === undefined ? '' :
+       Blockly.ComputerCraft.Network.describe(entry.protocol),
+   entry.message, entry.receivedBy.join(', ') || 'nobody']
+      .forEach(function(text) {
+        var td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+  list.appendChild(tr);
+  while (list.childNodes.length > Code.MAX_LOGGED_MESSAGES_) {
+    list.removeChild(list.firstChild);
+  }
+};
+
+/**
+ * Get the redstone signals of a simulated computer.
+ * @param {number=} opt_id ID of the computer, if not the one shown.
+ * @return {!Blockly.ComputerCraft.Redstone} The signals.
+ * @private
+ */
+Code.getRedstone_ = function(opt_id) {
+  var id = opt_id === undefined ?
+      Code.computers_[Code.selectedComputer_].id : opt_id;
+  if (!Code.redstones_[id]) {
+    Code.redstones_[id] = new Blockly.ComputerCraft.Redstone();
+  }
+  return Code.redstones_[id];
+};
+
+/**
+ * Build the redstone bench: for each side of the computer, a lever and the
+ * strength of the signal going in, a lamp showing the signal coming out, and
+ * the 16 coloured wires of bundled cables going in and out.  Clicking a wire
+ * going in turns it on or off.
+ * @private
+ */
+Code.initRedstone_ = function() {
+  var tbody = document.getElementById('redstoneSides');
+  var colours = Object.keys(COLOURS_);
+  Blockly.ComputerCraft.SideInputBlock.SIDES_.forEach(function(option) {
+    var side = option[1];
+    if (Blockly.ComputerCraft.SIDES.indexOf(side) == -1) {
+      return;
+    }
+    var tr = document.createElement('tr');
+    var addCell = function(className) {
+      var td = document.createElement('td');
+      td.className = className;
+      tr.appendChild(td);
+      return td;
+    };
+    var th = document.createElement('th');
+    th.textContent = side;
+    th.title = option[0];
+    tr.appendChild(th);
+    var view = {wiresIn: [], wiresOut: []};
+    var input = addCell('input');
+    view.lever = document.createElement('input');
+    view.lever.type = 'checkbox';
+    view.lever.title = 'Lever';
+    view.lever.addEventListener('change', function() {
+      Code.getRedstone_().setInput(side,
+          view.lever.checked ? Blockly.ComputerCraft.MAX_SIGNAL : 0);
+      Code.showRedstone_();
+    }, false);
+    input.appendChild(view.lever);
+    view.level = document.createElement('input');
+    view.level.type = 'number';
+    view.level.min = 0;
+    view.level.max = Blockly.ComputerCraft.MAX_SIGNAL;
+    view.level.className = 'level';
+    view.level.title = 'Signal strength';
+    view.level.addEventListener('change', function() {
+      Code.getRedstone_().setInput(side, Number(view.level.value));
+      Code.showRedstone_();
+    }, false);
+    input.appendChild(view.level);
+    view.lamp = document.createElement('span');
+    view.lamp.className = 'lamp';
+    addCell('output').appendChild(view.lamp);
+    var cableIn = addCell('input');
+    var cableOut = addCell('output');
+    colours.forEach(function(name) {
+      var wireIn = document.createElement('span');
+      wireIn.style.backgroundColor = COLOURS_[name].rgb;
+      wireIn.title = name;
+      wireIn.addEventListener('click', function() {
+        var redstone = Code.getRedstone_();
+        redstone.setBundledInput(side,
+            redstone.bundledInputs[side] ^ COLOURS_[name].value);
+        Code.showRedstone_();
+      }, false);
+      cableIn.appendChild(wireIn);
+      view.wiresIn.push(wireIn);
+      var wireOut = wireIn.cloneNode(false);
+      cableOut.appendChild(wireOut);
+      view.wiresOut.push(wireOut);
+    });
+    Code.redstoneViews_[side] = view;
+    tbody.appendChild(tr);
+  });
+  Code.showRedstone_();
+};
+
+/**
+ * Show the shown computer's redstone signals on the redstone bench.
+ * @private
+ */
+Code.showRedstone_ = function() {
+  var redstone = Code.getRedstone_();
+  var colours = Object.keys(COLOURS_);
+  for (var side in Code.redstoneViews_) {
+    var view = Code.redstoneViews_[side];
+    view.lever.checked = redstone.inputs[side] > 0;
+    if (document.activeElement != view.level) {
+      view.level.value = redstone.inputs[side];
+    }
+    view.lamp.textContent = redstone.outputs[side];
+    view.lamp.className = redstone.outputs[side] ? 'lamp on' : 'lamp';
+    for (var x = 0; x < colours.length; x++) {
+      var mask = COLOURS_[colours[x]].value;
+      view.wiresIn[x].className =
+          redstone.bundledInputs[side] & mask ? 'wire on' : 'wire';
+      view.wiresOut[x].className =
+          redstone.bundledOutputs[side] & mask ? 'wire on' : 'wire';
+    }
+  }
+};
+
+/**
+ * Generate the shown computer's program for the debugger, calling it before
+ * each statement, and note the Lua names of its variables.
+ * @return {string} Lua code.
+ * @private
+ */
+Code.debugCode_ = function() {
+  // Keep the step function on the statement's line, so that line numbers
+  // in errors match the Lua tab.
+  Blockly.Lua.STATEMENT_PREFIX =
+      Blockly.ComputerCraft.Debugger.STEP_FUNCTION + '(%1); ';
+  try {
+    var code = Blockly.Lua.workspaceToCode();
+  } finally {
+    Blockly.Lua.STATEMENT_PREFIX = null;
+  }
+  Code.watchNames_ = {};
+  Blockly.Variables.allVariables().forEach(function(name) {
+    Code.watchNames_[name] = Blockly.Lua.variableDB_.getName(name,
+        Blockly.Variables.NAME_TYPE);
+  });
+  return code;
+};
+
+/**
+ * Set up the debugger, its buttons and the breakpoint option of the blocks'
+ * context menus.
+ * @private
+ */
+Code.initDebugger_ = function() {
+  Code.debugger_ = new Blockly.ComputerCraft.Debugger();
+  Code.debugger_.onPause = Code.debugPaused_;
+  Blockly.Lua.addReservedWords(Blockly.ComputerCraft.Debugger.STEP_FUNCTION);
+  Blockly.Block.contextMenuHook = Code.breakpointMenu_;
+  BlocklyApps.bindClick('continueButton', function() {
+    Code.debugStep_('run');
+  });
+  BlocklyApps.bindClick('pauseButton', function() {
+    Code.debugger_.pause();
+    Code.showDebugger_();
+  });
+  BlocklyApps.bindClick('stepOverButton', function() {
+    Code.debugStep_('over');
+  });
+  BlocklyApps.bindClick('stepIntoButton', function() {
+    Code.debugStep_('into');
+  });
+  document.getElementById('watchList').addEventListener('click',
+      Code.watchClick_, false);
+  Code.showDebugger_();
+};
+
+/**
+ * Let the paused program continue, or start the programs if they aren't
+ * running.
+ * @param {string} mode 'run' to continue to the next breakpoint, 'into' to
+ *     step to the next statement, or 'over' to step over any procedures the
+ *     statement calls.
+ * @private
+ */
+Code.debugStep_ = function(mode) {
+  if (!Code.debugger_.isPaused()) {
+    if (!Code.network_ || !Code.network_.isOn()) {
+      // Starting a step pauses at the first statement.
+      Code.startPrograms_(mode == 'run' ? 'run' : 'into');
+    }
+    return;
+  }
+  Code.debugger_.resume(mode);
+  Blockly.mainWorkspace.highlightBlock(null);
+  Code.highlightLuaLines(null);
+  Code.lastRunTime_ = Date.now();
+  Code.runStep_();
+};
+
+/**
+ * Show where the program paused: highlight the statement's block, and its
+ * lines in the Lua tab.
+ * @param {string} blockId ID of the block.
+ * @private
+ */
+Code.debugPaused_ = function(blockId) {
+  if (Code.debugger_.computer != Code.computer_) {
+    // Another computer's program is in the editor.
+    return;
+  }
+  var workspace = Blockly.mainWorkspace;
+  workspace.traceOn(true);
+  workspace.highlightBlock(blockId);
+  Code.highlightLuaLines(workspace.getBlockById(blockId));
+};
+
+/**
+ * Add the option to set or remove a breakpoint to a statement block's
+ * context menu.
+ * @param {!Blockly.Block} block The block.
+ * @param {!Array.<!Object>} options The menu's options.
+ * @private
+ */
+Code.breakpointMenu_ = function(block, options) {
+  if (!block.previousConnection) {
+    return;
+  }
+  options.push({
+    text: String(block.id) in Code.debugger_.breakpoints ?
+        'Remove breakpoint' : 'Add breakpoint',
+    enabled: true,
+    callback: function() {
+      var on = Code.debugger_.toggleBreakpoint(String(block.id));
+      if (on) {
+        Blockly.addClass_(block.getSvgRoot(), 'blocklyBreakpoint');
+      } else {
+        Blockly.removeClass_(block.getSvgRoot(), 'blocklyBreakpoint');
+      }
+    }
+  });
+};
+
+/**
+ * Update the debugger's buttons and the variable watch.
+ * @private
+ */
+Code.showDebugger_ = function() {
+  var debug = Code.debugger_;
+  if (!debug) {
+    return;
+  }
+  var paused = debug.isPaused();
+  var running = !!Code.network_ && Code.network_.isOn();
+  document.getElementById('continueButton').disabled = running && !paused;
+  document.getElementById('pauseButton').disabled = !running || paused ||
+      !debug.computer || !debug.computer.isOn() || debug.mode == 'into';
+  document.getElementById('stepOverButton').disabled = running && !paused;
+  document.getElementById('stepIntoButton').disabled = running && !paused;
+  var list = document.createElement('ul');
+  var names = Blockly.Variables.allVariables();
+  var values = null;
+  // Only the debugged program's variables can be seen.
+  if (debug.computer && debug.computer == Code.computer_ &&
+      debug.computer.isOn()) {
+    values = debug.getVariables(names.map(function(name) {
+      return Code.watchNames_[name] || name;
+    }));
+  }
+  names.forEach(function(name) {
+    if (values) {
+      list.appendChild(Code.watchItem_(name,
+          values[Code.watchNames_[name] || name], name, []));
+    } else {
+      var item = document.createElement('li');
+      item.textContent = name;
+      list.appendChild(item);
+    }
+  });
+  // Replacing the list only when it changed keeps clicks on it working
+  // while the program runs.
+  var watchList = document.getElementById('watchList');
+  if (watchList.innerHTML != list.innerHTML) {
+    watchList.innerHTML = list.innerHTML;
+  }
+};
+
+/**
+ * Make an item of the variable watch for a value.  A table can be expanded
+ * to show its entries.
+ * @param {string} label Name of the variable, or the table's key.
+ * @param {*} value The value.
+ * @param {string} path Path of the value, as in Code.expandedWatches_.
+ * @param {!Array.<!LuaInterpreter.Table>} seen Tables containing it, which
+ *     can't be expanded inside themselves.
+ * @return {!Element} The list item.
+ * @private
+ */
+Code.watchItem_ = function(label, value, path, seen) {
+  var describe = Blockly.ComputerCraft.Network.describe;
+  var item = document.createElement('li');
+  if (!(value instanceof LuaInterpreter.Table) || seen.indexOf(value) != -1) {
+    item.textContent = label + ' = ' + describe(value, seen);
+    return item;
+  }
+  var expanded = !!Code.expandedWatches_[path];
+  var entries = [];
+  for (var entry = value.next(undefined); entry;
+       entry = value.next(entry[0])) {
+    entries.push(entry);
+  }
+  var toggle = document.createElement('span');
+  toggle.className = 'watchToggle';
+  toggle.setAttribute('data-path', path);
+  toggle.textContent = (expanded ? '\u25be ' : '\u25b8 ') + label +
+      ' = table (' + entries.length +
+      (entries.length == 1 ? ' entry)' : ' entries)');
+  item.appendChild(toggle);
+  if (expanded) {
+    var list = document.createElement('ul');
+    seen = seen.concat([value]);
+    entries.forEach(function(entry) {
+      var key = describe(entry[0]);
+      if (typeof entry[0] == 'string' &&
+          /^[A-Za-z_][A-Za-z0-9_]*$/.test(entry[0])) {
+        label = entry[0];
+      } else {
+        label = '[' + key + ']';
+      }
+      list.appendChild(Code.watchItem_(label, entry[1], path + '\n' + key,
+                                       seen));
+    });
+    item.appendChild(list);
+  }
+  return item;
+};
+
+/**
+ * Expand or collapse a table in the variable watch.
+ * @param {!Event} e Mouse click event.
+ * @private
+ */
+Code.watchClick_ = function(e) {
+  var path = e.target.getAttribute && e.target.getAttribute('data-path');
+  if (path !== null && path !== undefined) {
+    Code.expandedWatches_[path] = !Code.expandedWatches_[path];
+    Code.showDebugger_();
+  }
+};
+
+/**
+ * Set up the clock speed menu and the event inspector.
+ * @private
+ */
+Code.initEvents_ = function() {
+  var speedMenu = document.getElementById('clockSpeed');
+  Code.clockSpeed_ = Number(Code.loadStored_('clockSpeed')) || 1;
+  speedMenu.value = String(Code.clockSpeed_);
+  if (speedMenu.value != String(Code.clockSpeed_)) {
+    // Not one of the speeds in the menu.
+    Code.clockSpeed_ = 1;
+    speedMenu.value = '1';
+  }
+  speedMenu.addEventListener('change', function() {
+    Code.clockSpeed_ = Number(speedMenu.value);
+    Code.store_('clockSpeed', Code.clockSpeed_);
+  }, false);
+  BlocklyApps.bindClick('queueEventButton', Code.queueEvent_);
+  BlocklyApps.bindClick('terminateButton', function() {
+    if (Code.computer_) {
+      Code.computer_.queueEvent(['terminate']);
+      Code.showEvents_();
+    }
+  });
+  Code.showEvents_();
+};
+
+/**
+ * Queue the event typed into the event inspector on the shown computer.
+ * Its parameters are Lua expressions, separated by commas.
+ * @private
+ */
+Code.queueEvent_ = function() {
+  var error = document.getElementById('eventError');
+  var name = document.getElementById('eventName').value.trim();
+  var parameters = document.getElementById('eventParameters').value;
+  error.textContent = '';
+  if (!Code.computer_ || !Code.computer_.isOn()) {
+    error.textContent = 'The computer isn\'t running.';
+    return;
+  }
+  if (!name) {
+    error.textContent = 'Type the name of the event.';
+    return;
+  }
+  var values = [];
+  if (parameters.trim()) {
+    var vm = Code.computer_.vm;
+    try {
+      // The expressions can't see the program's variables.
+      values = vm.call(vm.load('return ' + parameters, 'event',
+                               new LuaInterpreter.Table()), []);
+    } catch (e) {
+      if (!(e instanceof LuaInterpreter.Error)) {
+        throw e;
+      }
+      error.textContent = e.message;
+      return;
+    }
+  }
+  Code.computer_.queueEvent([name].concat(values));
+  Code.showEvents_();
+};
+
+/**
+ * Show the in-game time, and the shown computer's queued events and the
+ * timers and alarms that will queue more.
+ * @private
+ */
+Code.showEvents_ = function() {
+  var computer = Code.computer_;
+  var time = document.getElementById('gameTime');
+  var list = document.getElementById('eventList');
+  list.innerHTML = '';
+  document.getElementById('queueEventButton').disabled =
+      !computer || !computer.isOn();
+  document.getElementById('terminateButton').disabled =
+      !computer || !computer.isOn();
+  if (!computer) {
+    time.textContent = '';
+    return;
+  }
+  var hours = computer.getTimeOfDay();
+  var minutes = Math.floor(hours % 1 * 60);
+  time.textContent = 'Day ' + Math.floor(hours / 24) + ', ' +
+      Math.floor(hours % 24) + ':' + (minutes < 10 ? '0' : '') + minutes;
+  var addRow = function(when, event) {
+    var tr = document.createElement('tr');
+    [when, event[0], event.slice(1).map(function(value) {
+      return Blockly.ComputerCraft.Network.describe(value);
+    }).join(', ')].forEach(function(text) {
+      var td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    list.appendChild(tr);
+  };
+  if (!computer.isOn()) {
+    return;
+  }
+  computer.getEvents().forEach(function(event) {
+    addRow('queued', event);
+  });
+  computer.getTimers().forEach(function(timer) {
+    addRow('in ' + ((timer.time - computer.time) / 1000).toFixed(2) + 's',
+           [timer.name, timer.id]);
+  });
+};
+
+/**
+ * Attach the peripherals chosen for a computer on the network.
+ * @param {!Blockly.ComputerCraft.Computer} computer The computer, with its
+ *     files installed and on the network.
+ * @param {!Object} settings The computer's settings in Code.computers_.
+ * @return {!Object} The peripherals by side.
+ * @private
+ */
+Code.attachPeripherals_ = function(computer, settings) {
+  var context = {fileSystem: Code.getFileSystem_(settings.id),
+                 network: Code.network_};
+  var kinds = Blockly.ComputerCraft.getPeripheralKinds().map(function(entry) {
+    return entry.kind;
+  });
+  var peripherals = {};
+  for (var side in settings.peripherals) {
+    var kind = settings.peripherals[side];
+    // A peripheral registered by a mod may not be any more.
+    if (kinds.indexOf(kind) != -1) {
+      peripherals[side] = Blockly.ComputerCraft.attachPeripheral(computer,
+          side, kind, context);
+    }
+  }
+  return peripherals;
+};
+
+/**
+ * Find the disk drive of the shown computer.
+ * @return {?string} The side it's on, or null if it has no disk drive.
+ * @private
+ */
+Code.getDriveSide_ = function() {
+  var peripherals = Code.computers_[Code.selectedComputer_].peripherals;
+  for (var x = 0; x < Blockly.ComputerCraft.SIDES.length; x++) {
+    if (peripherals[Blockly.ComputerCraft.SIDES[x]] == 'drive') {
+      return Blockly.ComputerCraft.SIDES[x];
+    }
+  }
+  return null;
+};
+
+/**
+ * Fill in the menus choosing the peripheral on each side of the shown
+ * computer.
+ * @private
+ */
+Code.showPeripheralSettings_ = function() {
+  var settings = Code.computers_[Code.selectedComputer_];
+  var list = document.getElementById('peripheralSettings');
+  list.innerHTML = '';
+  var kinds = [{kind: '', description: 'nothing'}].concat(
+      Blockly.ComputerCraft.getPeripheralKinds());
+  Blockly.ComputerCraft.SIDES.forEach(function(side) {
+    var tr = document.createElement('tr');
+    var td = document.createElement('td');
+    td.textContent = side;
+    tr.appendChild(td);
+    var menu = document.createElement('select');
+    kinds.forEach(function(entry) {
+      var option = document.createElement('option');
+      option.value = entry.kind;
+      option.textContent = entry.description;
+      menu.appendChild(option);
+    });
+    menu.value = settings.peripherals[side] || '';
+    menu.addEventListener('change', function() {
+      if (menu.value) {
+        settings.peripherals[side] = menu.value;
+      } else {
+        delete settings.peripherals[side];
+      }
+      Code.saveComputers_();
+      Code.showFiles_();
+    }, false);
+    td = document.createElement('td');
+    td.appendChild(menu);
+    tr.appendChild(td);
+    list.appendChild(tr);
+  });
+};
+
+/**
+ * Show the monitors, printers and chests of the shown computer, if it is
+ * running.
+ * @private
+ */
+Code.showPeripherals_ = function() {
+  var machine = Code.machines_[Code.selectedComputer_];
+  var peripherals = machine && machine.computer == Code.computer_ ?
+      machine.peripherals : null;
+  if (peripherals != Code.shownPeripherals_) {
+    Code.shownPeripherals_ = peripherals;
+    var container = document.getElementById('peripheralViews');
+    container.innerHTML = '';
+    Code.peripheralViews_ = [];
+    Blockly.ComputerCraft.SIDES.forEach(function(side) {
+      var view = peripherals && peripherals[side] &&
+          Code.createPeripheralView_(peripherals[side], side);
+      if (view) {
+        container.appendChild(view.element);
+        Code.peripheralViews_.push(view);
+      }
+    });
+  }
+  Code.peripheralViews_.forEach(function(view) {
+    view.update();
+  });
+};
+
+/**
+ * Make the view of a peripheral.
+ * @param {!Object} device The peripheral.
+ * @param {string} side The side of the computer it is on.
+ * @return {Object} Its 'element' and an 'update' function, or null if it
+ *     isn't shown.
+ * @private
+ */
+Code.createPeripheralView_ = function(device, side) {
+  var element = document.createElement('div');
+  element.className = 'peripheral';
+  var caption = document.createElement('div');
+  element.appendChild(caption);
+  var update;
+  if (device instanceof Blockly.ComputerCraft.Monitor) {
+    caption.textContent = 'Monitor on the ' + side +
+        ' (click it to touch it)';
+    var canvas = document.createElement('canvas');
+    element.appendChild(canvas);
+    var terminal = device.terminal;
+    canvas.addEventListener('click', function(e) {
+      var bBox = canvas.getBoundingClientRect();
+      device.touch(
+          Math.floor((e.clientX - bBox.left) * terminal.width /
+                     bBox.width) + 1,
+          Math.floor((e.clientY - bBox.top) * terminal.height /
+                     bBox.height) + 1);
+    }, false);
+    update = function() {
+      // Keep the characters the size they are on the computer's screen.
+      var width = terminal.width * 12 * device.scale;
+      var height = terminal.height * 18 * device.scale;
+      if (canvas.width != width || canvas.height != height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      terminal.draw(canvas, device.computer.time);
+    };
+  } else if (device instanceof Blockly.ComputerCraft.Printer) {
+    var pages = document.createElement('pre');
+    element.appendChild(pages);
+    update = function() {
+      caption.textContent = 'Printer on the ' + side + ': ' +
+          device.pages.length + ' pages printed, ' + device.paper +
+          ' sheets of paper and ink for ' + device.ink + ' pages left';
+      var printed = device.pages.concat(device.page ? [device.page] : []);
+      var text = printed.map(function(page) {
+        return '== ' + LuaParser.fromBytes(page.title) + ' ==\n' +
+            LuaParser.fromBytes(page.lines.join('\n'))
+                .replace(/ +$/gm, '').replace(/\n+$/, '');
+      }).join('\n\n');
+      if (pages.textContent != text) {
+        pages.textContent = text;
+      }
+    };
+  } else if (device instanceof Blockly.ComputerCraft.Chest) {
+    caption.textContent = 'Chest on the ' + side;
+    var list = document.createElement('ul');
+    element.appendChild(list);
+    var shown = null;
+    update = function() {
+      var items = [];
+      device.slots.forEach(function(stack, x) {
+        if (stack) {
+          items.push((x + 1) + ': ' + stack.count + ' ' + stack.name);
+        }
+      });
+      if (!items.length) {
+        items.push('empty');
+      }
+      if (items.join('\n') == shown) {
+        return;
+      }
+      shown = items.join('\n');
+      list.innerHTML = '';
+      items.forEach(function(text) {
+        var item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+      });
+    };
+  } else {
+    return null;
+  }
+  return {element: element, update: update};
+};
@@ -0,0 +1,751 @@
+/**
+ * Blockly Lua: Simulated computer
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A simulated ComputerCraft computer, which runs a program in
+ * LuaInterpreter with the os API, an event queue and timers.  Time on the
+ * computer is virtual: whoever runs it moves its clock forward, so the same
+ * program can be watched in real time or run as fast as possible.
+ */
+'use strict';
+
+goog.provide('ComputerCraft.Computer');
+
+/**
+ * Number of Lua instructions a program may execute without yielding before
+ * it is stopped, as ComputerCraft stops programs after ten seconds.
+ */
+Blockly.ComputerCraft.MAX_INSTRUCTIONS_WITHOUT_YIELD = 5000000;
+
+/**
+ * Sides of a computer, in the order ComputerCraft lists them.
+ */
+Blockly.ComputerCraft.SIDES = ['bottom', 'top', 'back', 'front', 'right',
+                               'left'];
+
+/**
+ * Lua code defining the parts of the os API that ComputerCraft writes in
+ * Lua, after its bios.lua, and the parallel API.
+ * @private
+ */
+Blockly.ComputerCraft.COMPUTER_PRELUDE_ = [
+  'function os.pullEventRaw(filter)',
+  '  return coroutine.yield(filter)',
+  'end',
+  'function os.pullEvent(filter)',
+  '  local event = {os.pullEventRaw(filter)}',
+  '  if event[1] == "terminate" then',
+  '    error("Terminated", 0)',
+  '  end',
+  '  return unpack(event)',
+  'end',
+  'function sleep(time)',
+  '  local timer = os.startTimer(time or 0)',
+  '  repeat',
+  '    local _, param = os.pullEvent("timer")',
+  '  until param == timer',
+  'end',
+  'os.sleep = sleep',
+  'function print(...)',
+  '  local lines = 0',
+  '  for _, value in ipairs({...}) do',
+  '    lines = lines + write(tostring(value))',
+  '  end',
+  '  return lines + write("\\n")',
+  'end',
+  'function printError(...)',
+  '  os.printError_(...)',
+  'end',
+  'function peripheral.wrap(side)',
+  '  if not peripheral.isPresent(side) then',
+  '    return nil',
+  '  end',
+  '  local wrapped = {}',
+  '  for _, method in ipairs(peripheral.getMethods(side)) do',
+  '    wrapped[method] = function(...)',
+  '      return peripheral.call(side, method, ...)',
+  '    end',
+  '  end',
+  '  return wrapped',
+  'end',
+  'function peripheral.find(type, filter)',
+  '  local found = {}',
+  '  for _, side in ipairs(peripheral.getNames()) do',
+  '    if peripheral.getType(side) == type then',
+  '      local wrapped = peripheral.wrap(side)',
+  '      if not filter or filter(side, wrapped) then',
+  '        found[#found + 1] = wrapped',
+  '      end',
+  '    end',
+  '  end',
+  '  return unpack(found)',
+  'end',
+  'parallel = {}',
+  'local function runRoutines(functions, limit)',
+  '  local routines, filters, living = {}, {}, #functions',
+  '  for i, fn in ipairs(functions) do',
+  '    if type(fn) ~= "function" then',
+  '      error("Expected function, got " .. type(fn), 3)',
+  '    end',
+  '    routines[i] = coroutine.create(fn)',
+  '  end',
+  '  local event = {}',
+  '  while living > limit do',
+  '    for i = 1, #functions do',
+  '      local routine = routines[i]',
+  '      if routine and (filters[i] == nil or filters[i] == event[1] or',
+  '          event[1] == "terminate") then',
+  '        local ok, param = coroutine.resume(routine, unpack(event))',
+  '        if not ok then',
+  '          error(param, 0)',
+  '        end',
+  '        filters[i] = param',
+  '        if coroutine.status(routine) == "dead" then',
+  '          routines[i] = nil',
+  '          living = living - 1',
+  '          if living <= limit then',
+  '            return i',
+  '          end',
+  '        end',
+  '      end',
+  '    end',
+  '    event = {os.pullEventRaw()}',
+  '  end',
+  'end',
+  'function parallel.waitForAny(...)',
+  '  -- Without functions, there is nothing to wait for.',
+  '  return runRoutines({...}, math.max(select("#", ...) - 1, 0))',
+  'end',
+  'function parallel.waitForAll(...)',
+  '  runRoutines({...}, 0)',
+  'end'].join('\n');
+
+/**
+ * A simulated computer.
+ * @param {Object=} opt_options Settings: 'id' (the computer ID), 'label'
+ *     (its label), and 'onOutput' (function called with each piece of text
+ *     the program writes, and whether it is an error message).
+ * @constructor
+ */
+Blockly.ComputerCraft.Computer = function(opt_options) {
+  var options = opt_options || {};
+  this.id = options.id || 0;
+  this.label = options.label || null;
+  this.onOutput = options.onOutput || function(text, isError) {};
+  // Milliseconds since the computer was turned on.
+  this.time = 0;
+  // 'off', 'running', 'waiting' (for an event), 'busy' (doing something
+  // that takes time, such as moving a turtle), 'paused' (by a debugger),
+  // 'done' or 'error'.
+  this.state = 'off';
+  this.error = null;
+  this.events_ = [];
+  this.timers_ = [];
+  this.nextTimerId_ = 1;
+  this.filter_ = undefined;
+  this.busyUntil_ = 0;
+  this.busyAction_ = null;
+  this.pausing_ = false;
+  // Peripherals by the side they're attached to.
+  this.peripherals_ = Object.create(null);
+  this.vm = new LuaInterpreter();
+  this.vm.maxInstructionsWithoutYield =
+      Blockly.ComputerCraft.MAX_INSTRUCTIONS_WITHOUT_YIELD;
+  this.openApis_();
+};
+
+/**
+ * Create the global APIs of the computer.
+ * @private
+ */
+Blockly.ComputerCraft.Computer.prototype.openApis_ = function() {
+  var computer = this;
+  var os = new LuaInterpreter.Table();
+  this.defineFunctions(os, {
+    clock: function() {
+      return [computer.time / 1000];
+    },
+    computerID: function() {
+      return [computer.id];
+    },
+    computerLabel: function() {
+      return [computer.label || undefined];
+    },
+    getComputerID: function() {
+      return [computer.id];
+    },
+    getComputerLabel: function() {
+      return [computer.label || undefined];
+    },
+    setComputerLabel: function(args) {
+      computer.label = args[0] === undefined ? null :
+          LuaInterpreter.checkString(args, 0, 'setComputerLabel');
+      return [];
+    },
+    startTimer: function(args) {
+      var seconds = LuaInterpreter.checkNumber(args, 0, 'startTimer');
+      return [computer.startTimer(seconds)];
+    },
+    cancelTimer: function(args) {
+      computer.cancelTimer(LuaInterpreter.checkNumber(args, 0, 'cancelTimer'));
+      return [];
+    },
+    setAlarm: function(args) {
+      var time = LuaInterpreter.checkNumber(args, 0, 'setAlarm');
+      if (time < 0 || time > 24) {
+        throw new LuaInterpreter.Error('Number out of range');
+      }
+      return [computer.setAlarm(time)];
+    },
+    cancelAlarm: function(args) {
+      computer.cancelTimer(LuaInterpreter.checkNumber(args, 0, 'cancelAlarm'));
+      return [];
+    },
+    queueEvent: function(args) {
+      LuaInterpreter.checkString(args, 0, 'queueEvent');
+      computer.queueEvent(args);
+      return [];
+    },
+    shutdown: function() {
+      computer.stop();
+      return LuaInterpreter.SUSPEND;
+    },
+    reboot: function() {
+      computer.stop();
+      return LuaInterpreter.SUSPEND;
+    },
+    time: function() {
+      return [computer.getTimeOfDay() % 24];
+    },
+    day: function() {
+      return [Math.floor(computer.getTimeOfDay() / 24)];
+    },
+    version: function() {
+      return ['CraftOS 1.6'];
+    },
+    printError_: function(args, vm) {
+      computer.onOutput(LuaParser.fromBytes(args.map(function(value) {
+        return vm.tostring(value);
+      }).join('')) + '\n', true);
+      return [];
+    }
+  });
+  this.vm.setGlobal('os', os);
+  this.defineFunctions(this.vm.globals, {
+    write: function(args, vm) {
+      var text = args[0] === undefined ? '' : vm.tostring(args[0]);
+      computer.onOutput(LuaParser.fromBytes(text), false);
+      return [(text.match(/\n/g) || []).length];
+    }
+  });
+  this.vm.setGlobal('bit', this.createBitApi_());
+  this.vm.setGlobal('peripheral', this.createPeripheralApi_());
+  this.vm.call(this.vm.load(Blockly.ComputerCraft.COMPUTER_PRELUDE_,
+                            'bios'), []);
+};
+
+/**
+ * Add JavaScript functions to a Lua table.  Each takes an array of Lua
+ * arguments and the interpreter, and returns an array of results or
+ * LuaInterpreter.SUSPEND.
+ * @param {!LuaInterpreter.Table} table The table.
+ * @param {!Object} functions Functions by name.
+ */
+Blockly.ComputerCraft.Computer.prototype.defineFunctions = function(
+    table, functions) {
+  for (var name in functions) {
+    functions[name].luaName = name;
+    table.set(name, functions[name]);
+  }
+};
+
+/**
+ * Create ComputerCraft's bit API, which works on 32-bit integers.
+ * @return {!LuaInterpreter.Table} The API.
+ * @private
+ */
+Blockly.ComputerCraft.Computer.prototype.createBitApi_ = function() {
+  var bit = new LuaInterpreter.Table();
+  var binary = function(name, fn) {
+    return function(args) {
+      return [fn(LuaInterpreter.checkNumber(args, 0, name),
+                 LuaInterpreter.checkNumber(args, 1, name))];
+    };
+  };
+  this.defineFunctions(bit, {
+    band: binary('band', function(a, b) { return a & b; }),
+    bor: binary('bor', function(a, b) { return a | b; }),
+    bxor: binary('bxor', function(a, b) { return a ^ b; }),
+    blshift: binary('blshift', function(a, b) { return a << b; }),
+    brshift: binary('brshift', function(a, b) { return a >> b; }),
+    blogic_rshift: binary('blogic_rshift',
+                          function(a, b) { return a >>> b; }),
+    bnot: function(args) {
+      return [~LuaInterpreter.checkNumber(args, 0, 'bnot')];
+    }
+  });
+  return bit;
+};
+
+/**
+ * Create the peripheral API, for using peripherals attached to the computer.
+ * @return {!LuaInterpreter.Table} The API.
+ * @private
+ */
+Blockly.ComputerCraft.Computer.prototype.createPeripheralApi_ = function() {
+  var computer = this;
+  var peripheral = new LuaInterpreter.Table();
+  this.defineFunctions(peripheral, {
+    isPresent: function(args) {
+      var side = LuaInterpreter.checkString(args, 0, 'isPresent');
+      return [!!computer.getPeripheral(side)];
+    },
+    getType: function(args) {
+      var device = computer.getPeripheral(
+          LuaInterpreter.checkString(args, 0, 'getType'));
+      return [device ? device.type : undefined];
+    },
+    getMethods: function(args) {
+      var device = computer.getPeripheral(
+          LuaInterpreter.checkString(args, 0, 'getMethods'));
+      return [device ? LuaInterpreter.Table.fromArray(
+          Object.keys(device.methods)) : undefined];
+    },
+    getNames: function() {
+      return [LuaInterpreter.Table.fromArray(
+          Blockly.ComputerCraft.SIDES.filter(function(side) {
+            return side in computer.peripherals_;
+          }))];
+    },
+    call: function(args, vm) {
+      var device = computer.getPeripheral(
+          LuaInterpreter.checkString(args, 0, 'call'));
+      var method = LuaInterpreter.checkString(args, 1, 'call');
+      if (!device) {
+        throw new LuaInterpreter.Error('No peripheral attached');
+      }
+      if (!Object.prototype.hasOwnProperty.call(device.methods, method)) {
+        throw new LuaInterpreter.Error('No such method ' + method);
+      }
+      return device.methods[method](args.slice(2), vm);
+    }
+  });
+  return peripheral;
+};
+
+/**
+ * Attach a peripheral to a side of the computer, replacing any already
+ * there.
+ * @param {string} side The side.
+ * @param {!Object} device The peripheral: its 'type', and its 'methods',
+ *     which are called like the functions passed to defineFunctions.
+ */
+Blockly.ComputerCraft.Computer.prototype.attachPeripheral = function(side,
+                                                                     device) {
+  if (side in this.peripherals_) {
+    this.detachPeripheral(side);
+  }
+  this.peripherals_[side] = device;
+  this.queueEvent(['peripheral', side]);
+};
+
+/**
+ * Remove the peripheral from a side of the computer.
+ * @param {string} side The side.
+ */
+Blockly.ComputerCraft.Computer.prototype.detachPeripheral = function(side) {
+  if (side in this.peripherals_) {
+    delete this.peripherals_[side];
+    this.queueEvent(['peripheral_detach', side]);
+  }
+};
+
+/**
+ * Get the peripheral attached to a side of the computer.
+ * @param {string} side The side.
+ * @return {Object} The peripheral, or null if there is none.
+ */
+Blockly.ComputerCraft.Computer.prototype.getPeripheral = function(side) {
+  return this.peripherals_[side] || null;
+};
+
+/**
+ * Start running a program.
+ * @param {string} source Lua source code.
+ * @param {string=} opt_name Name of the program, for error messages.
+ * @return {boolean} False if the code has a syntax error, which is written
+ *     to the output.
+ */
+Blockly.ComputerCraft.Computer.prototype.start = function(source,
+                                                          opt_name) {
+  try {
+    var program = this.vm.load(LuaParser.toBytes(source),
+                               opt_name || 'program');
+  } catch (e) {
+    if (!(e instanceof LuaInterpreter.Error)) {
+      throw e;
+    }
+    this.fail_(e.value);
+    return false;
+  }
+  this.vm.start(program);
+  this.state = 'running';
+  this.error = null;
+  return true;
+};
+
+/**
+ * Stop the program.
+ */
+Blockly.ComputerCraft.Computer.prototype.stop = function() {
+  this.state = 'off';
+  this.events_ = [];
+  this.timers_ = [];
+  this.busyAction_ = null;
+  this.pausing_ = false;
+};
+
+/**
+ * Is the program still able to run?
+ * @return {boolean} True unless it finished, failed or was stopped.
+ */
+Blockly.ComputerCraft.Computer.prototype.isOn = function() {
+  return this.state == 'running' || this.state == 'waiting' ||
+      this.state == 'busy' || this.state == 'paused';
+};
+
+/**
+ * Milliseconds in a Minecraft day.
+ */
+Blockly.ComputerCraft.DAY_LENGTH = 20 * 60 * 1000;
+
+/**
+ * Get the in-game time, as os.time and os.day see it.  A computer is turned
+ * on at 6 o'clock on day 0.
+ * @return {number} Hours since the start of day 0.
+ */
+Blockly.ComputerCraft.Computer.prototype.getTimeOfDay = function() {
+  return 6 + this.time * 24 / Blockly.ComputerCraft.DAY_LENGTH;
+};
+
+/**
+ * Start a timer, which queues a 'timer' event when it goes off.
+ * @param {number} seconds Time until it goes off.
+ * @return {number} ID of the timer, passed with the event.
+ */
+Blockly.ComputerCraft.Computer.prototype.startTimer = function(seconds) {
+  return this.addTimer_('timer', seconds * 20);
+};
+
+/**
+ * Set an alarm, which queues an 'alarm' event at a time of day.  A time
+ * that has passed today is tomorrow's.
+ * @param {number} time In-game time, in hours from 0 to 24.
+ * @return {number} ID of the alarm, passed with the event.
+ */
+Blockly.ComputerCraft.Computer.prototype.setAlarm = function(time) {
+  var hours = time - this.getTimeOfDay() % 24;
+  if (hours <= 0) {
+    hours += 24;
+  }
+  return this.addTimer_('alarm',
+                        hours * Blockly.ComputerCraft.DAY_LENGTH / 24 / 50);
+};
+
+/**
+ * Queue an event after a while.  Timers and alarms share their IDs, as in
+ * ComputerCraft.
+ * @param {string} name Name of the event.
+ * @param {number} ticks Minecraft ticks, of 50 milliseconds, until it is
+ *     queued.  It is queued on the tick after any fraction.
+ * @return {number} ID of the timer, passed with the event.
+ * @private
+ */
+Blockly.ComputerCraft.Computer.prototype.addTimer_ = function(name, ticks) {
+  var id = this.nextTimerId_++;
+  var time = this.time + Math.max(Math.ceil(ticks), 1) * 50;
+  this.timers_.push({id: id, time: time, name: name});
+  return id;
+};
+
+/**
+ * Cancel a timer or an alarm that hasn't gone off.
+ * @param {number} id ID of the timer or alarm.
+ */
+Blockly.ComputerCraft.Computer.prototype.cancelTimer = function(id) {
+  this.timers_ = this.timers_.filter(function(timer) {
+    return timer.id != id;
+  });
+};
+
+/**
+ * Get the timers and alarms that haven't gone off, in the order they will.
+ * @return {!Array.<!Object>} For each: its 'id', the 'name' of its event
+ *     ('timer' or 'alarm'), and the 'time' it goes off in milliseconds.
+ */
+Blockly.ComputerCraft.Computer.prototype.getTimers = function() {
+  return this.timers_.map(function(timer) {
+    return {id: timer.id, name: timer.name, time: timer.time};
+  }).sort(function(a, b) {
+    return a.time - b.time || a.id - b.id;
+  });
+};
+
+/**
+ * Get the events waiting in the computer's queue.
+ * @return {!Array.<!Array>} Copies of the events, next first.
+ */
+Blockly.ComputerCraft.Computer.prototype.getEvents = function() {
+  return this.events_.map(function(event) {
+    return event.slice();
+  });
+};
+
+/**
+ * Add an event to the computer's queue.
+ * @param {!Array} event Name of the event, then its parameters.
+ */
+Blockly.ComputerCraft.Computer.prototype.queueEvent = function(event) {
+  if (this.isOn()) {
+    this.events_.push(event.slice());
+  }
+};
+
+/**
+ * Keep the program suspended for a while, as a host function doing
+ * something slow does.  The host function should return the result.
+ * @param {number} seconds Time the action takes.
+ * @param {!Function} action Called when the time is up.  It returns the
+ *     results of the host function.
+ * @return {!Object} LuaInterpreter.SUSPEND.
+ */
+Blockly.ComputerCraft.Computer.prototype.busy = function(seconds, action) {
+  this.busyUntil_ = this.time + seconds * 1000;
+  this.busyAction_ = action;
+  return LuaInterpreter.SUSPEND;
+};
+
+/**
+ * Keep the program suspended until unpause is called, as a debugger does at
+ * a breakpoint.  The host function should return the result.
+ * @return {!Object} LuaInterpreter.SUSPEND.
+ */
+Blockly.ComputerCraft.Computer.prototype.pause = function() {
+  this.pausing_ = true;
+  return LuaInterpreter.SUSPEND;
+};
+
+/**
+ * Let the program continue after it was paused.  The host function that
+ * paused it returns nothing.
+ */
+Blockly.ComputerCraft.Computer.prototype.unpause = function() {
+  if (this.state == 'paused') {
+    this.pausing_ = false;
+    this.state = 'running';
+    this.resume_([]);
+  }
+};
+
+/**
+ * Get the time at which the program will next be able to run.
+ * @return {number} Time in milliseconds, or Infinity if the program is
+ *     waiting for an event that nothing will queue.
+ */
+Blockly.ComputerCraft.Computer.prototype.getNextTime = function() {
+  switch (this.state) {
+    case 'running':
+      return this.time;
+    case 'busy':
+      return this.busyUntil_;
+    case 'waiting':
+      if (this.events_.length) {
+        return this.time;
+      }
+      var next = Infinity;
+      this.timers_.forEach(function(timer) {
+        next = Math.min(next, timer.time);
+      });
+      return Math.max(next, this.time);
+  }
+  return Infinity;
+};
+
+/**
+ * Move the clock forward, firing timers that go off.
+ * @param {number} time New time in milliseconds.
+ */
+Blockly.ComputerCraft.Computer.prototype.advanceTo = function(time) {
+  if (time <= this.time) {
+    return;
+  }
+  this.time = time;
+  var due = this.timers_.filter(function(timer) {
+    return timer.time <= time;
+  });
+  this.timers_ = this.timers_.filter(function(timer) {
+    return timer.time > time;
+  });
+  due.sort(function(a, b) {
+    return a.time - b.time || a.id - b.id;
+  });
+  for (var x = 0; x < due.length; x++) {
+    this.queueEvent([due[x].name, due[x].id]);
+  }
+};
+
+/**
+ * Run the program until it has to wait or has executed a number of
+ * instructions.
+ * @param {number} budget Maximum number of Lua instructions.
+ * @return {string} The computer's state afterwards.
+ */
+Blockly.ComputerCraft.Computer.prototype.run = function(budget) {
+  while (budget > 0) {
+    if (this.state == 'busy') {
+      if (this.time < this.busyUntil_) {
+        break;
+      }
+      var action = this.busyAction_;
+      this.busyAction_ = null;
+      this.state = 'running';
+      if (!this.resume_(action())) {
+        break;
+      }
+    } else if (this.state == 'waiting') {
+      var event = this.nextEvent_();
+      if (!event) {
+        break;
+      }
+      this.state = 'running';
+      if (!this.resume_(event)) {
+        break;
+      }
+    }
+    if (this.state != 'running') {
+      break;
+    }
+    var result = this.vm.run(budget);
+    budget = result.remaining;
+    this.handleResult_(result);
+    if (result.status == 'budget') {
+      break;
+    }
+  }
+  return this.state;
+};
+
+/**
+ * Run the program as fast as possible, moving the clock forward whenever
+ * the program waits, until it finishes or waits for an event that won't
+ * come.
+ * @param {number=} opt_maxTime Time in milliseconds at which to stop.
+ * @return {string} The computer's state afterwards.
+ */
+Blockly.ComputerCraft.Computer.prototype.runToCompletion = function(
+    opt_maxTime) {
+  var maxTime = opt_maxTime === undefined ? Infinity : opt_maxTime;
+  while (this.isOn()) {
+    this.run(Infinity);
+    var next = this.getNextTime();
+    if (next == Infinity || next > maxTime) {
+      break;
+    }
+    this.advanceTo(next);
+  }
+  return this.state;
+};
+
+/**
+ * Take the next event the program is waiting for off the queue.  Events
+ * that don't match the program's filter are discarded, as in ComputerCraft.
+ * @return {Array} The event, or null if there is none.
+ * @private
+ */
+Blockly.ComputerCraft.Computer.prototype.nextEvent_ = function() {
+  while (this.events_.length) {
+    var event = this.events_.shift();
+    if (this.filter_ === undefined || event[0] == this.filter_ ||
+        event[0] == 'terminate') {
+      return event;
+    }
+  }
+  return null;
+};
+
+/**
+ * Continue the program with values, such as an event.
+ * @param {!Array} values The values.
+ * @return {boolean} False if the program stopped with an error.
+ * @private
+ */
+Blockly.ComputerCraft.Computer.prototype.resume_ = function(values) {
+  try {
+    this.vm.resume(values);
+  } catch (e) {
+    if (!(e instanceof LuaInterpreter.Error)) {
+      throw e;
+    }
+    this.fail_(e.value);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Update the computer's state after the interpreter stops.
+ * @param {!Object} result Result of LuaInterpreter.prototype.run.
+ * @private
+ */
+Blockly.ComputerCraft.Computer.prototype.handleResult_ = function(result) {
+  switch (result.status) {
+    case 'done':
+      this.state = 'done';
+      break;
+    case 'error':
+      this.fail_(result.error);
+      break;
+    case 'yield':
+      this.filter_ = typeof result.values[0] == 'string' ?
+          result.values[0] : undefined;
+      this.state = 'waiting';
+      break;
+    case 'suspend':
+      if (this.state == 'running') {
+        this.state = this.busyAction_ ? 'busy' :
+            this.pausing_ ? 'paused' : 'off';
+      }
+      break;
+  }
+};
+
+/**
+ * Stop the program because of an error, and show the error.
+ * @param {*} value The Lua error value.
+ * @private
+ */
+Blockly.ComputerCraft.Computer.prototype.fail_ = function(value) {
+  this.stop();
+  this.state = 'error';
+  this.error = value;
+  if (value !== undefined) {
+    this.onOutput(LuaParser.fromBytes(LuaInterpreter.tostring(value)) +
+                  '\n', true);
+  }
+};
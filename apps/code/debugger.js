@@ -0,0 +1,184 @@
+/**
+ * Blockly Lua: Debugger for simulated computers
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A debugger for programs generated from blocks.  The program
+ * is generated with Blockly.Lua.STATEMENT_PREFIX calling
+ * Blockly.ComputerCraft.Debugger.STEP_FUNCTION with the ID of each
+ * statement's block, and the debugger pauses the computer there when it
+ * reaches a breakpoint or is stepping through the program.
+ */
+'use strict';
+
+goog.provide('ComputerCraft.Debugger');
+
+goog.require('ComputerCraft.Computer');
+
+/**
+ * A debugger, which keeps its breakpoints from one run of the program to the
+ * next.
+ * @constructor
+ */
+Blockly.ComputerCraft.Debugger = function() {
+  // IDs of the blocks with breakpoints.
+  this.breakpoints = Object.create(null);
+  this.computer = null;
+  // 'run' to pause only at breakpoints, 'into' to pause at the next
+  // statement, or 'over' to pause at the next statement that isn't in a
+  // function called by the current one.
+  this.mode = 'run';
+  // ID of the block of the statement the program is paused at.
+  this.blockId = null;
+  // Called with the ID of the block when the program pauses.
+  this.onPause = function(blockId) {};
+  this.chunkName_ = 'program';
+  this.depth_ = 0;
+};
+
+/**
+ * Name of the Lua function called before each statement with the ID of the
+ * statement's block.
+ */
+Blockly.ComputerCraft.Debugger.STEP_FUNCTION = 'debugStep_';
+
+/**
+ * Debug the program a computer is about to run.
+ * @param {!Blockly.ComputerCraft.Computer} computer The computer.
+ * @param {string=} opt_mode How to start: 'run' (the default) or 'into' to
+ *     pause at the first statement.
+ * @param {string=} opt_chunkName Name the program was started with, if not
+ *     'program'.
+ */
+Blockly.ComputerCraft.Debugger.prototype.install = function(computer,
+    opt_mode, opt_chunkName) {
+  var debug = this;
+  this.computer = computer;
+  this.mode = opt_mode || 'run';
+  this.blockId = null;
+  this.chunkName_ = opt_chunkName || 'program';
+  var functions = {};
+  functions[Blockly.ComputerCraft.Debugger.STEP_FUNCTION] =
+      function(args, vm) {
+        return debug.step_(String(args[0]), vm);
+      };
+  computer.defineFunctions(computer.vm.globals, functions);
+};
+
+/**
+ * Decide whether to pause before a statement.
+ * @param {string} blockId ID of the statement's block.
+ * @param {!LuaInterpreter} vm The interpreter.
+ * @return {*} Results of the step function, or LuaInterpreter.SUSPEND to
+ *     pause.
+ * @private
+ */
+Blockly.ComputerCraft.Debugger.prototype.step_ = function(blockId, vm) {
+  var depth = vm.getCallDepth();
+  var pause = this.mode == 'into' || blockId in this.breakpoints ||
+      (this.mode == 'over' && depth <= this.depth_);
+  // Statements run by a function called from JavaScript, such as a
+  // comparison for table.sort, can't be paused at.
+  if (!pause || !vm.canSuspend()) {
+    return [];
+  }
+  this.blockId = blockId;
+  this.depth_ = depth;
+  this.onPause(blockId);
+  return this.computer.pause();
+};
+
+/**
+ * Is the program paused?
+ * @return {boolean} True if it is paused at a statement.
+ */
+Blockly.ComputerCraft.Debugger.prototype.isPaused = function() {
+  return !!this.computer && this.computer.state == 'paused';
+};
+
+/**
+ * Pause the program at the next statement it runs.
+ */
+Blockly.ComputerCraft.Debugger.prototype.pause = function() {
+  this.mode = 'into';
+};
+
+/**
+ * Let the paused program continue.
+ * @param {string=} opt_mode 'run' (the default) to continue to the next
+ *     breakpoint, 'into' to step to the next statement, or 'over' to step
+ *     over any functions this statement calls.
+ */
+Blockly.ComputerCraft.Debugger.prototype.resume = function(opt_mode) {
+  this.mode = opt_mode || 'run';
+  this.blockId = null;
+  if (this.isPaused()) {
+    this.computer.unpause();
+  }
+};
+
+/**
+ * Set a breakpoint on a statement's block, or remove the one there.
+ * @param {string} blockId ID of the block.
+ * @return {boolean} True if the block now has a breakpoint.
+ */
+Blockly.ComputerCraft.Debugger.prototype.toggleBreakpoint = function(
+    blockId) {
+  if (blockId in this.breakpoints) {
+    delete this.breakpoints[blockId];
+    return false;
+  }
+  this.breakpoints[blockId] = true;
+  return true;
+};
+
+/**
+ * Remove every breakpoint.
+ */
+Blockly.ComputerCraft.Debugger.prototype.clearBreakpoints = function() {
+  this.breakpoints = Object.create(null);
+};
+
+/**
+ * Get the values of the program's variables, as they are in the innermost
+ * of its functions being run that can see them, or as globals.
+ * @param {!Array.<string>} names Lua names of the variables.
+ * @return {!Object} Their values by name, with undefined for nil.
+ */
+Blockly.ComputerCraft.Debugger.prototype.getVariables = function(names) {
+  var values = {};
+  if (!this.computer) {
+    return values;
+  }
+  var vm = this.computer.vm;
+  var chunkName = this.chunkName_;
+  // Leave out the variables of functions like os.pullEvent.
+  var stack = vm.getStack().filter(function(frame) {
+    return frame.chunkName == chunkName;
+  });
+  names.forEach(function(name) {
+    for (var x = 0; x < stack.length; x++) {
+      if (name in stack[x].locals) {
+        values[name] = stack[x].locals[name];
+        return;
+      }
+    }
+    values[name] = vm.getGlobal(name);
+  });
+  return values;
+};
@@ -230,7 +230,8 @@ Blockly.ComputerCraft.DependentInputBlock.prototype.init = function() {
   var args = []
   for (var i = 0; i < this.info.args.length; i++) {
     var tuple = this.info.args[i];
-    if (typeof tuple[1] == 'string') {
+    // A value input's type is a string, or null for any type.
+    if (typeof tuple[1] == 'string' || tuple[1] === null) {
       args.push(tuple);
       if (tuple[0] == this.info.depName &&
           this.info.text.indexOf('%0') == -1) {
@@ -356,6 +357,16 @@ Blockly.ComputerCraft.DependentInputBlock.prototype.domToMutation =
       }
     };
 
+Blockly.ComputerCraft.DependentInputBlock.prototype.getOrderedParameterNames =
+    function() {
+      var names = Blockly.ComputerCraft.ValueBlock.prototype.
+          getOrderedParameterNames.call(this);
+      // Leave out the dependent input while it is hidden.
+      return names.filter(function(name) {
+        return this.dependentInputShown || name != this.info.depName;
+      }, this);
+    };
+
 Blockly.ComputerCraft.DependentInputBlock.prototype.generateDropdownCode =
     function(field) {
       // If this is a controlling dropdown, we need to check to see
@@ -0,0 +1,1049 @@
+/**
+ * Blockly Lua: Simulated file system
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The files of a simulated computer, kept in memory: the
+ * computer's own drive, the read-only /rom directory and floppy disks in
+ * disk drives, with the fs and disk APIs acting on them.  Functions fail
+ * with the same messages as in ComputerCraft 1.6, and drives fill up as
+ * they do there.
+ */
+'use strict';
+
+goog.provide('ComputerCraft.FileSystem');
+
+goog.require('ComputerCraft.Computer');
+
+/**
+ * Bytes a computer can store.
+ */
+Blockly.ComputerCraft.COMPUTER_SPACE = 1000000;
+
+/**
+ * Bytes a floppy disk can store.
+ */
+Blockly.ComputerCraft.FLOPPY_SPACE = 125000;
+
+/**
+ * Bytes taken by each file and directory, however small, as ComputerCraft
+ * counts them.
+ * @private
+ */
+Blockly.ComputerCraft.MINIMUM_FILE_SIZE_ = 500;
+
+/**
+ * Files in the /rom directory.
+ * @private
+ */
+Blockly.ComputerCraft.ROM_FILES_ = {
+  'help/intro': 'This computer is simulated in the browser.  Files you ' +
+      'save on it are kept in the browser too.\n',
+  'programs/hello': 'print("Hello World!")\n'
+};
+
+/**
+ * Lua code for the parts of ComputerCraft's bios that use files.
+ * @private
+ */
+Blockly.ComputerCraft.FILE_SYSTEM_PRELUDE_ = [
+  'local loading = {}',
+  'function os.loadAPI(path)',
+  '  local name = fs.getName(path)',
+  '  if loading[name] then',
+  '    printError("API " .. name .. " is already being loaded")',
+  '    return false',
+  '  end',
+  '  local fn, err = loadfile(path)',
+  '  if not fn then',
+  '    printError(err)',
+  '    return false',
+  '  end',
+  '  loading[name] = true',
+  '  local env = setmetatable({}, {__index = _G})',
+  '  setfenv(fn, env)',
+  '  fn()',
+  '  local api = {}',
+  '  for k, v in pairs(env) do',
+  '    api[k] = v',
+  '  end',
+  '  _G[name] = api',
+  '  loading[name] = nil',
+  '  return true',
+  'end',
+  'function os.unloadAPI(name)',
+  '  if name ~= "_G" and type(_G[name]) == "table" then',
+  '    _G[name] = nil',
+  '  end',
+  'end',
+  'function dofile(path)',
+  '  local fn, err = loadfile(path)',
+  '  if not fn then',
+  '    error(err, 2)',
+  '  end',
+  '  setfenv(fn, getfenv(2))',
+  '  return fn()',
+  'end'].join('\n');
+
+/**
+ * A drive's worth of files and directories.
+ * @param {number} capacity Number of bytes the drive can hold.
+ * @param {string} drive What fs.getDrive says the files are on.
+ * @param {boolean=} opt_readOnly Whether the files can't be changed.
+ * @constructor
+ */
+Blockly.ComputerCraft.Mount = function(capacity, drive, opt_readOnly) {
+  this.capacity = capacity;
+  this.drive = drive;
+  this.readOnly = !!opt_readOnly;
+  // Contents of files, and directories other than the top one, by path.
+  this.files = Object.create(null);
+  this.dirs = Object.create(null);
+};
+
+/**
+ * Is there a directory at a path?
+ * @param {string} path Path within the mount.
+ * @return {boolean} True if there is.
+ */
+Blockly.ComputerCraft.Mount.prototype.isDir = function(path) {
+  return path == '' || path in this.dirs;
+};
+
+/**
+ * Is there a file or directory at a path?
+ * @param {string} path Path within the mount.
+ * @return {boolean} True if there is.
+ */
+Blockly.ComputerCraft.Mount.prototype.exists = function(path) {
+  return this.isDir(path) || path in this.files;
+};
+
+/**
+ * Get the names of the files and directories in a directory.
+ * @param {string} path Path of the directory within the mount.
+ * @return {!Array.<string>} The names.
+ */
+Blockly.ComputerCraft.Mount.prototype.list = function(path) {
+  var prefix = path ? path + '/' : '';
+  var names = [];
+  var add = function(entry) {
+    if (entry.substring(0, prefix.length) == prefix &&
+        entry.indexOf('/', prefix.length) == -1) {
+      names.push(entry.substring(prefix.length));
+    }
+  };
+  Object.keys(this.dirs).forEach(add);
+  Object.keys(this.files).forEach(add);
+  return names;
+};
+
+/**
+ * Get the number of bytes in use.
+ * @return {number} Bytes used by the files and directories.
+ */
+Blockly.ComputerCraft.Mount.prototype.getUsed = function() {
+  var minimum = Blockly.ComputerCraft.MINIMUM_FILE_SIZE_;
+  var used = Object.keys(this.dirs).length * minimum;
+  for (var path in this.files) {
+    used += Math.max(this.files[path].length, minimum);
+  }
+  return used;
+};
+
+/**
+ * Get the number of bytes that can still be stored.
+ * @return {number} Free space.
+ */
+Blockly.ComputerCraft.Mount.prototype.getFreeSpace = function() {
+  return this.readOnly ? 0 : Math.max(this.capacity - this.getUsed(), 0);
+};
+
+/**
+ * Get the directories that would have to be created for a path to exist.
+ * @param {string} path Path within the mount.
+ * @return {!Array.<string>} Paths of the missing directories, outermost
+ *     first.
+ * @private
+ */
+Blockly.ComputerCraft.Mount.prototype.missingDirs_ = function(path) {
+  var missing = [];
+  for (var dir = path; dir && !this.isDir(dir);
+       dir = dir.substring(0, Math.max(dir.lastIndexOf('/'), 0))) {
+    missing.unshift(dir);
+  }
+  return missing;
+};
+
+/**
+ * Create a directory, and any directories containing it that are missing.
+ * @param {string} path Path within the mount.
+ * @throws {LuaInterpreter.Error} if there isn't enough space.
+ */
+Blockly.ComputerCraft.Mount.prototype.makeDir = function(path) {
+  var missing = this.missingDirs_(path);
+  if (missing.length * Blockly.ComputerCraft.MINIMUM_FILE_SIZE_ >
+      this.getFreeSpace()) {
+    throw new LuaInterpreter.Error('Out of space');
+  }
+  for (var x = 0; x < missing.length; x++) {
+    this.dirs[missing[x]] = true;
+  }
+};
+
+/**
+ * Replace the contents of a file, creating it and the directories containing
+ * it if they are missing.
+ * @param {string} path Path within the mount.
+ * @param {string} contents The new contents, as Lua bytes.
+ * @throws {LuaInterpreter.Error} if there isn't enough space.
+ */
+Blockly.ComputerCraft.Mount.prototype.writeFile = function(path, contents) {
+  var minimum = Blockly.ComputerCraft.MINIMUM_FILE_SIZE_;
+  var slash = path.lastIndexOf('/');
+  var missing = slash == -1 ? [] :
+      this.missingDirs_(path.substring(0, slash));
+  var needed = Math.max(contents.length, minimum) + missing.length * minimum;
+  if (path in this.files) {
+    needed -= Math.max(this.files[path].length, minimum);
+  }
+  if (needed > this.getFreeSpace()) {
+    throw new LuaInterpreter.Error('Out of space');
+  }
+  for (var x = 0; x < missing.length; x++) {
+    this.dirs[missing[x]] = true;
+  }
+  this.files[path] = contents;
+};
+
+/**
+ * Delete a file or a directory and everything in it.
+ * @param {string} path Path within the mount.
+ */
+Blockly.ComputerCraft.Mount.prototype.remove = function(path) {
+  var prefix = path + '/';
+  [this.files, this.dirs].forEach(function(entries) {
+    for (var entry in entries) {
+      if (entry == path || entry.substring(0, prefix.length) == prefix) {
+        delete entries[entry];
+      }
+    }
+  });
+};
+
+/**
+ * Get the files and directories as an object that can be saved as JSON.
+ * @return {!Object} The contents of the mount.
+ */
+Blockly.ComputerCraft.Mount.prototype.toJson = function() {
+  var files = {};
+  for (var path in this.files) {
+    files[path] = this.files[path];
+  }
+  return {files: files, dirs: Object.keys(this.dirs)};
+};
+
+/**
+ * Replace the files and directories with ones saved by toJson.
+ * @param {!Object} json The saved contents.
+ */
+Blockly.ComputerCraft.Mount.prototype.loadJson = function(json) {
+  this.files = Object.create(null);
+  this.dirs = Object.create(null);
+  for (var path in json.files) {
+    this.files[path] = json.files[path];
+  }
+  for (var x = 0; x < json.dirs.length; x++) {
+    this.dirs[json.dirs[x]] = true;
+  }
+};
+
+/**
+ * The files a computer can see, on its own drive and others mounted in it.
+ * @param {number=} opt_capacity Number of bytes the computer can store.
+ * @constructor
+ */
+Blockly.ComputerCraft.FileSystem = function(opt_capacity) {
+  this.computer = null;
+  // Mounts by the path they're mounted at.
+  this.mounts_ = Object.create(null);
+  this.mounts_[''] = new Blockly.ComputerCraft.Mount(
+      opt_capacity || Blockly.ComputerCraft.COMPUTER_SPACE, 'hdd');
+  var rom = new Blockly.ComputerCraft.Mount(0, 'rom', true);
+  for (var path in Blockly.ComputerCraft.ROM_FILES_) {
+    rom.files[path] = Blockly.ComputerCraft.ROM_FILES_[path];
+    rom.missingDirs_(path.substring(0, path.lastIndexOf('/')))
+        .forEach(function(dir) {
+          rom.dirs[dir] = true;
+        });
+  }
+  this.mounts_['rom'] = rom;
+  // Disk drives by the side of the computer they're on.  Each has the disk
+  // in it, if any, and where its files are mounted.
+  this.drives = Object.create(null);
+  this.nextDiskId_ = 0;
+};
+
+/**
+ * Tidy a path as ComputerCraft does: remove characters that aren't allowed,
+ * use '/' between names, and follow '.' and '..'.
+ * @param {string} path The path.
+ * @return {string} The path without a slash at either end, or starting with
+ *     '..' if it goes above the top directory.
+ */
+Blockly.ComputerCraft.FileSystem.sanitize = function(path) {
+  var parts = path.replace(/\\/g, '/').replace(/["*:<>?|]/g, '').split('/');
+  var result = [];
+  for (var x = 0; x < parts.length; x++) {
+    var part = parts[x];
+    if (part == '' || part == '.') {
+      continue;
+    }
+    if (part == '..' && result.length &&
+        result[result.length - 1] != '..') {
+      result.pop();
+    } else {
+      result.push(part.substring(0, 255));
+    }
+  }
+  return result.join('/');
+};
+
+/**
+ * Get the directory containing a path.
+ * @param {string} path A sanitized path.
+ * @return {string} The directory's path.
+ * @private
+ */
+Blockly.ComputerCraft.FileSystem.parent_ = function(path) {
+  return path.substring(0, Math.max(path.lastIndexOf('/'), 0));
+};
+
+/**
+ * Find the mount holding a path.
+ * @param {string} path The path.
+ * @return {{mount: !Blockly.ComputerCraft.Mount, path: string,
+ *     mountPath: string}} The mount, the path within it, and where it's
+ *     mounted.
+ * @throws {LuaInterpreter.Error} if the path goes above the top directory.
+ * @private
+ */
+Blockly.ComputerCraft.FileSystem.prototype.resolve_ = function(path) {
+  if (!this.isValid_(path)) {
+    throw new LuaInterpreter.Error('Invalid Path');
+  }
+  path = Blockly.ComputerCraft.FileSystem.sanitize(path);
+  var best = '';
+  for (var mountPath in this.mounts_) {
+    if (mountPath.length > best.length &&
+        (path == mountPath ||
+         path.substring(0, mountPath.length + 1) == mountPath + '/')) {
+      best = mountPath;
+    }
+  }
+  return {mount: this.mounts_[best], mountPath: best,
+          path: best ? path.substring(best.length + 1) : path};
+};
+
+/**
+ * Is a path inside the top directory?
+ * @param {string} path The path.
+ * @return {boolean} False if it goes above the top directory.
+ * @private
+ */
+Blockly.ComputerCraft.FileSystem.prototype.isValid_ = function(path) {
+  path = Blockly.ComputerCraft.FileSystem.sanitize(path);
+  return path != '..' && path.substring(0, 3) != '../';
+};
+
+/**
+ * Is there a file or directory at a path?
+ * @param {string} path The path.
+ * @return {boolean} True if there is.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.exists = function(path) {
+  var place = this.resolve_(path);
+  return place.mount.exists(place.path);
+};
+
+/**
+ * Is there a directory at a path?
+ * @param {string} path The path.
+ * @return {boolean} True if there is.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.isDir = function(path) {
+  var place = this.resolve_(path);
+  return place.mount.isDir(place.path);
+};
+
+/**
+ * Is a path on a drive that can't be changed?
+ * @param {string} path The path.
+ * @return {boolean} True if it is.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.isReadOnly = function(path) {
+  return this.resolve_(path).mount.readOnly;
+};
+
+/**
+ * Get the names of the files and directories in a directory, including
+ * drives mounted in it.
+ * @param {string} path Path of the directory.
+ * @return {!Array.<string>} The names, sorted.
+ * @throws {LuaInterpreter.Error} if there is no such directory.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.list = function(path) {
+  var place = this.resolve_(path);
+  if (!place.mount.isDir(place.path)) {
+    throw new LuaInterpreter.Error('Not a directory');
+  }
+  var names = place.mount.list(place.path);
+  var dir = Blockly.ComputerCraft.FileSystem.sanitize(path);
+  for (var mountPath in this.mounts_) {
+    if (mountPath && Blockly.ComputerCraft.FileSystem.parent_(mountPath) ==
+        dir) {
+      names.push(mountPath.substring(mountPath.lastIndexOf('/') + 1));
+    }
+  }
+  return names.sort();
+};
+
+/**
+ * Get the size of a file.
+ * @param {string} path The path.
+ * @return {number} Its size in bytes, or 0 for a directory.
+ * @throws {LuaInterpreter.Error} if there's nothing at the path.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.getSize = function(path) {
+  var place = this.resolve_(path);
+  if (!place.mount.exists(place.path)) {
+    throw new LuaInterpreter.Error('No such file');
+  }
+  var contents = place.mount.files[place.path];
+  return contents === undefined ? 0 : contents.length;
+};
+
+/**
+ * Get the contents of a file.
+ * @param {string} path The path.
+ * @return {?string} The contents as Lua bytes, or null if there's no file.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.readFile = function(path) {
+  var place = this.resolve_(path);
+  var contents = place.mount.files[place.path];
+  return contents === undefined ? null : contents;
+};
+
+/**
+ * Create or replace a file.
+ * @param {string} path The path.
+ * @param {string} contents The contents, as Lua bytes.
+ * @throws {LuaInterpreter.Error} if the file can't be written.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.writeFile = function(path,
+                                                                contents) {
+  var place = this.checkWritable_(path);
+  if (place.mount.isDir(place.path)) {
+    throw new LuaInterpreter.Error('Cannot write to directory');
+  }
+  place.mount.writeFile(place.path, contents);
+};
+
+/**
+ * Find the mount holding a path that is about to be changed.
+ * @param {string} path The path.
+ * @return {!Object} The mount and path within it, as from resolve_.
+ * @throws {LuaInterpreter.Error} if the path can't be changed.
+ * @private
+ */
+Blockly.ComputerCraft.FileSystem.prototype.checkWritable_ = function(path) {
+  var place = this.resolve_(path);
+  if (place.mount.readOnly) {
+    throw new LuaInterpreter.Error('Access denied');
+  }
+  return place;
+};
+
+/**
+ * Create a directory, and any directories containing it that are missing.
+ * @param {string} path The path.
+ * @throws {LuaInterpreter.Error} if the directory can't be created.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.makeDir = function(path) {
+  var place = this.checkWritable_(path);
+  if (place.mount.exists(place.path) && !place.mount.isDir(place.path)) {
+    throw new LuaInterpreter.Error('File exists');
+  }
+  place.mount.makeDir(place.path);
+};
+
+/**
+ * Delete a file or a directory and everything in it.  Nothing happens if
+ * there's nothing at the path.
+ * @param {string} path The path.
+ * @throws {LuaInterpreter.Error} if the path can't be changed.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.remove = function(path) {
+  var place = this.checkWritable_(path);
+  if (place.path == '') {
+    // The top directory of a drive.
+    throw new LuaInterpreter.Error('Access denied');
+  }
+  place.mount.remove(place.path);
+};
+
+/**
+ * Copy a file or a directory and everything in it.
+ * @param {string} from Path to copy.
+ * @param {string} to Path of the copy.
+ * @throws {LuaInterpreter.Error} if it can't be copied.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.copy = function(from, to) {
+  this.checkTransfer_(from, to, 'copy');
+  this.copyRecursive_(from, to);
+};
+
+/**
+ * Move a file or a directory and everything in it.
+ * @param {string} from Path to move.
+ * @param {string} to New path.
+ * @throws {LuaInterpreter.Error} if it can't be moved.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.move = function(from, to) {
+  this.checkTransfer_(from, to, 'move');
+  var place = this.checkWritable_(from);
+  if (place.path == '') {
+    throw new LuaInterpreter.Error('Access denied');
+  }
+  this.copyRecursive_(from, to);
+  place.mount.remove(place.path);
+};
+
+/**
+ * Check that a file or directory can be copied or moved.
+ * @param {string} from Path to copy or move.
+ * @param {string} to Where to copy or move it.
+ * @param {string} verb 'copy' or 'move', for error messages.
+ * @throws {LuaInterpreter.Error} if it can't be.
+ * @private
+ */
+Blockly.ComputerCraft.FileSystem.prototype.checkTransfer_ = function(from,
+                                                                     to,
+                                                                     verb) {
+  var sanitize = Blockly.ComputerCraft.FileSystem.sanitize;
+  this.checkWritable_(to);
+  if (!this.exists(from)) {
+    throw new LuaInterpreter.Error('No such file');
+  }
+  if (this.exists(to)) {
+    throw new LuaInterpreter.Error('File exists');
+  }
+  from = sanitize(from);
+  to = sanitize(to);
+  if (to.substring(0, from.length + 1) == from + '/') {
+    throw new LuaInterpreter.Error('Can\'t ' + verb +
+                                   ' a directory inside itself');
+  }
+};
+
+/**
+ * Copy a file or a directory and everything in it, which may be on another
+ * drive.
+ * @param {string} from Path to copy.
+ * @param {string} to Path of the copy.
+ * @private
+ */
+Blockly.ComputerCraft.FileSystem.prototype.copyRecursive_ = function(from,
+                                                                     to) {
+  if (this.isDir(from)) {
+    this.makeDir(to);
+    var names = this.list(from);
+    for (var x = 0; x < names.length; x++) {
+      this.copyRecursive_(from + '/' + names[x], to + '/' + names[x]);
+    }
+  } else {
+    this.writeFile(to, this.readFile(from));
+  }
+};
+
+/**
+ * Get the paths of every file and directory, as for a file browser.
+ * @return {!Array.<string>} The paths, sorted, without the top directory.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.getAllPaths = function() {
+  var paths = [];
+  var fileSystem = this;
+  var visit = function(dir) {
+    fileSystem.list(dir).forEach(function(name) {
+      var path = dir ? dir + '/' + name : name;
+      paths.push(path);
+      if (fileSystem.isDir(path)) {
+        visit(path);
+      }
+    });
+  };
+  visit('');
+  return paths;
+};
+
+/**
+ * Create a floppy disk.
+ * @param {string=} opt_label The disk's label.
+ * @return {!Object} The disk, to put in a drive.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.createDisk = function(opt_label) {
+  return {id: this.nextDiskId_++, label: opt_label || null,
+          mount: new Blockly.ComputerCraft.Mount(
+              Blockly.ComputerCraft.FLOPPY_SPACE, 'disk')};
+};
+
+/**
+ * Put a disk in the drive on one side of the computer, adding a drive there
+ * if there isn't one, and mounting the files on a floppy disk.
+ * @param {string} side The side of the computer.
+ * @param {!Object} disk A floppy disk from createDisk, or a music disk,
+ *     which has an 'audioTitle'.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.insertDisk = function(side,
+                                                                 disk) {
+  this.ejectDisk(side);
+  var drive = {disk: disk, mountPath: null, playing: false};
+  if (disk.mount) {
+    var mountPath = 'disk';
+    for (var n = 2; mountPath in this.mounts_ || this.exists(mountPath);
+         n++) {
+      mountPath = 'disk' + n;
+    }
+    disk.mount.drive = side;
+    this.mounts_[mountPath] = disk.mount;
+    drive.mountPath = mountPath;
+  }
+  this.drives[side] = drive;
+  if (this.computer) {
+    this.computer.queueEvent(['disk', side]);
+  }
+};
+
+/**
+ * Take the disk out of the drive on one side of the computer.
+ * @param {string} side The side of the computer.
+ * @return {Object} The disk, or null if there was none.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.ejectDisk = function(side) {
+  var drive = this.drives[side];
+  if (!drive || !drive.disk) {
+    return null;
+  }
+  var disk = drive.disk;
+  if (drive.mountPath) {
+    delete this.mounts_[drive.mountPath];
+  }
+  drive.disk = null;
+  drive.mountPath = null;
+  drive.playing = false;
+  if (this.computer) {
+    this.computer.queueEvent(['disk_eject', side]);
+  }
+  return disk;
+};
+
+/**
+ * Add a disk drive to one side of the computer, if there isn't one, as a
+ * peripheral that works like the disk API.
+ * @param {string} side The side of the computer.
+ * @return {!Object} The peripheral, to attach to the computer.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.createDrive = function(side) {
+  var fileSystem = this;
+  if (!this.drives[side]) {
+    this.drives[side] = {disk: null, mountPath: null, playing: false};
+  }
+  // Get the disk in the drive, if it's the kind wanted.  Putting a disk in
+  // replaces the drive's record.
+  var diskIn = function(property) {
+    var drive = fileSystem.drives[side];
+    var disk = drive && drive.disk;
+    return disk && (!property || disk[property] !== undefined) ? disk : null;
+  };
+  return {type: 'drive', methods: {
+    isDiskPresent: function() {
+      return [!!diskIn()];
+    },
+    getDiskLabel: function() {
+      var disk = diskIn('mount');
+      return [disk && disk.label || undefined];
+    },
+    setDiskLabel: function(args) {
+      var disk = diskIn('mount');
+      if (disk) {
+        disk.label = args[0] === undefined ? null :
+            LuaInterpreter.checkString(args, 0, 'setDiskLabel');
+      }
+      return [];
+    },
+    hasData: function() {
+      return [!!diskIn('mount')];
+    },
+    getMountPath: function() {
+      return [diskIn('mount') ? fileSystem.drives[side].mountPath :
+              undefined];
+    },
+    hasAudio: function() {
+      return [!!diskIn('audioTitle')];
+    },
+    getAudioTitle: function() {
+      var disk = diskIn();
+      return [disk ? disk.audioTitle || false : undefined];
+    },
+    playAudio: function() {
+      if (diskIn('audioTitle')) {
+        fileSystem.drives[side].playing = true;
+      }
+      return [];
+    },
+    stopAudio: function() {
+      if (diskIn()) {
+        fileSystem.drives[side].playing = false;
+      }
+      return [];
+    },
+    ejectDisk: function() {
+      fileSystem.ejectDisk(side);
+      return [];
+    },
+    getDiskID: function() {
+      var disk = diskIn('mount');
+      return [disk ? disk.id : undefined];
+    }
+  }};
+};
+
+/**
+ * Get the computer's files, and the disks in its drives, as an object that
+ * can be saved as JSON.
+ * @return {!Object} The files and disks.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.toJson = function() {
+  var drives = {};
+  for (var side in this.drives) {
+    var disk = this.drives[side].disk;
+    drives[side] = disk && (disk.mount ?
+        {id: disk.id, label: disk.label, files: disk.mount.toJson()} :
+        {audioTitle: disk.audioTitle});
+  }
+  return {files: this.mounts_[''].toJson(), drives: drives,
+          nextDiskId: this.nextDiskId_};
+};
+
+/**
+ * Replace the computer's files, and the disks in its drives, with ones
+ * saved by toJson.
+ * @param {!Object} json The saved files and disks.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.loadJson = function(json) {
+  this.mounts_[''].loadJson(json.files);
+  for (var side in this.drives) {
+    this.ejectDisk(side);
+  }
+  this.drives = Object.create(null);
+  this.nextDiskId_ = json.nextDiskId || 0;
+  for (side in json.drives) {
+    var saved = json.drives[side];
+    var disk = saved;
+    if (saved && saved.files) {
+      disk = {id: saved.id, label: saved.label,
+              mount: new Blockly.ComputerCraft.Mount(
+                  Blockly.ComputerCraft.FLOPPY_SPACE, side)};
+      disk.mount.loadJson(saved.files);
+    }
+    if (disk) {
+      this.insertDisk(side, disk);
+    } else {
+      this.drives[side] = {disk: null, mountPath: null, playing: false};
+    }
+  }
+};
+
+/**
+ * Open a file for a program, as fs.open does.
+ * @param {string} path The path.
+ * @param {string} mode 'r' to read lines, 'w' to write them, 'a' to add
+ *     lines to the end, or one of these followed by 'b' to read or write
+ *     bytes.
+ * @return {LuaInterpreter.Table} A table of functions for using the file,
+ *     or null if it can't be opened.
+ * @private
+ */
+Blockly.ComputerCraft.FileSystem.prototype.open_ = function(path, mode) {
+  var place = this.resolve_(path);
+  var mount = place.mount;
+  var handle = new LuaInterpreter.Table();
+  var closed = false;
+  var flush = null;
+  var functions = {};
+  var check = function(fn) {
+    return function(args, vm) {
+      if (closed) {
+        throw new LuaInterpreter.Error('Stream closed');
+      }
+      return fn(args, vm);
+    };
+  };
+  if (mode == 'r' || mode == 'rb') {
+    var contents = mount.files[place.path];
+    if (contents === undefined) {
+      return null;
+    }
+    var position = 0;
+    if (mode == 'r') {
+      functions.readLine = check(function() {
+        if (position >= contents.length) {
+          return [undefined];
+        }
+        var end = contents.indexOf('\n', position);
+        if (end == -1) {
+          end = contents.length;
+        }
+        var line = contents.substring(position, end).replace(/\r$/, '');
+        position = end + 1;
+        return [line];
+      });
+      functions.readAll = check(function() {
+        // Like readLine, this loses the line break at the end.
+        var rest = contents.substring(position).replace(/\r\n/g, '\n');
+        position = contents.length;
+        return [rest.replace(/\n$/, '')];
+      });
+    } else {
+      functions.read = check(function() {
+        return [position < contents.length ?
+                contents.charCodeAt(position++) : undefined];
+      });
+    }
+  } else if (mode == 'w' || mode == 'a' || mode == 'wb' || mode == 'ab') {
+    if (mount.readOnly || mount.isDir(place.path)) {
+      return null;
+    }
+    var buffer = mode.charAt(0) == 'a' && mount.files[place.path] || '';
+    try {
+      mount.writeFile(place.path, buffer);
+    } catch (e) {
+      if (e instanceof LuaInterpreter.Error) {
+        return null;
+      }
+      throw e;
+    }
+    flush = function() {
+      mount.writeFile(place.path, buffer);
+      return [];
+    };
+    if (mode.charAt(1) == 'b') {
+      functions.write = check(function(args) {
+        buffer += String.fromCharCode(
+            LuaInterpreter.checkNumber(args, 0, 'write') & 0xff);
+        return [];
+      });
+    } else {
+      functions.write = check(function(args, vm) {
+        buffer += args[0] === undefined ? '' : vm.tostring(args[0]);
+        return [];
+      });
+      functions.writeLine = check(function(args, vm) {
+        buffer += (args[0] === undefined ? '' : vm.tostring(args[0])) + '\n';
+        return [];
+      });
+    }
+    functions.flush = check(flush);
+  } else {
+    throw new LuaInterpreter.Error('Unsupported mode');
+  }
+  functions.close = check(function() {
+    closed = true;
+    return flush ? flush() : [];
+  });
+  this.computer.defineFunctions(handle, functions);
+  return handle;
+};
+
+/**
+ * Add the fs and disk APIs, and the functions that load files, to a
+ * computer.
+ * @param {!Blockly.ComputerCraft.Computer} computer The computer.
+ */
+Blockly.ComputerCraft.FileSystem.prototype.install = function(computer) {
+  var fileSystem = this;
+  this.computer = computer;
+  var checkString = LuaInterpreter.checkString;
+  var fs = new LuaInterpreter.Table();
+  computer.defineFunctions(fs, {
+    list: function(args) {
+      var names = fileSystem.list(checkString(args, 0, 'list'));
+      var table = new LuaInterpreter.Table();
+      for (var x = 0; x < names.length; x++) {
+        table.set(x + 1, names[x]);
+      }
+      return [table];
+    },
+    exists: function(args) {
+      var path = checkString(args, 0, 'exists');
+      // Paths above the top directory don't exist.
+      return [fileSystem.isValid_(path) && fileSystem.exists(path)];
+    },
+    isDir: function(args) {
+      var path = checkString(args, 0, 'isDir');
+      return [fileSystem.isValid_(path) && fileSystem.isDir(path)];
+    },
+    isReadOnly: function(args) {
+      return [fileSystem.isReadOnly(checkString(args, 0, 'isReadOnly'))];
+    },
+    getName: function(args) {
+      var path = Blockly.ComputerCraft.FileSystem.sanitize(
+          checkString(args, 0, 'getName'));
+      return [path ? path.substring(path.lastIndexOf('/') + 1) : 'root'];
+    },
+    getDir: function(args) {
+      var path = Blockly.ComputerCraft.FileSystem.sanitize(
+          checkString(args, 0, 'getDir'));
+      return [path ? Blockly.ComputerCraft.FileSystem.parent_(path) : '..'];
+    },
+    getDrive: function(args) {
+      var path = checkString(args, 0, 'getDrive');
+      return [fileSystem.isValid_(path) && fileSystem.exists(path) ?
+              fileSystem.resolve_(path).mount.drive : undefined];
+    },
+    getSize: function(args) {
+      return [fileSystem.getSize(checkString(args, 0, 'getSize'))];
+    },
+    getFreeSpace: function(args) {
+      var place = fileSystem.resolve_(checkString(args, 0, 'getFreeSpace'));
+      return [place.mount.getFreeSpace()];
+    },
+    makeDir: function(args) {
+      fileSystem.makeDir(checkString(args, 0, 'makeDir'));
+      return [];
+    },
+    move: function(args) {
+      fileSystem.move(checkString(args, 0, 'move'),
+                      checkString(args, 1, 'move'));
+      return [];
+    },
+    copy: function(args) {
+      fileSystem.copy(checkString(args, 0, 'copy'),
+                      checkString(args, 1, 'copy'));
+      return [];
+    },
+    'delete': function(args) {
+      fileSystem.remove(checkString(args, 0, 'delete'));
+      return [];
+    },
+    combine: function(args) {
+      return [Blockly.ComputerCraft.FileSystem.sanitize(
+          checkString(args, 0, 'combine') + '/' +
+          checkString(args, 1, 'combine'))];
+    },
+    open: function(args) {
+      var handle = fileSystem.open_(checkString(args, 0, 'open'),
+                                    checkString(args, 1, 'open'));
+      return [handle || undefined];
+    }
+  });
+  computer.vm.setGlobal('fs', fs);
+
+  var disk = new LuaInterpreter.Table();
+  // Get the disk in the drive on a side, if it's the kind wanted.
+  var diskAt = function(args, name, property) {
+    var drive = fileSystem.drives[checkString(args, 0, name)];
+    var disk = drive && drive.disk;
+    return disk && (!property || disk[property] !== undefined) ? disk : null;
+  };
+  computer.defineFunctions(disk, {
+    isPresent: function(args) {
+      return [!!diskAt(args, 'isPresent')];
+    },
+    hasData: function(args) {
+      return [!!diskAt(args, 'hasData', 'mount')];
+    },
+    getMountPath: function(args) {
+      return diskAt(args, 'getMountPath', 'mount') ?
+          [fileSystem.drives[args[0]].mountPath] : [undefined];
+    },
+    getLabel: function(args) {
+      var disk = diskAt(args, 'getLabel', 'mount');
+      return [disk && disk.label || undefined];
+    },
+    setLabel: function(args) {
+      var disk = diskAt(args, 'setLabel', 'mount');
+      if (disk) {
+        disk.label = args[1] === undefined ? null :
+            checkString(args, 1, 'setLabel');
+      }
+      return [];
+    },
+    getID: function(args) {
+      var disk = diskAt(args, 'getID', 'mount');
+      return [disk ? disk.id : undefined];
+    },
+    hasAudio: function(args) {
+      return [!!diskAt(args, 'hasAudio', 'audioTitle')];
+    },
+    getAudioTitle: function(args) {
+      var disk = diskAt(args, 'getAudioTitle');
+      return [disk ? disk.audioTitle || false : undefined];
+    },
+    playAudio: function(args) {
+      if (diskAt(args, 'playAudio', 'audioTitle')) {
+        fileSystem.drives[args[0]].playing = true;
+      }
+      return [];
+    },
+    stopAudio: function(args) {
+      if (diskAt(args, 'stopAudio')) {
+        fileSystem.drives[args[0]].playing = false;
+      }
+      return [];
+    },
+    eject: function(args) {
+      fileSystem.ejectDisk(checkString(args, 0, 'eject'));
+      return [];
+    }
+  });
+  computer.vm.setGlobal('disk', disk);
+
+  computer.defineFunctions(computer.vm.globals, {
+    loadfile: function(args, vm) {
+      var path = checkString(args, 0, 'loadfile');
+      var contents = fileSystem.isValid_(path) ?
+          fileSystem.readFile(path) : null;
+      if (contents === null) {
+        return [undefined, 'File not found'];
+      }
+      var name = Blockly.ComputerCraft.FileSystem.sanitize(path);
+      try {
+        return [vm.load(LuaParser.fromBytes(contents),
+                        name.substring(name.lastIndexOf('/') + 1))];
+      } catch (e) {
+        if (e instanceof LuaInterpreter.Error) {
+          return [undefined, e.value];
+        }
+        throw e;
+      }
+    }
+  });
+  computer.vm.call(computer.vm.load(
+      Blockly.ComputerCraft.FILE_SYSTEM_PRELUDE_, 'bios'), []);
+};
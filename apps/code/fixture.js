@@ -0,0 +1,218 @@
+/**
+ * Blockly Lua: Fixtures for checking programs
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Running a program on a simulated computer set up from a
+ * fixture, and checking what it did, so that programs can be tested without
+ * the Code app, as tests/run_workspace.js does.  A fixture is a JSON object
+ * such as:
+ *
+ *   {"turtle": {"fuel": 10, "inventory": [{"name": "coal", "count": 2}]},
+ *    "blocks": [{"x": 0, "y": 64, "z": -1, "name": "stone"}],
+ *    "files": {"data/plan": "3"},
+ *    "events": [["key", 28]],
+ *    "expect": {"turtle": {"x": 0, "z": -3, "fuel": 7},
+ *               "files": {"log": "done\n", "data/plan": null},
+ *               "screen": "Finished"}}
+ *
+ * Every setting is optional.  'computer' has the computer's 'id' and
+ * 'label'; 'terminal' its screen's 'width' and 'height'; 'turtle' makes it a
+ * turtle, with the options of SimulatedTurtle.  'blocks' changes the world
+ * the turtle is in, 'files' are put on the computer before it starts (null
+ * for a directory), and 'events' are queued once the program has started.
+ * 'maxTime' is the time in milliseconds at which to stop the program.
+ *
+ * 'expect' lists what the program should have done: the computer's final
+ * 'state' ('done' by default), the turtle's 'x', 'y', 'z', 'facing',
+ * 'fuel', 'selected' slot and 'inventory', the contents of 'files' (null
+ * for one that shouldn't exist), and the text left on the 'screen'.
+ */
+'use strict';
+
+goog.provide('ComputerCraft.Fixture');
+
+goog.require('ComputerCraft.Computer');
+goog.require('ComputerCraft.FileSystem');
+goog.require('ComputerCraft.Terminal');
+goog.require('ComputerCraft.TurtleSim');
+
+/**
+ * Time in milliseconds at which a program that hasn't finished is stopped,
+ * unless the fixture says otherwise.
+ */
+Blockly.ComputerCraft.FIXTURE_MAX_TIME = 600000;
+
+/**
+ * Name of the global function that the unittest_main block calls with the
+ * results of its tests (see tests/generators/unittest_lua.js).
+ */
+Blockly.ComputerCraft.TEST_RESULTS_FUNCTION = 'unittestReportResults';
+
+/**
+ * A computer to run a program on, and what the program should do.
+ * @param {Object=} opt_json The fixture, as described above.
+ * @constructor
+ */
+Blockly.ComputerCraft.Fixture = function(opt_json) {
+  var json = opt_json || {};
+  this.computer = json.computer || {};
+  this.terminal = json.terminal || {};
+  this.turtle = json.turtle || null;
+  this.blocks = json.blocks || [];
+  this.files = json.files || {};
+  this.events = json.events || [];
+  this.maxTime = json.maxTime === undefined ?
+      Blockly.ComputerCraft.FIXTURE_MAX_TIME : json.maxTime;
+  this.expect = json.expect || {};
+};
+
+/**
+ * Run a program on a new computer set up as the fixture says, and check it.
+ * @param {string} source Lua source code.
+ * @return {!Object} The results, which can be turned into JSON: whether the
+ *     program 'passed', the 'failures' if not, the computer's final 'state'
+ *     and any 'error', the 'time' it took in milliseconds, the text on the
+ *     'screen', the 'turtle' (or null), the 'files' on the computer, and the
+ *     'tests' reported by unittest_main blocks (or null if there were none).
+ */
+Blockly.ComputerCraft.Fixture.prototype.run = function(source) {
+  var computer = new Blockly.ComputerCraft.Computer(this.computer);
+  var terminal = new Blockly.ComputerCraft.Terminal(this.terminal);
+  terminal.install(computer);
+  var fileSystem = new Blockly.ComputerCraft.FileSystem();
+  for (var path in this.files) {
+    if (this.files[path] === null) {
+      fileSystem.makeDir(path);
+    } else {
+      fileSystem.writeFile(path, LuaParser.toBytes(this.files[path]));
+    }
+  }
+  fileSystem.install(computer);
+  var turtle = null;
+  if (this.turtle) {
+    var world = new Blockly.ComputerCraft.TurtleWorld();
+    this.blocks.forEach(function(block) {
+      world.setBlock(block.x, block.y, block.z, block.name);
+    });
+    turtle = new Blockly.ComputerCraft.SimulatedTurtle(world, this.turtle);
+    turtle.install(computer);
+  }
+  var tests = null;
+  var functions = {};
+  functions[Blockly.ComputerCraft.TEST_RESULTS_FUNCTION] = function(args) {
+    LuaInterpreter.checkType(args, 0, 'table',
+                             Blockly.ComputerCraft.TEST_RESULTS_FUNCTION);
+    var results = args[0];
+    tests = [];
+    for (var x = 1; x <= results.length(); x++) {
+      var test = results.get(x);
+      tests.push({
+        title: LuaParser.fromBytes(String(test.get('title'))),
+        success: test.get('success') === true,
+        log: LuaParser.fromBytes(String(test.get('log')))
+      });
+    }
+    return [];
+  };
+  computer.defineFunctions(computer.vm.globals, functions);
+  if (computer.start(source, 'program')) {
+    this.events.forEach(function(event) {
+      computer.queueEvent(event.map(function(value) {
+        return typeof value == 'string' ? LuaParser.toBytes(value) : value;
+      }));
+    });
+    computer.runToCompletion(this.maxTime);
+  }
+  var result = {
+    passed: false,
+    failures: [],
+    state: computer.state,
+    error: computer.error == null ? null :
+        LuaParser.fromBytes(LuaInterpreter.tostring(computer.error)),
+    time: computer.time,
+    screen: LuaParser.fromBytes(terminal.toString()),
+    turtle: turtle && {
+      x: turtle.x,
+      y: turtle.y,
+      z: turtle.z,
+      facing: turtle.facing,
+      fuel: turtle.fuel,
+      selected: turtle.selected,
+      inventory: turtle.slots
+    },
+    files: {},
+    tests: tests
+  };
+  fileSystem.getAllPaths().forEach(function(path) {
+    if (!fileSystem.isDir(path) && !fileSystem.isReadOnly(path)) {
+      result.files[path] = LuaParser.fromBytes(fileSystem.readFile(path));
+    }
+  });
+  result.failures = this.check_(result);
+  result.passed = !result.failures.length;
+  return result;
+};
+
+/**
+ * Compare the results of a program with what the fixture expects.
+ * @param {!Object} result The results, as from run.
+ * @return {!Array.<string>} A description of each difference.
+ * @private
+ */
+Blockly.ComputerCraft.Fixture.prototype.check_ = function(result) {
+  var failures = [];
+  var compare = function(what, expected, actual) {
+    if (JSON.stringify(expected) != JSON.stringify(actual)) {
+      failures.push(what + ': expected ' + JSON.stringify(expected) +
+                    ', got ' + JSON.stringify(actual));
+    }
+  };
+  var expect = this.expect;
+  compare('State', expect.state || 'done', result.state);
+  if (expect.turtle) {
+    if (!result.turtle) {
+      failures.push('Turtle: the fixture has no turtle');
+    } else {
+      for (var key in expect.turtle) {
+        var expected = expect.turtle[key];
+        if (key == 'inventory') {
+          // Slots left out are expected to be empty.
+          expected = expected.slice();
+          while (expected.length < result.turtle.inventory.length) {
+            expected.push(null);
+          }
+        }
+        compare('Turtle ' + key, expected, result.turtle[key]);
+      }
+    }
+  }
+  for (var path in expect.files || {}) {
+    var contents = path in result.files ? result.files[path] : null;
+    compare('File ' + path, expect.files[path], contents);
+  }
+  if (expect.screen !== undefined) {
+    compare('Screen', expect.screen, result.screen);
+  }
+  (result.tests || []).forEach(function(test) {
+    if (!test.success) {
+      failures.push('Test ' + test.title + ': ' + test.log);
+    }
+  });
+  return failures;
+};
@@ -0,0 +1,375 @@
+/**
+ * Blockly Lua: Fuel estimates for turtle programs
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Estimating from the blocks, without running the program,
+ * how much fuel a turtle needs: each move block uses one unit of fuel, loops
+ * with constant bounds multiply what their bodies use, and calls to
+ * procedures use what the procedures do.
+ *
+ * An estimate is an object with the 'min' and 'max' fuel used, where 'max'
+ * is Infinity if it is unknown, as for a while loop that moves.  Moves are
+ * counted even if they may be blocked, since a turtle needs the fuel for
+ * the way it is meant to go.
+ */
+'use strict';
+
+goog.provide('ComputerCraft.Fuel');
+
+/**
+ * Types of the loop blocks whose estimates are shown on them.
+ */
+Blockly.ComputerCraft.FUEL_LOOP_TYPES = ['controls_repeat',
+    'controls_repeat_ext', 'controls_whileUntil', 'controls_for',
+    'controls_forEach'];
+
+/**
+ * An estimate of the fuel used by the blocks of a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @constructor
+ */
+Blockly.ComputerCraft.FuelEstimate = function(workspace) {
+  this.workspace_ = workspace;
+  // Estimates of each run of the loops, by block ID.
+  this.loops_ = Object.create(null);
+  // Estimates of each call to the procedures, by name.
+  this.procedures_ = Object.create(null);
+  // Names of the procedures being estimated, to find recursion.
+  this.estimating_ = Object.create(null);
+  this.total = {min: 0, max: 0};
+  var blocks = workspace.getTopBlocks(false);
+  for (var x = 0; x < blocks.length; x++) {
+    if (blocks[x].getProcedureDef) {
+      // Estimate the loops in procedures that aren't called too.
+      this.estimateProcedure_(blocks[x].getProcedureDef()[0]);
+    } else {
+      this.total = Blockly.ComputerCraft.FuelEstimate.add_(this.total,
+          this.estimateStack_(blocks[x]));
+    }
+  }
+};
+
+/**
+ * Sum of estimates.
+ * @param {...!Object} var_args The estimates.
+ * @return {!Object} Their sum.
+ * @private
+ */
+Blockly.ComputerCraft.FuelEstimate.add_ = function(var_args) {
+  var sum = {min: 0, max: 0};
+  for (var x = 0; x < arguments.length; x++) {
+    sum.min += arguments[x].min;
+    sum.max += arguments[x].max;
+  }
+  return sum;
+};
+
+/**
+ * Estimate of a loop, from an estimate of one run of its body.
+ * @param {!Object} body The estimate of the body.
+ * @param {number} min Fewest times the body runs.
+ * @param {number} max Most times the body runs, or Infinity if unknown.
+ * @return {!Object} The estimate of the whole loop.
+ * @private
+ */
+Blockly.ComputerCraft.FuelEstimate.repeat_ = function(body, min, max) {
+  return {min: body.min * min,
+          max: body.max ? body.max * max : 0};
+};
+
+/**
+ * Get the value of a block if it is a constant number.
+ * @param {Blockly.Block} block The block, or null for an empty input.
+ * @param {number} empty Value of an empty input, as generated.
+ * @return {?number} The value, or null if it isn't constant.
+ * @private
+ */
+Blockly.ComputerCraft.FuelEstimate.getConstant_ = function(block, empty) {
+  if (!block) {
+    return empty;
+  }
+  if (block.type == 'math_number' && !block.disabled) {
+    var value = parseFloat(block.getTitleValue('NUM'));
+    return isNaN(value) ? null : value;
+  }
+  return null;
+};
+
+/**
+ * Get the estimate of a loop.
+ * @param {string} id ID of the loop's block.
+ * @return {Object} The estimate of each time the loop runs, or null if the
+ *     block isn't a loop or isn't run.
+ */
+Blockly.ComputerCraft.FuelEstimate.prototype.getLoop = function(id) {
+  return this.loops_[id] || null;
+};
+
+/**
+ * Estimate a block and those after it.
+ * @param {Blockly.Block} block The first block, or null.
+ * @return {!Object} The estimate.
+ * @private
+ */
+Blockly.ComputerCraft.FuelEstimate.prototype.estimateStack_ = function(
+    block) {
+  var estimate = {min: 0, max: 0};
+  for (; block; block = block.nextConnection &&
+           block.nextConnection.targetBlock()) {
+    estimate = Blockly.ComputerCraft.FuelEstimate.add_(estimate,
+        this.estimateBlock_(block));
+  }
+  return estimate;
+};
+
+/**
+ * Estimate the block plugged into an input.
+ * @param {!Blockly.Block} block The block with the input.
+ * @param {string} name Name of the input.
+ * @return {!Object} The estimate.
+ * @private
+ */
+Blockly.ComputerCraft.FuelEstimate.prototype.estimateInput_ = function(
+    block, name) {
+  return this.estimateStack_(block.getInputTargetBlock(name));
+};
+
+/**
+ * Estimate a block, without those after it.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Object} The estimate.
+ * @private
+ */
+Blockly.ComputerCraft.FuelEstimate.prototype.estimateBlock_ = function(
+    block) {
+  var FuelEstimate = Blockly.ComputerCraft.FuelEstimate;
+  if (block.disabled || block.getProcedureDef) {
+    // Disabled blocks aren't generated, and procedures run when called.
+    return {min: 0, max: 0};
+  }
+  if (block.getEventName) {
+    // An event handler runs each time its event happens, if ever.
+    return this.estimateLoop_(block, {min: 0, max: 0}, 0, Infinity);
+  }
+  var estimate;
+  switch (block.type) {
+    case 'turtle_move':
+      return {min: 1, max: 1};
+    case 'turtle_face':
+      // The turtle moves forward and back to find which way it faces.
+      return {min: 0, max: 2};
+    case 'controls_repeat':
+      var times = parseInt(block.getTitleValue('TIMES'), 10) || 0;
+      estimate = this.estimateLoop_(block, {min: 0, max: 0}, times, times);
+      break;
+    case 'controls_repeat_ext':
+      var times = FuelEstimate.getConstant_(
+          block.getInputTargetBlock('TIMES'), 0);
+      times = times === null ? null : Math.max(0, Math.floor(times));
+      estimate = FuelEstimate.add_(this.estimateInput_(block, 'TIMES'),
+          this.estimateLoop_(block, {min: 0, max: 0},
+              times === null ? 0 : times,
+              times === null ? Infinity : times));
+      break;
+    case 'controls_for':
+      var from = FuelEstimate.getConstant_(
+          block.getInputTargetBlock('FROM'), 0);
+      var to = FuelEstimate.getConstant_(block.getInputTargetBlock('TO'), 0);
+      var by = FuelEstimate.getConstant_(block.getInputTargetBlock('BY'), 1);
+      var times = null;
+      if (from !== null && to !== null && by !== null) {
+        // The step is left out of the code if it is 1 or -1.
+        by = Math.abs(by) == 1 ? 1 : by;
+        times = by ? Math.max(0, Math.floor((to - from) / by) + 1) : 0;
+      }
+      estimate = FuelEstimate.add_(this.estimateInput_(block, 'FROM'),
+          this.estimateInput_(block, 'TO'), this.estimateInput_(block, 'BY'),
+          this.estimateLoop_(block, {min: 0, max: 0},
+              times === null ? 0 : times,
+              times === null ? Infinity : times));
+      break;
+    case 'controls_whileUntil':
+      // The condition is checked before each run of the body, and once more.
+      var condition = this.estimateInput_(block, 'BOOL');
+      estimate = FuelEstimate.add_(condition,
+          this.estimateLoop_(block, condition, 0, Infinity));
+      break;
+    case 'controls_forEach':
+      estimate = FuelEstimate.add_(this.estimateInput_(block, 'LIST'),
+          this.estimateLoop_(block, {min: 0, max: 0}, 0, Infinity));
+      break;
+    case 'controls_if':
+      estimate = this.estimateIf_(block);
+      break;
+    case 'parallel_wait_for_any':
+      // Only the branch that finishes first is sure to run to its end.
+      estimate = {min: Infinity, max: 0};
+      for (var x = 0, input; input = block.inputList[x]; x++) {
+        if (input.connection) {
+          var branch = this.estimateInput_(block, input.name);
+          estimate.min = Math.min(estimate.min, branch.min);
+          estimate.max += branch.max;
+        }
+      }
+      estimate.min = Math.min(estimate.min, estimate.max);
+      return estimate;
+    case 'procedures_callnoreturn':
+    case 'procedures_callreturn':
+      estimate = this.estimateProcedure_(block.getTitleValue('NAME'));
+      for (var x = 0, input; input = block.inputList[x]; x++) {
+        if (input.connection) {
+          estimate = FuelEstimate.add_(estimate,
+                                       this.estimateInput_(block, input.name));
+        }
+      }
+      return estimate;
+    default:
+      // How far 'go to' moves depends on where the turtle starts.
+      estimate = {min: 0, max: block.type == 'turtle_go_to' ? Infinity : 0};
+      for (var x = 0, input; input = block.inputList[x]; x++) {
+        if (input.connection) {
+          estimate = FuelEstimate.add_(estimate,
+                                       this.estimateInput_(block, input.name));
+        }
+      }
+      return estimate;
+  }
+  if (Blockly.ComputerCraft.FUEL_LOOP_TYPES.indexOf(block.type) != -1) {
+    this.loops_[block.id] = estimate;
+  }
+  return estimate;
+};
+
+/**
+ * Estimate a loop whose body runs a number of times.
+ * @param {!Blockly.Block} block The loop block.
+ * @param {!Object} step Estimate of what is run before each run of the body,
+ *     such as checking the condition.
+ * @param {number} min Fewest times the body runs.
+ * @param {number} max Most times the body runs, or Infinity if unknown.
+ * @return {!Object} The estimate of the runs of the body, without the
+ *     inputs the loop evaluates once.
+ * @private
+ */
+Blockly.ComputerCraft.FuelEstimate.prototype.estimateLoop_ = function(block,
+    step, min, max) {
+  var FuelEstimate = Blockly.ComputerCraft.FuelEstimate;
+  var body = FuelEstimate.add_(step, this.estimateInput_(block, 'DO'));
+  // A 'break' may end the loop before its first run.
+  var descendants = block.getDescendants();
+  for (var x = 0; x < descendants.length; x++) {
+    if (descendants[x].type == 'controls_flow_statements' &&
+        !descendants[x].disabled &&
+        descendants[x].getTitleValue('FLOW') == 'BREAK') {
+      var loop = descendants[x].getSurroundParent();
+      while (loop &&
+             Blockly.ComputerCraft.FUEL_LOOP_TYPES.indexOf(loop.type) == -1) {
+        loop = loop.getSurroundParent();
+      }
+      if (loop == block) {
+        min = 0;
+      }
+    }
+  }
+  return FuelEstimate.repeat_(body, min, max);
+};
+
+/**
+ * Estimate an 'if' block: the conditions checked, and the branch taken.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Object} The estimate.
+ * @private
+ */
+Blockly.ComputerCraft.FuelEstimate.prototype.estimateIf_ = function(block) {
+  var FuelEstimate = Blockly.ComputerCraft.FuelEstimate;
+  var conditions = {min: 0, max: 0};
+  var estimate = {min: Infinity, max: 0};
+  var take = function(branch) {
+    var path = FuelEstimate.add_(conditions, branch);
+    estimate.min = Math.min(estimate.min, path.min);
+    estimate.max = Math.max(estimate.max, path.max);
+  };
+  for (var n = 0; block.getInput('IF' + n); n++) {
+    conditions = FuelEstimate.add_(conditions,
+                                   this.estimateInput_(block, 'IF' + n));
+    take(this.estimateInput_(block, 'DO' + n));
+  }
+  // With no 'else', nothing more is run if every condition is false.
+  take(block.getInput('ELSE') ? this.estimateInput_(block, 'ELSE') :
+       {min: 0, max: 0});
+  return estimate;
+};
+
+/**
+ * Estimate a call to a procedure.
+ * @param {string} name Name of the procedure.
+ * @return {!Object} The estimate, without its arguments.
+ * @private
+ */
+Blockly.ComputerCraft.FuelEstimate.prototype.estimateProcedure_ = function(
+    name) {
+  var key = name.toLowerCase();
+  if (this.procedures_[key]) {
+    return this.procedures_[key];
+  }
+  var definition = Blockly.Procedures.getDefinition(name, this.workspace_);
+  if (!definition || definition.disabled) {
+    return {min: 0, max: 0};
+  }
+  if (this.estimating_[key]) {
+    // How deep the recursion goes isn't known.
+    var moves = definition.getDescendants().some(function(block) {
+      return ['turtle_move', 'turtle_face', 'turtle_go_to',
+              'procedures_callnoreturn', 'procedures_callreturn']
+          .indexOf(block.type) != -1;
+    });
+    return {min: 0, max: moves ? Infinity : 0};
+  }
+  this.estimating_[key] = true;
+  var estimate = this.estimateInput_(definition, 'STACK');
+  if (definition.getInput('RETURN')) {
+    estimate = Blockly.ComputerCraft.FuelEstimate.add_(estimate,
+        this.estimateInput_(definition, 'RETURN'));
+  }
+  var returns = definition.getDescendants().some(function(block) {
+    return block.type == 'procedures_ifreturn' && !block.disabled;
+  });
+  if (returns) {
+    // It may return before running anything.
+    estimate.min = 0;
+  }
+  delete this.estimating_[key];
+  this.procedures_[key] = estimate;
+  return estimate;
+};
+
+/**
+ * Describe an estimate briefly, as for a badge.
+ * @param {!Object} estimate The estimate.
+ * @return {string} Such as '12', '4-12', or '4+' if the most is unknown.
+ */
+Blockly.ComputerCraft.formatFuel = function(estimate) {
+  if (estimate.max == Infinity) {
+    return estimate.min + '+';
+  }
+  if (estimate.min == estimate.max) {
+    return String(estimate.min);
+  }
+  return estimate.min + '-' + estimate.max;
+};
@@ -0,0 +1,1147 @@
+/**
+ * Blockly Lua: Lua importer
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Conversion of Lua programs to blocks.
+ *
+ * Statements and expressions with a matching standard block become that
+ * block.  Calls to ComputerCraft APIs are matched against the ComputerCraft
+ * blocks by generating code for each candidate block and comparing it with
+ * the call, so new blocks are recognized without changes here.  Anything
+ * else becomes a block holding the Lua code as text.
+ */
+'use strict';
+goog.provide('ComputerCraft.Importer');
+
+goog.require('ComputerCraft.Block');
+goog.require('ComputerCraft.VarArgsBlock');
+
+/**
+ * Class for converting one Lua program to blocks.
+ * @param {string} source Lua source code.
+ * @throws {LuaParser.Error} if the source is not valid Lua.
+ * @constructor
+ */
+Blockly.ComputerCraft.Importer = function(source) {
+  this.source_ = source;
+  this.chunk_ = LuaParser.parse(source, {comments: true});
+  this.comments_ = this.chunk_.comments;
+  // Map from the names of top-level functions to their parameter names.
+  this.procedures_ = {};
+  this.placeholderCount_ = 0;
+};
+
+/**
+ * Convert a Lua program to blocks.
+ * @param {string} source Lua source code.
+ * @return {!Element} XML DOM holding the blocks, and the program's title and
+ *     description if it starts with a header comment.
+ * @throws {LuaParser.Error} if the source is not valid Lua.
+ */
+Blockly.ComputerCraft.Importer.luaToDom = function(source) {
+  return new Blockly.ComputerCraft.Importer(source).toDom();
+};
+
+/**
+ * Other names by which programs refer to ComputerCraft APIs.
+ */
+Blockly.ComputerCraft.Importer.API_ALIASES_ = {
+  colors: 'colours',
+  rs: 'redstone'
+};
+
+/**
+ * Global functions that are shortcuts for functions in an API, as
+ * [API, function name] pairs.
+ */
+Blockly.ComputerCraft.Importer.GLOBAL_ALIASES_ = {
+  sleep: ['os', 'sleep']
+};
+
+Blockly.ComputerCraft.Importer.ARITHMETIC_OPERATORS_ = {
+  '+': 'ADD',
+  '-': 'MINUS',
+  '*': 'MULTIPLY',
+  '/': 'DIVIDE',
+  '^': 'POWER'
+};
+
+Blockly.ComputerCraft.Importer.COMPARISON_OPERATORS_ = {
+  '==': 'EQ',
+  '~=': 'NEQ',
+  '<': 'LT',
+  '<=': 'LTE',
+  '>': 'GT',
+  '>=': 'GTE'
+};
+
+// Names of variables standing in for the arguments of a call while the
+// call is matched against blocks.
+Blockly.ComputerCraft.Importer.PLACEHOLDER_ = '__import';
+
+// Syntax tree fields that depend on where code is rather than what it does.
+Blockly.ComputerCraft.Importer.POSITION_FIELDS_ = {
+  line: true,
+  column: true,
+  start: true,
+  end: true,
+  raw: true
+};
+
+/**
+ * Create an XML element.
+ * @param {string} tagName Name of the element, such as 'block'.
+ * @param {Object=} opt_attributes Map from attribute names to values.
+ * @param {string=} opt_text Text content.
+ * @return {!Element} The element.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.element_ = function(tagName, opt_attributes,
+    opt_text) {
+  var element = document.createElement(tagName);
+  for (var name in opt_attributes) {
+    element.setAttribute(name, opt_attributes[name]);
+  }
+  if (opt_text !== undefined) {
+    element.appendChild(document.createTextNode(opt_text));
+  }
+  return element;
+};
+
+/**
+ * Create the XML for a block.
+ * @param {string} type Block type.
+ * @param {Object=} opt_titles Map from title names to values.
+ * @param {Object=} opt_values Map from value input names to block elements.
+ * @param {Object=} opt_mutation Map from mutation attribute names to values.
+ * @return {!Element} The block element.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.block_ = function(type, opt_titles, opt_values,
+    opt_mutation) {
+  var element_ = Blockly.ComputerCraft.Importer.element_;
+  var block = element_('block', {type: type});
+  if (opt_mutation) {
+    block.appendChild(element_('mutation', opt_mutation));
+  }
+  for (var name in opt_titles) {
+    block.appendChild(element_('title', {name: name}, opt_titles[name]));
+  }
+  for (var name in opt_values) {
+    var value = element_('value', {name: name});
+    value.appendChild(opt_values[name]);
+    block.appendChild(value);
+  }
+  return block;
+};
+
+/**
+ * Add a statement input to a block element.
+ * @param {!Element} block The block element.
+ * @param {string} name Name of the input.
+ * @param {Element} statements First block of the statements, or null.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.appendStatements_ = function(block, name,
+    statements) {
+  if (statements) {
+    var input = Blockly.ComputerCraft.Importer.element_('statement',
+        {name: name});
+    input.appendChild(statements);
+    block.appendChild(input);
+  }
+};
+
+/**
+ * Build the blocks for the whole program.
+ * @return {!Element} XML DOM.
+ */
+Blockly.ComputerCraft.Importer.prototype.toDom = function() {
+  var xml = Blockly.ComputerCraft.Importer.element_('xml');
+  var body = this.chunk_.body;
+  // Calls are matched by generating code for blocks, which needs the
+  // generator's state to be set up.
+  Blockly.Lua.init();
+  var start = this.parseHeader_(xml);
+  for (var x = 0; x < body.length; x++) {
+    var name = this.procedureName_(body[x]);
+    if (name) {
+      this.procedures_[name] = body[x].parameters.map(function(parameter) {
+        return parameter.name;
+      });
+    }
+  }
+  // Function definitions become separate blocks; the other statements are
+  // stacked in their original order.
+  var main = [];
+  var thisImporter = this;
+  this.eachStatement_(body, start, function(statement, comment) {
+    var block = thisImporter.procedureToDom_(statement, comment);
+    if (block) {
+      xml.appendChild(block);
+    } else {
+      main.push(thisImporter.statementToDom_(statement, false, comment));
+    }
+  });
+  var first = this.chain_(main);
+  if (first) {
+    xml.appendChild(first);
+  }
+  return xml;
+};
+
+/**
+ * If the program starts with a comment followed by a blank line, save it
+ * in the XML as the program's title and description.  This is the form of
+ * header that the generator writes.
+ * @param {!Element} xml XML DOM for the program.
+ * @return {number} Position in the source after the header.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.parseHeader_ = function(xml) {
+  var first = this.chunk_.body[0];
+  var end = first ? first.start : this.source_.length;
+  var comments = [];
+  for (var x = 0, comment; comment = this.comments_[x]; x++) {
+    var gap = this.source_.substring(
+        comments.length ? comments[comments.length - 1].end : 0,
+        comment.start);
+    if (comment.end > end || /\S/.test(gap) ||
+        (comments.length && /\n[ \t]*\r?\n/.test(gap))) {
+      break;
+    }
+    comments.push(comment);
+  }
+  if (!comments.length) {
+    return 0;
+  }
+  var headerEnd = comments[comments.length - 1].end;
+  if (first &&
+      !/\n[ \t]*\r?\n/.test(this.source_.substring(headerEnd, first.start))) {
+    // The comment describes the first statement.
+    return 0;
+  }
+  var text = comments.map(Blockly.ComputerCraft.Importer.commentText_)
+      .join('\n');
+  var paragraphs = text.split('\n\n');
+  var title = '';
+  if (paragraphs[0].indexOf('\n') == -1) {
+    title = paragraphs.shift();
+  }
+  var element_ = Blockly.ComputerCraft.Importer.element_;
+  if (title) {
+    xml.appendChild(element_('property', {name: 'title'}, title));
+  }
+  if (paragraphs.length) {
+    xml.appendChild(element_('property', {name: 'description'},
+                             paragraphs.join('\n\n')));
+  }
+  return headerEnd;
+};
+
+/**
+ * Get the text of a comment, without the comment markers.
+ * @param {!Object} comment A comment from the parser.
+ * @return {string} The text.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.commentText_ = function(comment) {
+  if (comment.isLong) {
+    return comment.value.replace(/\n$/, '');
+  }
+  // Documentation comments start with '---'.
+  return comment.value.replace(/^-/, '').replace(/^ /, '');
+};
+
+/**
+ * Call a function for each statement in a list, along with the text of
+ * the comments before it and any comment following it on the same line.
+ * @param {!Array.<!Object>} statements Statement nodes.
+ * @param {number} start Position in the source where the statements'
+ *     comments may start.
+ * @param {function(!Object, string)} callback Function to call with each
+ *     statement and its comment text.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.eachStatement_ = function(
+    statements, start, callback) {
+  var commentText_ = Blockly.ComputerCraft.Importer.commentText_;
+  for (var x = 0, statement; statement = statements[x]; x++) {
+    var limit = statements[x + 1] ? statements[x + 1].start :
+        this.source_.length;
+    var lines = [];
+    var end = statement.end;
+    for (var y = 0, comment; comment = this.comments_[y]; y++) {
+      if (comment.start >= start && comment.end <= statement.start) {
+        lines.push(commentText_(comment));
+      } else if (comment.start >= statement.end && comment.end <= limit &&
+                 !/\n/.test(this.source_.substring(statement.end,
+                                                   comment.start))) {
+        // A comment on the same line as the end of the statement.
+        lines.push(commentText_(comment));
+        end = comment.end;
+      }
+    }
+    start = end;
+    callback(statement, lines.join('\n'));
+  }
+};
+
+/**
+ * Convert a list of statements to a stack of blocks.
+ * @param {!Array.<!Object>} statements Statement nodes.
+ * @param {number} start Position in the source where the statements'
+ *     comments may start.
+ * @param {boolean} inProcedure Whether the statements are in a function.
+ * @return {Element} The first block of the stack, or null if there are no
+ *     statements.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.statementsToDom_ = function(
+    statements, start, inProcedure) {
+  var blocks = [];
+  var thisImporter = this;
+  this.eachStatement_(statements, start, function(statement, comment) {
+    blocks.push(thisImporter.statementToDom_(statement, inProcedure,
+                                             comment));
+  });
+  return this.chain_(blocks);
+};
+
+/**
+ * Connect statement blocks into a stack.
+ * @param {!Array.<!Element>} blocks Block elements.
+ * @return {Element} The first block, or null if there are none.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.chain_ = function(blocks) {
+  for (var x = blocks.length - 1; x > 0; x--) {
+    var next = Blockly.ComputerCraft.Importer.element_('next');
+    next.appendChild(blocks[x]);
+    blocks[x - 1].appendChild(next);
+  }
+  return blocks[0] || null;
+};
+
+/**
+ * Attach a comment to a block.
+ * @param {!Element} block Block element.
+ * @param {string} comment Comment text, possibly empty.
+ * @return {!Element} The block element.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.setComment_ = function(block,
+    comment) {
+  if (comment) {
+    block.appendChild(
+        Blockly.ComputerCraft.Importer.element_('comment', {}, comment));
+  }
+  return block;
+};
+
+/**
+ * Get the source code of a node.
+ * @param {!Object} node Syntax tree node.
+ * @return {string} Lua code.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.sourceOf_ = function(node) {
+  return this.source_.substring(node.start, node.end);
+};
+
+/**
+ * Get the name of a top-level function that can become a procedure block.
+ * @param {!Object} statement Statement node.
+ * @return {?string} The function's name, or null if the statement is not
+ *     such a function.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.procedureName_ = function(
+    statement) {
+  if (statement.type == 'FunctionDeclaration' && !statement.isVararg &&
+      statement.identifier.type == 'Identifier') {
+    return statement.identifier.name;
+  }
+  return null;
+};
+
+/**
+ * Convert a top-level function to a procedure definition block.
+ * @param {!Object} statement Statement node.
+ * @param {string} comment Comment text for the function.
+ * @return {Element} The block element, or null if the statement is not a
+ *     function that can become a procedure.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.procedureToDom_ = function(
+    statement, comment) {
+  var name = this.procedureName_(statement);
+  if (!name) {
+    return null;
+  }
+  var Importer = Blockly.ComputerCraft.Importer;
+  var body = statement.body.slice();
+  var last = body[body.length - 1];
+  var returnValue = null;
+  if (last && last.type == 'ReturnStatement' && last.arguments.length < 2) {
+    body.pop();
+    if (last.arguments.length) {
+      returnValue = this.expressionToDom_(last.arguments[0]);
+    }
+  }
+  var block = Importer.block_(
+      returnValue ? 'procedures_defreturn' : 'procedures_defnoreturn',
+      {NAME: name}, returnValue ? {RETURN: returnValue} : null);
+  var mutation = Importer.element_('mutation');
+  this.procedures_[name].forEach(function(parameter) {
+    mutation.appendChild(Importer.element_('arg', {name: parameter}));
+  });
+  block.insertBefore(mutation, block.firstChild);
+  Importer.appendStatements_(block, 'STACK',
+      this.statementsToDom_(body, statement.start, true));
+  // The generator adds the parameters to the comment.
+  comment = comment.split('\n').filter(function(line) {
+    return !/^@param\b/.test(line);
+  }).join('\n');
+  return this.setComment_(block, comment);
+};
+
+/**
+ * Convert a statement to a block.
+ * @param {!Object} statement Statement node.
+ * @param {boolean} inProcedure Whether the statement is in a function.
+ * @param {string} comment Comment text for the statement.
+ * @return {!Element} The block element.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.statementToDom_ = function(
+    statement, inProcedure, comment) {
+  var block = null;
+  switch (statement.type) {
+    case 'LocalStatement':
+    case 'AssignmentStatement':
+      block = this.assignmentToDom_(statement);
+      break;
+    case 'CallStatement':
+      block = this.callToDom_(statement.expression, true);
+      break;
+    case 'IfStatement':
+      block = (inProcedure && this.ifReturnToDom_(statement)) ||
+          this.ifToDom_(statement, inProcedure);
+      break;
+    case 'WhileStatement':
+      block = this.whileToDom_(statement, inProcedure);
+      break;
+    case 'ForNumericStatement':
+      block = this.forToDom_(statement, inProcedure);
+      break;
+    case 'ForGenericStatement':
+      block = this.forEachToDom_(statement, inProcedure);
+      break;
+    case 'BreakStatement':
+      block = Blockly.ComputerCraft.Importer.block_('controls_flow_statements',
+          {FLOW: 'BREAK'});
+      break;
+  }
+  if (!block) {
+    block = Blockly.ComputerCraft.Importer.block_('lua_raw',
+        {CODE: this.sourceOf_(statement)});
+  }
+  return this.setComment_(block, comment);
+};
+
+/**
+ * Convert an assignment to one, two or three variables.
+ * @param {!Object} statement LocalStatement or AssignmentStatement node.
+ * @return {Element} The block element, or null if the assignment has no
+ *     matching block.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.assignmentToDom_ = function(
+    statement) {
+  var variables = statement.variables;
+  var init = statement.init;
+  for (var x = 0; x < variables.length; x++) {
+    if (variables[x].type != 'Identifier') {
+      return null;
+    }
+  }
+  if (variables.length == 1 && init.length < 2) {
+    return Blockly.ComputerCraft.Importer.block_('variables_set',
+        {VAR: variables[0].name},
+        {VALUE: init.length ? this.expressionToDom_(init[0]) :
+            Blockly.ComputerCraft.Importer.block_('logic_null')});
+  }
+  if ((variables.length == 2 || variables.length == 3) &&
+      init.length == 1 && init[0].type == 'CallExpression') {
+    var titles = {};
+    for (var x = 0; x < variables.length; x++) {
+      titles['VAR' + (x + 1)] = variables[x].name;
+    }
+    return Blockly.ComputerCraft.Importer.block_(
+        variables.length == 2 ? 'variables_set_two' : 'variables_set_three',
+        titles, {VALUE: this.expressionToDom_(init[0])});
+  }
+  return null;
+};
+
+/**
+ * Convert an if statement.
+ * @param {!Object} statement IfStatement node.
+ * @param {boolean} inProcedure Whether the statement is in a function.
+ * @return {!Element} The block element.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.ifToDom_ = function(statement,
+    inProcedure) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  var block = Importer.block_('controls_if');
+  var elseifCount = 0;
+  var hasElse = false;
+  for (var x = 0, clause; clause = statement.clauses[x]; x++) {
+    if (clause.type == 'ElseClause') {
+      hasElse = true;
+      Importer.appendStatements_(block, 'ELSE',
+          this.statementsToDom_(clause.body, clause.start, inProcedure));
+    } else {
+      if (clause.type == 'ElseifClause') {
+        elseifCount++;
+      }
+      var value = Importer.element_('value', {name: 'IF' + x});
+      value.appendChild(this.expressionToDom_(clause.condition));
+      block.appendChild(value);
+      Importer.appendStatements_(block, 'DO' + x,
+          this.statementsToDom_(clause.body, clause.condition.end,
+                                inProcedure));
+    }
+  }
+  if (elseifCount || hasElse) {
+    var mutation = {};
+    if (elseifCount) {
+      mutation['elseif'] = elseifCount;
+    }
+    if (hasElse) {
+      mutation['else'] = 1;
+    }
+    block.insertBefore(Importer.element_('mutation', mutation),
+                       block.firstChild);
+  }
+  return block;
+};
+
+/**
+ * Convert 'if condition then return value end' in a function.
+ * @param {!Object} statement IfStatement node.
+ * @return {Element} The block element, or null if the statement has a
+ *     different form.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.ifReturnToDom_ = function(
+    statement) {
+  var clause = statement.clauses[0];
+  var body = clause.body;
+  if (statement.clauses.length != 1 || body.length != 1 ||
+      body[0].type != 'ReturnStatement' || body[0].arguments.length > 1) {
+    return null;
+  }
+  var values = {CONDITION: this.expressionToDom_(clause.condition)};
+  var hasValue = body[0].arguments.length == 1;
+  if (hasValue) {
+    values.VALUE = this.expressionToDom_(body[0].arguments[0]);
+  }
+  return Blockly.ComputerCraft.Importer.block_('procedures_ifreturn', null,
+      values, {value: hasValue ? 1 : 0});
+};
+
+/**
+ * Convert a while loop.  'while not condition' becomes a repeat-until block.
+ * @param {!Object} statement WhileStatement node.
+ * @param {boolean} inProcedure Whether the statement is in a function.
+ * @return {!Element} The block element.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.whileToDom_ = function(statement,
+    inProcedure) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  var condition = statement.condition;
+  var mode = 'WHILE';
+  if (condition.type == 'UnaryExpression' && condition.operator == 'not') {
+    mode = 'UNTIL';
+    condition = condition.argument;
+  }
+  var block = Importer.block_('controls_whileUntil', {MODE: mode},
+      {BOOL: this.expressionToDom_(condition)});
+  Importer.appendStatements_(block, 'DO',
+      this.statementsToDom_(statement.body, statement.condition.end,
+                            inProcedure));
+  return block;
+};
+
+/**
+ * Convert a numeric for loop.
+ * @param {!Object} statement ForNumericStatement node.
+ * @param {boolean} inProcedure Whether the statement is in a function.
+ * @return {!Element} The block element.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.forToDom_ = function(statement,
+    inProcedure) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  var block = Importer.block_('controls_for',
+      {VAR: statement.variable.name},
+      {FROM: this.expressionToDom_(statement.init),
+       TO: this.expressionToDom_(statement.limit),
+       BY: statement.step ? this.expressionToDom_(statement.step) :
+           Importer.block_('math_number', {NUM: '1'})});
+  Importer.appendStatements_(block, 'DO',
+      this.statementsToDom_(statement.body,
+                            (statement.step || statement.limit).end,
+                            inProcedure));
+  return block;
+};
+
+/**
+ * Convert 'for _, value in ipairs(list)' to a for-each block.
+ * @param {!Object} statement ForGenericStatement node.
+ * @param {boolean} inProcedure Whether the statement is in a function.
+ * @return {Element} The block element, or null if the loop has a different
+ *     form.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.forEachToDom_ = function(statement,
+    inProcedure) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  var iterator = statement.iterators[0];
+  if (statement.variables.length != 2 ||
+      statement.variables[0].name != '_' ||
+      statement.iterators.length != 1 ||
+      iterator.type != 'CallExpression' ||
+      iterator.base.type != 'Identifier' || iterator.base.name != 'ipairs' ||
+      iterator.arguments.length != 1) {
+    return null;
+  }
+  var block = Importer.block_('controls_forEach',
+      {VAR: statement.variables[1].name},
+      {LIST: this.expressionToDom_(iterator.arguments[0])});
+  Importer.appendStatements_(block, 'DO',
+      this.statementsToDom_(statement.body, iterator.end, inProcedure));
+  return block;
+};
+
+/**
+ * Convert an expression to a block.
+ * @param {!Object} node Expression node.
+ * @return {!Element} The block element.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.expressionToDom_ = function(node) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  var block = null;
+  switch (node.type) {
+    case 'NumericLiteral':
+      block = Importer.block_('math_number', {NUM: String(node.value)});
+      break;
+    case 'StringLiteral':
+      block = Importer.block_('text',
+          {TEXT: LuaParser.fromBytes(node.value)});
+      break;
+    case 'BooleanLiteral':
+      block = Importer.block_('logic_boolean',
+          {BOOL: node.value ? 'TRUE' : 'FALSE'});
+      break;
+    case 'NilLiteral':
+      block = Importer.block_('logic_null');
+      break;
+    case 'Identifier':
+      block = Importer.block_('variables_get', {VAR: node.name});
+      break;
+    case 'ParenthesizedExpression':
+      // The generator adds parentheses where they are needed.
+      block = this.expressionToDom_(node.expression);
+      break;
+    case 'UnaryExpression':
+      block = this.unaryToDom_(node);
+      break;
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+      block = this.binaryToDom_(node);
+      break;
+    case 'TableConstructorExpression':
+      block = this.tableToDom_(node);
+      break;
+    case 'CallExpression':
+      block = this.callToDom_(node, false);
+      break;
+  }
+  return block ||
+      Importer.block_('lua_raw_value', {CODE: this.sourceOf_(node)});
+};
+
+/**
+ * Convert an expression with a unary operator.
+ * @param {!Object} node UnaryExpression node.
+ * @return {Element} The block element, or null if there is no matching
+ *     block.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.unaryToDom_ = function(node) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  var argument = node.argument;
+  switch (node.operator) {
+    case 'not':
+      return Importer.block_('logic_negate', null,
+          {BOOL: this.expressionToDom_(argument)});
+    case '-':
+      if (argument.type == 'NumericLiteral') {
+        return Importer.block_('math_number',
+            {NUM: String(-argument.value)});
+      }
+      return Importer.block_('math_single', {OP: 'NEG'},
+          {NUM: this.expressionToDom_(argument)});
+    case '#':
+      return Importer.block_('lists_length', null,
+          {VALUE: this.expressionToDom_(argument)});
+  }
+  return null;
+};
+
+/**
+ * Convert an expression with a binary operator.
+ * @param {!Object} node BinaryExpression or LogicalExpression node.
+ * @return {Element} The block element, or null if there is no matching
+ *     block.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.binaryToDom_ = function(node) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  var operator = node.operator;
+  if (operator == '..') {
+    // Flatten a chain of concatenations into one join block.
+    var items = [];
+    var collect = function(part) {
+      if (part.type == 'BinaryExpression' && part.operator == '..') {
+        collect(part.left);
+        collect(part.right);
+      } else {
+        items.push(part);
+      }
+    };
+    collect(node);
+    var values = {};
+    for (var x = 0; x < items.length; x++) {
+      values['ADD' + x] = this.expressionToDom_(items[x]);
+    }
+    return Importer.block_('text_join', null, values, {items: items.length});
+  }
+  var values = {A: this.expressionToDom_(node.left),
+                B: this.expressionToDom_(node.right)};
+  if (Importer.ARITHMETIC_OPERATORS_[operator]) {
+    return Importer.block_('math_arithmetic',
+        {OP: Importer.ARITHMETIC_OPERATORS_[operator]}, values);
+  }
+  if (Importer.COMPARISON_OPERATORS_[operator]) {
+    return Importer.block_('logic_compare',
+        {OP: Importer.COMPARISON_OPERATORS_[operator]}, values);
+  }
+  if (operator == 'and' || operator == 'or') {
+    return Importer.block_('logic_operation', {OP: operator.toUpperCase()},
+                           values);
+  }
+  if (operator == '%') {
+    return Importer.block_('math_modulo', null,
+                           {DIVIDEND: values.A, DIVISOR: values.B});
+  }
+  return null;
+};
+
+/**
+ * Convert a table constructor holding only a list of values.
+ * @param {!Object} node TableConstructorExpression node.
+ * @return {Element} The block element, or null if the table has keys.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.tableToDom_ = function(node) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  if (!node.fields.length) {
+    return Importer.block_('lists_create_empty');
+  }
+  var values = {};
+  for (var x = 0, field; field = node.fields[x]; x++) {
+    if (field.type != 'TableValue') {
+      return null;
+    }
+    values['ADD' + x] = this.expressionToDom_(field.value);
+  }
+  return Importer.block_('lists_create_with', null, values,
+                         {items: node.fields.length});
+};
+
+/**
+ * Convert a function call.
+ * @param {!Object} node CallExpression node.
+ * @param {boolean} isStatement Whether the call is a statement.
+ * @return {Element} The block element, or null if there is no matching
+ *     block.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.callToDom_ = function(node,
+    isStatement) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  var base = node.base;
+  var args = node.arguments;
+  if (base.type == 'Identifier') {
+    if (isStatement && base.name == 'print' && args.length == 1) {
+      return Importer.block_('text_print', null,
+                             {TEXT: this.expressionToDom_(args[0])});
+    }
+    if (this.procedures_.hasOwnProperty(base.name)) {
+      return this.procedureCallToDom_(node, isStatement);
+    }
+  }
+  var callee = Importer.callee_(node);
+  if (!callee) {
+    return null;
+  }
+  var types = Importer.candidateTypes_(callee[0], callee[1]);
+  for (var x = 0; x < types.length; x++) {
+    var block = this.matchCall_(types[x], node, callee, isStatement);
+    if (block) {
+      return block;
+    }
+  }
+  return null;
+};
+
+/**
+ * Convert a call of a function defined in the program.
+ * @param {!Object} node CallExpression node.
+ * @param {boolean} isStatement Whether the call is a statement.
+ * @return {Element} The block element, or null if the number of arguments
+ *     does not match the function's parameters.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.procedureCallToDom_ = function(
+    node, isStatement) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  var name = node.base.name;
+  var parameters = this.procedures_[name];
+  if (node.arguments.length != parameters.length) {
+    return null;
+  }
+  var values = {};
+  for (var x = 0; x < parameters.length; x++) {
+    values['ARG' + x] = this.expressionToDom_(node.arguments[x]);
+  }
+  var block = Importer.block_(
+      isStatement ? 'procedures_callnoreturn' : 'procedures_callreturn',
+      null, values);
+  var mutation = Importer.element_('mutation', {name: name});
+  parameters.forEach(function(parameter) {
+    mutation.appendChild(Importer.element_('arg', {name: parameter}));
+  });
+  block.insertBefore(mutation, block.firstChild);
+  return block;
+};
+
+/**
+ * Find which API function a call is to.
+ * @param {!Object} node CallExpression node.
+ * @return {Array.<string>} The API and function names, such as
+ *     ['redstone', 'setOutput'] for 'rs.setOutput(...)', or null if the
+ *     call is not of the form 'api.name(...)'.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.callee_ = function(node) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  var base = node.base;
+  if (base.type == 'Identifier') {
+    return Importer.GLOBAL_ALIASES_[base.name] || null;
+  }
+  if (base.type == 'MemberExpression' && base.indexer == '.' &&
+      base.base.type == 'Identifier') {
+    var api = base.base.name;
+    return [Importer.API_ALIASES_[api] || api, base.identifier.name];
+  }
+  return null;
+};
+
+/**
+ * Get the values of a dropdown menu's options.
+ * @param {!Blockly.FieldDropdown|!Array.<!Array.<string>>} menu A dropdown
+ *     menu, or the options for one.
+ * @return {!Array.<string>} The values.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.optionValues_ = function(menu) {
+  var options = menu instanceof Blockly.FieldDropdown ?
+      menu.menuGenerator_ : menu;
+  if (!(options instanceof Array)) {
+    return [];
+  }
+  return options.map(function(option) {
+    // Dependent input blocks mark the option that shows the input.
+    return option[1].replace(/\*$/, '');
+  });
+};
+
+/**
+ * Find the ComputerCraft blocks that may generate calls to a function.
+ * @param {string} api API name, such as 'turtle'.
+ * @param {string} name Function name, such as 'forward'.
+ * @return {!Array.<string>} Block types.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.candidateTypes_ = function(api, name) {
+  var types = [];
+  for (var type in Blockly.Blocks) {
+    var prototype = Blockly.Blocks[type];
+    if (!(prototype instanceof Blockly.ComputerCraft.Block) ||
+        prototype.prefix != api) {
+      continue;
+    }
+    var info = prototype.info;
+    var found = info.funcName == name;
+    if (!found && info.ddFuncName) {
+      for (var x = 0, arg; arg = info.args[x]; x++) {
+        if (arg[0].replace(/\*$/, '') == info.ddFuncName) {
+          found = Blockly.ComputerCraft.Importer.optionValues_(arg[1])
+              .indexOf(name) != -1;
+        }
+      }
+    }
+    if (found) {
+      types.push(type);
+    }
+  }
+  return types;
+};
+
+/**
+ * Get the value a literal would have as a dropdown menu value.
+ * @param {!Object} node Expression node.
+ * @return {?string} The value, or null if the node is not a literal.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.literalValue_ = function(node) {
+  switch (node.type) {
+    case 'StringLiteral':
+      return LuaParser.fromBytes(node.value);
+    case 'NumericLiteral':
+      return String(node.value);
+    case 'BooleanLiteral':
+      return String(node.value);
+  }
+  return null;
+};
+
+/**
+ * Try to represent a call with a ComputerCraft block.
+ *
+ * The dropdown menus of the block are set from the function name and the
+ * literal arguments, and its value inputs are filled with placeholders.
+ * If code generated for the block matches the call, the placeholders are
+ * replaced by blocks for the actual arguments.
+ * @param {string} type Block type.
+ * @param {!Object} node CallExpression node.
+ * @param {!Array.<string>} callee The API and function names.
+ * @param {boolean} isStatement Whether the call is a statement.
+ * @return {Element} The block element, or null if the block cannot
+ *     represent the call.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.matchCall_ = function(type, node,
+    callee, isStatement) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  var info = Blockly.Blocks[type].info;
+  var args = node.arguments;
+  var titles = {};
+  var mutation = {};
+  if (info.ddFuncName) {
+    titles[info.ddFuncName] = callee[1];
+  }
+  if (info.expStmt) {
+    mutation['is_statement'] = isStatement;
+  }
+  if (Blockly.Blocks[type] instanceof Blockly.ComputerCraft.VarArgsBlock) {
+    mutation['var_arg_count'] = 0;
+  }
+  // Each pass builds the block and assigns the arguments to its inputs and
+  // menus.  A pass may find that the block needs to show a dependent input
+  // or more variable arguments, after which the block is built again.
+  var inputs = null;
+  for (var pass = 0; pass < 3 && !inputs; pass++) {
+    var block = this.buildBlock_(Importer.block_(type, titles, null,
+                                                 mutation));
+    if (!block) {
+      return null;
+    }
+    var connected = isStatement ? block.previousConnection :
+        block.outputConnection;
+    inputs = {};
+    var used = 0;
+    var names = connected ? block.getOrderedParameterNames() : [];
+    for (var x = 0; x < names.length && inputs; x++) {
+      if (block.getInput(names[x])) {
+        if (used < args.length) {
+          inputs[names[x]] = args[used++];
+        }
+        continue;
+      }
+      var title = block.getTitle_(names[x]);
+      if (!(title instanceof Blockly.FieldDropdown) ||
+          block.generateDropdownCode(title) === null) {
+        // A menu that generates no code, such as the one naming the function.
+        continue;
+      }
+      var value = used < args.length ? Importer.literalValue_(args[used]) :
+          null;
+      if (value !== null &&
+          Importer.optionValues_(title).indexOf(value) != -1) {
+        titles[names[x]] = value;
+        used++;
+      } else if (names[x] == info.ddName && !mutation['dependent_input']) {
+        // Pass the argument through the dependent input instead.
+        titles[info.ddName] = info.ddValue;
+        mutation['dependent_input'] = true;
+        inputs = null;
+      } else {
+        block.dispose();
+        return null;
+      }
+    }
+    block.dispose();
+    if (!connected) {
+      return null;
+    }
+    if (inputs && used < args.length) {
+      if ('var_arg_count' in mutation && !mutation['var_arg_count']) {
+        mutation['var_arg_count'] = args.length - used;
+        inputs = null;
+      } else if (info.ddName && !mutation['dependent_input']) {
+        titles[info.ddName] = info.ddValue;
+        mutation['dependent_input'] = true;
+        inputs = null;
+      } else {
+        return null;
+      }
+    }
+  }
+  if (!inputs) {
+    return null;
+  }
+  // Generate code with placeholders for the inputs and compare it to the
+  // call.
+  var placeholders = {};
+  var values = {};
+  for (var name in inputs) {
+    var placeholder = Importer.PLACEHOLDER_ + (this.placeholderCount_++);
+    placeholders[placeholder] = inputs[name];
+    values[name] = Importer.block_('lua_raw_value', {CODE: placeholder});
+  }
+  var block = this.buildBlock_(Importer.block_(type, titles, values,
+                                               mutation));
+  if (!block) {
+    return null;
+  }
+  var matched = false;
+  // A trace of each statement would hide the call.
+  var statementPrefix = Blockly.Lua.STATEMENT_PREFIX;
+  Blockly.Lua.STATEMENT_PREFIX = null;
+  try {
+    var code = Blockly.Lua.blockToCode(block);
+    code = Blockly.Lua.stripSourceMarks(isStatement ? code : code[0]);
+    var generated = LuaParser.parse(isStatement ? code : 'return ' + code);
+    var statement = generated.body[0];
+    var call = isStatement ?
+        statement.type == 'CallStatement' && statement.expression :
+        statement.arguments[0];
+    matched = generated.body.length == 1 && call &&
+        call.type == 'CallExpression' &&
+        String(Importer.callee_(call)) == String(callee) &&
+        Importer.sameTree_(call.arguments, args, placeholders);
+  } catch (e) {
+    // The block could not generate code for these inputs.
+  }
+  Blockly.Lua.STATEMENT_PREFIX = statementPrefix;
+  block.dispose();
+  if (!matched) {
+    return null;
+  }
+  for (var name in inputs) {
+    values[name] = this.expressionToDom_(inputs[name]);
+  }
+  return Importer.block_(type, titles, values, mutation);
+};
+
+/**
+ * Create a block on the main workspace from XML, for trying out a match.
+ * The caller must dispose of the block.
+ * @param {!Element} xmlBlock Block element.
+ * @return {Blockly.Block} The block, or null if the XML does not fit the
+ *     block type.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.prototype.buildBlock_ = function(xmlBlock) {
+  try {
+    return Blockly.Xml.domToBlock_(Blockly.mainWorkspace, xmlBlock);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Compare generated code with the original code, ignoring positions and
+ * parentheses.  Placeholders in the generated code match the original
+ * expressions they stand for.
+ * @param {*} generated Part of the syntax tree of generated code.
+ * @param {*} original Part of the syntax tree of the original code.
+ * @param {!Object} placeholders Map from placeholder names to nodes.
+ * @return {boolean} Whether the code is equivalent.
+ * @private
+ */
+Blockly.ComputerCraft.Importer.sameTree_ = function(generated, original,
+    placeholders) {
+  var Importer = Blockly.ComputerCraft.Importer;
+  while (generated && generated.type == 'ParenthesizedExpression') {
+    generated = generated.expression;
+  }
+  while (original && original.type == 'ParenthesizedExpression') {
+    original = original.expression;
+  }
+  if (!generated || !original || typeof generated != 'object' ||
+      typeof original != 'object') {
+    return generated === original;
+  }
+  if (generated.type == 'Identifier' &&
+      placeholders.hasOwnProperty(generated.name)) {
+    return placeholders[generated.name] === original;
+  }
+  for (var key in original) {
+    if (!(key in generated)) {
+      return false;
+    }
+  }
+  for (var key in generated) {
+    if (!Importer.POSITION_FIELDS_[key] &&
+        !Importer.sameTree_(generated[key], original[key], placeholders)) {
+      return false;
+    }
+  }
+  return true;
+};
@@ -0,0 +1,153 @@
+/**
+ * Blockly Lua: API modules
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Putting procedures in API modules, which are exported as
+ * files of their own for os.loadAPI, and bundling a program's files into an
+ * installer script.
+ */
+'use strict';
+
+goog.provide('ComputerCraft.Modules');
+
+/**
+ * Types of the blocks that can be put in an API module.
+ * @private
+ */
+Blockly.ComputerCraft.MODULE_BLOCK_TYPES_ =
+    ['procedures_defnoreturn', 'procedures_defreturn'];
+
+/**
+ * Check whether a name can be used for an API module.  It becomes both a
+ * file name and the name of a global table, so it must be a Lua name that
+ * doesn't hide a built-in API.
+ * @param {string} name Proposed module name.
+ * @return {boolean} True if the name is legal.
+ */
+Blockly.ComputerCraft.isLegalModuleName = function(name) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    return false;
+  }
+  var reservedWords = ',' + Blockly.Lua.RESERVED_WORDS_ +
+      Blockly.Lua.getDialect().reservedWords + ',';
+  return reservedWords.indexOf(',' + name + ',') == -1;
+};
+
+/**
+ * Put a procedure definition in an API module, showing the module's name on
+ * the block.
+ * @param {!Blockly.Block} block A procedure definition block.
+ * @param {string} module Name of the module, or '' for the main program.
+ */
+Blockly.ComputerCraft.setModule = function(block, module) {
+  block.module_ = module;
+  block.setTitleValue(module ? 'in API ' + module : '', 'MODULE');
+};
+
+/**
+ * Ask the user which API module to put a procedure definition in.
+ * @param {!Blockly.Block} block A procedure definition block.
+ * @private
+ */
+Blockly.ComputerCraft.promptModule_ = function(block) {
+  var module = window.prompt('Put "' + block.getTitleValue('NAME') +
+      '" in which API module?  Leave this empty to put it in the main ' +
+      'program.', Blockly.Lua.getModule(block));
+  if (module === null) {
+    return;
+  }
+  module = module.trim();
+  if (module && !Blockly.ComputerCraft.isLegalModuleName(module)) {
+    window.alert('"' + module + '" can\'t be the name of an API module.  ' +
+        'Use letters, digits and underscores, and don\'t use the name of a ' +
+        'built-in API.');
+    return;
+  }
+  Blockly.ComputerCraft.setModule(block, module);
+};
+
+Blockly.ComputerCraft.MODULE_BLOCK_TYPES_.forEach(function(type) {
+  var definition = Blockly.Blocks[type];
+  var init = definition.init;
+  var mutationToDom = definition.mutationToDom;
+  var domToMutation = definition.domToMutation;
+  var customContextMenu = definition.customContextMenu;
+
+  definition.init = function() {
+    init.call(this);
+    this.inputList[0].appendTitle('', 'MODULE');
+    this.module_ = '';
+  };
+
+  definition.mutationToDom = function() {
+    var container = mutationToDom.call(this);
+    if (this.module_) {
+      container.setAttribute('module', this.module_);
+    }
+    return container;
+  };
+
+  definition.domToMutation = function(xmlElement) {
+    domToMutation.call(this, xmlElement);
+    Blockly.ComputerCraft.setModule(this,
+        xmlElement.getAttribute('module') || '');
+  };
+
+  definition.customContextMenu = function(options) {
+    customContextMenu.call(this, options);
+    var option = {enabled: true};
+    option.text = this.module_ ? 'Move to another API module' :
+        'Put in an API module';
+    var thisBlock = this;
+    option.callback = function() {
+      Blockly.ComputerCraft.promptModule_(thisBlock);
+    };
+    options.push(option);
+  };
+});
+
+/**
+ * Build a Lua program that writes each of a program's files to the current
+ * directory with fs.open, so that the program can be installed by
+ * downloading and running one file.
+ * @param {!Array.<{name: string, code: string}>} files Files from
+ *     Blockly.Lua.workspaceToFiles.
+ * @return {string} Lua code for the installer.
+ */
+Blockly.ComputerCraft.installerScript = function(files) {
+  var entries = files.map(function(file) {
+    // Line breaks in long strings are written literally.
+    var code = Blockly.Lua.quote_(file.code).replace(
+        Blockly.Lua.LONG_STRING_NEWLINE_REGEXP_, '\n');
+    return '  {' + Blockly.Lua.quote_(file.name) + ', ' + code + '}';
+  });
+  return '-- Installs ' + files.map(function(file) {
+        return file.name;
+      }).join(', ') + ' in the current directory.\n' +
+      'local files = {\n' +
+      entries.join(',\n') + '\n' +
+      '}\n' +
+      'for _, file in ipairs(files) do\n' +
+      '  local path = shell.resolve(file[1])\n' +
+      '  local handle = fs.open(path, \'w\')\n' +
+      '  handle.write(file[2])\n' +
+      '  handle.close()\n' +
+      '  print(\'Wrote \' .. path)\n' +
+      'end\n';
+};
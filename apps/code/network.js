@@ -0,0 +1,660 @@
+/**
+ * Blockly Lua: Simulated network
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Several simulated computers sharing one clock, with modems
+ * that carry messages between them and the rednet API on top.  As in
+ * ComputerCraft 1.6, rednet is written in Lua on top of the modem
+ * peripheral; the rednet.run daemon that ComputerCraft starts beside the
+ * shell is done here in JavaScript, as each message arrives.
+ */
+'use strict';
+
+goog.provide('ComputerCraft.Network');
+
+goog.require('ComputerCraft.Computer');
+
+/**
+ * Distance in blocks that wireless modems reach.
+ */
+Blockly.ComputerCraft.MODEM_RANGE = 64;
+
+/**
+ * Most channels a modem can have open at once.
+ */
+Blockly.ComputerCraft.MAX_OPEN_CHANNELS = 128;
+
+/**
+ * Channel on which rednet broadcasts.
+ */
+Blockly.ComputerCraft.CHANNEL_BROADCAST = 65535;
+
+/**
+ * Lua code for ComputerCraft's rednet API.
+ * @private
+ */
+Blockly.ComputerCraft.REDNET_PRELUDE_ = [
+  'rednet.CHANNEL_BROADCAST = 65535',
+  'local function checkModem(modem)',
+  '  if type(modem) ~= "string" then',
+  '    error("expected string", 3)',
+  '  end',
+  '  if peripheral.getType(modem) ~= "modem" then',
+  '    error("No such modem: " .. modem, 3)',
+  '  end',
+  'end',
+  'function rednet.open(modem)',
+  '  checkModem(modem)',
+  '  peripheral.call(modem, "open", os.getComputerID())',
+  '  peripheral.call(modem, "open", rednet.CHANNEL_BROADCAST)',
+  'end',
+  'function rednet.close(modem)',
+  '  if modem then',
+  '    checkModem(modem)',
+  '    peripheral.call(modem, "close", os.getComputerID())',
+  '    peripheral.call(modem, "close", rednet.CHANNEL_BROADCAST)',
+  '  else',
+  '    for _, side in ipairs(peripheral.getNames()) do',
+  '      if rednet.isOpen(side) then',
+  '        rednet.close(side)',
+  '      end',
+  '    end',
+  '  end',
+  'end',
+  'function rednet.isOpen(modem)',
+  '  if modem then',
+  '    if peripheral.getType(modem) == "modem" then',
+  '      return peripheral.call(modem, "isOpen", os.getComputerID()) and',
+  '          peripheral.call(modem, "isOpen", rednet.CHANNEL_BROADCAST)',
+  '    end',
+  '  else',
+  '    for _, side in ipairs(peripheral.getNames()) do',
+  '      if rednet.isOpen(side) then',
+  '        return true',
+  '      end',
+  '    end',
+  '  end',
+  '  return false',
+  'end',
+  'function rednet.send(recipient, message, protocol)',
+  '  if recipient == os.getComputerID() then',
+  '    os.queueEvent("rednet_message", recipient, message, protocol)',
+  '    return true',
+  '  end',
+  '  local packet = {nMessageID = math.random(1, 2147483647),',
+  '      nRecipient = recipient, message = message, sProtocol = protocol}',
+  '  local sent = false',
+  '  for _, side in ipairs(peripheral.getNames()) do',
+  '    if rednet.isOpen(side) then',
+  '      peripheral.call(side, "transmit", recipient, os.getComputerID(),',
+  '                      packet)',
+  '      sent = true',
+  '    end',
+  '  end',
+  '  return sent',
+  'end',
+  'function rednet.broadcast(message, protocol)',
+  '  rednet.send(rednet.CHANNEL_BROADCAST, message, protocol)',
+  'end',
+  'function rednet.announce()',
+  '  rednet.broadcast("")',
+  'end',
+  'function rednet.receive(protocol, timeout)',
+  '  if type(protocol) == "number" and timeout == nil then',
+  '    protocol, timeout = nil, protocol',
+  '  end',
+  '  local timer, filter',
+  '  if timeout then',
+  '    timer = os.startTimer(timeout)',
+  '  else',
+  '    filter = "rednet_message"',
+  '  end',
+  '  while true do',
+  '    local event, p1, p2, p3 = os.pullEvent(filter)',
+  '    if event == "rednet_message" then',
+  '      if protocol == nil or p3 == protocol then',
+  '        return p1, p2, p3',
+  '      end',
+  '    elseif event == "timer" and p1 == timer then',
+  '      return nil',
+  '    end',
+  '  end',
+  'end',
+  'function rednet.host(protocol, hostname)',
+  '  if type(protocol) ~= "string" or type(hostname) ~= "string" then',
+  '    error("expected string, string", 2)',
+  '  end',
+  '  if hostname == "localhost" then',
+  '    error("Reserved hostname", 2)',
+  '  end',
+  '  if rednet.getHostname_(protocol) ~= hostname then',
+  '    if rednet.lookup(protocol, hostname) ~= nil then',
+  '      error("Hostname in use", 2)',
+  '    end',
+  '    rednet.setHostname_(protocol, hostname)',
+  '  end',
+  'end',
+  'function rednet.unhost(protocol)',
+  '  if type(protocol) ~= "string" then',
+  '    error("expected string", 2)',
+  '  end',
+  '  rednet.setHostname_(protocol, nil)',
+  'end',
+  'function rednet.lookup(protocol, hostname)',
+  '  if type(protocol) ~= "string" then',
+  '    error("expected string", 2)',
+  '  end',
+  '  local results = hostname == nil and {} or nil',
+  '  local own = rednet.getHostname_(protocol)',
+  '  if own and (own == hostname or hostname == "localhost") then',
+  '    return os.getComputerID()',
+  '  elseif own and results then',
+  '    results[1] = os.getComputerID()',
+  '  end',
+  '  if not rednet.isOpen() then',
+  '    if results then',
+  '      return unpack(results)',
+  '    end',
+  '    return nil',
+  '  end',
+  '  rednet.broadcast({sType = "lookup", sProtocol = protocol,',
+  '                    sHostname = hostname}, "dns")',
+  '  local timer = os.startTimer(2)',
+  '  while true do',
+  '    local event, p1, p2, p3 = os.pullEvent()',
+  '    if event == "rednet_message" then',
+  '      if p3 == "dns" and type(p2) == "table" and',
+  '          p2.sType == "lookup response" and p2.sProtocol == protocol then',
+  '        if results then',
+  '          results[#results + 1] = p1',
+  '        elseif p2.sHostname == hostname then',
+  '          return p1',
+  '        end',
+  '      end',
+  '    elseif event == "timer" and p1 == timer then',
+  '      break',
+  '    end',
+  '  end',
+  '  if results then',
+  '    return unpack(results)',
+  '  end',
+  '  return nil',
+  'end',
+  'function rednet.run()',
+  '  error("rednet is already running", 2)',
+  'end'].join('\n');
+
+/**
+ * A modem, which can be attached to a computer as a peripheral.
+ * @param {!Blockly.ComputerCraft.Network} network The network it sends and
+ *     receives on.
+ * @param {boolean=} opt_wired True for a wired modem, which reaches the other
+ *     wired modems however far away they are, rather than a wireless one.
+ * @constructor
+ */
+Blockly.ComputerCraft.Modem = function(network, opt_wired) {
+  this.network = network;
+  this.wireless = !opt_wired;
+  this.computer = null;
+  this.side = null;
+  this.channels_ = Object.create(null);
+  this.type = 'modem';
+  this.methods = this.createMethods_();
+};
+
+/**
+ * Get a channel argument, which must be in the range 0 to 65535.
+ * @param {!Array} args The arguments.
+ * @param {number} index Index of the channel.
+ * @param {string} name Name of the method, for error messages.
+ * @return {number} The channel.
+ * @throws {LuaInterpreter.Error} if the argument isn't a channel.
+ * @private
+ */
+Blockly.ComputerCraft.Modem.checkChannel_ = function(args, index, name) {
+  var channel = LuaInterpreter.checkNumber(args, index, name);
+  if (channel < 0 || channel > Blockly.ComputerCraft.CHANNEL_BROADCAST) {
+    throw new LuaInterpreter.Error('Expected number in range 0-65535');
+  }
+  return Math.floor(channel);
+};
+
+/**
+ * Create the methods programs call on the modem.
+ * @return {!Object} The methods by name.
+ * @private
+ */
+Blockly.ComputerCraft.Modem.prototype.createMethods_ = function() {
+  var modem = this;
+  var checkChannel = Blockly.ComputerCraft.Modem.checkChannel_;
+  return {
+    isOpen: function(args) {
+      return [modem.isOpen(checkChannel(args, 0, 'isOpen'))];
+    },
+    open: function(args) {
+      var channel = checkChannel(args, 0, 'open');
+      if (!modem.isOpen(channel) && Object.keys(modem.channels_).length >=
+          Blockly.ComputerCraft.MAX_OPEN_CHANNELS) {
+        throw new LuaInterpreter.Error('Too many open channels');
+      }
+      modem.channels_[channel] = true;
+      return [];
+    },
+    close: function(args) {
+      delete modem.channels_[checkChannel(args, 0, 'close')];
+      return [];
+    },
+    closeAll: function() {
+      modem.channels_ = Object.create(null);
+      return [];
+    },
+    transmit: function(args) {
+      var channel = checkChannel(args, 0, 'transmit');
+      var replyChannel = checkChannel(args, 1, 'transmit');
+      modem.network.transmit(modem, channel, replyChannel, args[2]);
+      return [];
+    },
+    isWireless: function() {
+      return [modem.wireless];
+    }
+  };
+};
+
+/**
+ * Is a channel open, so the modem receives messages sent on it?
+ * @param {number} channel The channel.
+ * @return {boolean} True if it is.
+ */
+Blockly.ComputerCraft.Modem.prototype.isOpen = function(channel) {
+  return channel in this.channels_;
+};
+
+/**
+ * Computers that can send each other messages, all kept at the same time.
+ * @param {number=} opt_range Distance in blocks that wireless modems reach.
+ * @constructor
+ */
+Blockly.ComputerCraft.Network = function(opt_range) {
+  this.range = opt_range || Blockly.ComputerCraft.MODEM_RANGE;
+  // Milliseconds since the computers were turned on.
+  this.time = 0;
+  this.computers = [];
+  // For each computer: where it is, its modems, the IDs of rednet messages
+  // it has received, and its rednet hostnames by protocol.
+  this.nodes_ = [];
+  // Every message sent, oldest first.
+  this.log = [];
+  // Called with each new entry in the log.
+  this.onMessage = function(entry) {};
+};
+
+/**
+ * Add a computer to the network, attaching its modems and adding the rednet
+ * API.
+ * @param {!Blockly.ComputerCraft.Computer} computer The computer.
+ * @param {Object=} opt_options Settings: 'position' (an object whose 'x',
+ *     'y' and 'z' are where the computer is whenever it sends a message,
+ *     such as its turtle) and 'modems' (whether the modem on each side is
+ *     'wireless' or 'wired').
+ */
+Blockly.ComputerCraft.Network.prototype.install = function(computer,
+                                                           opt_options) {
+  var options = opt_options || {};
+  var node = {computer: computer, position: options.position || null,
+              modems: [], received: Object.create(null),
+              hostnames: Object.create(null)};
+  this.computers.push(computer);
+  this.nodes_.push(node);
+  var modems = options.modems || {};
+  for (var side in modems) {
+    computer.attachPeripheral(side,
+        this.createModem(computer, side, modems[side] == 'wired'));
+  }
+  var rednet = new LuaInterpreter.Table();
+  computer.defineFunctions(rednet, {
+    getHostname_: function(args) {
+      var protocol = LuaInterpreter.checkString(args, 0, 'getHostname_');
+      return [node.hostnames[protocol]];
+    },
+    setHostname_: function(args) {
+      var protocol = LuaInterpreter.checkString(args, 0, 'setHostname_');
+      if (args[1] === undefined) {
+        delete node.hostnames[protocol];
+      } else {
+        node.hostnames[protocol] =
+            LuaInterpreter.checkString(args, 1, 'setHostname_');
+      }
+      return [];
+    }
+  });
+  computer.vm.setGlobal('rednet', rednet);
+  computer.vm.call(computer.vm.load(Blockly.ComputerCraft.REDNET_PRELUDE_,
+                                    'rednet'), []);
+};
+
+/**
+ * Find the distance between two computers.
+ * @param {!Object} from Node of one computer.
+ * @param {!Object} to Node of the other.
+ * @return {number} Distance in blocks, or 0 if either has no position.
+ * @private
+ */
+Blockly.ComputerCraft.Network.distance_ = function(from, to) {
+  var a = from.position;
+  var b = to.position;
+  if (!a || !b) {
+    return 0;
+  }
+  return Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y) +
+                   (a.z - b.z) * (a.z - b.z));
+};
+
+/**
+ * Copy a value from one computer's Lua interpreter to another's, as
+ * ComputerCraft does with messages.  Tables are copied, and functions and
+ * coroutines are lost.
+ * @param {*} value The value.
+ * @param {Array=} opt_copied Pairs of tables already copied, and their
+ *     copies.
+ * @return {*} The copy.
+ * @private
+ */
+Blockly.ComputerCraft.Network.copy_ = function(value, opt_copied) {
+  if (!(value instanceof LuaInterpreter.Table)) {
+    var type = typeof value;
+    return type == 'string' || type == 'number' || type == 'boolean' ?
+        value : undefined;
+  }
+  var copied = opt_copied || [];
+  for (var x = 0; x < copied.length; x++) {
+    if (copied[x][0] === value) {
+      return copied[x][1];
+    }
+  }
+  var copy = new LuaInterpreter.Table();
+  copied.push([value, copy]);
+  for (var entry = value.next(undefined); entry;
+       entry = value.next(entry[0])) {
+    var key = Blockly.ComputerCraft.Network.copy_(entry[0], copied);
+    if (key !== undefined) {
+      copy.set(key, Blockly.ComputerCraft.Network.copy_(entry[1], copied));
+    }
+  }
+  return copy;
+};
+
+/**
+ * Describe a message for the log, in the way Lua code would write it.
+ * @param {*} value The message.
+ * @param {Array=} opt_seen Tables being described, which aren't described
+ *     again inside themselves.
+ * @return {string} The description.
+ */
+Blockly.ComputerCraft.Network.describe = function(value, opt_seen) {
+  if (typeof value == 'string') {
+    return JSON.stringify(LuaParser.fromBytes(value));
+  }
+  if (!(value instanceof LuaInterpreter.Table)) {
+    return LuaInterpreter.tostring(value);
+  }
+  var seen = opt_seen || [];
+  if (seen.indexOf(value) != -1) {
+    return '{...}';
+  }
+  seen.push(value);
+  var parts = [];
+  for (var entry = value.next(undefined); entry;
+       entry = value.next(entry[0])) {
+    var text = Blockly.ComputerCraft.Network.describe(entry[1], seen);
+    if (entry[0] === parts.length + 1) {
+      parts.push(text);
+    } else if (typeof entry[0] == 'string' &&
+        /^[A-Za-z_][A-Za-z0-9_]*$/.test(entry[0])) {
+      parts.push(entry[0] + ' = ' + text);
+    } else {
+      parts.push('[' + Blockly.ComputerCraft.Network.describe(entry[0], seen) +
+                 '] = ' + text);
+    }
+  }
+  seen.pop();
+  return '{' + parts.join(', ') + '}';
+};
+
+/**
+ * Send a message from a modem to every modem in range with the channel
+ * open, and log it.
+ * @param {!Blockly.ComputerCraft.Modem} modem The modem sending it.
+ * @param {number} channel Channel to send it on.
+ * @param {number} replyChannel Channel for replies, passed with it.
+ * @param {*} message The message, a Lua value.
+ */
+Blockly.ComputerCraft.Network.prototype.transmit = function(modem, channel,
+                                                            replyChannel,
+                                                            message) {
+  var from = this.nodeOf_(modem.computer);
+  var entry = {time: modem.computer.time, from: modem.computer.id,
+               to: null, protocol: undefined, channel: channel,
+               replyChannel: replyChannel, receivedBy: []};
+  // Log what arrives, without the functions.
+  var payload = Blockly.ComputerCraft.Network.copy_(message);
+  if (Blockly.ComputerCraft.Network.isRednetPacket_(payload)) {
+    entry.to = payload.get('nRecipient');
+    entry.protocol = payload.get('sProtocol');
+    payload = payload.get('message');
+  }
+  entry.message = Blockly.ComputerCraft.Network.describe(payload);
+  for (var x = 0; x < this.nodes_.length; x++) {
+    var node = this.nodes_[x];
+    var distance = Blockly.ComputerCraft.Network.distance_(from, node);
+    for (var y = 0; y < node.modems.length; y++) {
+      var receiver = node.modems[y];
+      // A modem that was replaced by another peripheral is still listed.
+      if (receiver != modem && receiver.wireless == modem.wireless &&
+          receiver.isOpen(channel) && node.computer.isOn() &&
+          node.computer.getPeripheral(receiver.side) == receiver &&
+          (!modem.wireless || distance <= this.range)) {
+        this.receive_(node, receiver, channel, replyChannel,
+                      Blockly.ComputerCraft.Network.copy_(message), distance);
+        if (entry.receivedBy.indexOf(node.computer.id) == -1) {
+          entry.receivedBy.push(node.computer.id);
+        }
+      }
+    }
+  }
+  this.log.push(entry);
+  this.onMessage(entry);
+};
+
+/**
+ * Make a modem for a computer on the network, to attach to one of its
+ * sides.
+ * @param {!Blockly.ComputerCraft.Computer} computer The computer.
+ * @param {string} side The side it goes on.
+ * @param {boolean=} opt_wired True for a wired modem.
+ * @return {!Blockly.ComputerCraft.Modem} The modem.
+ */
+Blockly.ComputerCraft.Network.prototype.createModem = function(computer,
+    side, opt_wired) {
+  var modem = new Blockly.ComputerCraft.Modem(this, opt_wired);
+  modem.computer = computer;
+  modem.side = side;
+  this.nodeOf_(computer).modems.push(modem);
+  return modem;
+};
+
+/**
+ * Find the node of a computer on the network.
+ * @param {!Blockly.ComputerCraft.Computer} computer The computer.
+ * @return {!Object} Its node.
+ * @private
+ */
+Blockly.ComputerCraft.Network.prototype.nodeOf_ = function(computer) {
+  for (var x = 0; x < this.nodes_.length; x++) {
+    if (this.nodes_[x].computer == computer) {
+      return this.nodes_[x];
+    }
+  }
+  throw Error('Computer ' + computer.id + ' is not on the network.');
+};
+
+/**
+ * Is a message one sent by rednet?
+ * @param {*} message The message.
+ * @return {boolean} True if it is.
+ * @private
+ */
+Blockly.ComputerCraft.Network.isRednetPacket_ = function(message) {
+  return message instanceof LuaInterpreter.Table &&
+      typeof message.get('nMessageID') == 'number';
+};
+
+/**
+ * Pass a message to a computer, then do what rednet.run would do with it:
+ * turn rednet messages for the computer into 'rednet_message' events, and
+ * answer hostname lookups.
+ * @param {!Object} node Node of the receiving computer.
+ * @param {!Blockly.ComputerCraft.Modem} modem The modem receiving it.
+ * @param {number} channel Channel it was sent on.
+ * @param {number} replyChannel Channel for replies.
+ * @param {*} message The message, copied for the receiving computer.
+ * @param {number} distance Distance it travelled.
+ * @private
+ */
+Blockly.ComputerCraft.Network.prototype.receive_ = function(node, modem,
+    channel, replyChannel, message, distance) {
+  var computer = node.computer;
+  computer.queueEvent(['modem_message', modem.side, channel, replyChannel,
+                       message, distance]);
+  var broadcast = Blockly.ComputerCraft.CHANNEL_BROADCAST;
+  if ((channel != computer.id && channel != broadcast) ||
+      !modem.isOpen(computer.id) || !modem.isOpen(broadcast) ||
+      !Blockly.ComputerCraft.Network.isRednetPacket_(message)) {
+    return;
+  }
+  var id = message.get('nMessageID');
+  if (node.received[id]) {
+    return;
+  }
+  node.received[id] = true;
+  var contents = message.get('message');
+  var protocol = message.get('sProtocol');
+  computer.queueEvent(['rednet_message', replyChannel, contents, protocol]);
+  if (protocol == 'dns' && contents instanceof LuaInterpreter.Table &&
+      contents.get('sType') == 'lookup') {
+    var hostname = node.hostnames[contents.get('sProtocol')];
+    var wanted = contents.get('sHostname');
+    if (hostname !== undefined && (wanted === undefined ||
+                                   wanted == hostname)) {
+      var response = new LuaInterpreter.Table();
+      response.set('sType', 'lookup response');
+      response.set('sHostname', hostname);
+      response.set('sProtocol', contents.get('sProtocol'));
+      this.sendRednet_(node, replyChannel, response, 'dns');
+    }
+  }
+};
+
+/**
+ * Send a rednet message from a computer, as rednet.send does.
+ * @param {!Object} node Node of the sending computer.
+ * @param {number} recipient ID of the computer it's for.
+ * @param {*} message The message.
+ * @param {string} protocol The message's protocol.
+ * @private
+ */
+Blockly.ComputerCraft.Network.prototype.sendRednet_ = function(node,
+    recipient, message, protocol) {
+  var packet = new LuaInterpreter.Table();
+  packet.set('nMessageID',
+             Math.floor(node.computer.vm.random() * 2147483647) + 1);
+  packet.set('nRecipient', recipient);
+  packet.set('message', message);
+  packet.set('sProtocol', protocol);
+  var broadcast = Blockly.ComputerCraft.CHANNEL_BROADCAST;
+  for (var x = 0; x < node.modems.length; x++) {
+    var modem = node.modems[x];
+    if (modem.isOpen(node.computer.id) && modem.isOpen(broadcast)) {
+      this.transmit(modem, recipient, node.computer.id, packet);
+    }
+  }
+};
+
+/**
+ * Is any computer on the network still able to run?
+ * @return {boolean} True if one is.
+ */
+Blockly.ComputerCraft.Network.prototype.isOn = function() {
+  return this.computers.some(function(computer) {
+    return computer.isOn();
+  });
+};
+
+/**
+ * Move every computer's clock forward, firing timers that go off.
+ * @param {number} time New time in milliseconds.
+ */
+Blockly.ComputerCraft.Network.prototype.advanceTo = function(time) {
+  this.time = Math.max(this.time, time);
+  this.computers.forEach(function(computer) {
+    computer.advanceTo(time);
+  });
+};
+
+/**
+ * Run each computer until it has to wait or has executed a number of
+ * instructions.
+ * @param {number} budget Maximum number of Lua instructions for each
+ *     computer.
+ */
+Blockly.ComputerCraft.Network.prototype.run = function(budget) {
+  this.computers.forEach(function(computer) {
+    computer.run(budget);
+  });
+};
+
+/**
+ * Get the time at which a computer will next be able to run.
+ * @return {number} Time in milliseconds, or Infinity if every computer is
+ *     waiting for events that nothing will queue.
+ */
+Blockly.ComputerCraft.Network.prototype.getNextTime = function() {
+  var next = Infinity;
+  this.computers.forEach(function(computer) {
+    next = Math.min(next, computer.getNextTime());
+  });
+  return next;
+};
+
+/**
+ * Run the computers as fast as possible, moving the clock forward whenever
+ * they all wait, until none of them will run again.
+ * @param {number=} opt_maxTime Time in milliseconds at which to stop.
+ */
+Blockly.ComputerCraft.Network.prototype.runToCompletion = function(
+    opt_maxTime) {
+  var maxTime = opt_maxTime === undefined ? Infinity : opt_maxTime;
+  while (this.isOn()) {
+    this.run(Infinity);
+    var next = this.getNextTime();
+    if (next == Infinity || next > maxTime) {
+      break;
+    }
+    this.advanceTo(next);
+  }
+};
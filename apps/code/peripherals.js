@@ -0,0 +1,390 @@
+/**
+ * Blockly Lua: Simulated peripherals
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Kinds of peripherals that can be attached to the sides of a
+ * simulated computer: monitors, disk drives, modems, printers and chests,
+ * and any others registered with Blockly.ComputerCraft.registerPeripheral,
+ * such as those of mods.
+ *
+ * A peripheral is an object with a 'type', which peripheral.getType
+ * returns, and 'methods', functions by name that peripheral.call calls.
+ * Like the functions passed to Computer.defineFunctions, each takes an
+ * array of Lua arguments and the interpreter, and returns an array of
+ * results or LuaInterpreter.SUSPEND.
+ */
+'use strict';
+
+goog.provide('ComputerCraft.Peripherals');
+
+goog.require('ComputerCraft.Computer');
+goog.require('ComputerCraft.FileSystem');
+goog.require('ComputerCraft.Network');
+goog.require('ComputerCraft.Terminal');
+
+/**
+ * Kinds of peripherals by name, in the order they were registered.  Each
+ * has a 'description' and a 'create' function.
+ * @private
+ */
+Blockly.ComputerCraft.PERIPHERAL_KINDS_ = [];
+
+/**
+ * Register a kind of peripheral, so that it can be attached to simulated
+ * computers.  A kind registered again replaces the earlier one.
+ * @param {string} kind Name of the kind, such as 'monitor' or
+ *     'mymod:reactor'.
+ * @param {string} description Name shown to the user.
+ * @param {function(!Blockly.ComputerCraft.Computer, string, !Object):
+ *     !Object} create Makes a peripheral, given the computer, the side it
+ *     goes on, and the context it is attached in: the computer's
+ *     'fileSystem' and 'network', if it has them.
+ */
+Blockly.ComputerCraft.registerPeripheral = function(kind, description,
+                                                    create) {
+  var kinds = Blockly.ComputerCraft.PERIPHERAL_KINDS_;
+  var entry = {kind: kind, description: description, create: create};
+  for (var x = 0; x < kinds.length; x++) {
+    if (kinds[x].kind == kind) {
+      kinds[x] = entry;
+      return;
+    }
+  }
+  kinds.push(entry);
+};
+
+/**
+ * Get the kinds of peripherals that can be attached.
+ * @return {!Array.<!Object>} The 'kind' and 'description' of each.
+ */
+Blockly.ComputerCraft.getPeripheralKinds = function() {
+  return Blockly.ComputerCraft.PERIPHERAL_KINDS_.map(function(entry) {
+    return {kind: entry.kind, description: entry.description};
+  });
+};
+
+/**
+ * Make a peripheral of a registered kind and attach it to a side of a
+ * computer.
+ * @param {!Blockly.ComputerCraft.Computer} computer The computer.
+ * @param {string} side The side.
+ * @param {string} kind The kind of peripheral.
+ * @param {Object=} opt_context The computer's 'fileSystem' and 'network',
+ *     for peripherals that use them.
+ * @return {!Object} The peripheral.
+ */
+Blockly.ComputerCraft.attachPeripheral = function(computer, side, kind,
+                                                  opt_context) {
+  var kinds = Blockly.ComputerCraft.PERIPHERAL_KINDS_;
+  for (var x = 0; x < kinds.length; x++) {
+    if (kinds[x].kind == kind) {
+      var device = kinds[x].create(computer, side, opt_context || {});
+      computer.attachPeripheral(side, device);
+      return device;
+    }
+  }
+  throw Error('Unknown kind of peripheral: ' + kind);
+};
+
+/**
+ * An advanced monitor, a screen the program writes on with the same
+ * functions as the term API.  Its size in characters depends on its size in
+ * blocks and its text scale, as in ComputerCraft.
+ * @param {!Blockly.ComputerCraft.Computer} computer The computer it is
+ *     attached to.
+ * @param {string} side The side it is on.
+ * @param {Object=} opt_options Settings: 'width' and 'height' (its size in
+ *     blocks, 3 by 2 by default).
+ * @constructor
+ */
+Blockly.ComputerCraft.Monitor = function(computer, side, opt_options) {
+  var options = opt_options || {};
+  this.computer = computer;
+  this.side = side;
+  this.blocksWide = options.width || 3;
+  this.blocksHigh = options.height || 2;
+  this.scale = 1;
+  this.terminal = new Blockly.ComputerCraft.Terminal(this.getSize_());
+  this.type = 'monitor';
+  this.methods = this.createMethods_();
+};
+
+/**
+ * Work out the size of the monitor's screen at its text scale.
+ * @return {{width: number, height: number}} Size in characters.
+ * @private
+ */
+Blockly.ComputerCraft.Monitor.prototype.getSize_ = function() {
+  return {
+    width: Math.max(1, Math.round((this.blocksWide * 64 - 20) /
+                                  (6 * this.scale))),
+    height: Math.max(1, Math.round((this.blocksHigh * 64 - 20) /
+                                   (9 * this.scale)))
+  };
+};
+
+/**
+ * Create the methods programs call on the monitor.
+ * @return {!Object} The methods by name.
+ * @private
+ */
+Blockly.ComputerCraft.Monitor.prototype.createMethods_ = function() {
+  var monitor = this;
+  var methods = this.terminal.createTermFunctions();
+  methods.setTextScale = function(args) {
+    var scale = LuaInterpreter.checkNumber(args, 0, 'setTextScale');
+    if (scale < 0.5 || scale > 5 || scale * 2 % 1 != 0) {
+      throw new LuaInterpreter.Error('Expected number in range 0.5-5');
+    }
+    monitor.scale = scale;
+    var size = monitor.getSize_();
+    monitor.terminal.resize(size.width, size.height);
+    return [];
+  };
+  return methods;
+};
+
+/**
+ * Tell the program that the monitor was touched, as right-clicking it does.
+ * @param {number} x Column touched, starting at 1.
+ * @param {number} y Line touched, starting at 1.
+ */
+Blockly.ComputerCraft.Monitor.prototype.touch = function(x, y) {
+  this.computer.queueEvent(['monitor_touch', this.side, x, y]);
+};
+
+/**
+ * Width of a printed page, in characters.
+ */
+Blockly.ComputerCraft.PAGE_WIDTH = 25;
+
+/**
+ * Height of a printed page, in lines.
+ */
+Blockly.ComputerCraft.PAGE_HEIGHT = 21;
+
+/**
+ * A printer, which prints pages of text.  Each page uses a sheet of paper
+ * and some ink.
+ * @param {Object=} opt_options Settings: 'paper' (sheets of paper, 64 by
+ *     default) and 'ink' (pages it can print, 64 by default).
+ * @constructor
+ */
+Blockly.ComputerCraft.Printer = function(opt_options) {
+  var options = opt_options || {};
+  this.paper = options.paper === undefined ? 64 : options.paper;
+  this.ink = options.ink === undefined ? 64 : options.ink;
+  // Pages printed, each with a 'title' and its 'lines'.
+  this.pages = [];
+  // The page being printed, or null.
+  this.page = null;
+  this.cursorX = 1;
+  this.cursorY = 1;
+  this.type = 'printer';
+  this.methods = this.createMethods_();
+};
+
+/**
+ * Create the methods programs call on the printer.
+ * @return {!Object} The methods by name.
+ * @private
+ */
+Blockly.ComputerCraft.Printer.prototype.createMethods_ = function() {
+  var printer = this;
+  var checkPage = function() {
+    if (!printer.page) {
+      throw new LuaInterpreter.Error('Page not started');
+    }
+  };
+  return {
+    newPage: function() {
+      if (printer.page) {
+        // The page being printed is finished first.
+        printer.pages.push(printer.page);
+        printer.page = null;
+      }
+      if (printer.paper < 1 || printer.ink < 1) {
+        return [false];
+      }
+      printer.paper--;
+      printer.ink--;
+      var lines = [];
+      for (var y = 0; y < Blockly.ComputerCraft.PAGE_HEIGHT; y++) {
+        lines.push(new Array(Blockly.ComputerCraft.PAGE_WIDTH + 1).join(' '));
+      }
+      printer.page = {title: '', lines: lines};
+      printer.cursorX = 1;
+      printer.cursorY = 1;
+      return [true];
+    },
+    endPage: function() {
+      checkPage();
+      printer.pages.push(printer.page);
+      printer.page = null;
+      return [true];
+    },
+    write: function(args, vm) {
+      checkPage();
+      var text = args[0] === undefined ? '' : vm.tostring(args[0]);
+      var lines = printer.page.lines;
+      var index = printer.cursorY - 1;
+      if (index >= 0 && index < lines.length) {
+        var line = lines[index];
+        for (var x = 0; x < text.length; x++) {
+          var column = printer.cursorX - 1 + x;
+          if (column >= 0 && column < line.length) {
+            line = line.substring(0, column) + text.charAt(x) +
+                line.substring(column + 1);
+          }
+        }
+        lines[index] = line;
+      }
+      printer.cursorX += text.length;
+      return [];
+    },
+    setCursorPos: function(args) {
+      checkPage();
+      printer.cursorX =
+          Math.floor(LuaInterpreter.checkNumber(args, 0, 'setCursorPos'));
+      printer.cursorY =
+          Math.floor(LuaInterpreter.checkNumber(args, 1, 'setCursorPos'));
+      return [];
+    },
+    getCursorPos: function() {
+      checkPage();
+      return [printer.cursorX, printer.cursorY];
+    },
+    getPageSize: function() {
+      checkPage();
+      return [Blockly.ComputerCraft.PAGE_WIDTH,
+              Blockly.ComputerCraft.PAGE_HEIGHT];
+    },
+    setPageTitle: function(args) {
+      checkPage();
+      printer.page.title = args[0] === undefined ? '' :
+          LuaInterpreter.checkString(args, 0, 'setPageTitle');
+      return [];
+    },
+    getPaperLevel: function() {
+      return [printer.paper];
+    },
+    getInkLevel: function() {
+      return [printer.ink];
+    }
+  };
+};
+
+/**
+ * Number of slots in a chest.
+ */
+Blockly.ComputerCraft.CHEST_SIZE = 27;
+
+/**
+ * A chest, or any other inventory, whose contents programs can look at.
+ * @param {Array=} opt_slots Stacks of items in its slots, each with a
+ *     'name' and a 'count', or null for an empty slot.
+ * @param {number=} opt_size Number of slots.
+ * @constructor
+ */
+Blockly.ComputerCraft.Chest = function(opt_slots, opt_size) {
+  this.size = opt_size || Blockly.ComputerCraft.CHEST_SIZE;
+  this.slots = [];
+  for (var x = 0; x < this.size; x++) {
+    var stack = opt_slots && opt_slots[x];
+    this.slots.push(stack ? {name: stack.name, count: stack.count} : null);
+  }
+  this.type = 'chest';
+  this.methods = this.createMethods_();
+};
+
+/**
+ * Create the methods programs call on the chest.
+ * @return {!Object} The methods by name.
+ * @private
+ */
+Blockly.ComputerCraft.Chest.prototype.createMethods_ = function() {
+  var chest = this;
+  var describe = function(stack) {
+    var table = new LuaInterpreter.Table();
+    table.set('name', stack.name);
+    table.set('count', stack.count);
+    return table;
+  };
+  return {
+    size: function() {
+      return [chest.size];
+    },
+    list: function() {
+      var list = new LuaInterpreter.Table();
+      chest.slots.forEach(function(stack, x) {
+        if (stack) {
+          list.set(x + 1, describe(stack));
+        }
+      });
+      return [list];
+    },
+    getItemDetail: function(args) {
+      var slot = LuaInterpreter.checkInteger(args, 0, 'getItemDetail');
+      if (slot < 1 || slot > chest.size) {
+        throw new LuaInterpreter.Error('Slot out of range');
+      }
+      var stack = chest.slots[slot - 1];
+      return [stack ? describe(stack) : undefined];
+    }
+  };
+};
+
+Blockly.ComputerCraft.registerPeripheral('monitor', 'Advanced monitor',
+    function(computer, side) {
+      return new Blockly.ComputerCraft.Monitor(computer, side);
+    });
+
+Blockly.ComputerCraft.registerPeripheral('drive', 'Disk drive',
+    function(computer, side, context) {
+      if (!context.fileSystem) {
+        throw Error('A disk drive needs the computer\'s files.');
+      }
+      return context.fileSystem.createDrive(side);
+    });
+
+Blockly.ComputerCraft.registerPeripheral('modem', 'Wireless modem',
+    function(computer, side, context) {
+      if (!context.network) {
+        throw Error('A modem needs a network.');
+      }
+      return context.network.createModem(computer, side);
+    });
+
+Blockly.ComputerCraft.registerPeripheral('wired_modem', 'Wired modem',
+    function(computer, side, context) {
+      if (!context.network) {
+        throw Error('A modem needs a network.');
+      }
+      return context.network.createModem(computer, side, true);
+    });
+
+Blockly.ComputerCraft.registerPeripheral('printer', 'Printer',
+    function() {
+      return new Blockly.ComputerCraft.Printer();
+    });
+
+Blockly.ComputerCraft.registerPeripheral('chest', 'Chest',
+    function() {
+      return new Blockly.ComputerCraft.Chest();
+    });
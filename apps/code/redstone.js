@@ -0,0 +1,199 @@
+/**
+ * Blockly Lua: Simulated redstone
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The redstone signals and bundled cables on the sides of a
+ * simulated computer, and the redstone API (also called rs) programs use
+ * them with.  Inputs are set from outside, as levers would set them, and
+ * outputs are read, as lamps would show them.
+ */
+'use strict';
+
+goog.provide('ComputerCraft.Redstone');
+
+goog.require('ComputerCraft.Computer');
+
+/**
+ * Strongest redstone signal.
+ */
+Blockly.ComputerCraft.MAX_SIGNAL = 15;
+
+/**
+ * The signals on each side of a computer.  Inputs are kept when it is
+ * installed on another computer, as the levers next to a computer stay where
+ * they are when it reboots; outputs are turned off.
+ * @constructor
+ */
+Blockly.ComputerCraft.Redstone = function() {
+  this.computer = null;
+  // Called when the program changes an output.
+  this.onChange = function() {};
+  this.inputs = Object.create(null);
+  this.bundledInputs = Object.create(null);
+  this.outputs = Object.create(null);
+  this.bundledOutputs = Object.create(null);
+  this.resetOutputs_();
+};
+
+/**
+ * Turn off every output, and any input that hasn't been set.
+ * @private
+ */
+Blockly.ComputerCraft.Redstone.prototype.resetOutputs_ = function() {
+  var redstone = this;
+  Blockly.ComputerCraft.SIDES.forEach(function(side) {
+    if (!(side in redstone.inputs)) {
+      redstone.inputs[side] = 0;
+      redstone.bundledInputs[side] = 0;
+    }
+    redstone.outputs[side] = 0;
+    redstone.bundledOutputs[side] = 0;
+  });
+};
+
+/**
+ * Change the signal coming into one side of the computer, telling the
+ * program with a redstone event if it changed.
+ * @param {string} side The side.
+ * @param {number} level Strength of the signal, from 0 (off) to 15.
+ */
+Blockly.ComputerCraft.Redstone.prototype.setInput = function(side, level) {
+  level = Math.max(0, Math.min(Blockly.ComputerCraft.MAX_SIGNAL,
+                               Math.floor(level) || 0));
+  if (this.inputs[side] != level) {
+    this.inputs[side] = level;
+    this.changed_();
+  }
+};
+
+/**
+ * Change which coloured wires are on in the bundled cable coming into one
+ * side of the computer, telling the program with a redstone event if they
+ * changed.
+ * @param {string} side The side.
+ * @param {number} colours Sum of the values of the colours that are on, as
+ *     in the colours API.
+ */
+Blockly.ComputerCraft.Redstone.prototype.setBundledInput = function(side,
+                                                                   colours) {
+  colours &= 0xffff;
+  if (this.bundledInputs[side] != colours) {
+    this.bundledInputs[side] = colours;
+    this.changed_();
+  }
+};
+
+/**
+ * Tell the program that an input changed.
+ * @private
+ */
+Blockly.ComputerCraft.Redstone.prototype.changed_ = function() {
+  if (this.computer) {
+    this.computer.queueEvent(['redstone']);
+  }
+};
+
+/**
+ * Get a side argument.
+ * @param {!Array} args The arguments.
+ * @param {string} name Name of the function, for error messages.
+ * @return {string} The side.
+ * @throws {LuaInterpreter.Error} if the argument isn't a side.
+ * @private
+ */
+Blockly.ComputerCraft.Redstone.checkSide_ = function(args, name) {
+  var side = LuaInterpreter.checkString(args, 0, name);
+  if (Blockly.ComputerCraft.SIDES.indexOf(side) == -1) {
+    throw new LuaInterpreter.Error('Invalid side.');
+  }
+  return side;
+};
+
+/**
+ * Give a computer the redstone API, using these signals.  Its outputs start
+ * off.
+ * @param {!Blockly.ComputerCraft.Computer} computer The computer.
+ */
+Blockly.ComputerCraft.Redstone.prototype.install = function(computer) {
+  var redstone = this;
+  this.computer = computer;
+  this.resetOutputs_();
+  var checkSide = Blockly.ComputerCraft.Redstone.checkSide_;
+  var setOutput = function(side, level) {
+    if (redstone.outputs[side] != level) {
+      redstone.outputs[side] = level;
+      redstone.onChange();
+    }
+    return [];
+  };
+  var api = new LuaInterpreter.Table();
+  computer.defineFunctions(api, {
+    getSides: function() {
+      return [LuaInterpreter.Table.fromArray(Blockly.ComputerCraft.SIDES)];
+    },
+    getInput: function(args) {
+      return [redstone.inputs[checkSide(args, 'getInput')] > 0];
+    },
+    getAnalogInput: function(args) {
+      return [redstone.inputs[checkSide(args, 'getAnalogInput')]];
+    },
+    setOutput: function(args) {
+      var side = checkSide(args, 'setOutput');
+      LuaInterpreter.checkType(args, 1, 'boolean', 'setOutput');
+      return setOutput(side, args[1] ? Blockly.ComputerCraft.MAX_SIGNAL : 0);
+    },
+    setAnalogOutput: function(args) {
+      var side = checkSide(args, 'setAnalogOutput');
+      var level = LuaInterpreter.checkNumber(args, 1, 'setAnalogOutput');
+      if (level < 0 || level > Blockly.ComputerCraft.MAX_SIGNAL) {
+        throw new LuaInterpreter.Error('Expected number in range 0-15');
+      }
+      return setOutput(side, Math.floor(level));
+    },
+    getOutput: function(args) {
+      return [redstone.outputs[checkSide(args, 'getOutput')] > 0];
+    },
+    getAnalogOutput: function(args) {
+      return [redstone.outputs[checkSide(args, 'getAnalogOutput')]];
+    },
+    getBundledInput: function(args) {
+      return [redstone.bundledInputs[checkSide(args, 'getBundledInput')]];
+    },
+    getBundledOutput: function(args) {
+      return [redstone.bundledOutputs[checkSide(args, 'getBundledOutput')]];
+    },
+    setBundledOutput: function(args) {
+      var side = checkSide(args, 'setBundledOutput');
+      var colours = LuaInterpreter.checkInteger(args, 1, 'setBundledOutput') &
+          0xffff;
+      if (redstone.bundledOutputs[side] != colours) {
+        redstone.bundledOutputs[side] = colours;
+        redstone.onChange();
+      }
+      return [];
+    },
+    testBundledInput: function(args) {
+      var side = checkSide(args, 'testBundledInput');
+      var colours = LuaInterpreter.checkInteger(args, 1, 'testBundledInput');
+      return [(redstone.bundledInputs[side] & colours) == colours];
+    }
+  });
+  computer.vm.setGlobal('redstone', api);
+  computer.vm.setGlobal('rs', api);
+};
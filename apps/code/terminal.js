@@ -0,0 +1,957 @@
+/**
+ * Blockly Lua: Simulated terminal
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The screen and keyboard of a simulated computer: a grid of
+ * character cells with ComputerCraft's 16 colours, the term API drawing on
+ * it, and the APIs ComputerCraft writes in Lua on top of that (write, print,
+ * read, io, keys, colours, textutils and paintutils).
+ */
+'use strict';
+
+goog.provide('ComputerCraft.Terminal');
+
+goog.require('ComputerCraft.Computer');
+
+/**
+ * Names of the colours, in the order of their bits in colour values.
+ */
+Blockly.ComputerCraft.TERMINAL_COLOUR_NAMES = [
+  'white', 'orange', 'magenta', 'lightBlue', 'yellow', 'lime', 'pink', 'grey',
+  'lightGrey', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black'];
+
+/**
+ * The colours as ComputerCraft draws them, in the same order.
+ * @private
+ */
+Blockly.ComputerCraft.TERMINAL_PALETTE_ = [
+  '#f0f0f0', '#f2b233', '#e57fd8', '#99b2f2', '#dede6c', '#7fcc19',
+  '#f2b2cc', '#4c4c4c', '#999999', '#4c99b2', '#b266e5', '#3366cc',
+  '#7f664c', '#57a64e', '#cc4c4c', '#191919'];
+
+/**
+ * ComputerCraft's key codes, from the keys API, by name.
+ */
+Blockly.ComputerCraft.KEYS = {
+  one: 2, two: 3, three: 4, four: 5, five: 6, six: 7, seven: 8, eight: 9,
+  nine: 10, zero: 11, minus: 12, equals: 13, backspace: 14, tab: 15,
+  q: 16, w: 17, e: 18, r: 19, t: 20, y: 21, u: 22, i: 23, o: 24, p: 25,
+  leftBracket: 26, rightBracket: 27, enter: 28, leftCtrl: 29,
+  a: 30, s: 31, d: 32, f: 33, g: 34, h: 35, j: 36, k: 37, l: 38,
+  semiColon: 39, apostrophe: 40, grave: 41, leftShift: 42, backslash: 43,
+  z: 44, x: 45, c: 46, v: 47, b: 48, n: 49, m: 50, comma: 51, period: 52,
+  slash: 53, rightShift: 54, leftAlt: 56, space: 57, capsLock: 58,
+  f1: 59, f2: 60, f3: 61, f4: 62, f5: 63, f6: 64, f7: 65, f8: 66, f9: 67,
+  f10: 68, f11: 87, f12: 88, home: 199, up: 200, pageUp: 201, left: 203,
+  right: 205, 'end': 207, down: 208, pageDown: 209, insert: 210,
+  'delete': 211
+};
+
+/**
+ * Names of the keys in Blockly.ComputerCraft.KEYS by browser key code, for
+ * keys whose names aren't the letter or digit on them.
+ * @private
+ */
+Blockly.ComputerCraft.BROWSER_KEYS_ = {
+  8: 'backspace', 9: 'tab', 13: 'enter', 16: 'leftShift', 17: 'leftCtrl',
+  18: 'leftAlt', 20: 'capsLock', 32: 'space', 33: 'pageUp', 34: 'pageDown',
+  35: 'end', 36: 'home', 37: 'left', 38: 'up', 39: 'right', 40: 'down',
+  45: 'insert', 46: 'delete', 48: 'zero', 49: 'one', 50: 'two', 51: 'three',
+  52: 'four', 53: 'five', 54: 'six', 55: 'seven', 56: 'eight', 57: 'nine',
+  186: 'semiColon', 187: 'equals', 188: 'comma', 189: 'minus',
+  190: 'period', 191: 'slash', 192: 'grave', 219: 'leftBracket',
+  220: 'backslash', 221: 'rightBracket', 222: 'apostrophe'
+};
+
+/**
+ * Lua code for the parts of the terminal ComputerCraft writes in Lua:
+ * redirection of the term API, write (which wraps words), printError, read,
+ * and the io, colours, textutils and paintutils APIs.
+ * @private
+ */
+Blockly.ComputerCraft.TERMINAL_PRELUDE_ = [
+  'do',
+  '  local native = term',
+  '  local current = native',
+  '  local previous = {}',
+  '  term = {native = native}',
+  '  for name in pairs(native) do',
+  '    term[name] = function(...)',
+  '      return current[name](...)',
+  '    end',
+  '  end',
+  '  function term.redirect(target)',
+  '    if type(target) ~= "table" then',
+  '      error("Invalid redirect target", 2)',
+  '    end',
+  '    previous[#previous + 1] = current',
+  '    current = target',
+  '    return previous[#previous]',
+  '  end',
+  '  function term.restore()',
+  '    if #previous > 0 then',
+  '      current = table.remove(previous)',
+  '    end',
+  '  end',
+  '  function term.current()',
+  '    return current',
+  '  end',
+  'end',
+  '',
+  'function write(text)',
+  '  local width, height = term.getSize()',
+  '  local x, y = term.getCursorPos()',
+  '  local lines = 0',
+  '  local function newLine()',
+  '    if y < height then',
+  '      term.setCursorPos(1, y + 1)',
+  '    else',
+  '      term.setCursorPos(1, height)',
+  '      term.scroll(1)',
+  '    end',
+  '    x, y = term.getCursorPos()',
+  '    lines = lines + 1',
+  '  end',
+  '  text = tostring(text)',
+  '  while #text > 0 do',
+  '    local spaces = string.match(text, "^[ \\t]+")',
+  '    if spaces then',
+  '      term.write(spaces)',
+  '      x, y = term.getCursorPos()',
+  '      text = string.sub(text, #spaces + 1)',
+  '    end',
+  '    if string.sub(text, 1, 1) == "\\n" then',
+  '      newLine()',
+  '      text = string.sub(text, 2)',
+  '    end',
+  '    local word = string.match(text, "^[^ \\t\\n]+")',
+  '    if word then',
+  '      text = string.sub(text, #word + 1)',
+  '      if #word > width then',
+  '        -- Too long for any line: break it at the edge of the screen.',
+  '        while #word > 0 do',
+  '          if x > width then',
+  '            newLine()',
+  '          end',
+  '          term.write(word)',
+  '          word = string.sub(word, width - x + 2)',
+  '          x, y = term.getCursorPos()',
+  '        end',
+  '      else',
+  '        if x + #word - 1 > width then',
+  '          newLine()',
+  '        end',
+  '        term.write(word)',
+  '        x, y = term.getCursorPos()',
+  '      end',
+  '    end',
+  '  end',
+  '  return lines',
+  'end',
+  '',
+  'function printError(...)',
+  '  if term.isColour() then',
+  '    term.setTextColour(colours.red)',
+  '  end',
+  '  print(...)',
+  '  term.setTextColour(colours.white)',
+  'end',
+  '',
+  'function read(replaceChar, history)',
+  '  term.setCursorBlink(true)',
+  '  local line = ""',
+  '  local historyPos',
+  '  local pos = 0',
+  '  if replaceChar then',
+  '    replaceChar = string.sub(replaceChar, 1, 1)',
+  '  end',
+  '  local width = term.getSize()',
+  '  local startX = term.getCursorPos()',
+  '  local function redraw(fill)',
+  '    local scroll = math.max(startX + pos - width, 0)',
+  '    local _, y = term.getCursorPos()',
+  '    term.setCursorPos(startX, y)',
+  '    fill = fill or replaceChar',
+  '    if fill then',
+  '      term.write(string.rep(fill, math.max(#line - scroll, 0)))',
+  '    else',
+  '      term.write(string.sub(line, scroll + 1))',
+  '    end',
+  '    term.setCursorPos(startX + pos - scroll, y)',
+  '  end',
+  '  while true do',
+  '    local event, param = os.pullEvent()',
+  '    if event == "char" then',
+  '      line = string.sub(line, 1, pos) .. param .. ' +
+      'string.sub(line, pos + 1)',
+  '      pos = pos + 1',
+  '      redraw()',
+  '    elseif event == "key" then',
+  '      if param == keys.enter then',
+  '        break',
+  '      elseif param == keys.left and pos > 0 then',
+  '        pos = pos - 1',
+  '        redraw()',
+  '      elseif param == keys.right and pos < #line then',
+  '        pos = pos + 1',
+  '        redraw()',
+  '      elseif (param == keys.up or param == keys.down) and history then',
+  '        redraw(" ")',
+  '        if param == keys.up then',
+  '          if historyPos == nil and #history > 0 then',
+  '            historyPos = #history',
+  '          elseif historyPos and historyPos > 1 then',
+  '            historyPos = historyPos - 1',
+  '          end',
+  '        elseif historyPos == #history then',
+  '          historyPos = nil',
+  '        elseif historyPos then',
+  '          historyPos = historyPos + 1',
+  '        end',
+  '        line = historyPos and history[historyPos] or ""',
+  '        pos = #line',
+  '        redraw()',
+  '      elseif param == keys.backspace and pos > 0 then',
+  '        redraw(" ")',
+  '        line = string.sub(line, 1, pos - 1) .. ' +
+      'string.sub(line, pos + 1)',
+  '        pos = pos - 1',
+  '        redraw()',
+  '      elseif param == keys.delete and pos < #line then',
+  '        redraw(" ")',
+  '        line = string.sub(line, 1, pos) .. string.sub(line, pos + 2)',
+  '        redraw()',
+  '      elseif param == keys.home then',
+  '        pos = 0',
+  '        redraw()',
+  '      elseif param == keys["end"] then',
+  '        pos = #line',
+  '        redraw()',
+  '      end',
+  '    end',
+  '  end',
+  '  term.setCursorBlink(false)',
+  '  local _, y = term.getCursorPos()',
+  '  term.setCursorPos(width + 1, y)',
+  '  print()',
+  '  return line',
+  'end',
+  '',
+  'io = {}',
+  'function io.write(...)',
+  '  for _, value in ipairs({...}) do',
+  '    write(value)',
+  '  end',
+  'end',
+  'function io.read(format)',
+  '  if format ~= nil and format ~= "*l" then',
+  '    error("Unsupported format", 2)',
+  '  end',
+  '  return read()',
+  'end',
+  'function io.flush()',
+  'end',
+  '',
+  'function colours.combine(...)',
+  '  local set = 0',
+  '  for _, colour in ipairs({...}) do',
+  '    set = bit.bor(set, colour)',
+  '  end',
+  '  return set',
+  'end',
+  'function colours.subtract(set, ...)',
+  '  for _, colour in ipairs({...}) do',
+  '    set = bit.band(set, bit.bnot(colour))',
+  '  end',
+  '  return set',
+  'end',
+  'function colours.test(set, colour)',
+  '  return bit.band(set, colour) == colour',
+  'end',
+  'colors = {}',
+  'for name, value in pairs(colours) do',
+  '  colors[name] = value',
+  'end',
+  '',
+  'textutils = {}',
+  'function textutils.slowWrite(text, rate)',
+  '  rate = rate or 20',
+  '  if rate < 0 then',
+  '    error("rate must be positive", 2)',
+  '  end',
+  '  text = tostring(text)',
+  '  local x, y = term.getCursorPos()',
+  '  for n = 1, #text do',
+  '    term.setCursorPos(x, y)',
+  '    sleep(1 / rate)',
+  '    -- Rewrite the text so far, in case it wrapped or scrolled.',
+  '    local lines = write(string.sub(text, 1, n))',
+  '    local _, newY = term.getCursorPos()',
+  '    y = newY - lines',
+  '  end',
+  'end',
+  'function textutils.slowPrint(text, rate)',
+  '  textutils.slowWrite(text, rate)',
+  '  print()',
+  'end',
+  'function textutils.formatTime(time, twentyFourHour)',
+  '  local hour = math.floor(time)',
+  '  local minute = math.floor((time - hour) * 60)',
+  '  if twentyFourHour then',
+  '    return string.format("%d:%02d", hour, minute)',
+  '  end',
+  '  local suffix = hour >= 12 and "PM" or "AM"',
+  '  hour = hour % 12',
+  '  if hour == 0 then',
+  '    hour = 12',
+  '  end',
+  '  return string.format("%d:%02d %s", hour, minute, suffix)',
+  'end',
+  'function textutils.pagedPrint(text, freeLines)',
+  '  local scroll = term.scroll',
+  '  freeLines = freeLines or 0',
+  '  -- Ask before scrolling away lines the user hasn\'t had time to read.',
+  '  term.scroll = function(lines)',
+  '    for n = 1, lines do',
+  '      scroll(1)',
+  '      if freeLines <= 0 then',
+  '        local _, height = term.getSize()',
+  '        term.setCursorPos(1, height)',
+  '        term.write("Press any key to continue")',
+  '        os.pullEvent("key")',
+  '        term.clearLine()',
+  '        term.setCursorPos(1, height)',
+  '      else',
+  '        freeLines = freeLines - 1',
+  '      end',
+  '    end',
+  '  end',
+  '  local ok, result = pcall(print, text)',
+  '  term.scroll = scroll',
+  '  if not ok then',
+  '    error(result, 0)',
+  '  end',
+  '  return result',
+  'end',
+  'local function tabulate(paged, ...)',
+  '  local width, height = term.getSize()',
+  '  local columnWidth = width / 8',
+  '  for _, t in ipairs({...}) do',
+  '    if type(t) == "table" then',
+  '      for _, item in pairs(t) do',
+  '        columnWidth = math.max(#tostring(item) + 1, columnWidth)',
+  '      end',
+  '    end',
+  '  end',
+  '  local columns = math.floor(width / columnWidth)',
+  '  local lines = 0',
+  '  local function newLine()',
+  '    if paged and lines >= height - 3 then',
+  '      textutils.pagedPrint()',
+  '    else',
+  '      print()',
+  '    end',
+  '    lines = lines + 1',
+  '  end',
+  '  for _, t in ipairs({...}) do',
+  '    if type(t) == "number" then',
+  '      term.setTextColour(t)',
+  '    elseif type(t) == "table" and #t > 0 then',
+  '      for n, item in ipairs(t) do',
+  '        if n > 1 and (n - 1) % columns == 0 then',
+  '          newLine()',
+  '        end',
+  '        local _, y = term.getCursorPos()',
+  '        term.setCursorPos(1 + ((n - 1) % columns) * columnWidth, y)',
+  '        term.write(tostring(item))',
+  '      end',
+  '      newLine()',
+  '    end',
+  '  end',
+  'end',
+  'function textutils.tabulate(...)',
+  '  tabulate(false, ...)',
+  'end',
+  'function textutils.pagedTabulate(...)',
+  '  tabulate(true, ...)',
+  'end',
+  'local function serialize(value, indent, seen)',
+  '  local kind = type(value)',
+  '  if kind == "string" then',
+  '    return string.format("%q", value)',
+  '  elseif kind == "number" or kind == "boolean" or kind == "nil" then',
+  '    return tostring(value)',
+  '  elseif kind ~= "table" then',
+  '    error("Cannot serialize type " .. kind, 0)',
+  '  elseif seen[value] then',
+  '    error("Cannot serialize table with recursive entries", 0)',
+  '  elseif next(value) == nil then',
+  '    return "{}"',
+  '  end',
+  '  seen[value] = true',
+  '  local inner = indent .. "  "',
+  '  local result = "{\\n"',
+  '  local length = #value',
+  '  for n = 1, length do',
+  '    result = result .. inner .. serialize(value[n], inner, seen) .. ' +
+      '",\\n"',
+  '  end',
+  '  for k, v in pairs(value) do',
+  '    if type(k) ~= "number" or k < 1 or k > length or k % 1 ~= 0 then',
+  '      local key',
+  '      if type(k) == "string" and ' +
+      'string.match(k, "^[%a_][%w_]*$") then',
+  '        key = k',
+  '      else',
+  '        key = "[" .. serialize(k, inner, seen) .. "]"',
+  '      end',
+  '      result = result .. inner .. key .. " = " .. ' +
+      'serialize(v, inner, seen) .. ",\\n"',
+  '    end',
+  '  end',
+  '  seen[value] = nil',
+  '  return result .. indent .. "}"',
+  'end',
+  'function textutils.serialize(value)',
+  '  return serialize(value, "", {})',
+  'end',
+  'function textutils.unserialize(text)',
+  '  local fn = loadstring("return " .. text, "unserialize")',
+  '  if fn then',
+  '    setfenv(fn, {})',
+  '    local ok, result = pcall(fn)',
+  '    if ok then',
+  '      return result',
+  '    end',
+  '  end',
+  '  return nil',
+  'end',
+  'function textutils.urlEncode(text)',
+  '  text = string.gsub(text, "\\n", "\\r\\n")',
+  '  text = string.gsub(text, "[^%w ]", function(c)',
+  '    return string.format("%%%02X", string.byte(c))',
+  '  end)',
+  '  return (string.gsub(text, " ", "+"))',
+  'end',
+  '',
+  'paintutils = {}',
+  'function paintutils.drawPixel(x, y, colour)',
+  '  if colour then',
+  '    term.setBackgroundColour(colour)',
+  '  end',
+  '  term.setCursorPos(x, y)',
+  '  term.write(" ")',
+  'end',
+  'function paintutils.drawLine(startX, startY, endX, endY, colour)',
+  '  startX, startY = math.floor(startX), math.floor(startY)',
+  '  endX, endY = math.floor(endX), math.floor(endY)',
+  '  local dx, dy = math.abs(endX - startX), math.abs(endY - startY)',
+  '  local stepX = startX < endX and 1 or -1',
+  '  local stepY = startY < endY and 1 or -1',
+  '  local err = dx - dy',
+  '  local x, y = startX, startY',
+  '  while true do',
+  '    paintutils.drawPixel(x, y, colour)',
+  '    if x == endX and y == endY then',
+  '      break',
+  '    end',
+  '    local err2 = err * 2',
+  '    if err2 > -dy then',
+  '      err = err - dy',
+  '      x = x + stepX',
+  '    end',
+  '    if err2 < dx then',
+  '      err = err + dx',
+  '      y = y + stepY',
+  '    end',
+  '  end',
+  'end',
+  'function paintutils.loadImage(path)',
+  '  local file = fs.open(path, "r")',
+  '  if not file then',
+  '    return nil',
+  '  end',
+  '  -- Hexadecimal digits are bit numbers of colours; anything else is',
+  '  -- transparent.',
+  '  local image = {}',
+  '  local line = file.readLine()',
+  '  while line do',
+  '    local row = {}',
+  '    for n = 1, #line do',
+  '      local digit = tonumber(string.sub(line, n, n), 16)',
+  '      row[n] = digit and 2 ^ digit or 0',
+  '    end',
+  '    image[#image + 1] = row',
+  '    line = file.readLine()',
+  '  end',
+  '  file.close()',
+  '  return image',
+  'end',
+  'function paintutils.drawImage(image, x, y)',
+  '  for row = 1, #image do',
+  '    local line = image[row]',
+  '    for column = 1, #line do',
+  '      if line[column] > 0 then',
+  '        paintutils.drawPixel(x + column - 1, y + row - 1, line[column])',
+  '      end',
+  '    end',
+  '  end',
+  'end'].join('\n');
+
+/**
+ * A terminal screen.
+ * @param {Object=} opt_options Settings: 'width' and 'height' (in
+ *     characters, 51 by 19 by default), and 'colour' (false for a computer
+ *     that isn't advanced, which can only show black and white).
+ * @constructor
+ */
+Blockly.ComputerCraft.Terminal = function(opt_options) {
+  var options = opt_options || {};
+  this.width = options.width || Blockly.ComputerCraft.Terminal.WIDTH;
+  this.height = options.height || Blockly.ComputerCraft.Terminal.HEIGHT;
+  this.colour = options.colour !== false;
+  this.computer = null;
+  this.reset();
+};
+
+/**
+ * Width of a computer's screen, in characters.
+ */
+Blockly.ComputerCraft.Terminal.WIDTH = 51;
+
+/**
+ * Height of a computer's screen, in characters.
+ */
+Blockly.ComputerCraft.Terminal.HEIGHT = 19;
+
+/**
+ * Index of the colour in which errors are shown.
+ */
+Blockly.ComputerCraft.Terminal.ERROR_COLOUR = 14;
+
+/**
+ * Milliseconds for which the cursor is shown or hidden when blinking.
+ */
+Blockly.ComputerCraft.Terminal.BLINK_TIME = 400;
+
+/**
+ * Clear the screen and put the cursor and colours back as they are when the
+ * computer is turned on.
+ */
+Blockly.ComputerCraft.Terminal.prototype.reset = function() {
+  this.cursorX = 1;
+  this.cursorY = 1;
+  this.cursorBlink = false;
+  // Indices of colours in Blockly.ComputerCraft.TERMINAL_COLOUR_NAMES.
+  this.textColour = 0;
+  this.backgroundColour = 15;
+  // For each line, its text and hexadecimal digits giving the colour
+  // indices of each character, as in ComputerCraft's term.blit.
+  this.text_ = [];
+  this.textColours_ = [];
+  this.backgroundColours_ = [];
+  for (var y = 0; y < this.height; y++) {
+    this.clearLine_(y);
+  }
+};
+
+/**
+ * Get a line of the screen.
+ * @param {number} y Line number, starting at 1.
+ * @return {string} The text on the line, as Lua bytes.
+ */
+Blockly.ComputerCraft.Terminal.prototype.getLine = function(y) {
+  return this.text_[y - 1];
+};
+
+/**
+ * Get the colours of the text on a line.
+ * @param {number} y Line number, starting at 1.
+ * @return {string} A hexadecimal digit for each character, the bit number of
+ *     its colour.
+ */
+Blockly.ComputerCraft.Terminal.prototype.getTextColours = function(y) {
+  return this.textColours_[y - 1];
+};
+
+/**
+ * Get the colours behind the text on a line.
+ * @param {number} y Line number, starting at 1.
+ * @return {string} A hexadecimal digit for each character, the bit number of
+ *     its background colour.
+ */
+Blockly.ComputerCraft.Terminal.prototype.getBackgroundColours = function(y) {
+  return this.backgroundColours_[y - 1];
+};
+
+/**
+ * Get the whole screen as text, without spaces at the ends of lines or
+ * blank lines at the bottom.
+ * @return {string} The text, as Lua bytes.
+ */
+Blockly.ComputerCraft.Terminal.prototype.toString = function() {
+  return this.text_.map(function(line) {
+    return line.replace(/ +$/, '');
+  }).join('\n').replace(/\n+$/, '');
+};
+
+/**
+ * Blank a line in the current background colour.
+ * @param {number} index Index of the line, starting at 0.
+ * @private
+ */
+Blockly.ComputerCraft.Terminal.prototype.clearLine_ = function(index) {
+  var repeat = function(c, n) {
+    return new Array(n + 1).join(c);
+  };
+  this.text_[index] = repeat(' ', this.width);
+  this.textColours_[index] =
+      repeat(this.textColour.toString(16), this.width);
+  this.backgroundColours_[index] =
+      repeat(this.backgroundColour.toString(16), this.width);
+};
+
+/**
+ * Write text at the cursor, moving the cursor to the end of it.  Text that
+ * doesn't fit on the line is lost, as in ComputerCraft's term.write.
+ * @param {string} text The text, as Lua bytes.
+ */
+Blockly.ComputerCraft.Terminal.prototype.write = function(text) {
+  var index = this.cursorY - 1;
+  if (index >= 0 && index < this.height) {
+    var start = Math.max(this.cursorX - 1, 0);
+    var end = Math.min(this.cursorX - 1 + text.length, this.width);
+    if (start < end) {
+      var splice = function(line, replacement) {
+        return line.substring(0, start) + replacement + line.substring(end);
+      };
+      var length = end - start;
+      this.text_[index] = splice(this.text_[index],
+          text.substr(start - (this.cursorX - 1), length));
+      this.textColours_[index] = splice(this.textColours_[index],
+          new Array(length + 1).join(this.textColour.toString(16)));
+      this.backgroundColours_[index] = splice(this.backgroundColours_[index],
+          new Array(length + 1).join(this.backgroundColour.toString(16)));
+    }
+  }
+  this.cursorX += text.length;
+};
+
+/**
+ * Write text, moving to a new line at line breaks and the edge of the
+ * screen, and scrolling when the cursor goes off the bottom.
+ * @param {string} text The text, as Lua bytes.
+ * @param {number=} opt_colour Index of the colour for the text, if not the
+ *     current one.
+ */
+Blockly.ComputerCraft.Terminal.prototype.print = function(text,
+                                                          opt_colour) {
+  var textColour = this.textColour;
+  if (opt_colour !== undefined && this.colour) {
+    this.textColour = opt_colour;
+  }
+  for (var x = 0; x < text.length; x++) {
+    var c = text.charAt(x);
+    if (c == '\n' || this.cursorX > this.width) {
+      this.newLine_();
+    }
+    if (c != '\n') {
+      this.write(c);
+    }
+  }
+  this.textColour = textColour;
+};
+
+/**
+ * Move the cursor to the start of the next line, scrolling if it's on the
+ * bottom line.
+ * @private
+ */
+Blockly.ComputerCraft.Terminal.prototype.newLine_ = function() {
+  this.cursorX = 1;
+  if (this.cursorY < this.height) {
+    this.cursorY++;
+  } else {
+    this.cursorY = this.height;
+    this.scroll(1);
+  }
+};
+
+/**
+ * Blank the screen in the current background colour.
+ */
+Blockly.ComputerCraft.Terminal.prototype.clear = function() {
+  for (var y = 0; y < this.height; y++) {
+    this.clearLine_(y);
+  }
+};
+
+/**
+ * Move the lines of the screen up, filling the lines left at the bottom
+ * with the current background colour.
+ * @param {number} lines Number of lines to move, or a negative number to
+ *     move them down.
+ */
+Blockly.ComputerCraft.Terminal.prototype.scroll = function(lines) {
+  var rows = [this.text_, this.textColours_, this.backgroundColours_];
+  for (var n = 0; n < Math.min(Math.abs(lines), this.height); n++) {
+    rows.forEach(function(row) {
+      if (lines > 0) {
+        row.shift();
+        row.push('');
+      } else {
+        row.pop();
+        row.unshift('');
+      }
+    });
+    this.clearLine_(lines > 0 ? this.height - 1 : 0);
+  }
+};
+
+/**
+ * Get the index of the colour given to a term function.
+ * @param {!Array} args Arguments of the function.
+ * @param {string} name Name of the function, for error messages.
+ * @return {number} Index of the colour, from 0 to 15.
+ * @private
+ */
+Blockly.ComputerCraft.Terminal.prototype.checkColour_ = function(args,
+                                                                 name) {
+  var value = LuaInterpreter.checkNumber(args, 0, name);
+  var index = value > 0 ? Math.floor(Math.log(value) / Math.LN2) : -1;
+  if (index < 0 || index > 15) {
+    throw new LuaInterpreter.Error('Colour out of range');
+  }
+  if (!this.colour && index != 0 && index != 15) {
+    throw new LuaInterpreter.Error('Colour not supported');
+  }
+  return index;
+};
+
+/**
+ * Change the size of the screen, keeping the text that still fits.
+ * @param {number} width New width in characters.
+ * @param {number} height New height in characters.
+ */
+Blockly.ComputerCraft.Terminal.prototype.resize = function(width, height) {
+  var text = this.text_;
+  var textColours = this.textColours_;
+  var backgroundColours = this.backgroundColours_;
+  var oldWidth = this.width;
+  this.width = width;
+  this.height = height;
+  this.text_ = [];
+  this.textColours_ = [];
+  this.backgroundColours_ = [];
+  for (var y = 0; y < height; y++) {
+    this.clearLine_(y);
+    if (y < text.length) {
+      var keep = Math.min(width, oldWidth);
+      this.text_[y] = text[y].substring(0, keep) +
+          this.text_[y].substring(keep);
+      this.textColours_[y] = textColours[y].substring(0, keep) +
+          this.textColours_[y].substring(keep);
+      this.backgroundColours_[y] = backgroundColours[y].substring(0, keep) +
+          this.backgroundColours_[y].substring(keep);
+    }
+  }
+};
+
+/**
+ * Create the functions of the term API, which write on this terminal.  A
+ * monitor has the same functions as its methods.
+ * @return {!Object} Functions by name, to pass to defineFunctions.
+ */
+Blockly.ComputerCraft.Terminal.prototype.createTermFunctions = function() {
+  var terminal = this;
+  var isColour = function() {
+    return [terminal.colour];
+  };
+  var setTextColour = function(args) {
+    terminal.textColour = terminal.checkColour_(args, 'setTextColour');
+    return [];
+  };
+  var setBackgroundColour = function(args) {
+    terminal.backgroundColour =
+        terminal.checkColour_(args, 'setBackgroundColour');
+    return [];
+  };
+  return {
+    write: function(args, vm) {
+      terminal.write(args[0] === undefined ? '' : vm.tostring(args[0]));
+      return [];
+    },
+    clear: function() {
+      terminal.clear();
+      return [];
+    },
+    clearLine: function() {
+      if (terminal.cursorY >= 1 && terminal.cursorY <= terminal.height) {
+        terminal.clearLine_(terminal.cursorY - 1);
+      }
+      return [];
+    },
+    getCursorPos: function() {
+      return [terminal.cursorX, terminal.cursorY];
+    },
+    setCursorPos: function(args) {
+      terminal.cursorX =
+          Math.floor(LuaInterpreter.checkNumber(args, 0, 'setCursorPos'));
+      terminal.cursorY =
+          Math.floor(LuaInterpreter.checkNumber(args, 1, 'setCursorPos'));
+      return [];
+    },
+    setCursorBlink: function(args) {
+      LuaInterpreter.checkType(args, 0, 'boolean', 'setCursorBlink');
+      terminal.cursorBlink = args[0];
+      return [];
+    },
+    getSize: function() {
+      return [terminal.width, terminal.height];
+    },
+    scroll: function(args) {
+      terminal.scroll(
+          Math.floor(LuaInterpreter.checkNumber(args, 0, 'scroll')));
+      return [];
+    },
+    isColour: isColour,
+    isColor: isColour,
+    setTextColour: setTextColour,
+    setTextColor: setTextColour,
+    setBackgroundColour: setBackgroundColour,
+    setBackgroundColor: setBackgroundColour
+  };
+};
+
+/**
+ * Add the term API and the APIs built on it to a computer, and show what
+ * the computer writes on this terminal.
+ * @param {!Blockly.ComputerCraft.Computer} computer The computer.
+ */
+Blockly.ComputerCraft.Terminal.prototype.install = function(computer) {
+  var terminal = this;
+  this.computer = computer;
+  computer.onOutput = function(text, isError) {
+    terminal.print(text, isError ?
+        Blockly.ComputerCraft.Terminal.ERROR_COLOUR : undefined);
+  };
+  var term = new LuaInterpreter.Table();
+  computer.defineFunctions(term, this.createTermFunctions());
+  computer.vm.setGlobal('term', term);
+  var keys = new LuaInterpreter.Table();
+  var names = [];
+  for (var name in Blockly.ComputerCraft.KEYS) {
+    keys.set(name, Blockly.ComputerCraft.KEYS[name]);
+    names[Blockly.ComputerCraft.KEYS[name]] = name;
+  }
+  computer.defineFunctions(keys, {
+    getName: function(args) {
+      return [names[LuaInterpreter.checkNumber(args, 0, 'getName')]];
+    }
+  });
+  computer.vm.setGlobal('keys', keys);
+  var colours = new LuaInterpreter.Table();
+  Blockly.ComputerCraft.TERMINAL_COLOUR_NAMES.forEach(function(name, bit) {
+    colours.set(name, 1 << bit);
+    colours.set(name.replace('rey', 'ray'), 1 << bit);
+  });
+  computer.vm.setGlobal('colours', colours);
+  computer.vm.call(computer.vm.load(Blockly.ComputerCraft.TERMINAL_PRELUDE_,
+                                    'terminal'), []);
+};
+
+/**
+ * Queue the events for a key being pressed.  Ctrl-T terminates the program.
+ * @param {number} keyCode The browser's code for the key.
+ * @param {boolean} ctrlKey Whether the control key is held down.
+ * @return {boolean} True if the browser shouldn't also handle the key,
+ *     because it doesn't type a character.
+ */
+Blockly.ComputerCraft.Terminal.prototype.keyDown = function(keyCode,
+                                                            ctrlKey) {
+  if (!this.computer) {
+    return false;
+  }
+  if (ctrlKey && keyCode == 84) {
+    this.computer.queueEvent(['terminate']);
+    return true;
+  }
+  var name = Blockly.ComputerCraft.BROWSER_KEYS_[keyCode];
+  if (!name && keyCode >= 65 && keyCode <= 90) {
+    name = String.fromCharCode(keyCode).toLowerCase();
+  } else if (!name && keyCode >= 112 && keyCode <= 123) {
+    name = 'f' + (keyCode - 111);
+  }
+  if (name) {
+    this.computer.queueEvent(['key', Blockly.ComputerCraft.KEYS[name]]);
+  }
+  var types = keyCode == 32 || keyCode >= 48 &&
+      !(keyCode >= 112 && keyCode <= 123);
+  return !types;
+};
+
+/**
+ * Queue the event for a character being typed.
+ * @param {number} charCode The character's code.
+ */
+Blockly.ComputerCraft.Terminal.prototype.keyPress = function(charCode) {
+  // ComputerCraft's characters are bytes.
+  if (this.computer && charCode >= 32 && charCode < 256 && charCode != 127) {
+    this.computer.queueEvent(['char', String.fromCharCode(charCode)]);
+  }
+};
+
+/**
+ * Draw the screen on a canvas, which is divided into a cell for each
+ * character.
+ * @param {!Element} canvas The canvas.
+ * @param {number} time Time on the computer in milliseconds, for blinking
+ *     the cursor.
+ */
+Blockly.ComputerCraft.Terminal.prototype.draw = function(canvas, time) {
+  var context = canvas.getContext('2d');
+  var cellWidth = canvas.width / this.width;
+  var cellHeight = canvas.height / this.height;
+  var palette = Blockly.ComputerCraft.TERMINAL_PALETTE_;
+  context.font = Math.floor(cellHeight * 0.8) + 'px monospace';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  for (var y = 0; y < this.height; y++) {
+    var line = this.text_[y];
+    for (var x = 0; x < this.width; x++) {
+      context.fillStyle =
+          palette[parseInt(this.backgroundColours_[y].charAt(x), 16)];
+      context.fillRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
+      var c = line.charAt(x);
+      if (c > ' ') {
+        context.fillStyle =
+            palette[parseInt(this.textColours_[y].charAt(x), 16)];
+        context.fillText(c, (x + 0.5) * cellWidth, (y + 0.5) * cellHeight);
+      }
+    }
+  }
+  var blink = Blockly.ComputerCraft.Terminal.BLINK_TIME;
+  if (this.cursorBlink && Math.floor(time / blink) % 2 == 0 &&
+      this.cursorX >= 1 && this.cursorX <= this.width &&
+      this.cursorY >= 1 && this.cursorY <= this.height) {
+    context.fillStyle = palette[this.textColour];
+    context.fillText('_', (this.cursorX - 0.5) * cellWidth,
+                     (this.cursorY - 0.5) * cellHeight);
+  }
+};
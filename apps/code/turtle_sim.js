@@ -0,0 +1,993 @@
+/**
+ * Blockly Lua: Turtle simulator
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A world of blocks for simulated turtles, and the turtle API
+ * acting on it.  The functions return the same values as ComputerCraft
+ * 1.6's, including the messages explaining failures.
+ */
+'use strict';
+
+goog.provide('ComputerCraft.TurtleSim');
+
+goog.require('ComputerCraft.Computer');
+
+/**
+ * Number of seconds a turtle takes to do anything to the world.
+ */
+Blockly.ComputerCraft.TURTLE_ACTION_TIME = 0.4;
+
+/**
+ * Fuel provided by one of each item that burns.
+ * @private
+ */
+Blockly.ComputerCraft.FUEL_VALUES_ = {
+  coal: 80,
+  log: 15,
+  planks: 15,
+  stick: 5,
+  lava_bucket: 1000
+};
+
+/**
+ * What digging each kind of block yields, if not the block itself.
+ * @private
+ */
+Blockly.ComputerCraft.BLOCK_DROPS_ = {
+  stone: 'cobblestone',
+  grass: 'dirt',
+  coal_ore: 'coal'
+};
+
+/**
+ * Items that can't be placed as blocks.
+ * @private
+ */
+Blockly.ComputerCraft.UNPLACEABLE_ITEMS_ = ['coal', 'stick', 'lava_bucket',
+                                            'rotten_flesh'];
+
+/**
+ * Crafting recipes.  Each pattern lists rows of the 3x3 grid in the top
+ * left of the turtle's inventory, without empty rows and columns around it;
+ * '.' is an empty square.
+ * @private
+ */
+Blockly.ComputerCraft.RECIPES_ = [
+  {pattern: ['log'], result: 'planks', count: 4},
+  {pattern: ['planks', 'planks'], result: 'stick', count: 4},
+  {pattern: ['planks planks', 'planks planks'], result: 'crafting_table',
+   count: 1},
+  {pattern: ['planks planks planks', 'planks . planks',
+             'planks planks planks'], result: 'chest', count: 1},
+  {pattern: ['cobblestone cobblestone cobblestone',
+             'cobblestone . cobblestone',
+             'cobblestone cobblestone cobblestone'],
+   result: 'furnace', count: 1},
+  {pattern: ['coal', 'stick'], result: 'torch', count: 4}
+];
+
+/**
+ * Directions a turtle can face, as changes in x and z.  0 is north.
+ */
+Blockly.ComputerCraft.FACINGS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+/**
+ * A world of blocks.  Unless changed, it is flat ground: grass at y = 63,
+ * then dirt, then stone with some coal ore, and bedrock at y = 0.
+ * @constructor
+ */
+Blockly.ComputerCraft.TurtleWorld = function() {
+  // Blocks that differ from the terrain, by position; null is air.
+  this.blocks_ = {};
+  // Inventories of chests, by position.
+  this.inventories_ = {};
+  // Text of signs, by position.
+  this.signs_ = {};
+  // Items lying on the ground, by position.
+  this.items_ = {};
+  // Mobs, by position.
+  this.mobs_ = {};
+  this.turtles = [];
+};
+
+Blockly.ComputerCraft.TurtleWorld.GROUND_LEVEL = 63;
+Blockly.ComputerCraft.TurtleWorld.HEIGHT = 256;
+Blockly.ComputerCraft.TurtleWorld.CHEST_SIZE = 27;
+
+/**
+ * Key for a position in the maps of the world.
+ * @private
+ */
+Blockly.ComputerCraft.TurtleWorld.key_ = function(x, y, z) {
+  return x + ',' + y + ',' + z;
+};
+
+/**
+ * Get the block of the unchanged world at a position.
+ * @private
+ */
+Blockly.ComputerCraft.TurtleWorld.prototype.terrain_ = function(x, y, z) {
+  var ground = Blockly.ComputerCraft.TurtleWorld.GROUND_LEVEL;
+  if (y > ground || y < 0) {
+    return null;
+  }
+  if (y == ground) {
+    return 'grass';
+  }
+  if (y > ground - 4) {
+    return 'dirt';
+  }
+  if (y == 0) {
+    return 'bedrock';
+  }
+  // Scatter coal ore the same way every time.
+  var hash = (x * 73856093) ^ (y * 19349663) ^ (z * 83492791);
+  return Math.abs(hash) % 23 == 0 ? 'coal_ore' : 'stone';
+};
+
+/**
+ * Get the block at a position.
+ * @param {number} x East-west position.
+ * @param {number} y Height.
+ * @param {number} z North-south position.
+ * @return {?string} Name of the block, or null for air.
+ */
+Blockly.ComputerCraft.TurtleWorld.prototype.getBlock = function(x, y, z) {
+  var key = Blockly.ComputerCraft.TurtleWorld.key_(x, y, z);
+  if (key in this.blocks_) {
+    return this.blocks_[key];
+  }
+  for (var i = 0; i < this.turtles.length; i++) {
+    var turtle = this.turtles[i];
+    if (turtle.x == x && turtle.y == y && turtle.z == z) {
+      return 'turtle';
+    }
+  }
+  return this.terrain_(x, y, z);
+};
+
+/**
+ * Change the block at a position.  A chest gets an empty inventory.
+ * @param {number} x East-west position.
+ * @param {number} y Height.
+ * @param {number} z North-south position.
+ * @param {?string} name Name of the block, or null for air.
+ */
+Blockly.ComputerCraft.TurtleWorld.prototype.setBlock = function(x, y, z,
+                                                                name) {
+  var key = Blockly.ComputerCraft.TurtleWorld.key_(x, y, z);
+  this.blocks_[key] = name;
+  delete this.signs_[key];
+  if (name == 'chest') {
+    this.inventories_[key] = [];
+    for (var i = 0; i < Blockly.ComputerCraft.TurtleWorld.CHEST_SIZE; i++) {
+      this.inventories_[key].push(null);
+    }
+  } else {
+    delete this.inventories_[key];
+  }
+};
+
+/**
+ * Get the inventory of the chest at a position.
+ * @param {number} x East-west position.
+ * @param {number} y Height.
+ * @param {number} z North-south position.
+ * @return {Array.<Object>} Its slots, each null or an item stack such as
+ *     {name: 'coal', count: 3}, or null if there is no chest.
+ */
+Blockly.ComputerCraft.TurtleWorld.prototype.getInventory = function(x, y,
+                                                                    z) {
+  return this.inventories_[Blockly.ComputerCraft.TurtleWorld.key_(x, y, z)] ||
+      null;
+};
+
+/**
+ * Get the text of the sign at a position.
+ * @return {?string} The text, or null if there is no sign.
+ */
+Blockly.ComputerCraft.TurtleWorld.prototype.getSignText = function(x, y,
+                                                                   z) {
+  var text = this.signs_[Blockly.ComputerCraft.TurtleWorld.key_(x, y, z)];
+  return text === undefined ? null : text;
+};
+
+/**
+ * Get the stacks of items lying at a position.
+ * @return {!Array.<!Object>} The stacks, which may be changed.
+ */
+Blockly.ComputerCraft.TurtleWorld.prototype.getItems = function(x, y, z) {
+  var key = Blockly.ComputerCraft.TurtleWorld.key_(x, y, z);
+  return this.items_[key] || (this.items_[key] = []);
+};
+
+/**
+ * Put a mob at a position.
+ * @param {number} x East-west position.
+ * @param {number} y Height.
+ * @param {number} z North-south position.
+ * @param {string} name Kind of mob, such as 'zombie'.
+ * @param {number=} opt_health Number of hits it takes, by default 3.
+ */
+Blockly.ComputerCraft.TurtleWorld.prototype.addMob = function(x, y, z, name,
+                                                              opt_health) {
+  this.mobs_[Blockly.ComputerCraft.TurtleWorld.key_(x, y, z)] =
+      {name: name, health: opt_health || 3};
+};
+
+/**
+ * Get the mob at a position.
+ * @return {Object} The mob, with its 'name' and 'health', or null.
+ */
+Blockly.ComputerCraft.TurtleWorld.prototype.getMob = function(x, y, z) {
+  return this.mobs_[Blockly.ComputerCraft.TurtleWorld.key_(x, y, z)] || null;
+};
+
+/**
+ * A simulated turtle.
+ * @param {!Blockly.ComputerCraft.TurtleWorld} world Its world.
+ * @param {Object=} opt_options Settings: 'x', 'y' and 'z' (its position,
+ *     by default standing on the ground at 0, 0), 'facing' (0 for north, 1
+ *     for east, 2 for south, 3 for west), 'fuel' (its fuel level, by
+ *     default 1000, or 'unlimited' if it doesn't need fuel) and
+ *     'inventory' (an array of up to 16 item stacks or nulls).
+ * @constructor
+ */
+Blockly.ComputerCraft.SimulatedTurtle = function(world, opt_options) {
+  var options = opt_options || {};
+  this.world = world;
+  this.x = options.x || 0;
+  this.y = options.y === undefined ?
+      Blockly.ComputerCraft.TurtleWorld.GROUND_LEVEL + 1 : options.y;
+  this.z = options.z || 0;
+  this.facing = options.facing || 0;
+  this.fuel = options.fuel === undefined ? 1000 : options.fuel;
+  this.slots = [];
+  for (var i = 0; i < 16; i++) {
+    var stack = options.inventory && options.inventory[i];
+    this.slots.push(stack ? {name: stack.name, count: stack.count} : null);
+  }
+  this.selected = 1;
+  // Where the turtle was before its last action, for drawing it moving.
+  this.previous = {x: this.x, y: this.y, z: this.z, facing: this.facing};
+  this.computer = null;
+  world.turtles.push(this);
+};
+
+Blockly.ComputerCraft.SimulatedTurtle.STACK_SIZE = 64;
+Blockly.ComputerCraft.SimulatedTurtle.FUEL_LIMIT = 20000;
+
+/**
+ * Get the position next to the turtle in a direction.
+ * @param {string} direction 'forward', 'back', 'up' or 'down'.
+ * @return {!Array.<number>} The x, y and z of the position.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.getNeighbour = function(
+    direction) {
+  var facing = Blockly.ComputerCraft.FACINGS[this.facing];
+  switch (direction) {
+    case 'forward':
+      return [this.x + facing[0], this.y, this.z + facing[1]];
+    case 'back':
+      return [this.x - facing[0], this.y, this.z - facing[1]];
+    case 'up':
+      return [this.x, this.y + 1, this.z];
+    case 'down':
+      return [this.x, this.y - 1, this.z];
+  }
+  throw Error('Unknown direction: ' + direction);
+};
+
+/**
+ * Add items to the inventory, filling the selected slot and those after it
+ * first, as a turtle picking up items does.
+ * @param {string} name Kind of item.
+ * @param {number} count Number of items.
+ * @return {number} Number of items that didn't fit.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.addItems = function(name,
+                                                                    count) {
+  var size = Blockly.ComputerCraft.SimulatedTurtle.STACK_SIZE;
+  var order = [];
+  for (var i = 0; i < 16; i++) {
+    order.push((this.selected - 1 + i) % 16);
+  }
+  // Add to matching stacks before starting new ones.
+  for (var pass = 0; pass < 2 && count; pass++) {
+    for (var i = 0; i < order.length && count; i++) {
+      var slot = this.slots[order[i]];
+      if (pass == 0 ? slot && slot.name == name : !slot) {
+        if (!slot) {
+          slot = this.slots[order[i]] = {name: name, count: 0};
+        }
+        var moved = Math.min(count, size - slot.count);
+        slot.count += moved;
+        count -= moved;
+      }
+    }
+  }
+  return count;
+};
+
+/**
+ * Take items from the selected slot.
+ * @param {number} count Maximum number of items.
+ * @return {Object} The items taken, as a stack, or null if there were none.
+ * @private
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.takeSelected_ = function(
+    count) {
+  var slot = this.slots[this.selected - 1];
+  if (!slot || !count) {
+    return null;
+  }
+  var taken = Math.min(count, slot.count);
+  slot.count -= taken;
+  if (!slot.count) {
+    this.slots[this.selected - 1] = null;
+  }
+  return {name: slot.name, count: taken};
+};
+
+/**
+ * Move the turtle.
+ * @param {string} direction 'forward', 'back', 'up' or 'down'.
+ * @return {!Array} The results of turtle.forward and so on.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.move = function(direction) {
+  if (this.fuel !== 'unlimited' && this.fuel < 1) {
+    return [false, 'Out of fuel'];
+  }
+  var target = this.getNeighbour(direction);
+  if (target[1] >= Blockly.ComputerCraft.TurtleWorld.HEIGHT) {
+    return [false, 'Too high to move'];
+  }
+  if (target[1] < 0) {
+    return [false, 'Too low to move'];
+  }
+  if (this.world.getBlock(target[0], target[1], target[2]) ||
+      this.world.getMob(target[0], target[1], target[2])) {
+    return [false, 'Movement obstructed'];
+  }
+  this.x = target[0];
+  this.y = target[1];
+  this.z = target[2];
+  if (this.fuel !== 'unlimited') {
+    this.fuel--;
+  }
+  return [true];
+};
+
+/**
+ * Turn the turtle.
+ * @param {number} turns 1 to turn right, -1 to turn left.
+ * @return {!Array} The results of turtle.turnRight or turtle.turnLeft.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.turn = function(turns) {
+  this.facing = (this.facing + turns + 4) % 4;
+  return [true];
+};
+
+/**
+ * Dig the block next to the turtle, picking up what it drops.
+ * @param {string} direction 'forward', 'up' or 'down'.
+ * @return {!Array} The results of turtle.dig and so on.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.dig = function(direction) {
+  var target = this.getNeighbour(direction);
+  var world = this.world;
+  var block = world.getBlock(target[0], target[1], target[2]);
+  if (!block) {
+    return [false, 'Nothing to dig here'];
+  }
+  if (block == 'bedrock' || block == 'turtle') {
+    return [false, 'Unbreakable block detected'];
+  }
+  var drops = [{name: Blockly.ComputerCraft.BLOCK_DROPS_[block] || block,
+                count: 1}];
+  var inventory = world.getInventory(target[0], target[1], target[2]);
+  if (inventory) {
+    drops = drops.concat(inventory.filter(function(stack) {
+      return stack;
+    }));
+  }
+  world.setBlock(target[0], target[1], target[2], null);
+  // What doesn't fit in the turtle falls on the ground.
+  var items = world.getItems(target[0], target[1], target[2]);
+  for (var i = 0; i < drops.length; i++) {
+    var left = this.addItems(drops[i].name, drops[i].count);
+    if (left) {
+      items.push({name: drops[i].name, count: left});
+    }
+  }
+  return [true];
+};
+
+/**
+ * Attack the mob next to the turtle.
+ * @param {string} direction 'forward', 'up' or 'down'.
+ * @return {!Array} The results of turtle.attack and so on.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.attack = function(
+    direction) {
+  var target = this.getNeighbour(direction);
+  var mob = this.world.getMob(target[0], target[1], target[2]);
+  if (!mob) {
+    return [false, 'Nothing to attack here'];
+  }
+  if (--mob.health <= 0) {
+    delete this.world.mobs_[Blockly.ComputerCraft.TurtleWorld.key_(
+        target[0], target[1], target[2])];
+    var left = this.addItems('rotten_flesh', 1);
+    if (left) {
+      this.world.getItems(target[0], target[1], target[2]).push(
+          {name: 'rotten_flesh', count: left});
+    }
+  }
+  return [true];
+};
+
+/**
+ * Check for a block next to the turtle.
+ * @param {string} direction 'forward', 'up' or 'down'.
+ * @return {!Array} The result of turtle.detect and so on.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.detect = function(
+    direction) {
+  var target = this.getNeighbour(direction);
+  return [!!this.world.getBlock(target[0], target[1], target[2])];
+};
+
+/**
+ * Compare the block next to the turtle with the selected slot.
+ * @param {string} direction 'forward', 'up' or 'down'.
+ * @return {!Array} The result of turtle.compare and so on.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.compare = function(
+    direction) {
+  var target = this.getNeighbour(direction);
+  var block = this.world.getBlock(target[0], target[1], target[2]);
+  var slot = this.slots[this.selected - 1];
+  return [(slot ? slot.name : null) == block];
+};
+
+/**
+ * Pick up items from an inventory or the ground next to the turtle.
+ * @param {string} direction 'forward', 'up' or 'down'.
+ * @return {!Array} The results of turtle.suck and so on.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.suck = function(direction) {
+  var target = this.getNeighbour(direction);
+  var world = this.world;
+  var stacks = world.getInventory(target[0], target[1], target[2]) ||
+      world.getItems(target[0], target[1], target[2]);
+  for (var i = 0; i < stacks.length; i++) {
+    var stack = stacks[i];
+    if (stack) {
+      var left = this.addItems(stack.name, stack.count);
+      if (left == stack.count) {
+        return [false, 'No space for items'];
+      }
+      stack.count = left;
+      if (!left) {
+        if (world.getInventory(target[0], target[1], target[2])) {
+          stacks[i] = null;
+        } else {
+          stacks.splice(i, 1);
+        }
+      }
+      return [true];
+    }
+  }
+  return [false, 'No items to take'];
+};
+
+/**
+ * Drop items from the selected slot into an inventory or onto the ground.
+ * @param {string} direction 'forward', 'up' or 'down'.
+ * @param {number} count Maximum number of items.
+ * @return {!Array} The results of turtle.drop and so on.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.drop = function(direction,
+                                                                count) {
+  var slot = this.slots[this.selected - 1];
+  if (!slot) {
+    return [false, 'No items to drop'];
+  }
+  var target = this.getNeighbour(direction);
+  var inventory = this.world.getInventory(target[0], target[1], target[2]);
+  if (!inventory) {
+    var dropped = this.takeSelected_(count);
+    if (dropped) {
+      this.world.getItems(target[0], target[1], target[2]).push(dropped);
+    }
+    return [true];
+  }
+  var size = Blockly.ComputerCraft.SimulatedTurtle.STACK_SIZE;
+  var wanted = Math.min(count, slot.count);
+  var moved = 0;
+  for (var pass = 0; pass < 2; pass++) {
+    for (var i = 0; i < inventory.length && moved < wanted; i++) {
+      var stack = inventory[i];
+      if (pass == 0 ? stack && stack.name == slot.name : !stack) {
+        if (!stack) {
+          stack = inventory[i] = {name: slot.name, count: 0};
+        }
+        var n = Math.min(wanted - moved, size - stack.count);
+        stack.count += n;
+        moved += n;
+      }
+    }
+  }
+  if (!moved && wanted) {
+    return [false, 'No space for items'];
+  }
+  this.takeSelected_(moved);
+  return [true];
+};
+
+/**
+ * Place a block from the selected slot.
+ * @param {string} direction 'forward', 'up' or 'down'.
+ * @param {string=} opt_text Text to write if the block is a sign.
+ * @return {!Array} The results of turtle.place and so on.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.place = function(direction,
+                                                                 opt_text) {
+  var slot = this.slots[this.selected - 1];
+  if (!slot) {
+    return [false, 'No items to place'];
+  }
+  var target = this.getNeighbour(direction);
+  var world = this.world;
+  if (world.getBlock(target[0], target[1], target[2]) ||
+      world.getMob(target[0], target[1], target[2])) {
+    return [false, 'Cannot place block here'];
+  }
+  if (Blockly.ComputerCraft.UNPLACEABLE_ITEMS_.indexOf(slot.name) != -1) {
+    return [false, 'Cannot place item here'];
+  }
+  var name = slot.name;
+  this.takeSelected_(1);
+  world.setBlock(target[0], target[1], target[2], name);
+  if (name == 'sign') {
+    world.signs_[Blockly.ComputerCraft.TurtleWorld.key_(
+        target[0], target[1], target[2])] = opt_text || '';
+  }
+  return [true];
+};
+
+/**
+ * Burn items from the selected slot as fuel.
+ * @param {number} count Maximum number of items, or 0 to only check that
+ *     they burn.
+ * @return {!Array} The results of turtle.refuel.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.refuel = function(count) {
+  var slot = this.slots[this.selected - 1];
+  if (!slot) {
+    return [false, 'No items to combust'];
+  }
+  var value = Blockly.ComputerCraft.FUEL_VALUES_[slot.name];
+  if (!value) {
+    return [false, 'Items not combustible'];
+  }
+  var burnt = this.takeSelected_(count);
+  if (burnt && this.fuel !== 'unlimited') {
+    this.fuel = Math.min(this.fuel + burnt.count * value,
+                         Blockly.ComputerCraft.SimulatedTurtle.FUEL_LIMIT);
+  }
+  return [true];
+};
+
+/**
+ * Move items from the selected slot to another.
+ * @param {number} slotNumber The other slot, from 1 to 16.
+ * @param {number} count Maximum number of items.
+ * @return {!Array} The results of turtle.transferTo.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.transferTo = function(
+    slotNumber, count) {
+  var from = this.slots[this.selected - 1];
+  if (!from || slotNumber == this.selected) {
+    return [true];
+  }
+  var to = this.slots[slotNumber - 1];
+  if (to && to.name != from.name) {
+    return [false, 'No space for items'];
+  }
+  var space = Blockly.ComputerCraft.SimulatedTurtle.STACK_SIZE -
+      (to ? to.count : 0);
+  var moved = Math.min(count, from.count, space);
+  if (!moved) {
+    return [false, 'No space for items'];
+  }
+  this.takeSelected_(moved);
+  if (!to) {
+    to = this.slots[slotNumber - 1] = {name: from.name, count: 0};
+  }
+  to.count += moved;
+  return [true];
+};
+
+/**
+ * Craft items from the 3x3 grid at the top left of the inventory, putting
+ * the results in the selected slot.
+ * @param {number} count Maximum number of items to make, or 0 to only check
+ *     for a recipe.
+ * @return {!Array} The results of turtle.craft.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.craft = function(count) {
+  for (var i = 0; i < 16; i++) {
+    if (this.slots[i] && (i % 4 == 3 || i >= 12)) {
+      // Everything must be in the grid.
+      return [false, 'No matching recipes'];
+    }
+  }
+  var grid = [];
+  for (var row = 0; row < 3; row++) {
+    grid.push([]);
+    for (var column = 0; column < 3; column++) {
+      var slot = this.slots[row * 4 + column];
+      grid[row].push(slot ? slot.name : '.');
+    }
+  }
+  // Trim empty rows and columns from the edges.
+  var used = function(cell) {
+    return cell != '.';
+  };
+  var rows = [];
+  var columns = [];
+  for (var i = 0; i < 3; i++) {
+    if (grid[i].some(used)) {
+      rows.push(i);
+    }
+    if (grid.some(function(cells) { return used(cells[i]); })) {
+      columns.push(i);
+    }
+  }
+  var pattern = [];
+  for (var row = rows[0]; row <= rows[rows.length - 1]; row++) {
+    pattern.push(grid[row].slice(columns[0], columns[columns.length - 1] + 1)
+                 .join(' '));
+  }
+  var recipe = null;
+  for (var i = 0; i < Blockly.ComputerCraft.RECIPES_.length; i++) {
+    if (Blockly.ComputerCraft.RECIPES_[i].pattern.join('/') ==
+        pattern.join('/')) {
+      recipe = Blockly.ComputerCraft.RECIPES_[i];
+    }
+  }
+  if (!recipe) {
+    return [false, 'No matching recipes'];
+  }
+  if (!count) {
+    return [true];
+  }
+  // Make as many as the ingredients and the limit allow.
+  var size = Blockly.ComputerCraft.SimulatedTurtle.STACK_SIZE;
+  var times = Math.floor(size / recipe.count);
+  for (var row = 0; row < 3; row++) {
+    for (var column = 0; column < 3; column++) {
+      var slot = this.slots[row * 4 + column];
+      if (slot) {
+        times = Math.min(times, slot.count);
+      }
+    }
+  }
+  times = Math.min(times, Math.max(Math.floor(count / recipe.count), 1));
+  for (var row = 0; row < 3; row++) {
+    for (var column = 0; column < 3; column++) {
+      var index = row * 4 + column;
+      if (this.slots[index]) {
+        this.slots[index].count -= times;
+        if (!this.slots[index].count) {
+          this.slots[index] = null;
+        }
+      }
+    }
+  }
+  var left = this.addItems(recipe.result, times * recipe.count);
+  if (left) {
+    this.world.getItems(this.x, this.y, this.z).push(
+        {name: recipe.result, count: left});
+  }
+  return [true];
+};
+
+/**
+ * Check a slot number passed to the turtle API.
+ * @param {!Array} args Arguments.
+ * @param {number} index Index of the slot number.
+ * @param {string} name Name of the function.
+ * @param {number=} opt_default Value if the argument is nil.
+ * @return {number} The slot number.
+ * @private
+ */
+Blockly.ComputerCraft.SimulatedTurtle.checkSlot_ = function(args, index,
+                                                           name,
+                                                           opt_default) {
+  var slot = LuaInterpreter.checkInteger(args, index, name, opt_default);
+  if (slot < 1 || slot > 16) {
+    throw new LuaInterpreter.Error('Slot number ' + slot + ' out of range');
+  }
+  return slot;
+};
+
+/**
+ * Check a count passed to the turtle API.
+ * @param {!Array} args Arguments.
+ * @param {number} index Index of the count.
+ * @param {string} name Name of the function.
+ * @param {string} what How to describe the count in an error, such as
+ *     'Drop count'.
+ * @return {number} The count, by default a whole stack.
+ * @private
+ */
+Blockly.ComputerCraft.SimulatedTurtle.checkCount_ = function(args, index,
+                                                            name, what) {
+  var count = LuaInterpreter.checkInteger(args, index, name,
+      Blockly.ComputerCraft.SimulatedTurtle.STACK_SIZE);
+  if (count < 0 || count > Blockly.ComputerCraft.SimulatedTurtle.STACK_SIZE) {
+    throw new LuaInterpreter.Error(what + ' out of range');
+  }
+  return count;
+};
+
+/**
+ * Give a computer the turtle API, controlling this turtle.
+ * @param {!Blockly.ComputerCraft.Computer} computer The turtle's computer.
+ */
+Blockly.ComputerCraft.SimulatedTurtle.prototype.install = function(
+    computer) {
+  var turtle = this;
+  this.computer = computer;
+  var checkSlot = Blockly.ComputerCraft.SimulatedTurtle.checkSlot_;
+  var checkCount = Blockly.ComputerCraft.SimulatedTurtle.checkCount_;
+  // Changing the world takes time, during which the program waits.
+  var act = function(action) {
+    turtle.previous = {x: turtle.x, y: turtle.y, z: turtle.z,
+                       facing: turtle.facing};
+    turtle.actionStart = computer.time;
+    var results = action();
+    return computer.busy(Blockly.ComputerCraft.TURTLE_ACTION_TIME,
+                         function() {
+                           turtle.previous = {x: turtle.x, y: turtle.y,
+                                              z: turtle.z,
+                                              facing: turtle.facing};
+                           return results;
+                         });
+  };
+  var functions = {
+    turnLeft: function() {
+      return act(function() { return turtle.turn(-1); });
+    },
+    turnRight: function() {
+      return act(function() { return turtle.turn(1); });
+    },
+    select: function(args) {
+      turtle.selected = checkSlot(args, 0, 'select');
+      return [true];
+    },
+    getItemCount: function(args) {
+      var slot = turtle.slots[
+          checkSlot(args, 0, 'getItemCount', turtle.selected) - 1];
+      return [slot ? slot.count : 0];
+    },
+    getItemSpace: function(args) {
+      var slot = turtle.slots[
+          checkSlot(args, 0, 'getItemSpace', turtle.selected) - 1];
+      return [Blockly.ComputerCraft.SimulatedTurtle.STACK_SIZE -
+              (slot ? slot.count : 0)];
+    },
+    compareTo: function(args) {
+      var other = turtle.slots[checkSlot(args, 0, 'compareTo') - 1];
+      var slot = turtle.slots[turtle.selected - 1];
+      return [(slot ? slot.name : null) == (other ? other.name : null)];
+    },
+    getFuelLevel: function() {
+      return [turtle.fuel];
+    },
+    refuel: function(args) {
+      var count = checkCount(args, 0, 'refuel', 'Refuel count');
+      return act(function() { return turtle.refuel(count); });
+    },
+    transferTo: function(args) {
+      var slot = checkSlot(args, 0, 'transferTo');
+      var count = checkCount(args, 1, 'transferTo', 'Quantity');
+      return act(function() { return turtle.transferTo(slot, count); });
+    },
+    craft: function(args) {
+      var count = checkCount(args, 0, 'craft', 'Crafting count');
+      return act(function() { return turtle.craft(count); });
+    }
+  };
+  var directions = {'': 'forward', Up: 'up', Down: 'down'};
+  var define = function(name, direction, method, opt_check) {
+    functions[name] = function(args) {
+      var extra = opt_check ? opt_check(args, name) : undefined;
+      return act(function() {
+        return turtle[method](direction, extra);
+      });
+    };
+  };
+  define('forward', 'forward', 'move');
+  define('back', 'back', 'move');
+  define('up', 'up', 'move');
+  define('down', 'down', 'move');
+  for (var suffix in directions) {
+    var direction = directions[suffix];
+    define('dig' + suffix, direction, 'dig');
+    define('attack' + suffix, direction, 'attack');
+    define('detect' + suffix, direction, 'detect');
+    define('compare' + suffix, direction, 'compare');
+    define('suck' + suffix, direction, 'suck');
+    define('drop' + suffix, direction, 'drop', function(args, name) {
+      return checkCount(args, 0, name, 'Drop count');
+    });
+    define('place' + suffix, direction, 'place', function(args, name) {
+      return args[0] === undefined ? undefined :
+          LuaInterpreter.checkString(args, 0, name);
+    });
+  }
+  var api = new LuaInterpreter.Table();
+  computer.defineFunctions(api, functions);
+  computer.vm.setGlobal('turtle', api);
+};
+
+/**
+ * Colours for drawing blocks.
+ * @private
+ */
+Blockly.ComputerCraft.BLOCK_COLOURS_ = {
+  grass: '#5d9b3a',
+  dirt: '#8a5d3b',
+  stone: '#8c8c8c',
+  cobblestone: '#6f6f6f',
+  coal_ore: '#3c3c3c',
+  bedrock: '#222',
+  chest: '#b07c2c',
+  planks: '#c09a5b',
+  log: '#6b4f2a',
+  sign: '#d8b46a',
+  sand: '#e2d59a',
+  turtle: '#c8c8c8'
+};
+
+/**
+ * Get the colour to draw a block.
+ * @param {string} name Name of the block.
+ * @return {string} CSS colour.
+ * @private
+ */
+Blockly.ComputerCraft.blockColour_ = function(name) {
+  var colour = Blockly.ComputerCraft.BLOCK_COLOURS_[name];
+  if (!colour) {
+    var hash = 0;
+    for (var i = 0; i < name.length; i++) {
+      hash = (hash * 31 + name.charCodeAt(i)) % 360;
+    }
+    colour = 'hsl(' + hash + ', 40%, 55%)';
+  }
+  return colour;
+};
+
+/**
+ * Draw a turtle's surroundings from above and from the side.
+ * @param {!Blockly.ComputerCraft.SimulatedTurtle} turtle The turtle.
+ * @param {HTMLCanvasElement} topCanvas Canvas for the view from above, in
+ *     which north is up.
+ * @param {HTMLCanvasElement} sideCanvas Canvas for the view from the side,
+ *     in which the turtle faces right.
+ * @param {number} time Time on the turtle's computer, for drawing it part
+ *     way through an action.
+ */
+Blockly.ComputerCraft.drawTurtle = function(turtle, topCanvas, sideCanvas,
+                                            time) {
+  var progress = turtle.actionStart === undefined ? 1 :
+      Math.min(Math.max((time - turtle.actionStart) /
+               (Blockly.ComputerCraft.TURTLE_ACTION_TIME * 1000), 0), 1);
+  var from = turtle.previous;
+  var mix = function(a, b) {
+    return a + (b - a) * progress;
+  };
+  var turns = (turtle.facing - from.facing + 4) % 4;
+  var angle = (from.facing + (turns == 3 ? -progress : turns * progress)) *
+      Math.PI / 2;
+  var position = {x: mix(from.x, turtle.x), y: mix(from.y, turtle.y),
+                  z: mix(from.z, turtle.z)};
+  var world = turtle.world;
+  if (topCanvas) {
+    // Seen from above: the turtle's level, with the level below it faded.
+    Blockly.ComputerCraft.drawGrid_(topCanvas, function(u, v) {
+      var x = Math.round(turtle.x) + u;
+      var z = Math.round(turtle.z) + v;
+      var block = world.getBlock(x, turtle.y, z);
+      if (block && block != 'turtle') {
+        return {colour: Blockly.ComputerCraft.blockColour_(block)};
+      }
+      block = world.getBlock(x, turtle.y - 1, z);
+      return block && {colour: Blockly.ComputerCraft.blockColour_(block),
+                       faded: true};
+    }, position.x - turtle.x, position.z - turtle.z, angle);
+  }
+  if (sideCanvas) {
+    // Seen from the side: the vertical slice the turtle is facing along.
+    var facing = Blockly.ComputerCraft.FACINGS[turtle.facing];
+    var along = (position.x - turtle.x) * facing[0] +
+        (position.z - turtle.z) * facing[1];
+    Blockly.ComputerCraft.drawGrid_(sideCanvas, function(u, v) {
+      var block = world.getBlock(turtle.x + facing[0] * u, turtle.y - v,
+                                 turtle.z + facing[1] * u);
+      return block && block != 'turtle' &&
+          {colour: Blockly.ComputerCraft.blockColour_(block)};
+    }, along, turtle.y - position.y, Math.PI / 2);
+  }
+};
+
+/**
+ * Draw a grid of cells centred on the turtle, then the turtle.
+ * @param {!HTMLCanvasElement} canvas The canvas.
+ * @param {!Function} getCell Given offsets across and down from the
+ *     turtle, returns null or the cell's colour and whether it is faded.
+ * @param {number} u Offset of the turtle across from the centre.
+ * @param {number} v Offset of the turtle down from the centre.
+ * @param {number} angle Direction the turtle faces, clockwise from up.
+ * @private
+ */
+Blockly.ComputerCraft.drawGrid_ = function(canvas, getCell, u, v, angle) {
+  var context = canvas.getContext('2d');
+  var cellSize = 24;
+  var radius = Math.ceil(Math.max(canvas.width, canvas.height) / cellSize /
+                         2);
+  var centreX = canvas.width / 2;
+  var centreY = canvas.height / 2;
+  context.fillStyle = '#cde6f5';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  for (var dv = -radius; dv <= radius; dv++) {
+    for (var du = -radius; du <= radius; du++) {
+      var cell = getCell(du, dv);
+      if (cell) {
+        context.globalAlpha = cell.faded ? 0.4 : 1;
+        context.fillStyle = cell.colour;
+        context.fillRect(centreX + (du - 0.5) * cellSize,
+                         centreY + (dv - 0.5) * cellSize, cellSize, cellSize);
+      }
+    }
+  }
+  context.globalAlpha = 1;
+  context.save();
+  context.translate(centreX + u * cellSize, centreY + v * cellSize);
+  context.rotate(angle);
+  context.fillStyle = Blockly.ComputerCraft.BLOCK_COLOURS_.turtle;
+  context.strokeStyle = '#333';
+  context.fillRect(-cellSize * 0.4, -cellSize * 0.4, cellSize * 0.8,
+                   cellSize * 0.8);
+  context.strokeRect(-cellSize * 0.4, -cellSize * 0.4, cellSize * 0.8,
+                     cellSize * 0.8);
+  // Arrow showing which way the turtle faces.
+  context.fillStyle = '#333';
+  context.beginPath();
+  context.moveTo(0, -cellSize * 0.35);
+  context.lineTo(cellSize * 0.2, 0);
+  context.lineTo(-cellSize * 0.2, 0);
+  context.closePath();
+  context.fill();
+  context.restore();
+};
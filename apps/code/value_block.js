@@ -131,7 +131,7 @@ Blockly.ComputerCraft.ValueBlock.prototype.generateDropdownCode = function(field
       typeof this.info.quoteDropdownValues == 'undefined') {
     return "'" + field.value_ + "'";
   } else {
-    return field.value;
+    return field.getValue();
   }
 };
 
@@ -46,6 +46,9 @@ goog.require('goog.asserts');
  * - ?varArgType (e.g., "String"), which is used for type checking.
  * - ?varArgTitle (e.g., "with parameters"), which appears before the
  *   first parameter, if present.
+ * - ?varArgStatements, true if the var args are statement inputs (e.g.,
+ *   branches of code) instead of value inputs.  varArgTitle then appears
+ *   before each of them.
  * - ?varArgField, an optional Field to appear in the mutator args.
  * - ?varArgCount (# of var args present)
  * - ?varContainerName (e.g., "arguments"), which appears in the mutator.
@@ -66,10 +69,26 @@ goog.inherits(Blockly.ComputerCraft.VarArgsBlock,
 // Regular expression matching the name of var args inputs.
 Blockly.ComputerCraft.VarArgsBlock.INPUT_NAME_REGEX_ = /^ARG\d+$/;
 
+/**
+ * Append a var args input to the end of the block.
+ * @param {number} x The input's number, starting from 1.
+ * @return {!Blockly.Input} The input.
+ * @private
+ */
+Blockly.ComputerCraft.VarArgsBlock.prototype.appendVarArg_ = function(x) {
+  if (this.info.varArgStatements) {
+    var input = this.appendStatementInput('ARG' + x);
+    if (this.info.varArgTitle) {
+      input.appendTitle(this.info.varArgTitle);
+    }
+    return input;
+  }
+  return this.appendValueInput('ARG' + x).setCheck(this.info.varArgType);
+};
+
 Blockly.ComputerCraft.VarArgsBlock.prototype.addVarArg = function(x) {
-  var input = this.appendValueInput('ARG' + x)
-      .setCheck(this.info.varArgType);
-  if (x == 1 && this.info.varArgTitle) {
+  var input = this.appendVarArg_(x);
+  if (x == 1 && this.info.varArgTitle && !this.info.varArgStatements) {
     input.appendTitle(this.info.varArgTitle);
   }
   this.moveNumberedInputBefore(
@@ -79,6 +98,11 @@ Blockly.ComputerCraft.VarArgsBlock.prototype.addVarArg = function(x) {
 };
 
 Blockly.ComputerCraft.VarArgsBlock.prototype.init = function() {
+  // Copy the shared info, since each block has its own number of var args.
+  var info = {};
+  goog.mixin(info, this.info);
+  this.info = info;
+
   // Replace %v in info.text with dummy input, if it hasn't yet been replaced.
   this.info.text = this.info.text.replace('%v', '%0');
 
@@ -192,13 +216,16 @@ Blockly.ComputerCraft.VarArgsBlock.prototype.mutationToDom = function() {
 Blockly.ComputerCraft.VarArgsBlock.prototype.domToMutation =
     function(xmlElement) {
       this.info.varArgCount =
-          parseInt(xmlElement.getAttribute('var_arg_count'), 10);
+          parseInt(xmlElement.getAttribute('var_arg_count'), 10) || 0;
+      // Remove any var args inputs that init added beyond the count.
+      for (var x = this.info.varArgCount + 1; this.getInput('ARG' + x); x++) {
+        this.removeInput('ARG' + x);
+      }
       for (var x = 1; x <= this.info.varArgCount; x++) {
         // The guard is necessary, because the var args inputs may have
         // already been added in init if this.info.varArgCount was set.
         if (!this.getInput('ARG' + x)) {
-          this.appendValueInput('ARG' + x)
-              .setCheck(this.info.varArgType);
+          this.appendVarArg_(x);
           // Move the block into the proper position.
           this.moveNumberedInputBefore(
             this.inputList.length - 1,
@@ -0,0 +1,138 @@
+/**
+ * Blockly Lua: ZIP archives
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Writing text files into a ZIP archive, for downloading a
+ * program made of several files.  The files are stored without compression.
+ */
+'use strict';
+
+goog.provide('ComputerCraft.Zip');
+
+/**
+ * Table for computing CRC-32 checksums, built on first use.
+ * @type {Array.<number>}
+ * @private
+ */
+Blockly.ComputerCraft.CRC_TABLE_ = null;
+
+/**
+ * Compute the CRC-32 checksum of some bytes, as ZIP archives use.
+ * @param {!Array.<number>} bytes The bytes.
+ * @return {number} Checksum, as an unsigned 32-bit number.
+ */
+Blockly.ComputerCraft.crc32 = function(bytes) {
+  var table = Blockly.ComputerCraft.CRC_TABLE_;
+  if (!table) {
+    table = Blockly.ComputerCraft.CRC_TABLE_ = [];
+    for (var n = 0; n < 256; n++) {
+      var c = n;
+      for (var k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c;
+    }
+  }
+  var crc = 0xFFFFFFFF;
+  for (var x = 0; x < bytes.length; x++) {
+    crc = table[(crc ^ bytes[x]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Build a ZIP archive of text files, encoding the text as UTF-8.
+ * @param {!Array.<{name: string, code: string}>} files The name and text of
+ *     each file.
+ * @return {!Uint8Array} Contents of the archive.
+ */
+Blockly.ComputerCraft.zip = function(files) {
+  var output = [];
+  var central = [];
+  var utf8 = function(text) {
+    var bytes = unescape(encodeURIComponent(text));
+    var array = [];
+    for (var x = 0; x < bytes.length; x++) {
+      array.push(bytes.charCodeAt(x));
+    }
+    return array;
+  };
+  var append = function(bytes, more) {
+    for (var x = 0; x < more.length; x++) {
+      bytes.push(more[x]);
+    }
+  };
+  var write = function(bytes, value, size) {
+    // Little-endian.
+    for (var x = 0; x < size; x++) {
+      bytes.push((value >>> (8 * x)) & 0xFF);
+    }
+  };
+  for (var x = 0, file; file = files[x]; x++) {
+    var name = utf8(file.name);
+    var data = utf8(file.code);
+    var crc = Blockly.ComputerCraft.crc32(data);
+    var offset = output.length;
+    // Local file header.
+    write(output, 0x04034B50, 4);
+    write(output, 10, 2);  // Version needed to extract (1.0).
+    write(output, 0x0800, 2);  // Flags: the name is UTF-8.
+    write(output, 0, 2);  // Stored without compression.
+    write(output, 0, 2);  // Modification time.
+    write(output, 0x21, 2);  // Modification date (1 January 1980).
+    write(output, crc, 4);
+    write(output, data.length, 4);  // Compressed size.
+    write(output, data.length, 4);  // Uncompressed size.
+    write(output, name.length, 2);
+    write(output, 0, 2);  // Extra field length.
+    append(output, name);
+    append(output, data);
+    // Central directory entry.
+    write(central, 0x02014B50, 4);
+    write(central, 10, 2);  // Version made by.
+    write(central, 10, 2);  // Version needed to extract.
+    write(central, 0x0800, 2);
+    write(central, 0, 2);
+    write(central, 0, 2);
+    write(central, 0x21, 2);
+    write(central, crc, 4);
+    write(central, data.length, 4);
+    write(central, data.length, 4);
+    write(central, name.length, 2);
+    write(central, 0, 2);  // Extra field length.
+    write(central, 0, 2);  // Comment length.
+    write(central, 0, 2);  // Disk number.
+    write(central, 0, 2);  // Internal attributes.
+    write(central, 0, 4);  // External attributes.
+    write(central, offset, 4);
+    append(central, name);
+  }
+  var centralOffset = output.length;
+  append(output, central);
+  // End of central directory record.
+  write(output, 0x06054B50, 4);
+  write(output, 0, 2);  // Number of this disk.
+  write(output, 0, 2);  // Disk with the central directory.
+  write(output, files.length, 2);
+  write(output, files.length, 2);
+  write(output, central.length, 4);
+  write(output, centralOffset, 4);
+  write(output, 0, 2);  // Comment length.
+  return new Uint8Array(output);
+};
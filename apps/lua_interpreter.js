@@ -0,0 +1,2738 @@
+/**
+ * Blockly Apps: Lua Interpreter
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Interpreter for Lua 5.1, running the syntax trees made by
+ * LuaParser.  The standard library is in lua_library.js, which must be
+ * loaded as well.
+ *
+ * Each function is compiled to a list of instructions for a stack machine.
+ * The interpreter keeps Lua's call stack in its own data structures rather
+ * than in JavaScript's, so that a program can be run a slice at a time,
+ * coroutines can yield from anywhere, and functions provided by the host can
+ * suspend the whole program until the host resumes it (for example, while a
+ * turtle moves).
+ *
+ * Lua values are represented as follows: nil is undefined, booleans,
+ * numbers and strings are JavaScript's own (strings are byte strings, as in
+ * LuaParser), tables are LuaInterpreter.Table, Lua functions are
+ * LuaInterpreter.Function, coroutines are LuaInterpreter.Coroutine, and
+ * functions provided by the host are JavaScript functions.  A host function
+ * is called with an array of arguments and the interpreter, and returns an
+ * array of results, nothing, or LuaInterpreter.SUSPEND.
+ */
+'use strict';
+
+/**
+ * A Lua state: global variables and the coroutine running the program.
+ * @constructor
+ */
+var LuaInterpreter = function() {
+  /**
+   * Table of global variables.
+   * @type {!LuaInterpreter.Table}
+   */
+  this.globals = new LuaInterpreter.Table();
+
+  /**
+   * Metatable shared by all strings.
+   * @type {!LuaInterpreter.Table}
+   */
+  this.stringMetatable = new LuaInterpreter.Table();
+
+  /**
+   * Number of instructions executed since the program last yielded or was
+   * suspended.
+   * @type {number}
+   */
+  this.instructionsSinceYield = 0;
+
+  /**
+   * Number of instructions a program may execute without yielding before it
+   * is stopped with an error, as ComputerCraft stops programs that run too
+   * long without yielding.
+   * @type {number}
+   */
+  this.maxInstructionsWithoutYield = Infinity;
+
+  this.main_ = null;
+  this.current_ = null;
+  this.frame_ = null;
+  this.pending_ = null;
+  this.signal_ = null;
+  this.syncDepth_ = 0;
+  this.budget_ = 0;
+  this.openLibraries_();
+};
+
+/**
+ * Value returned by a host function to suspend the program.  The host
+ * continues it with LuaInterpreter.prototype.resume, passing the results of
+ * the host function.
+ */
+LuaInterpreter.SUSPEND = {};
+
+/**
+ * Maximum number of nested Lua calls.
+ */
+LuaInterpreter.MAX_CALL_DEPTH = 16000;
+
+/**
+ * Counter for identifying tables, functions and coroutines.
+ * @private
+ */
+LuaInterpreter.nextId_ = 0;
+
+/**
+ * Get a number identifying a table, function or coroutine.
+ * @param {!Object} object The object.
+ * @return {number} A number unique to the object.
+ */
+LuaInterpreter.objectId = function(object) {
+  if (!object.luaId_) {
+    object.luaId_ = ++LuaInterpreter.nextId_;
+  }
+  return object.luaId_;
+};
+
+/**
+ * Error raised by a Lua program or by the interpreter on its behalf.
+ * @param {*} value The Lua error value, usually a message.
+ * @param {number=} opt_level If 1, the position of the Lua code that called
+ *     the host function raising the error is added to a string message, as
+ *     luaL_error does.
+ * @constructor
+ */
+LuaInterpreter.Error = function(value, opt_level) {
+  this.name = 'LuaInterpreter.Error';
+  this.value = value;
+  this.message = typeof value == 'string' ? value :
+      LuaInterpreter.tostring(value);
+  this.level = opt_level === undefined ? 1 : opt_level;
+};
+LuaInterpreter.Error.prototype = new Error();
+LuaInterpreter.Error.prototype.constructor = LuaInterpreter.Error;
+
+/**
+ * Lua table, with an array part for the keys 1 to n and a hash part for
+ * everything else.
+ * @constructor
+ */
+LuaInterpreter.Table = function() {
+  this.array_ = [];
+  // Hash part, keyed by LuaInterpreter.Table.hashKey_.  Removed entries are
+  // left with the value undefined, so that 'next' can continue past them.
+  this.hash_ = Object.create(null);
+  this.keys_ = Object.create(null);
+  this.hashSize_ = 0;
+  this.removed_ = 0;
+  // Order of the hash part's keys, built when the table is traversed.
+  this.order_ = null;
+  this.orderIndex_ = null;
+  /**
+   * The table's metatable, or null.
+   * @type {LuaInterpreter.Table}
+   */
+  this.metatable = null;
+};
+
+/**
+ * Convert a key to a string identifying it in a table's hash part.
+ * @param {*} key A Lua value.
+ * @return {string} The hash key.
+ * @private
+ */
+LuaInterpreter.Table.hashKey_ = function(key) {
+  switch (typeof key) {
+    case 'string':
+      return '$' + key;
+    case 'number':
+      return '#' + key;
+    case 'boolean':
+      return key ? 'T' : 'F';
+    case 'undefined':
+      return 'nil';
+  }
+  return '@' + LuaInterpreter.objectId(key);
+};
+
+/**
+ * Make a table holding the properties of a JavaScript object.
+ * @param {!Object} object Values by name.
+ * @return {!LuaInterpreter.Table} The new table.
+ */
+LuaInterpreter.Table.fromObject = function(object) {
+  var table = new LuaInterpreter.Table();
+  for (var name in object) {
+    table.set(name, object[name]);
+  }
+  return table;
+};
+
+/**
+ * Make a table holding the elements of an array at the keys 1 to n.
+ * @param {!Array} array The elements.
+ * @return {!LuaInterpreter.Table} The new table.
+ */
+LuaInterpreter.Table.fromArray = function(array) {
+  var table = new LuaInterpreter.Table();
+  for (var x = 0; x < array.length; x++) {
+    table.set(x + 1, array[x]);
+  }
+  return table;
+};
+
+/**
+ * Get a value without invoking metamethods.
+ * @param {*} key The key.
+ * @return {*} The value, or undefined for nil.
+ */
+LuaInterpreter.Table.prototype.get = function(key) {
+  if (typeof key == 'number' && key > 0 && key <= this.array_.length &&
+      key % 1 === 0) {
+    return this.array_[key - 1];
+  }
+  return this.hash_[LuaInterpreter.Table.hashKey_(key)];
+};
+
+/**
+ * Set a value without invoking metamethods.
+ * @param {*} key The key, which must not be nil or NaN.
+ * @param {*} value The value, or undefined to remove the key.
+ */
+LuaInterpreter.Table.prototype.set = function(key, value) {
+  var array = this.array_;
+  if (typeof key == 'number' && key > 0 && key % 1 === 0 &&
+      key <= array.length + 1) {
+    if (key <= array.length) {
+      array[key - 1] = value;
+      if (value === undefined && key == array.length) {
+        while (array.length && array[array.length - 1] === undefined) {
+          array.pop();
+        }
+      }
+      return;
+    }
+    if (value !== undefined) {
+      array.push(value);
+      // Move any following keys from the hash part.
+      var hashKey;
+      while (this.hashSize_ &&
+             this.hash_[hashKey = '#' + (array.length + 1)] !== undefined) {
+        array.push(this.hash_[hashKey]);
+        this.hash_[hashKey] = undefined;
+        this.removed_++;
+      }
+      return;
+    }
+  }
+  var hashKey = LuaInterpreter.Table.hashKey_(key);
+  if (hashKey in this.hash_) {
+    var old = this.hash_[hashKey];
+    if (old === undefined && value !== undefined) {
+      this.removed_--;
+    } else if (old !== undefined && value === undefined) {
+      this.removed_++;
+    }
+    this.hash_[hashKey] = value;
+  } else if (value !== undefined) {
+    if (this.removed_ > 8 && this.removed_ * 2 > this.hashSize_) {
+      this.compact_();
+    }
+    this.hash_[hashKey] = value;
+    this.keys_[hashKey] = key;
+    this.hashSize_++;
+    if (this.order_) {
+      this.orderIndex_[hashKey] = this.order_.length;
+      this.order_.push(hashKey);
+    }
+  }
+};
+
+/**
+ * Drop removed entries from the hash part.
+ * @private
+ */
+LuaInterpreter.Table.prototype.compact_ = function() {
+  var hash = Object.create(null);
+  var keys = Object.create(null);
+  var size = 0;
+  for (var hashKey in this.hash_) {
+    if (this.hash_[hashKey] !== undefined) {
+      hash[hashKey] = this.hash_[hashKey];
+      keys[hashKey] = this.keys_[hashKey];
+      size++;
+    }
+  }
+  this.hash_ = hash;
+  this.keys_ = keys;
+  this.hashSize_ = size;
+  this.removed_ = 0;
+  this.order_ = null;
+  this.orderIndex_ = null;
+};
+
+/**
+ * Get the length of the table, as the '#' operator does.
+ * @return {number} A border of the table.
+ */
+LuaInterpreter.Table.prototype.length = function() {
+  return this.array_.length;
+};
+
+/**
+ * Find the entry following a key, as the 'next' function does.
+ * @param {*} key A key in the table, or undefined to start.
+ * @return {Array} The next key and value, or null if there are no more.
+ * @throws {LuaInterpreter.Error} if the key is not in the table.
+ */
+LuaInterpreter.Table.prototype.next = function(key) {
+  var array = this.array_;
+  var x = 0;
+  var start = 0;
+  if (key !== undefined) {
+    var hashKey = LuaInterpreter.Table.hashKey_(key);
+    if (typeof key == 'number' && key > 0 && key % 1 === 0 &&
+        !(hashKey in this.hash_)) {
+      // A key in the array part, which may since have shrunk.
+      x = key;
+    } else {
+      if (!this.order_) {
+        this.buildOrder_();
+      }
+      if (!(hashKey in this.orderIndex_)) {
+        throw new LuaInterpreter.Error('invalid key to \'next\'');
+      }
+      x = array.length;
+      start = this.orderIndex_[hashKey] + 1;
+    }
+  }
+  for (; x < array.length; x++) {
+    if (array[x] !== undefined) {
+      return [x + 1, array[x]];
+    }
+  }
+  if (!this.hashSize_) {
+    return null;
+  }
+  if (!this.order_) {
+    this.buildOrder_();
+  }
+  for (var y = start; y < this.order_.length; y++) {
+    var value = this.hash_[this.order_[y]];
+    if (value !== undefined) {
+      return [this.keys_[this.order_[y]], value];
+    }
+  }
+  return null;
+};
+
+/**
+ * Record the order in which 'next' visits the hash part.
+ * @private
+ */
+LuaInterpreter.Table.prototype.buildOrder_ = function() {
+  this.order_ = [];
+  this.orderIndex_ = Object.create(null);
+  for (var hashKey in this.hash_) {
+    this.orderIndex_[hashKey] = this.order_.length;
+    this.order_.push(hashKey);
+  }
+};
+
+/**
+ * Lua function: a compiled prototype with its upvalues.
+ * @param {!Object} proto Compiled function.
+ * @param {!Array.<!Object>} upvalues Boxes holding the captured variables.
+ * @param {!LuaInterpreter.Table} env Environment for global variables.
+ * @constructor
+ */
+LuaInterpreter.Function = function(proto, upvalues, env) {
+  this.proto = proto;
+  this.upvalues = upvalues;
+  this.env = env;
+};
+
+/**
+ * Lua coroutine.
+ * @param {!LuaInterpreter.Function|!Function} fn Body of the coroutine.
+ * @constructor
+ */
+LuaInterpreter.Coroutine = function(fn) {
+  this.fn = fn;
+  this.frames = [];
+  /**
+   * 'suspended', 'running', 'normal' or 'dead'.
+   * @type {string}
+   */
+  this.status = 'suspended';
+  this.started = false;
+  // Coroutine that resumed this one, and how it wants the results.
+  this.resumer = null;
+  this.resumeRequest = null;
+  // How the results of the yield that suspended this coroutine are wanted.
+  this.yieldRequest = null;
+  // Number of calls from host functions in progress, which can't be
+  // suspended.
+  this.boundaries = 0;
+};
+
+/**
+ * Get the type of a Lua value, as the 'type' function does.
+ * @param {*} value A Lua value.
+ * @return {string} Name of the type.
+ */
+LuaInterpreter.type = function(value) {
+  switch (typeof value) {
+    case 'undefined':
+      return 'nil';
+    case 'boolean':
+    case 'number':
+    case 'string':
+      return typeof value;
+    case 'function':
+      return 'function';
+  }
+  if (value instanceof LuaInterpreter.Table) {
+    return 'table';
+  }
+  if (value instanceof LuaInterpreter.Function) {
+    return 'function';
+  }
+  if (value instanceof LuaInterpreter.Coroutine) {
+    return 'thread';
+  }
+  return 'userdata';
+};
+
+/**
+ * Check whether a Lua value counts as true.
+ * @param {*} value A Lua value.
+ * @return {boolean} False for nil and false, true for everything else.
+ */
+LuaInterpreter.truthy = function(value) {
+  return value !== undefined && value !== false;
+};
+
+/**
+ * Format a number as '%.14g' does, which is how Lua 5.1 turns numbers into
+ * strings.
+ * @param {number} n The number.
+ * @return {string} Its text.
+ */
+LuaInterpreter.numberToString = function(n) {
+  if (n % 1 === 0 && Math.abs(n) < 1e14) {
+    return n === 0 && 1 / n < 0 ? '-0' : String(n);
+  }
+  return LuaInterpreter.formatG(n, 14, false);
+};
+
+/**
+ * Format a number as C's '%g' conversion does.
+ * @param {number} n The number.
+ * @param {number} precision Number of significant digits.
+ * @param {boolean} alternate Whether to keep trailing zeros ('%#g').
+ * @return {string} Its text.
+ */
+LuaInterpreter.formatG = function(n, precision, alternate) {
+  if (n !== n) {
+    return 'nan';
+  }
+  if (n == Infinity || n == -Infinity) {
+    return n < 0 ? '-inf' : 'inf';
+  }
+  precision = Math.min(Math.max(precision, 1), 100);
+  var strip = function(text) {
+    return alternate || text.indexOf('.') == -1 ? text :
+        text.replace(/\.?0+$/, '');
+  };
+  var exponential = n.toExponential(precision - 1);
+  var exponent = parseInt(exponential.split('e')[1], 10);
+  if (exponent < -4 || exponent >= precision) {
+    var parts = exponential.split('e');
+    return strip(parts[0]) + 'e' + (exponent < 0 ? '-' : '+') +
+        (Math.abs(exponent) < 10 ? '0' : '') + Math.abs(exponent);
+  }
+  var text = n.toFixed(Math.min(precision - 1 - exponent, 100));
+  if (n === 0 && 1 / n < 0) {
+    text = '-' + text;
+  }
+  return strip(text);
+};
+
+/**
+ * Convert a string to a number as Lua does when coercing strings.
+ * @param {string} text The string.
+ * @return {number|undefined} The number, or undefined if the string is not
+ *     a numeral.
+ */
+LuaInterpreter.stringToNumber = function(text) {
+  text = text.replace(/^[ \t\n\v\f\r]+|[ \t\n\v\f\r]+$/g, '');
+  var hex = /^([-+]?)0[xX]([0-9a-fA-F]+)$/.exec(text);
+  if (hex) {
+    var n = parseInt(hex[2], 16);
+    return hex[1] == '-' ? -n : n;
+  }
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+    return parseFloat(text);
+  }
+  return undefined;
+};
+
+/**
+ * Convert a value to a number if it is a number or a numeric string.
+ * @param {*} value A Lua value.
+ * @return {number|undefined} The number, or undefined.
+ */
+LuaInterpreter.toNumber = function(value) {
+  if (typeof value == 'number') {
+    return value;
+  }
+  if (typeof value == 'string') {
+    return LuaInterpreter.stringToNumber(value);
+  }
+  return undefined;
+};
+
+/**
+ * Convert a value to a string without invoking metamethods.
+ * @param {*} value A Lua value.
+ * @return {string} Its text.
+ */
+LuaInterpreter.tostring = function(value) {
+  switch (typeof value) {
+    case 'undefined':
+      return 'nil';
+    case 'boolean':
+      return String(value);
+    case 'number':
+      return LuaInterpreter.numberToString(value);
+    case 'string':
+      return value;
+  }
+  var type = LuaInterpreter.type(value);
+  if (typeof value == 'function' && value.luaName) {
+    return 'function: builtin: ' + value.luaName;
+  }
+  return type + ': ' + LuaInterpreter.objectId(value).toString(16);
+};
+
+/**
+ * Describe a value's type for an error message about an argument.
+ * @param {*} value A Lua value, or undefined if the argument is missing.
+ * @param {boolean} missing Whether the argument was not given at all.
+ * @return {string} The type name, or 'no value'.
+ */
+LuaInterpreter.typeName = function(value, missing) {
+  return missing ? 'no value' : LuaInterpreter.type(value);
+};
+
+/**
+ * Raise an error about a function's argument, as luaL_argerror does.
+ * @param {number} index 1-based position of the argument.
+ * @param {string} name Name of the function.
+ * @param {string} message Description of the problem.
+ * @throws {LuaInterpreter.Error}
+ */
+LuaInterpreter.argError = function(index, name, message) {
+  throw new LuaInterpreter.Error('bad argument #' + index + ' to \'' + name +
+      '\' (' + message + ')');
+};
+
+/**
+ * Check the type of a function's argument.
+ * @param {!Array} args The arguments.
+ * @param {number} index 0-based position of the argument.
+ * @param {string} type Expected type name.
+ * @param {string} name Name of the function.
+ * @throws {LuaInterpreter.Error} if the argument has another type.
+ */
+LuaInterpreter.checkType = function(args, index, type, name) {
+  if (LuaInterpreter.type(args[index]) != type) {
+    LuaInterpreter.argError(index + 1, name, type + ' expected, got ' +
+        LuaInterpreter.typeName(args[index], index >= args.length));
+  }
+};
+
+/**
+ * Get a number argument, accepting numeric strings as Lua does.
+ * @param {!Array} args The arguments.
+ * @param {number} index 0-based position of the argument.
+ * @param {string} name Name of the function.
+ * @param {number=} opt_default Value if the argument is nil or missing.
+ * @return {number} The number.
+ * @throws {LuaInterpreter.Error} if the argument is not a number.
+ */
+LuaInterpreter.checkNumber = function(args, index, name, opt_default) {
+  var value = args[index];
+  if (value === undefined && opt_default !== undefined) {
+    return opt_default;
+  }
+  var n = LuaInterpreter.toNumber(value);
+  if (n === undefined) {
+    LuaInterpreter.argError(index + 1, name, 'number expected, got ' +
+        LuaInterpreter.typeName(value, index >= args.length));
+  }
+  return n;
+};
+
+/**
+ * Get an integer argument, truncating numbers as Lua 5.1 does.
+ * @param {!Array} args The arguments.
+ * @param {number} index 0-based position of the argument.
+ * @param {string} name Name of the function.
+ * @param {number=} opt_default Value if the argument is nil or missing.
+ * @return {number} The integer.
+ * @throws {LuaInterpreter.Error} if the argument is not a number.
+ */
+LuaInterpreter.checkInteger = function(args, index, name, opt_default) {
+  var n = LuaInterpreter.checkNumber(args, index, name, opt_default);
+  return n < 0 ? Math.ceil(n) : Math.floor(n);
+};
+
+/**
+ * Get a string argument, accepting numbers as Lua does.
+ * @param {!Array} args The arguments.
+ * @param {number} index 0-based position of the argument.
+ * @param {string} name Name of the function.
+ * @param {string=} opt_default Value if the argument is nil or missing.
+ * @return {string} The string.
+ * @throws {LuaInterpreter.Error} if the argument is not a string.
+ */
+LuaInterpreter.checkString = function(args, index, name, opt_default) {
+  var value = args[index];
+  if (value === undefined && opt_default !== undefined) {
+    return opt_default;
+  }
+  if (typeof value == 'number') {
+    return LuaInterpreter.numberToString(value);
+  }
+  if (typeof value != 'string') {
+    LuaInterpreter.argError(index + 1, name, 'string expected, got ' +
+        LuaInterpreter.typeName(value, index >= args.length));
+  }
+  return value;
+};
+
+// Compiler.
+
+/**
+ * Instruction codes.  Unless noted, operands come from the top of the
+ * frame's stack and results are pushed on it.
+ * @enum {number}
+ * @private
+ */
+LuaInterpreter.Op_ = {
+  CONST: 0,        // Push constant a.
+  NIL: 1,          // Push a nils.
+  LOCAL: 2,        // Push register a.
+  SETLOCAL: 3,     // Pop into register a.
+  LOCALBOX: 4,     // Push the value in register a's box.
+  SETLOCALBOX: 5,  // Pop into register a's box.
+  NEWBOX: 6,       // Pop into a new box in register a.
+  UPVALUE: 7,      // Push upvalue a.
+  SETUPVALUE: 8,   // Pop into upvalue a.
+  GLOBAL: 9,       // Push global a.
+  SETGLOBAL: 10,   // Pop into global a.
+  GETFIELD: 11,    // Replace the table on top with its field a.
+  GETTABLE: 12,    // Pop key and table, push the value.
+  SETTABLE: 13,    // Pop value, key and table, and assign.
+  SETTEMPS: 14,    // Pop value into the table and key in registers a and b.
+  DUP: 15,
+  SWAP: 16,
+  POP: 17,         // Pop a values.
+  CALL: 18,        // Call with a arguments (more if b), wanting c results.
+  TAILCALL: 19,    // Return the results of a call with a (or more) args.
+  RETURN: 20,      // Return a values (more if b).
+  VARARG: 21,      // Push a of the extra arguments (all if -1).
+  CLOSURE: 22,     // Push a new function for prototype a.
+  JUMP: 23,        // Jump to a.
+  JUMPIF: 24,      // Pop, and jump to a if true.
+  JUMPIFNOT: 25,   // Pop, and jump to a if false.
+  AND: 26,         // If false, jump to a keeping the value, else pop.
+  OR: 27,          // If true, jump to a keeping the value, else pop.
+  ADD: 28,
+  SUB: 29,
+  MUL: 30,
+  DIV: 31,
+  MOD: 32,
+  POW: 33,
+  CONCAT: 34,
+  EQ: 35,
+  NE: 36,
+  LT: 37,
+  LE: 38,
+  GT: 39,
+  GE: 40,
+  UNM: 41,
+  NOT: 42,
+  LEN: 43,
+  NEWTABLE: 44,    // Push a new table.
+  TABLESET: 45,    // Pop value and key into the table beneath them.
+  TABLEAPPEND: 46, // Pop a value into index a of the table beneath it.
+  TABLEMULTI: 47,  // Pop all values of a call into the table from index a.
+  FORPREP: 48,     // Pop start, limit and step into registers a to a + 2.
+  FORLOOP: 49,     // Step the loop in registers a and jump back to b.
+  TFORLOOP: 50     // Check b values from an iterator, leaving at c.
+};
+
+/**
+ * Arithmetic and comparison instructions for each binary operator.
+ * @private
+ */
+LuaInterpreter.BINARY_OPS_ = {
+  '+': LuaInterpreter.Op_.ADD, '-': LuaInterpreter.Op_.SUB,
+  '*': LuaInterpreter.Op_.MUL, '/': LuaInterpreter.Op_.DIV,
+  '%': LuaInterpreter.Op_.MOD, '^': LuaInterpreter.Op_.POW,
+  '..': LuaInterpreter.Op_.CONCAT, '==': LuaInterpreter.Op_.EQ,
+  '~=': LuaInterpreter.Op_.NE, '<': LuaInterpreter.Op_.LT,
+  '<=': LuaInterpreter.Op_.LE, '>': LuaInterpreter.Op_.GT,
+  '>=': LuaInterpreter.Op_.GE
+};
+
+/**
+ * Local variable being compiled.  Variables captured by inner functions are
+ * kept in boxes, which is only known once the whole chunk is compiled.
+ * @param {string} name Name of the variable.
+ * @param {number} slot Register holding the variable.
+ * @constructor
+ * @private
+ */
+LuaInterpreter.Variable_ = function(name, slot) {
+  this.name = name;
+  this.slot = slot;
+  this.captured = false;
+};
+
+/**
+ * Compiler from syntax trees to instructions.
+ * @param {string} chunkName Name of the chunk, for error messages.
+ * @constructor
+ * @private
+ */
+LuaInterpreter.Compiler_ = function(chunkName) {
+  this.chunkName_ = chunkName;
+  this.state_ = null;
+  this.line_ = 0;
+  this.protos_ = [];
+};
+
+/**
+ * Compile a chunk.
+ * @param {!Object} chunk Syntax tree from LuaParser.parse.
+ * @return {!Object} Prototype of the chunk's main function.
+ */
+LuaInterpreter.Compiler_.prototype.compileChunk = function(chunk) {
+  var proto = this.compileFunction_(chunk, [], true, 'main chunk');
+  // Now that it is known which variables are captured, choose between plain
+  // and boxed registers.
+  var Op = LuaInterpreter.Op_;
+  var boxed = {};
+  boxed[Op.LOCAL] = Op.LOCALBOX;
+  boxed[Op.SETLOCAL] = Op.SETLOCALBOX;
+  boxed[Op.NEWBOX] = Op.NEWBOX;
+  this.protos_.forEach(function(proto) {
+    proto.code.forEach(function(ins) {
+      if (ins.a instanceof LuaInterpreter.Variable_) {
+        var variable = ins.a;
+        ins.a = variable.slot;
+        if (variable.captured) {
+          ins.op = boxed[ins.op];
+        } else if (ins.op == Op.NEWBOX) {
+          ins.op = Op.SETLOCAL;
+        }
+      }
+    });
+    proto.boxedParams = proto.params.map(function(variable) {
+      return variable.captured;
+    });
+    proto.locals = proto.locals.map(function(local) {
+      return {name: local.variable.name, slot: local.variable.slot,
+              boxed: local.variable.captured, startPc: local.startPc,
+              endPc: local.endPc};
+    });
+    proto.upvalueInfo = proto.upvalueInfo.map(function(info) {
+      return info.variable ? {slot: info.variable.slot} : info;
+    });
+  });
+  return proto;
+};
+
+/**
+ * Compile a function body.
+ * @param {!Object} node FunctionDeclaration or Chunk node.
+ * @param {!Array.<!Object>} params Identifier nodes of the parameters.
+ * @param {boolean} isVararg Whether the function takes '...'.
+ * @param {string} name Description of the function.
+ * @return {!Object} The function's prototype.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.compileFunction_ = function(
+    node, params, isVararg, name) {
+  var proto = {
+    code: [],
+    name: name,
+    chunkName: this.chunkName_,
+    line: node.line,
+    numParams: params.length,
+    params: [],
+    isVararg: isVararg,
+    upvalueInfo: [],
+    // Where each local variable is in scope, for debuggers.
+    locals: []
+  };
+  this.protos_.push(proto);
+  var state = {
+    parent: this.state_,
+    proto: proto,
+    blocks: [],
+    nextSlot: 0,
+    upvalues: Object.create(null),
+    loops: []
+  };
+  this.state_ = state;
+  this.openBlock_();
+  for (var x = 0; x < params.length; x++) {
+    proto.params.push(this.declareLocal_(params[x].name));
+  }
+  this.compileStatements_(node.body);
+  this.line_ = node.type == 'Chunk' ? this.line_ : node.line;
+  this.emit_(LuaInterpreter.Op_.RETURN, 0, false);
+  this.closeBlock_();
+  this.state_ = state.parent;
+  return proto;
+};
+
+/**
+ * Add an instruction to the function being compiled.
+ * @return {!Object} The instruction.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.emit_ = function(op, a, b, c, info) {
+  var ins = {op: op, a: a, b: b, c: c, info: info, line: this.line_};
+  this.state_.proto.code.push(ins);
+  return ins;
+};
+
+/**
+ * Position of the next instruction.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.here_ = function() {
+  return this.state_.proto.code.length;
+};
+
+LuaInterpreter.Compiler_.prototype.openBlock_ = function() {
+  this.state_.blocks.push({variables: Object.create(null),
+                           nextSlot: this.state_.nextSlot});
+};
+
+LuaInterpreter.Compiler_.prototype.closeBlock_ = function() {
+  var block = this.state_.blocks.pop();
+  this.state_.nextSlot = block.nextSlot;
+  for (var name in block.variables) {
+    block.variables[name].local.endPc = this.here_();
+  }
+};
+
+/**
+ * Declare a local variable in the innermost block.
+ * @param {string} name Name of the variable.
+ * @return {!LuaInterpreter.Variable_} The variable.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.declareLocal_ = function(name) {
+  var state = this.state_;
+  var variable = new LuaInterpreter.Variable_(name, state.nextSlot++);
+  var block = state.blocks[state.blocks.length - 1];
+  if (block.variables[name]) {
+    // The variable it hides goes out of scope.
+    block.variables[name].local.endPc = this.here_();
+  }
+  block.variables[name] = variable;
+  variable.local = {variable: variable, startPc: this.here_(), endPc: null};
+  state.proto.locals.push(variable.local);
+  return variable;
+};
+
+/**
+ * Reserve a register for a value the program can't see.
+ * @return {number} The register.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.reserveSlot_ = function() {
+  return this.state_.nextSlot++;
+};
+
+/**
+ * Find a local variable visible in a function.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.findLocal_ = function(state, name) {
+  for (var x = state.blocks.length - 1; x >= 0; x--) {
+    var variable = state.blocks[x].variables[name];
+    if (variable) {
+      return variable;
+    }
+  }
+  return null;
+};
+
+/**
+ * Find a variable of an enclosing function, making it an upvalue of this
+ * function and of those in between.
+ * @return {number} Index of the upvalue, or -1 if the name is global.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.findUpvalue_ = function(state, name) {
+  if (name in state.upvalues) {
+    return state.upvalues[name];
+  }
+  if (!state.parent) {
+    return -1;
+  }
+  var info;
+  var variable = this.findLocal_(state.parent, name);
+  if (variable) {
+    variable.captured = true;
+    info = {variable: variable};
+  } else {
+    var index = this.findUpvalue_(state.parent, name);
+    if (index == -1) {
+      return -1;
+    }
+    info = {upvalue: index};
+  }
+  var upvalueInfo = state.proto.upvalueInfo;
+  upvalueInfo.push(info);
+  return state.upvalues[name] = upvalueInfo.length - 1;
+};
+
+/**
+ * Describe a variable or field for an error message, as Lua 5.1 does.
+ * @param {!Object} node An expression node.
+ * @return {?string} Description such as "global 'x'", or null.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.describe_ = function(node) {
+  switch (node.type) {
+    case 'Identifier':
+      if (this.findLocal_(this.state_, node.name)) {
+        return 'local \'' + node.name + '\'';
+      }
+      return (this.findUpvalue_(this.state_, node.name) == -1 ?
+          'global \'' : 'upvalue \'') + node.name + '\'';
+    case 'MemberExpression':
+      return (node.indexer == ':' ? 'method \'' : 'field \'') +
+          node.identifier.name + '\'';
+    case 'IndexExpression':
+      if (node.index.type == 'StringLiteral') {
+        return 'field \'' + node.index.value + '\'';
+      }
+  }
+  return null;
+};
+
+LuaInterpreter.Compiler_.prototype.compileStatements_ = function(body) {
+  for (var x = 0; x < body.length; x++) {
+    var nextSlot = this.state_.nextSlot;
+    this.compileStatement_(body[x]);
+    if (body[x].type != 'LocalStatement' &&
+        !(body[x].type == 'FunctionDeclaration' && body[x].isLocal)) {
+      this.state_.nextSlot = nextSlot;
+    }
+  }
+};
+
+LuaInterpreter.Compiler_.prototype.compileBlock_ = function(body) {
+  this.openBlock_();
+  this.compileStatements_(body);
+  this.closeBlock_();
+};
+
+LuaInterpreter.Compiler_.prototype.compileStatement_ = function(node) {
+  var Op = LuaInterpreter.Op_;
+  this.line_ = node.line;
+  switch (node.type) {
+    case 'LocalStatement':
+      this.compileAdjusted_(node.init, node.variables.length);
+      var variables = node.variables.map(function(identifier) {
+        return this.declareLocal_(identifier.name);
+      }, this);
+      for (var x = variables.length - 1; x >= 0; x--) {
+        this.emit_(Op.NEWBOX, variables[x]);
+      }
+      break;
+    case 'AssignmentStatement':
+      this.compileAssignment_(node);
+      break;
+    case 'CallStatement':
+      this.compileCall_(node.expression, 0, false);
+      break;
+    case 'DoStatement':
+      this.compileBlock_(node.body);
+      break;
+    case 'IfStatement':
+      var exits = [];
+      for (var x = 0, clause; clause = node.clauses[x]; x++) {
+        var skip = null;
+        if (clause.condition) {
+          this.line_ = clause.line;
+          this.compileExpression_(clause.condition);
+          skip = this.emit_(Op.JUMPIFNOT, 0);
+        }
+        this.compileBlock_(clause.body);
+        if (skip) {
+          if (x < node.clauses.length - 1) {
+            exits.push(this.emit_(Op.JUMP, 0));
+          }
+          skip.a = this.here_();
+        }
+      }
+      exits.forEach(function(ins) {
+        ins.a = this.here_();
+      }, this);
+      break;
+    case 'WhileStatement':
+      var start = this.here_();
+      this.compileExpression_(node.condition);
+      var exit = this.emit_(Op.JUMPIFNOT, 0);
+      this.compileLoop_(node.body, function() {
+        this.line_ = node.line;
+        this.emit_(Op.JUMP, start);
+      });
+      exit.a = this.here_();
+      this.closeLoop_();
+      break;
+    case 'RepeatStatement':
+      var start = this.here_();
+      this.compileLoop_(node.body, function() {
+        this.line_ = node.condition.line;
+        this.compileExpression_(node.condition);
+        this.emit_(Op.JUMPIFNOT, start);
+      });
+      this.closeLoop_();
+      break;
+    case 'ForNumericStatement':
+      this.openBlock_();
+      var base = this.reserveSlot_();
+      this.reserveSlot_();
+      this.reserveSlot_();
+      this.compileExpression_(node.init);
+      this.compileExpression_(node.limit);
+      if (node.step) {
+        this.compileExpression_(node.step);
+      } else {
+        this.emit_(Op.CONST, 1);
+      }
+      var prep = this.emit_(Op.FORPREP, base, 0);
+      var start = this.here_();
+      this.compileLoop_(node.body, function() {
+        this.line_ = node.line;
+        this.emit_(Op.FORLOOP, base, start);
+      }, function() {
+        this.emit_(Op.LOCAL, base);
+        this.emit_(Op.NEWBOX, this.declareLocal_(node.variable.name));
+      });
+      prep.b = this.here_();
+      this.closeLoop_();
+      this.closeBlock_();
+      break;
+    case 'ForGenericStatement':
+      this.openBlock_();
+      var base = this.reserveSlot_();
+      this.reserveSlot_();
+      this.reserveSlot_();
+      this.compileAdjusted_(node.iterators, 3);
+      for (var x = 2; x >= 0; x--) {
+        this.emit_(Op.SETLOCAL, base + x);
+      }
+      var start = this.here_();
+      var count = node.variables.length;
+      this.emit_(Op.LOCAL, base);
+      this.emit_(Op.LOCAL, base + 1);
+      this.emit_(Op.LOCAL, base + 2);
+      this.emit_(Op.CALL, 2, false, count, null);
+      var test = this.emit_(Op.TFORLOOP, base, count, 0);
+      this.compileLoop_(node.body, function() {
+        this.line_ = node.line;
+        this.emit_(Op.JUMP, start);
+      }, function() {
+        var variables = node.variables.map(function(identifier) {
+          return this.declareLocal_(identifier.name);
+        }, this);
+        for (var x = variables.length - 1; x >= 0; x--) {
+          this.emit_(Op.NEWBOX, variables[x]);
+        }
+      });
+      test.c = this.here_();
+      this.closeLoop_();
+      this.closeBlock_();
+      break;
+    case 'FunctionDeclaration':
+      if (node.isLocal) {
+        // The variable exists before the function, which can call itself.
+        var variable = this.declareLocal_(node.identifier.name);
+        this.emit_(Op.NIL, 1);
+        this.emit_(Op.NEWBOX, variable);
+        this.compileClosure_(node, node.identifier.name);
+        this.emit_(Op.SETLOCAL, variable);
+      } else {
+        var name = this.functionName_(node.identifier);
+        if (node.identifier.type == 'Identifier') {
+          this.compileClosure_(node, name);
+          this.compileStore_(node.identifier);
+        } else {
+          this.compileExpression_(node.identifier.base);
+          this.emit_(Op.CONST, node.identifier.identifier.name);
+          this.compileClosure_(node, name);
+          this.line_ = node.line;
+          this.emit_(Op.SETTABLE, 0, 0, 0,
+                     this.describe_(node.identifier.base));
+        }
+      }
+      break;
+    case 'ReturnStatement':
+      var args = node.arguments;
+      var last = args[args.length - 1];
+      if (args.length == 1 && last.type == 'CallExpression') {
+        this.compileCall_(last, -1, true);
+        this.emit_(Op.RETURN, 0, true);
+        break;
+      }
+      var multi = this.compileList_(args);
+      this.line_ = node.line;
+      this.emit_(Op.RETURN, multi ? args.length - 1 : args.length, multi);
+      break;
+    case 'BreakStatement':
+      var loops = this.state_.loops;
+      if (!loops.length) {
+        throw new LuaParser.Error('no loop to break near \'break\'',
+                                  node.line, node.column);
+      }
+      loops[loops.length - 1].push(this.emit_(Op.JUMP, 0));
+      break;
+    default:
+      throw new LuaParser.Error('unexpected ' + node.type, node.line,
+                                node.column);
+  }
+};
+
+/**
+ * Compile a loop body, which 'break' may leave.  The loop must then be
+ * closed with closeLoop_ once the exit is known.
+ * @param {!Array.<!Object>} body Statements of the body.
+ * @param {function()} finish Called to compile the end of the body, within
+ *     its scope.
+ * @param {function()=} opt_start Called to compile the start of the body,
+ *     within its scope.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.compileLoop_ = function(
+    body, finish, opt_start) {
+  this.state_.loops.push([]);
+  this.openBlock_();
+  if (opt_start) {
+    opt_start.call(this);
+  }
+  this.compileStatements_(body);
+  finish.call(this);
+  this.closeBlock_();
+};
+
+/**
+ * Point the loop's 'break' statements at the next instruction.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.closeLoop_ = function() {
+  this.state_.loops.pop().forEach(function(ins) {
+    ins.a = this.here_();
+  }, this);
+};
+
+/**
+ * Name of a function defined by a statement, for error messages.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.functionName_ = function(node) {
+  if (node.type == 'Identifier') {
+    return node.name;
+  }
+  return this.functionName_(node.base) + node.indexer + node.identifier.name;
+};
+
+LuaInterpreter.Compiler_.prototype.compileClosure_ = function(node, name) {
+  var line = this.line_;
+  var proto = this.compileFunction_(node, node.parameters, node.isVararg,
+                                    name);
+  this.line_ = line;
+  this.emit_(LuaInterpreter.Op_.CLOSURE, proto);
+};
+
+/**
+ * Store the value on top of the stack in a variable.
+ * @param {!Object} node Identifier node.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.compileStore_ = function(node) {
+  var Op = LuaInterpreter.Op_;
+  var variable = this.findLocal_(this.state_, node.name);
+  if (variable) {
+    this.emit_(Op.SETLOCAL, variable);
+    return;
+  }
+  var index = this.findUpvalue_(this.state_, node.name);
+  if (index == -1) {
+    this.emit_(Op.SETGLOBAL, node.name);
+  } else {
+    this.emit_(Op.SETUPVALUE, index);
+  }
+};
+
+LuaInterpreter.Compiler_.prototype.compileAssignment_ = function(node) {
+  var Op = LuaInterpreter.Op_;
+  var targets = node.variables;
+  if (targets.length == 1) {
+    var target = targets[0];
+    if (target.type == 'Identifier') {
+      this.compileAdjusted_(node.init, 1);
+      this.compileStore_(target);
+    } else {
+      this.compileExpression_(target.base);
+      this.compileKey_(target);
+      this.compileAdjusted_(node.init, 1);
+      this.line_ = node.line;
+      this.emit_(Op.SETTABLE, 0, 0, 0, this.describe_(target.base));
+    }
+    return;
+  }
+  // Evaluate the tables and keys, then the values, then assign.
+  var slots = targets.map(function(target) {
+    if (target.type == 'Identifier') {
+      return null;
+    }
+    var table = this.reserveSlot_();
+    var key = this.reserveSlot_();
+    this.compileExpression_(target.base);
+    this.emit_(Op.SETLOCAL, table);
+    this.compileKey_(target);
+    this.emit_(Op.SETLOCAL, key);
+    return [table, key];
+  }, this);
+  this.compileAdjusted_(node.init, targets.length);
+  this.line_ = node.line;
+  for (var x = targets.length - 1; x >= 0; x--) {
+    if (slots[x]) {
+      this.emit_(Op.SETTEMPS, slots[x][0], slots[x][1], 0,
+                 this.describe_(targets[x].base));
+    } else {
+      this.compileStore_(targets[x]);
+    }
+  }
+};
+
+/**
+ * Push the key of a MemberExpression or IndexExpression.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.compileKey_ = function(node) {
+  if (node.type == 'MemberExpression') {
+    this.emit_(LuaInterpreter.Op_.CONST, node.identifier.name);
+  } else {
+    this.compileExpression_(node.index);
+  }
+};
+
+/**
+ * Can an expression produce more or less than one value?
+ * @private
+ */
+LuaInterpreter.isMulti_ = function(node) {
+  return node.type == 'CallExpression' || node.type == 'VarargLiteral';
+};
+
+/**
+ * Push exactly 'count' values from a list of expressions, evaluating all of
+ * them.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.compileAdjusted_ = function(list, count) {
+  for (var x = 0; x < list.length; x++) {
+    var node = list[x];
+    if (x == list.length - 1 && LuaInterpreter.isMulti_(node)) {
+      this.compileMulti_(node, Math.max(count - x, 0));
+      return;
+    }
+    this.compileExpression_(node);
+    if (x >= count) {
+      this.emit_(LuaInterpreter.Op_.POP, 1);
+    }
+  }
+  if (list.length < count) {
+    this.emit_(LuaInterpreter.Op_.NIL, count - list.length);
+  }
+};
+
+/**
+ * Push the values of a list of expressions, all values of the last one if
+ * it is a call or '...'.
+ * @return {boolean} True if the last expression's values were all pushed,
+ *     so that their number is only known when the program runs.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.compileList_ = function(list) {
+  for (var x = 0; x < list.length; x++) {
+    if (x == list.length - 1 && LuaInterpreter.isMulti_(list[x])) {
+      this.compileMulti_(list[x], -1);
+      return true;
+    }
+    this.compileExpression_(list[x]);
+  }
+  return false;
+};
+
+/**
+ * Push a number of values from a call or '...'.
+ * @param {!Object} node CallExpression or VarargLiteral node.
+ * @param {number} count Number of values, or -1 for all of them.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.compileMulti_ = function(node, count) {
+  if (node.type == 'CallExpression') {
+    this.compileCall_(node, count, false);
+  } else {
+    this.compileVararg_(node, count);
+  }
+};
+
+LuaInterpreter.Compiler_.prototype.compileVararg_ = function(node, count) {
+  if (!this.state_.proto.isVararg) {
+    throw new LuaParser.Error(
+        'cannot use \'...\' outside a vararg function near \'...\'',
+        node.line, node.column);
+  }
+  this.emit_(LuaInterpreter.Op_.VARARG, count);
+};
+
+/**
+ * Compile a call.
+ * @param {!Object} node CallExpression node.
+ * @param {number} count Number of results wanted, or -1 for all.
+ * @param {boolean} isTail Whether the call's results are returned.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.compileCall_ = function(
+    node, count, isTail) {
+  var Op = LuaInterpreter.Op_;
+  var base = node.base;
+  var args = node.arguments.length;
+  if (base.type == 'MemberExpression' && base.indexer == ':') {
+    this.compileExpression_(base.base);
+    this.line_ = node.line;
+    this.emit_(Op.DUP);
+    this.emit_(Op.GETFIELD, base.identifier.name, 0, 0,
+               this.describe_(base.base));
+    this.emit_(Op.SWAP);
+    args++;
+  } else {
+    this.compileExpression_(base);
+  }
+  var multi = this.compileList_(node.arguments);
+  if (multi) {
+    args--;
+  }
+  this.line_ = node.line;
+  if (isTail) {
+    this.emit_(Op.TAILCALL, args, multi, -1, this.describe_(base));
+  } else {
+    this.emit_(Op.CALL, args, multi, count, this.describe_(base));
+  }
+};
+
+/**
+ * Push the value of an expression, the first value if it has several.
+ * @param {!Object} node Expression node.
+ * @private
+ */
+LuaInterpreter.Compiler_.prototype.compileExpression_ = function(node) {
+  var Op = LuaInterpreter.Op_;
+  if (node.line) {
+    this.line_ = node.line;
+  }
+  switch (node.type) {
+    case 'NilLiteral':
+      this.emit_(Op.NIL, 1);
+      break;
+    case 'BooleanLiteral':
+    case 'NumericLiteral':
+    case 'StringLiteral':
+      this.emit_(Op.CONST, node.value);
+      break;
+    case 'VarargLiteral':
+      this.compileVararg_(node, 1);
+      break;
+    case 'Identifier':
+      var variable = this.findLocal_(this.state_, node.name);
+      if (variable) {
+        this.emit_(Op.LOCAL, variable);
+        break;
+      }
+      var index = this.findUpvalue_(this.state_, node.name);
+      if (index == -1) {
+        this.emit_(Op.GLOBAL, node.name);
+      } else {
+        this.emit_(Op.UPVALUE, index);
+      }
+      break;
+    case 'MemberExpression':
+      this.compileExpression_(node.base);
+      this.line_ = node.line;
+      this.emit_(Op.GETFIELD, node.identifier.name, 0, 0,
+                 this.describe_(node.base));
+      break;
+    case 'IndexExpression':
+      this.compileExpression_(node.base);
+      this.compileExpression_(node.index);
+      this.line_ = node.line;
+      this.emit_(Op.GETTABLE, 0, 0, 0, this.describe_(node.base));
+      break;
+    case 'CallExpression':
+      this.compileCall_(node, 1, false);
+      break;
+    case 'FunctionDeclaration':
+      this.compileClosure_(node, 'anonymous');
+      break;
+    case 'ParenthesizedExpression':
+      this.compileExpression_(node.expression);
+      break;
+    case 'UnaryExpression':
+      this.compileExpression_(node.argument);
+      this.line_ = node.line;
+      var op = {'-': Op.UNM, 'not': Op.NOT, '#': Op.LEN}[node.operator];
+      this.emit_(op, 0, 0, 0, [this.describe_(node.argument)]);
+      break;
+    case 'LogicalExpression':
+      this.compileExpression_(node.left);
+      var jump = this.emit_(node.operator == 'and' ? Op.AND : Op.OR, 0);
+      this.compileExpression_(node.right);
+      jump.a = this.here_();
+      break;
+    case 'BinaryExpression':
+      this.compileExpression_(node.left);
+      this.compileExpression_(node.right);
+      this.line_ = node.line;
+      this.emit_(LuaInterpreter.BINARY_OPS_[node.operator], 0, 0, 0,
+                 [this.describe_(node.left), this.describe_(node.right)]);
+      break;
+    case 'TableConstructorExpression':
+      this.emit_(Op.NEWTABLE);
+      var index = 1;
+      var fields = node.fields;
+      for (var x = 0, field; field = fields[x]; x++) {
+        if (field.type == 'TableValue') {
+          if (x == fields.length - 1 && LuaInterpreter.isMulti_(field.value)) {
+            this.compileMulti_(field.value, -1);
+            this.emit_(Op.TABLEMULTI, index);
+          } else {
+            this.compileExpression_(field.value);
+            this.emit_(Op.TABLEAPPEND, index++);
+          }
+        } else {
+          if (field.type == 'TableKeyString') {
+            this.emit_(Op.CONST, field.key.name);
+          } else {
+            this.compileExpression_(field.key);
+          }
+          this.compileExpression_(field.value);
+          this.line_ = field.line;
+          this.emit_(Op.TABLESET);
+        }
+      }
+      break;
+    default:
+      throw new LuaParser.Error('unexpected ' + node.type, node.line,
+                                node.column);
+  }
+};
+
+// Running programs.
+
+/**
+ * Compile Lua source code into a function.
+ * @param {string} source Lua source code.
+ * @param {string} chunkName Name of the chunk, used in error messages.
+ * @param {LuaInterpreter.Table=} opt_env Environment for global variables.
+ * @return {!LuaInterpreter.Function} Function running the chunk.
+ * @throws {LuaInterpreter.Error} if the source is not valid Lua; the message
+ *     looks like Lua's, such as "name:3: 'end' expected near '<eof>'".
+ */
+LuaInterpreter.prototype.load = function(source, chunkName, opt_env) {
+  var proto;
+  try {
+    var chunk = LuaParser.parse(source);
+    proto = new LuaInterpreter.Compiler_(chunkName).compileChunk(chunk);
+  } catch (e) {
+    if (e instanceof LuaParser.Error) {
+      throw new LuaInterpreter.Error(chunkName + ':' + e.line + ': ' +
+          e.message.replace(/^line \d+: /, ''), 0);
+    }
+    throw e;
+  }
+  return new LuaInterpreter.Function(proto, [], opt_env || this.globals);
+};
+
+/**
+ * Get a global variable.
+ * @param {string} name Name of the variable.
+ * @return {*} Its value.
+ */
+LuaInterpreter.prototype.getGlobal = function(name) {
+  return this.globals.get(name);
+};
+
+/**
+ * Set a global variable.
+ * @param {string} name Name of the variable.
+ * @param {*} value Its new value.
+ */
+LuaInterpreter.prototype.setGlobal = function(name, value) {
+  this.globals.set(name, value);
+};
+
+/**
+ * Start running a function as the program.  Nothing runs until
+ * LuaInterpreter.prototype.run is called.
+ * @param {!LuaInterpreter.Function} fn The program's main function.
+ * @param {Array=} opt_args Arguments to the program.
+ */
+LuaInterpreter.prototype.start = function(fn, opt_args) {
+  var co = new LuaInterpreter.Coroutine(fn);
+  co.status = 'running';
+  co.started = true;
+  this.main_ = this.current_ = co;
+  this.pending_ = null;
+  this.instructionsSinceYield = 0;
+  this.pushFrame_(fn, opt_args || [], -1);
+};
+
+/**
+ * Is a program started and not yet finished?
+ * @return {boolean} True if the program can run or be resumed.
+ */
+LuaInterpreter.prototype.isRunning = function() {
+  return !!this.main_ && this.main_.status != 'dead';
+};
+
+/**
+ * Get the coroutine running the program.
+ * @return {LuaInterpreter.Coroutine} The main coroutine.
+ */
+LuaInterpreter.prototype.getMainCoroutine = function() {
+  return this.main_;
+};
+
+/**
+ * Line of Lua code being run, for showing where a program is.
+ * @return {number} 1-based line, or 0 if nothing is running.
+ */
+LuaInterpreter.prototype.getCurrentLine = function() {
+  var frame = this.frame_;
+  return frame ? frame.code[Math.max(frame.pc - 1, 0)].line : 0;
+};
+
+/**
+ * Number of Lua function calls in progress in the coroutine running, for
+ * telling whether a debugger has stepped into or out of a function.
+ * @return {number} 1 for the coroutine's own function, more for functions
+ *     it has called, or 0 if nothing is running.
+ */
+LuaInterpreter.prototype.getCallDepth = function() {
+  return this.current_ ? this.current_.frames.length : 0;
+};
+
+/**
+ * Describe the Lua functions being run in the current coroutine, for a
+ * debugger.
+ * @return {!Array.<!Object>} For each function, innermost first: its
+ *     'chunkName', the 'line' being run, and the values of the local
+ *     variables in scope by name in 'locals'.  Variables hidden by others of
+ *     the same name are left out.
+ */
+LuaInterpreter.prototype.getStack = function() {
+  var frames = this.current_ ? this.current_.frames : [];
+  return frames.slice().reverse().map(function(frame) {
+    // The instruction being executed, which may be a call in progress.
+    var pc = Math.max(frame.pc - 1, 0);
+    var locals = Object.create(null);
+    frame.closure.proto.locals.forEach(function(local) {
+      if (local.startPc <= pc && pc < local.endPc) {
+        var value = frame.regs[local.slot];
+        locals[local.name] = local.boxed ? value && value.v : value;
+      }
+    });
+    return {chunkName: frame.closure.proto.chunkName,
+            line: frame.code[pc].line, locals: locals};
+  });
+};
+
+/**
+ * Can a host function being called suspend the program?  It can't if it was
+ * called by a function called from JavaScript, such as a metamethod.
+ * @return {boolean} True if the host function may return
+ *     LuaInterpreter.SUSPEND.
+ */
+LuaInterpreter.prototype.canSuspend = function() {
+  return !!this.current_ && !this.current_.boundaries;
+};
+
+/**
+ * Run the program until it finishes, yields, is suspended, or has executed
+ * a number of instructions.
+ * @param {number} budget Maximum number of instructions to execute.
+ * @return {!Object} The state of the program.  Its 'status' is 'done' (with
+ *     the program's results in 'values'), 'error' (with the Lua error value
+ *     in 'error' and its text in 'message'), 'yield' (the main coroutine
+ *     yielded 'values'), 'suspend' (a host function suspended the program)
+ *     or 'budget' (the instructions ran out).  After 'yield' and 'suspend',
+ *     continue with LuaInterpreter.prototype.resume.  'remaining' is the
+ *     number of instructions left in the budget.
+ */
+LuaInterpreter.prototype.run = function(budget) {
+  if (this.pending_) {
+    throw Error('The program is waiting to be resumed.');
+  }
+  if (!this.isRunning()) {
+    throw Error('No program is running.');
+  }
+  this.budget_ = budget;
+  try {
+    var signal = this.execute_();
+  } catch (e) {
+    if (!(e instanceof LuaInterpreter.Error)) {
+      throw e;
+    }
+    this.main_.status = 'dead';
+    this.main_.frames = [];
+    this.frame_ = null;
+    return {status: 'error', error: e.value,
+            message: LuaInterpreter.tostring(e.value),
+            remaining: this.budget_};
+  }
+  signal.remaining = this.budget_;
+  return signal;
+};
+
+/**
+ * Continue the program after it yielded or was suspended.
+ * @param {Array=} opt_values Results of the yield or of the host function
+ *     that suspended the program.
+ */
+LuaInterpreter.prototype.resume = function(opt_values) {
+  var pending = this.pending_;
+  if (!pending) {
+    throw Error('The program is not waiting to be resumed.');
+  }
+  this.pending_ = null;
+  this.instructionsSinceYield = 0;
+  this.current_ = pending.co;
+  this.syncFrame_();
+  this.deliver_(opt_values || [], pending.nres, pending.protect, pending.post);
+};
+
+/**
+ * Call a Lua function from JavaScript, such as a host function calling a
+ * function passed to it.  The call can't yield.
+ * @param {*} fn The function, or any value with a __call metamethod.
+ * @param {!Array} args Arguments.
+ * @return {!Array} Results.
+ * @throws {LuaInterpreter.Error} if the function raises an error.
+ */
+LuaInterpreter.prototype.call = function(fn, args) {
+  if (typeof fn == 'function' && fn.luaCall_) {
+    // Functions such as pcall only work from Lua code.
+    return this.call(this.trampoline_, [fn].concat(args));
+  }
+  if (typeof fn == 'function') {
+    var results = fn(args, this);
+    if (results === LuaInterpreter.SUSPEND) {
+      throw new LuaInterpreter.Error(
+          'attempt to yield across metamethod/C-call boundary');
+    }
+    return results || [];
+  }
+  if (!(fn instanceof LuaInterpreter.Function)) {
+    var handler = this.getMetamethod(fn, '__call');
+    if (handler === undefined) {
+      throw new LuaInterpreter.Error('attempt to call a ' +
+          LuaInterpreter.type(fn) + ' value');
+    }
+    return this.call(handler, [fn].concat(args));
+  }
+  var savedMain = this.main_;
+  var savedCurrent = this.current_;
+  var co = this.current_;
+  if (!co) {
+    // Called with no program running.
+    co = this.main_ = this.current_ = new LuaInterpreter.Coroutine(fn);
+    co.status = 'running';
+  }
+  var savedBudget = this.budget_;
+  var savedPending = this.pending_;
+  this.pending_ = null;
+  this.budget_ = Infinity;
+  this.syncDepth_++;
+  co.boundaries++;
+  this.pushFrame_(fn, args, -1);
+  this.frame_.boundary = true;
+  try {
+    var signal = this.execute_();
+  } finally {
+    this.syncDepth_--;
+    co.boundaries--;
+    this.budget_ = savedBudget;
+    this.pending_ = savedPending;
+    this.main_ = savedMain;
+    this.current_ = savedCurrent;
+    this.syncFrame_();
+  }
+  return signal.values;
+};
+
+/**
+ * Get a metamethod of a value.
+ * @param {*} value A Lua value.
+ * @param {string} event Name of the metamethod, such as '__index'.
+ * @return {*} The metamethod, or undefined.
+ */
+LuaInterpreter.prototype.getMetamethod = function(value, event) {
+  var metatable = this.getMetatable(value);
+  return metatable ? metatable.get(event) : undefined;
+};
+
+/**
+ * Get the metatable of a value, ignoring any __metatable field.
+ * @param {*} value A Lua value.
+ * @return {LuaInterpreter.Table} The metatable, or null.
+ */
+LuaInterpreter.prototype.getMetatable = function(value) {
+  if (value instanceof LuaInterpreter.Table) {
+    return value.metatable;
+  }
+  if (typeof value == 'string') {
+    return this.stringMetatable;
+  }
+  return null;
+};
+
+/**
+ * Index a value, invoking metamethods, from JavaScript.
+ * @param {*} object The value to index.
+ * @param {*} key The key.
+ * @return {*} The value found.
+ */
+LuaInterpreter.prototype.index = function(object, key) {
+  var value = this.index_(object, key, null, true);
+  return value;
+};
+
+/**
+ * Convert a value to a string as the 'tostring' function does, invoking
+ * any __tostring metamethod.
+ * @param {*} value A Lua value.
+ * @return {string} Its text.
+ */
+LuaInterpreter.prototype.tostring = function(value) {
+  var handler = this.getMetamethod(value, '__tostring');
+  if (handler !== undefined) {
+    var text = this.call(handler, [value])[0];
+    if (typeof text != 'string' && typeof text != 'number') {
+      throw new LuaInterpreter.Error(
+          '\'__tostring\' must return a string');
+    }
+    return LuaInterpreter.tostring(text);
+  }
+  return LuaInterpreter.tostring(value);
+};
+
+/**
+ * Compare two values with '<', invoking metamethods, from JavaScript.
+ * @param {*} a Left operand.
+ * @param {*} b Right operand.
+ * @return {boolean} Result of the comparison.
+ */
+LuaInterpreter.prototype.lessThan = function(a, b) {
+  if (typeof a == 'number' && typeof b == 'number' ||
+      typeof a == 'string' && typeof b == 'string') {
+    return a < b;
+  }
+  var handler = this.getComparisonHandler_(a, b, '__lt');
+  return LuaInterpreter.truthy(this.call(handler, [a, b])[0]);
+};
+
+/**
+ * Find the position of the Lua code running at a level of the call stack,
+ * as luaL_where does.
+ * @param {number} level 1 for the function running, 2 for its caller, and
+ *     so on.
+ * @return {string} Position such as 'name:12: ', or ''.
+ */
+LuaInterpreter.prototype.where = function(level) {
+  var frames = this.current_ ? this.current_.frames : [];
+  var frame = frames[frames.length - level];
+  if (!frame) {
+    return '';
+  }
+  var ins = frame.code[Math.max(frame.pc - 1, 0)];
+  return frame.closure.proto.chunkName + ':' + ins.line + ': ';
+};
+
+/**
+ * Frame of a Lua function call.
+ * @constructor
+ * @private
+ */
+LuaInterpreter.Frame_ = function(closure, args, nres) {
+  var proto = closure.proto;
+  this.closure = closure;
+  this.code = proto.code;
+  this.pc = 0;
+  this.regs = [];
+  this.stack = [];
+  this.varargs = proto.isVararg && args.length > proto.numParams ?
+      args.slice(proto.numParams) : [];
+  for (var x = 0; x < proto.numParams; x++) {
+    this.regs[x] = proto.boxedParams[x] ? {v: args[x]} : args[x];
+  }
+  // Number of results the caller wants, or -1 for all.
+  this.nres = nres;
+  // 'pcall' or an xpcall handler, if this is a protected call.
+  this.protect = null;
+  // 'bool' or 'not' if the result of a comparison metamethod is converted.
+  this.post = null;
+  // Whether this call was made from JavaScript by LuaInterpreter.call.
+  this.boundary = false;
+  // Number of values pushed by the last call or '...' wanting them all.
+  this.multi = 0;
+};
+
+/**
+ * Make the frame at the top of the current coroutine the current frame.
+ * @private
+ */
+LuaInterpreter.prototype.syncFrame_ = function() {
+  var frames = this.current_ ? this.current_.frames : [];
+  this.frame_ = frames[frames.length - 1] || null;
+};
+
+/**
+ * Start a call to a Lua function in the current coroutine.
+ * @private
+ */
+LuaInterpreter.prototype.pushFrame_ = function(closure, args, nres,
+                                               opt_protect, opt_post) {
+  var frames = this.current_.frames;
+  if (frames.length >= LuaInterpreter.MAX_CALL_DEPTH) {
+    throw new LuaInterpreter.Error('stack overflow');
+  }
+  var frame = new LuaInterpreter.Frame_(closure, args, nres);
+  frame.protect = opt_protect || null;
+  frame.post = opt_post || null;
+  frames.push(frame);
+  this.frame_ = frame;
+};
+
+/**
+ * Give the results of a call to the current frame.
+ * @param {!Array} values The results.
+ * @param {number} nres Number of results wanted, or -1 for all.
+ * @param {*} protect 'pcall' or an xpcall handler if the call was protected.
+ * @param {?string} post How to convert a comparison metamethod's result.
+ * @private
+ */
+LuaInterpreter.prototype.deliver_ = function(values, nres, protect, post) {
+  if (post) {
+    var result = LuaInterpreter.truthy(values[0]);
+    values = [post == 'not' ? !result : result];
+  }
+  if (protect) {
+    values = [true].concat(values);
+  }
+  var stack = this.frame_.stack;
+  if (nres < 0) {
+    for (var x = 0; x < values.length; x++) {
+      stack.push(values[x]);
+    }
+    this.frame_.multi = values.length;
+  } else {
+    for (var x = 0; x < nres; x++) {
+      stack.push(values[x]);
+    }
+  }
+};
+
+/**
+ * Call a value from the running program.
+ * @param {*} fn The value to call.
+ * @param {!Array} args Arguments.
+ * @param {number} nres Number of results wanted, or -1 for all.
+ * @param {*} protect 'pcall' or an xpcall handler for a protected call.
+ * @param {?string} post How to convert a comparison metamethod's result.
+ * @param {?string} info Description of the value, for errors.
+ * @private
+ */
+LuaInterpreter.prototype.callValue_ = function(fn, args, nres, protect, post,
+                                               info) {
+  if (fn instanceof LuaInterpreter.Function) {
+    this.pushFrame_(fn, args, nres, protect, post);
+    return;
+  }
+  if (typeof fn != 'function') {
+    var handler = this.getMetamethod(fn, '__call');
+    if (handler === undefined) {
+      this.typeError_('call', fn, info);
+    }
+    this.callValue_(handler, [fn].concat(args), nres, protect, post, info);
+    return;
+  }
+  if (fn.luaCall_) {
+    fn.luaCall_(this, args, nres, protect);
+    return;
+  }
+  try {
+    var results = fn(args, this);
+  } catch (e) {
+    if (e instanceof LuaInterpreter.Error && e.level == 1 &&
+        typeof e.value == 'string') {
+      e.value = this.where(1) + e.value;
+      e.message = e.value;
+      e.level = 0;
+    }
+    throw e;
+  }
+  if (results === LuaInterpreter.SUSPEND) {
+    if (this.current_.boundaries) {
+      throw new LuaInterpreter.Error(
+          'attempt to yield across metamethod/C-call boundary');
+    }
+    this.pending_ = {co: this.current_, nres: nres, protect: protect,
+                     post: post};
+    this.signal_ = {status: 'suspend'};
+    return;
+  }
+  this.deliver_(results || [], nres, protect, post);
+};
+
+/**
+ * Raise an error about an operation on a value of the wrong type.
+ * @param {string} operation Such as 'index' or 'call'.
+ * @param {*} value The value.
+ * @param {?string} info Description of the value, such as "global 'x'".
+ * @throws {LuaInterpreter.Error}
+ * @private
+ */
+LuaInterpreter.prototype.typeError_ = function(operation, value, info) {
+  var type = LuaInterpreter.type(value);
+  throw new LuaInterpreter.Error('attempt to ' + operation + ' ' +
+      (info ? info + ' (a ' + type + ' value)' : 'a ' + type + ' value'));
+};
+
+/**
+ * Marker for a result that a metamethod call will push.
+ * @private
+ */
+LuaInterpreter.PENDING_ = {};
+
+/**
+ * Index a value, invoking metamethods.
+ * @param {*} object The value to index.
+ * @param {*} key The key.
+ * @param {?string} info Description of the object, for errors.
+ * @param {boolean} sync Whether to call metamethods from JavaScript rather
+ *     than as part of the running program.
+ * @return {*} The value, or LuaInterpreter.PENDING_ if a Lua metamethod was
+ *     called which will push the value when it returns.
+ * @private
+ */
+LuaInterpreter.prototype.index_ = function(object, key, info, sync) {
+  for (var loop = 0; loop < 100; loop++) {
+    var handler;
+    if (object instanceof LuaInterpreter.Table) {
+      var value = object.get(key);
+      if (value !== undefined || !object.metatable) {
+        return value;
+      }
+      handler = object.metatable.get('__index');
+      if (handler === undefined) {
+        return undefined;
+      }
+    } else {
+      handler = this.getMetamethod(object, '__index');
+      if (handler === undefined) {
+        this.typeError_('index', object, loop ? null : info);
+      }
+    }
+    if (typeof handler == 'function' ||
+        handler instanceof LuaInterpreter.Function) {
+      if (sync) {
+        return this.call(handler, [object, key])[0];
+      }
+      this.callValue_(handler, [object, key], 1, null, null, null);
+      return LuaInterpreter.PENDING_;
+    }
+    object = handler;
+    info = null;
+  }
+  throw new LuaInterpreter.Error('loop in gettable');
+};
+
+/**
+ * Assign to a field of a value, invoking metamethods.
+ * @param {*} object The value to index.
+ * @param {*} key The key.
+ * @param {*} value The new value.
+ * @param {?string} info Description of the object, for errors.
+ * @param {boolean} sync Whether to call metamethods from JavaScript.
+ * @private
+ */
+LuaInterpreter.prototype.setIndex_ = function(object, key, value, info,
+                                              sync) {
+  for (var loop = 0; loop < 100; loop++) {
+    var handler;
+    if (object instanceof LuaInterpreter.Table) {
+      if (!object.metatable || object.get(key) !== undefined ||
+          (handler = object.metatable.get('__newindex')) === undefined) {
+        LuaInterpreter.checkKey_(key);
+        object.set(key, value);
+        return;
+      }
+    } else {
+      handler = this.getMetamethod(object, '__newindex');
+      if (handler === undefined) {
+        this.typeError_('index', object, loop ? null : info);
+      }
+    }
+    if (typeof handler == 'function' ||
+        handler instanceof LuaInterpreter.Function) {
+      if (sync) {
+        this.call(handler, [object, key, value]);
+      } else {
+        this.callValue_(handler, [object, key, value], 0, null, null, null);
+      }
+      return;
+    }
+    object = handler;
+    info = null;
+  }
+  throw new LuaInterpreter.Error('loop in settable');
+};
+
+/**
+ * Assign to a field of a value, invoking metamethods, from JavaScript.
+ * @param {*} object The value to index.
+ * @param {*} key The key.
+ * @param {*} value The new value.
+ */
+LuaInterpreter.prototype.setIndex = function(object, key, value) {
+  this.setIndex_(object, key, value, null, true);
+};
+
+/**
+ * Check that a value can be a table key.
+ * @private
+ */
+LuaInterpreter.checkKey_ = function(key) {
+  if (key === undefined) {
+    throw new LuaInterpreter.Error('table index is nil');
+  }
+  if (key !== key) {
+    throw new LuaInterpreter.Error('table index is NaN');
+  }
+};
+
+/**
+ * Metamethod events of the arithmetic instructions.
+ * @private
+ */
+LuaInterpreter.ARITH_EVENTS_ = {};
+LuaInterpreter.ARITH_EVENTS_[LuaInterpreter.Op_.ADD] = '__add';
+LuaInterpreter.ARITH_EVENTS_[LuaInterpreter.Op_.SUB] = '__sub';
+LuaInterpreter.ARITH_EVENTS_[LuaInterpreter.Op_.MUL] = '__mul';
+LuaInterpreter.ARITH_EVENTS_[LuaInterpreter.Op_.DIV] = '__div';
+LuaInterpreter.ARITH_EVENTS_[LuaInterpreter.Op_.MOD] = '__mod';
+LuaInterpreter.ARITH_EVENTS_[LuaInterpreter.Op_.POW] = '__pow';
+LuaInterpreter.ARITH_EVENTS_[LuaInterpreter.Op_.UNM] = '__unm';
+
+/**
+ * Perform arithmetic on numbers.
+ * @private
+ */
+LuaInterpreter.arith_ = function(op, a, b) {
+  var Op = LuaInterpreter.Op_;
+  switch (op) {
+    case Op.ADD:
+      return a + b;
+    case Op.SUB:
+      return a - b;
+    case Op.MUL:
+      return a * b;
+    case Op.DIV:
+      return a / b;
+    case Op.MOD:
+      return a - Math.floor(a / b) * b;
+    case Op.POW:
+      return Math.pow(a, b);
+    case Op.UNM:
+      return -a;
+  }
+};
+
+/**
+ * Perform arithmetic on values that aren't both numbers, converting strings
+ * or invoking metamethods.
+ * @return {*} The result, or LuaInterpreter.PENDING_.
+ * @private
+ */
+LuaInterpreter.prototype.arithSlow_ = function(op, a, b, info) {
+  var x = LuaInterpreter.toNumber(a);
+  var y = LuaInterpreter.toNumber(b);
+  if (x !== undefined && y !== undefined) {
+    return LuaInterpreter.arith_(op, x, y);
+  }
+  var event = LuaInterpreter.ARITH_EVENTS_[op];
+  var handler = this.getMetamethod(a, event);
+  if (handler === undefined) {
+    handler = this.getMetamethod(b, event);
+  }
+  if (handler === undefined) {
+    // Blame the second operand if the first is fine.
+    if (x !== undefined) {
+      this.typeError_('perform arithmetic on', b, info && info[1]);
+    }
+    this.typeError_('perform arithmetic on', a, info && info[0]);
+  }
+  this.callValue_(handler, [a, b], 1, null, null, null);
+  return LuaInterpreter.PENDING_;
+};
+
+/**
+ * Concatenate two values, invoking metamethods if they aren't strings or
+ * numbers.
+ * @return {*} The result, or LuaInterpreter.PENDING_.
+ * @private
+ */
+LuaInterpreter.prototype.concat_ = function(a, b, info) {
+  var typeA = typeof a;
+  var typeB = typeof b;
+  if ((typeA == 'string' || typeA == 'number') &&
+      (typeB == 'string' || typeB == 'number')) {
+    return (typeA == 'number' ? LuaInterpreter.numberToString(a) : a) +
+        (typeB == 'number' ? LuaInterpreter.numberToString(b) : b);
+  }
+  var handler = this.getMetamethod(a, '__concat');
+  if (handler === undefined) {
+    handler = this.getMetamethod(b, '__concat');
+  }
+  if (handler === undefined) {
+    if (typeA == 'string' || typeA == 'number') {
+      this.typeError_('concatenate', b, info && info[1]);
+    }
+    this.typeError_('concatenate', a, info && info[0]);
+  }
+  this.callValue_(handler, [a, b], 1, null, null, null);
+  return LuaInterpreter.PENDING_;
+};
+
+/**
+ * Find the metamethod for comparing two values, which both must share.
+ * @throws {LuaInterpreter.Error} if they can't be compared.
+ * @private
+ */
+LuaInterpreter.prototype.getComparisonHandler_ = function(a, b, event) {
+  var typeA = LuaInterpreter.type(a);
+  var typeB = LuaInterpreter.type(b);
+  if (typeA == typeB) {
+    var handler = this.getMetamethod(a, event);
+    if (handler !== undefined && handler === this.getMetamethod(b, event)) {
+      return handler;
+    }
+    if (event == '__le') {
+      return undefined;
+    }
+    throw new LuaInterpreter.Error('attempt to compare two ' + typeA +
+                                   ' values');
+  }
+  throw new LuaInterpreter.Error('attempt to compare ' + typeA + ' with ' +
+                                 typeB);
+};
+
+/**
+ * Compare two values.
+ * @param {number} op LT or LE.
+ * @return {*} The result, or LuaInterpreter.PENDING_.
+ * @private
+ */
+LuaInterpreter.prototype.compare_ = function(op, a, b) {
+  var typeA = typeof a;
+  if (typeA == typeof b && (typeA == 'number' || typeA == 'string')) {
+    return op == LuaInterpreter.Op_.LT ? a < b : a <= b;
+  }
+  if (op == LuaInterpreter.Op_.LT) {
+    var handler = this.getComparisonHandler_(a, b, '__lt');
+    this.callValue_(handler, [a, b], 1, null, 'bool', null);
+    return LuaInterpreter.PENDING_;
+  }
+  var handler = this.getComparisonHandler_(a, b, '__le');
+  if (handler !== undefined) {
+    this.callValue_(handler, [a, b], 1, null, 'bool', null);
+  } else {
+    // a <= b is not (b < a).
+    handler = this.getComparisonHandler_(b, a, '__lt');
+    this.callValue_(handler, [b, a], 1, null, 'not', null);
+  }
+  return LuaInterpreter.PENDING_;
+};
+
+/**
+ * Test two values for equality.
+ * @param {boolean} negate Whether to negate the result ('~=').
+ * @return {*} The result, or LuaInterpreter.PENDING_.
+ * @private
+ */
+LuaInterpreter.prototype.equals_ = function(a, b, negate) {
+  if (a === b) {
+    return !negate;
+  }
+  if (!(a instanceof LuaInterpreter.Table) ||
+      !(b instanceof LuaInterpreter.Table)) {
+    return negate;
+  }
+  var handler = this.getMetamethod(a, '__eq');
+  if (handler === undefined || handler !== this.getMetamethod(b, '__eq')) {
+    return negate;
+  }
+  this.callValue_(handler, [a, b], 1, null, negate ? 'not' : 'bool', null);
+  return LuaInterpreter.PENDING_;
+};
+
+/**
+ * Execute instructions, recovering from errors caught by pcall.
+ * @return {!Object} Signal describing why execution stopped.
+ * @private
+ */
+LuaInterpreter.prototype.execute_ = function() {
+  while (true) {
+    try {
+      return this.loop_();
+    } catch (e) {
+      if (e instanceof RangeError) {
+        // JavaScript's stack overflowed, such as in deep pattern matching.
+        e = new LuaInterpreter.Error('stack overflow');
+      }
+      if (!(e instanceof LuaInterpreter.Error)) {
+        throw e;
+      }
+      this.signal_ = null;
+      this.handleError_(e);
+    }
+  }
+};
+
+/**
+ * Unwind the call stack to the innermost protected call, which returns
+ * false and the error.
+ * @param {!LuaInterpreter.Error} error The error.
+ * @throws {LuaInterpreter.Error} if no protected call catches the error
+ *     before a call from JavaScript or the end of the main coroutine.
+ * @private
+ */
+LuaInterpreter.prototype.handleError_ = function(error) {
+  if (error.level == 1 && typeof error.value == 'string') {
+    // Raised by the interpreter itself.
+    error.value = this.where(1) + error.value;
+    error.message = error.value;
+    error.level = 0;
+  }
+  while (true) {
+    var co = this.current_;
+    var frames = co.frames;
+    while (frames.length) {
+      var frame = frames.pop();
+      this.syncFrame_();
+      if (frame.boundary) {
+        throw error;
+      }
+      if (frame.protect) {
+        var value = error.value;
+        if (frame.protect != 'pcall') {
+          value = this.call(frame.protect, [value])[0];
+        }
+        this.deliver_([false, value], frame.nres, null, null);
+        return;
+      }
+    }
+    co.status = 'dead';
+    if (co == this.main_) {
+      throw error;
+    }
+    var request = co.resumeRequest;
+    this.switchTo_(co.resumer);
+    if (!request.wrap) {
+      this.deliver_([false, error.value], request.nres, null, null);
+      return;
+    }
+    // coroutine.wrap passes the error on to the resumer.
+  }
+};
+
+/**
+ * Return from a coroutine to the coroutine that resumed it.
+ * @private
+ */
+LuaInterpreter.prototype.switchTo_ = function(co) {
+  var from = this.current_;
+  from.resumer = null;
+  this.current_ = co;
+  co.status = 'running';
+  this.syncFrame_();
+};
+
+/**
+ * Resume a coroutine, as coroutine.resume and functions made by
+ * coroutine.wrap do.
+ * @param {!LuaInterpreter.Coroutine} co The coroutine.
+ * @param {!Array} args Values passed to it.
+ * @param {number} nres Number of results wanted, or -1 for all.
+ * @param {boolean} wrap Whether errors pass on to the resumer and results
+ *     don't start with true.
+ * @private
+ */
+LuaInterpreter.prototype.resumeCoroutine_ = function(co, args, nres, wrap) {
+  var problem = null;
+  if (co.status == 'dead') {
+    problem = 'cannot resume dead coroutine';
+  } else if (co.status != 'suspended') {
+    problem = 'cannot resume non-suspended coroutine';
+  }
+  if (problem) {
+    if (wrap) {
+      throw new LuaInterpreter.Error(problem);
+    }
+    this.deliver_([false, problem], nres, null, null);
+    return;
+  }
+  this.current_.status = 'normal';
+  co.resumer = this.current_;
+  co.resumeRequest = {nres: nres, wrap: wrap};
+  co.status = 'running';
+  this.current_ = co;
+  if (!co.started) {
+    co.started = true;
+    if (co.fn instanceof LuaInterpreter.Function) {
+      this.pushFrame_(co.fn, args, -1);
+    } else {
+      // A host function as the body finishes at once.
+      var results = co.fn(args, this) || [];
+      co.status = 'dead';
+      this.switchTo_(co.resumer);
+      this.deliver_(wrap ? results : [true].concat(results), nres, null,
+                    null);
+    }
+    return;
+  }
+  this.syncFrame_();
+  var request = co.yieldRequest;
+  this.deliver_(args, request.nres, request.protect, null);
+};
+
+/**
+ * Yield from the current coroutine, as coroutine.yield does.
+ * @param {!Array} values Values passed to the resumer.
+ * @param {number} nres Number of results wanted from the resume.
+ * @param {*} protect Whether coroutine.yield itself was called by pcall.
+ * @private
+ */
+LuaInterpreter.prototype.yield_ = function(values, nres, protect) {
+  var co = this.current_;
+  if (co.boundaries) {
+    throw new LuaInterpreter.Error(
+        'attempt to yield across metamethod/C-call boundary');
+  }
+  if (co == this.main_) {
+    this.pending_ = {co: co, nres: nres, protect: protect, post: null};
+    this.signal_ = {status: 'yield', values: values};
+    return;
+  }
+  if (!co.resumer) {
+    throw new LuaInterpreter.Error(
+        'attempt to yield from outside a coroutine');
+  }
+  co.status = 'suspended';
+  co.yieldRequest = {nres: nres, protect: protect};
+  var request = co.resumeRequest;
+  this.switchTo_(co.resumer);
+  this.deliver_(request.wrap ? values : [true].concat(values), request.nres,
+                null, null);
+};
+
+/**
+ * Return from the function in the current frame.
+ * @param {!Array} values Results.
+ * @private
+ */
+LuaInterpreter.prototype.return_ = function(values) {
+  var co = this.current_;
+  var frame = co.frames.pop();
+  this.syncFrame_();
+  if (frame.boundary) {
+    this.signal_ = {status: 'sync', values: values};
+    return;
+  }
+  if (co.frames.length) {
+    this.deliver_(values, frame.nres, frame.protect, frame.post);
+    return;
+  }
+  co.status = 'dead';
+  if (co == this.main_) {
+    this.signal_ = {status: 'done', values: values};
+    return;
+  }
+  var request = co.resumeRequest;
+  this.switchTo_(co.resumer);
+  this.deliver_(request.wrap ? values : [true].concat(values), request.nres,
+                null, null);
+};
+
+/**
+ * Execute instructions until something stops execution.
+ * @return {!Object} Signal describing why execution stopped.
+ * @private
+ */
+LuaInterpreter.prototype.loop_ = function() {
+  var Op = LuaInterpreter.Op_;
+  var Table = LuaInterpreter.Table;
+  var PENDING = LuaInterpreter.PENDING_;
+  while (true) {
+    if (this.signal_) {
+      var signal = this.signal_;
+      this.signal_ = null;
+      return signal;
+    }
+    if (--this.budget_ < 0) {
+      this.budget_ = 0;
+      return {status: 'budget'};
+    }
+    if (++this.instructionsSinceYield > this.maxInstructionsWithoutYield) {
+      this.instructionsSinceYield = 0;
+      throw new LuaInterpreter.Error('Too long without yielding', 0);
+    }
+    var frame = this.frame_;
+    var ins = frame.code[frame.pc++];
+    var stack = frame.stack;
+    var a, b, value;
+    switch (ins.op) {
+      case Op.CONST:
+        stack.push(ins.a);
+        break;
+      case Op.NIL:
+        for (var x = 0; x < ins.a; x++) {
+          stack.push(undefined);
+        }
+        break;
+      case Op.LOCAL:
+        stack.push(frame.regs[ins.a]);
+        break;
+      case Op.SETLOCAL:
+        frame.regs[ins.a] = stack.pop();
+        break;
+      case Op.LOCALBOX:
+        stack.push(frame.regs[ins.a].v);
+        break;
+      case Op.SETLOCALBOX:
+        frame.regs[ins.a].v = stack.pop();
+        break;
+      case Op.NEWBOX:
+        frame.regs[ins.a] = {v: stack.pop()};
+        break;
+      case Op.UPVALUE:
+        stack.push(frame.closure.upvalues[ins.a].v);
+        break;
+      case Op.SETUPVALUE:
+        frame.closure.upvalues[ins.a].v = stack.pop();
+        break;
+      case Op.GLOBAL:
+        var env = frame.closure.env;
+        value = env.metatable ?
+            this.index_(env, ins.a, null, false) : env.get(ins.a);
+        if (value !== PENDING) {
+          stack.push(value);
+        }
+        break;
+      case Op.SETGLOBAL:
+        this.setIndex_(frame.closure.env, ins.a, stack.pop(), null, false);
+        break;
+      case Op.GETFIELD:
+        a = stack.pop();
+        value = a instanceof Table && !a.metatable ? a.get(ins.a) :
+            this.index_(a, ins.a, ins.info, false);
+        if (value !== PENDING) {
+          stack.push(value);
+        }
+        break;
+      case Op.GETTABLE:
+        b = stack.pop();
+        a = stack.pop();
+        value = a instanceof Table && !a.metatable ? a.get(b) :
+            this.index_(a, b, ins.info, false);
+        if (value !== PENDING) {
+          stack.push(value);
+        }
+        break;
+      case Op.SETTABLE:
+        value = stack.pop();
+        b = stack.pop();
+        a = stack.pop();
+        this.setIndex_(a, b, value, ins.info, false);
+        break;
+      case Op.SETTEMPS:
+        this.setIndex_(frame.regs[ins.a], frame.regs[ins.b], stack.pop(),
+                       ins.info, false);
+        break;
+      case Op.DUP:
+        stack.push(stack[stack.length - 1]);
+        break;
+      case Op.SWAP:
+        a = stack.pop();
+        b = stack.pop();
+        stack.push(a, b);
+        break;
+      case Op.POP:
+        stack.length -= ins.a;
+        break;
+      case Op.CALL:
+      case Op.TAILCALL:
+        var count = ins.b ? ins.a + frame.multi : ins.a;
+        var args = stack.splice(stack.length - count, count);
+        var fn = stack.pop();
+        if (ins.op == Op.TAILCALL && fn instanceof LuaInterpreter.Function &&
+            !frame.boundary) {
+          // Replace this frame, keeping how its results are wanted.
+          this.current_.frames.pop();
+          this.pushFrame_(fn, args, frame.nres, frame.protect, frame.post);
+        } else {
+          // Other calls are followed by an instruction returning the results.
+          this.callValue_(fn, args, ins.c, null, null, ins.info);
+        }
+        break;
+      case Op.RETURN:
+        var count = ins.b ? ins.a + frame.multi : ins.a;
+        this.return_(stack.splice(stack.length - count, count));
+        break;
+      case Op.VARARG:
+        var varargs = frame.varargs;
+        if (ins.a < 0) {
+          for (var x = 0; x < varargs.length; x++) {
+            stack.push(varargs[x]);
+          }
+          frame.multi = varargs.length;
+        } else {
+          for (var x = 0; x < ins.a; x++) {
+            stack.push(varargs[x]);
+          }
+        }
+        break;
+      case Op.CLOSURE:
+        var proto = ins.a;
+        var upvalues = proto.upvalueInfo.map(function(info) {
+          return 'slot' in info ? frame.regs[info.slot] :
+              frame.closure.upvalues[info.upvalue];
+        });
+        stack.push(new LuaInterpreter.Function(proto, upvalues,
+                                               frame.closure.env));
+        break;
+      case Op.JUMP:
+        frame.pc = ins.a;
+        break;
+      case Op.JUMPIF:
+        value = stack.pop();
+        if (value !== undefined && value !== false) {
+          frame.pc = ins.a;
+        }
+        break;
+      case Op.JUMPIFNOT:
+        value = stack.pop();
+        if (value === undefined || value === false) {
+          frame.pc = ins.a;
+        }
+        break;
+      case Op.AND:
+        value = stack[stack.length - 1];
+        if (value === undefined || value === false) {
+          frame.pc = ins.a;
+        } else {
+          stack.pop();
+        }
+        break;
+      case Op.OR:
+        value = stack[stack.length - 1];
+        if (value !== undefined && value !== false) {
+          frame.pc = ins.a;
+        } else {
+          stack.pop();
+        }
+        break;
+      case Op.ADD:
+      case Op.SUB:
+      case Op.MUL:
+      case Op.DIV:
+      case Op.MOD:
+      case Op.POW:
+        b = stack.pop();
+        a = stack.pop();
+        value = typeof a == 'number' && typeof b == 'number' ?
+            LuaInterpreter.arith_(ins.op, a, b) :
+            this.arithSlow_(ins.op, a, b, ins.info);
+        if (value !== PENDING) {
+          stack.push(value);
+        }
+        break;
+      case Op.UNM:
+        a = stack.pop();
+        value = typeof a == 'number' ? -a :
+            this.arithSlow_(ins.op, a, a, [ins.info[0], ins.info[0]]);
+        if (value !== PENDING) {
+          stack.push(value);
+        }
+        break;
+      case Op.CONCAT:
+        b = stack.pop();
+        a = stack.pop();
+        value = this.concat_(a, b, ins.info);
+        if (value !== PENDING) {
+          stack.push(value);
+        }
+        break;
+      case Op.EQ:
+      case Op.NE:
+        b = stack.pop();
+        a = stack.pop();
+        value = this.equals_(a, b, ins.op == Op.NE);
+        if (value !== PENDING) {
+          stack.push(value);
+        }
+        break;
+      case Op.LT:
+      case Op.LE:
+        b = stack.pop();
+        a = stack.pop();
+        value = this.compare_(ins.op, a, b);
+        if (value !== PENDING) {
+          stack.push(value);
+        }
+        break;
+      case Op.GT:
+      case Op.GE:
+        // a > b is b < a.
+        b = stack.pop();
+        a = stack.pop();
+        value = this.compare_(ins.op == Op.GT ? Op.LT : Op.LE, b, a);
+        if (value !== PENDING) {
+          stack.push(value);
+        }
+        break;
+      case Op.NOT:
+        value = stack.pop();
+        stack.push(value === undefined || value === false);
+        break;
+      case Op.LEN:
+        a = stack.pop();
+        if (typeof a == 'string') {
+          stack.push(a.length);
+        } else if (a instanceof Table) {
+          stack.push(a.length());
+        } else {
+          var handler = this.getMetamethod(a, '__len');
+          if (handler === undefined) {
+            this.typeError_('get length of', a, ins.info[0]);
+          }
+          this.callValue_(handler, [a], 1, null, null, null);
+        }
+        break;
+      case Op.NEWTABLE:
+        stack.push(new Table());
+        break;
+      case Op.TABLESET:
+        value = stack.pop();
+        b = stack.pop();
+        LuaInterpreter.checkKey_(b);
+        stack[stack.length - 1].set(b, value);
+        break;
+      case Op.TABLEAPPEND:
+        value = stack.pop();
+        stack[stack.length - 1].set(ins.a, value);
+        break;
+      case Op.TABLEMULTI:
+        var values = stack.splice(stack.length - frame.multi, frame.multi);
+        var table = stack[stack.length - 1];
+        for (var x = 0; x < values.length; x++) {
+          table.set(ins.a + x, values[x]);
+        }
+        break;
+      case Op.FORPREP:
+        var step = LuaInterpreter.toNumber(stack.pop());
+        var limit = LuaInterpreter.toNumber(stack.pop());
+        var start = LuaInterpreter.toNumber(stack.pop());
+        if (start === undefined) {
+          throw new LuaInterpreter.Error(
+              '\'for\' initial value must be a number');
+        }
+        if (limit === undefined) {
+          throw new LuaInterpreter.Error('\'for\' limit must be a number');
+        }
+        if (step === undefined) {
+          throw new LuaInterpreter.Error('\'for\' step must be a number');
+        }
+        frame.regs[ins.a] = start;
+        frame.regs[ins.a + 1] = limit;
+        frame.regs[ins.a + 2] = step;
+        if (step > 0 ? !(start <= limit) : !(start >= limit)) {
+          frame.pc = ins.b;
+        }
+        break;
+      case Op.FORLOOP:
+        var regs = frame.regs;
+        var step = regs[ins.a + 2];
+        var i = regs[ins.a] += step;
+        if (step > 0 ? i <= regs[ins.a + 1] : i >= regs[ins.a + 1]) {
+          frame.pc = ins.b;
+        }
+        break;
+      case Op.TFORLOOP:
+        value = stack[stack.length - ins.b];
+        if (value === undefined) {
+          stack.length -= ins.b;
+          frame.pc = ins.c;
+        } else {
+          frame.regs[ins.a + 2] = value;
+        }
+        break;
+      default:
+        throw Error('Unknown instruction ' + ins.op);
+    }
+  }
+};
@@ -0,0 +1,1449 @@
+/**
+ * Blockly Apps: Lua Standard Library
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The parts of Lua 5.1's standard library that ComputerCraft
+ * provides: the basic functions and the coroutine, string, table and math
+ * libraries.  Error messages follow those of the reference implementation,
+ * so that programs that inspect them behave the same.
+ */
+'use strict';
+
+/**
+ * Create the global variables of the standard library.
+ * @private
+ */
+LuaInterpreter.prototype.openLibraries_ = function() {
+  var globals = this.globals;
+  var define = function(table, functions) {
+    for (var name in functions) {
+      functions[name].luaName = name;
+      table.set(name, functions[name]);
+    }
+  };
+  define(globals, LuaInterpreter.BASE_LIBRARY_);
+  globals.set('_G', globals);
+  globals.set('_VERSION', 'Lua 5.1');
+  var libraries = {
+    coroutine: LuaInterpreter.COROUTINE_LIBRARY_,
+    string: LuaInterpreter.STRING_LIBRARY_,
+    table: LuaInterpreter.TABLE_LIBRARY_,
+    math: LuaInterpreter.MATH_LIBRARY_
+  };
+  for (var name in libraries) {
+    var table = new LuaInterpreter.Table();
+    define(table, libraries[name]);
+    globals.set(name, table);
+  }
+  var math = globals.get('math');
+  math.set('pi', Math.PI);
+  math.set('huge', Infinity);
+  math.set('mod', math.get('fmod'));
+  this.stringMetatable.set('__index', globals.get('string'));
+  this.randomSeed(Math.floor(Math.random() * 0x7FFFFFFF));
+  // Calls functions such as coroutine.wrap's from LuaInterpreter.call.
+  this.trampoline_ = this.load('local f = ...\nreturn f(select(2, ...))',
+                               'trampoline');
+};
+
+/**
+ * Seed the generator behind math.random, for repeatable runs.
+ * @param {number} seed Any number.
+ */
+LuaInterpreter.prototype.randomSeed = function(seed) {
+  this.randomState_ = (Math.floor(seed) ^ 0x5DEECE66) >>> 0;
+};
+
+/**
+ * Get a random number between 0 (inclusive) and 1 (exclusive).
+ * @return {number} The number.
+ */
+LuaInterpreter.prototype.random = function() {
+  // Mulberry32.
+  var t = this.randomState_ = (this.randomState_ + 0x6D2B79F5) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Name a chunk of source code as luaO_chunkid does.
+ * @param {string} name The name given to loadstring, or the source itself.
+ * @return {string} Name for error messages.
+ * @private
+ */
+LuaInterpreter.chunkId_ = function(name) {
+  if (name.charAt(0) == '=' || name.charAt(0) == '@') {
+    return name.substring(1);
+  }
+  var line = name.split(/[\r\n]/)[0];
+  var max = 45;
+  if (line.length > max || line != name) {
+    line = line.substring(0, max) + '...';
+  }
+  return '[string "' + line + '"]';
+};
+
+/**
+ * Call a value on behalf of pcall or xpcall.
+ * @private
+ */
+LuaInterpreter.prototype.protectedCall_ = function(fn, args, nres, handler) {
+  try {
+    this.callValue_(fn, args, nres, handler, null, null);
+  } catch (e) {
+    if (!(e instanceof LuaInterpreter.Error)) {
+      throw e;
+    }
+    if (e.level == 1 && typeof e.value == 'string') {
+      e.value = this.where(1) + e.value;
+    }
+    var value = e.value;
+    if (handler != 'pcall') {
+      value = this.call(handler, [value])[0];
+    }
+    this.deliver_([false, value], nres, null, null);
+  }
+};
+
+/**
+ * Iterator returned by ipairs.
+ * @private
+ */
+LuaInterpreter.ipairsIterator_ = function(args) {
+  var i = args[1] + 1;
+  var value = args[0].get(i);
+  return value === undefined ? [undefined] : [i, value];
+};
+LuaInterpreter.ipairsIterator_.luaName = 'ipairs_iterator';
+
+/**
+ * Compile a chunk for loadstring or load.
+ * @return {!Array} The function, or nil and the error message.
+ * @private
+ */
+LuaInterpreter.loadSource_ = function(vm, source, name) {
+  try {
+    return [vm.load(LuaParser.fromBytes(source),
+                     LuaInterpreter.chunkId_(name))];
+  } catch (e) {
+    if (e instanceof LuaInterpreter.Error) {
+      return [undefined, e.value];
+    }
+    throw e;
+  }
+};
+
+/**
+ * Get the function passed to getfenv or setfenv, or the one at the level of
+ * the call stack passed instead.
+ * @return {*} The function, or null for level 0.
+ * @private
+ */
+LuaInterpreter.functionAt_ = function(args, vm, name) {
+  var fn = args[0];
+  if (fn instanceof LuaInterpreter.Function || typeof fn == 'function') {
+    return fn;
+  }
+  var level = LuaInterpreter.checkInteger(args, 0, name, 1);
+  if (level < 0) {
+    LuaInterpreter.argError(1, name, 'level must be non-negative');
+  }
+  if (level == 0) {
+    return null;
+  }
+  var frames = vm.current_.frames;
+  var frame = frames[frames.length - level];
+  if (!frame) {
+    LuaInterpreter.argError(1, name, 'invalid level');
+  }
+  return frame.closure;
+};
+
+/**
+ * Basic functions.
+ * @private
+ */
+LuaInterpreter.BASE_LIBRARY_ = {
+  assert: function(args) {
+    if (!LuaInterpreter.truthy(args[0])) {
+      throw new LuaInterpreter.Error(args.length > 1 ?
+          LuaInterpreter.checkString(args, 1, 'assert') :
+          'assertion failed!');
+    }
+    return args;
+  },
+  collectgarbage: function(args) {
+    return [0];
+  },
+  error: function(args, vm) {
+    var value = args[0];
+    var level = LuaInterpreter.checkInteger(args, 1, 'error', 1);
+    if (typeof value == 'string' && level > 0) {
+      value = vm.where(level) + value;
+    }
+    throw new LuaInterpreter.Error(value, 0);
+  },
+  getfenv: function(args, vm) {
+    var fn = LuaInterpreter.functionAt_(args, vm, 'getfenv');
+    return [fn instanceof LuaInterpreter.Function ? fn.env : vm.globals];
+  },
+  getmetatable: function(args, vm) {
+    if (!args.length) {
+      LuaInterpreter.argError(1, 'getmetatable', 'value expected');
+    }
+    var metatable = vm.getMetatable(args[0]);
+    if (!metatable) {
+      return [undefined];
+    }
+    var protectedValue = metatable.get('__metatable');
+    return [protectedValue !== undefined ? protectedValue : metatable];
+  },
+  ipairs: function(args) {
+    LuaInterpreter.checkType(args, 0, 'table', 'ipairs');
+    return [LuaInterpreter.ipairsIterator_, args[0], 0];
+  },
+  load: function(args, vm) {
+    var reader = args[0];
+    var source = '';
+    while (true) {
+      var piece = vm.call(reader, [])[0];
+      if (piece === undefined || piece === '') {
+        break;
+      }
+      if (typeof piece != 'string') {
+        return [undefined, 'reader function must return a string'];
+      }
+      source += piece;
+    }
+    var name = LuaInterpreter.checkString(args, 1, 'load', '=(load)');
+    return LuaInterpreter.loadSource_(vm, source, name);
+  },
+  loadstring: function(args, vm) {
+    var source = LuaInterpreter.checkString(args, 0, 'loadstring');
+    var name = LuaInterpreter.checkString(args, 1, 'loadstring', source);
+    return LuaInterpreter.loadSource_(vm, source, name);
+  },
+  next: function(args) {
+    LuaInterpreter.checkType(args, 0, 'table', 'next');
+    return args[0].next(args[1]) || [undefined];
+  },
+  pairs: function(args, vm) {
+    LuaInterpreter.checkType(args, 0, 'table', 'pairs');
+    return [vm.globals.get('next') || LuaInterpreter.BASE_LIBRARY_.next,
+            args[0], undefined];
+  },
+  pcall: function() {
+    throw new LuaInterpreter.Error(
+        'attempt to yield across metamethod/C-call boundary');
+  },
+  rawequal: function(args) {
+    return [args[0] === args[1]];
+  },
+  rawget: function(args) {
+    LuaInterpreter.checkType(args, 0, 'table', 'rawget');
+    return [args[0].get(args[1])];
+  },
+  rawset: function(args) {
+    LuaInterpreter.checkType(args, 0, 'table', 'rawset');
+    LuaInterpreter.checkKey_(args[1]);
+    args[0].set(args[1], args[2]);
+    return [args[0]];
+  },
+  select: function(args) {
+    var count = args.length - 1;
+    if (args[0] === '#') {
+      return [count];
+    }
+    var n = LuaInterpreter.checkInteger(args, 0, 'select');
+    if (n < 0) {
+      n = count + n + 1;
+      if (n < 1) {
+        LuaInterpreter.argError(1, 'select', 'index out of range');
+      }
+    } else if (n == 0) {
+      LuaInterpreter.argError(1, 'select', 'index out of range');
+    }
+    return args.slice(n);
+  },
+  setfenv: function(args, vm) {
+    var fn = LuaInterpreter.functionAt_(args, vm, 'setfenv');
+    LuaInterpreter.checkType(args, 1, 'table', 'setfenv');
+    if (!(fn instanceof LuaInterpreter.Function)) {
+      throw new LuaInterpreter.Error(
+          '\'setfenv\' cannot change environment of given object');
+    }
+    fn.env = args[1];
+    return [fn];
+  },
+  setmetatable: function(args) {
+    LuaInterpreter.checkType(args, 0, 'table', 'setmetatable');
+    var metatable = args[1];
+    if (metatable !== undefined &&
+        !(metatable instanceof LuaInterpreter.Table)) {
+      LuaInterpreter.argError(2, 'setmetatable', 'nil or table expected');
+    }
+    var table = args[0];
+    if (table.metatable && table.metatable.get('__metatable') !== undefined) {
+      throw new LuaInterpreter.Error('cannot change a protected metatable');
+    }
+    table.metatable = metatable || null;
+    return [table];
+  },
+  tonumber: function(args) {
+    var value = args[0];
+    var base = LuaInterpreter.checkInteger(args, 1, 'tonumber', 10);
+    if (base == 10) {
+      if (!args.length) {
+        LuaInterpreter.argError(1, 'tonumber', 'value expected');
+      }
+      return [LuaInterpreter.toNumber(value)];
+    }
+    if (base < 2 || base > 36) {
+      LuaInterpreter.argError(2, 'tonumber', 'base out of range');
+    }
+    var text = LuaInterpreter.checkString(args, 0, 'tonumber').replace(
+        /^[ \t\n\v\f\r]+|[ \t\n\v\f\r]+$/g, '').toLowerCase();
+    var negative = text.charAt(0) == '-';
+    if (negative) {
+      text = text.substring(1);
+    }
+    if (!text) {
+      return [undefined];
+    }
+    var n = 0;
+    for (var x = 0; x < text.length; x++) {
+      var digit = parseInt(text.charAt(x), 36);
+      if (isNaN(digit) || digit >= base) {
+        return [undefined];
+      }
+      n = n * base + digit;
+    }
+    return [negative ? -n : n];
+  },
+  tostring: function(args, vm) {
+    if (!args.length) {
+      LuaInterpreter.argError(1, 'tostring', 'value expected');
+    }
+    return [vm.tostring(args[0])];
+  },
+  type: function(args) {
+    if (!args.length) {
+      LuaInterpreter.argError(1, 'type', 'value expected');
+    }
+    return [LuaInterpreter.type(args[0])];
+  },
+  unpack: function(args) {
+    LuaInterpreter.checkType(args, 0, 'table', 'unpack');
+    var table = args[0];
+    var i = LuaInterpreter.checkInteger(args, 1, 'unpack', 1);
+    var j = args[2] === undefined ? table.length() :
+        LuaInterpreter.checkInteger(args, 2, 'unpack');
+    if (j - i >= 1e6) {
+      throw new LuaInterpreter.Error('too many results to unpack');
+    }
+    var results = [];
+    for (; i <= j; i++) {
+      results.push(table.get(i));
+    }
+    return results;
+  },
+  xpcall: function() {
+    throw new LuaInterpreter.Error(
+        'attempt to yield across metamethod/C-call boundary');
+  }
+};
+
+// pcall and xpcall run the function as part of the program, so that it can
+// yield.
+LuaInterpreter.BASE_LIBRARY_.pcall.luaCall_ = function(vm, args, nres) {
+  if (!args.length) {
+    LuaInterpreter.argError(1, 'pcall', 'value expected');
+  }
+  vm.protectedCall_(args[0], args.slice(1), nres, 'pcall');
+};
+
+LuaInterpreter.BASE_LIBRARY_.xpcall.luaCall_ = function(vm, args, nres) {
+  if (args.length < 2) {
+    LuaInterpreter.argError(2, 'xpcall', 'value expected');
+  }
+  vm.protectedCall_(args[0], [], nres, args[1]);
+};
+
+/**
+ * Coroutine library.
+ * @private
+ */
+LuaInterpreter.COROUTINE_LIBRARY_ = {
+  create: function(args) {
+    if (!(args[0] instanceof LuaInterpreter.Function)) {
+      LuaInterpreter.argError(1, 'create', 'Lua function expected');
+    }
+    return [new LuaInterpreter.Coroutine(args[0])];
+  },
+  resume: function() {
+    throw new LuaInterpreter.Error(
+        'attempt to yield across metamethod/C-call boundary');
+  },
+  running: function(args, vm) {
+    return [vm.current_];
+  },
+  status: function(args) {
+    if (!(args[0] instanceof LuaInterpreter.Coroutine)) {
+      LuaInterpreter.argError(1, 'status', 'coroutine expected');
+    }
+    return [args[0].status];
+  },
+  wrap: function(args) {
+    if (!(args[0] instanceof LuaInterpreter.Function)) {
+      LuaInterpreter.argError(1, 'wrap', 'Lua function expected');
+    }
+    var co = new LuaInterpreter.Coroutine(args[0]);
+    var wrapper = function() {
+      throw new LuaInterpreter.Error(
+          'attempt to yield across metamethod/C-call boundary');
+    };
+    wrapper.luaCall_ = function(vm, args, nres) {
+      vm.resumeCoroutine_(co, args, nres, true);
+    };
+    return [wrapper];
+  },
+  yield: function() {
+    throw new LuaInterpreter.Error(
+        'attempt to yield across metamethod/C-call boundary');
+  }
+};
+
+LuaInterpreter.COROUTINE_LIBRARY_.resume.luaCall_ = function(vm, args, nres) {
+  if (!(args[0] instanceof LuaInterpreter.Coroutine)) {
+    LuaInterpreter.argError(1, 'resume', 'coroutine expected');
+  }
+  vm.resumeCoroutine_(args[0], args.slice(1), nres, false);
+};
+
+LuaInterpreter.COROUTINE_LIBRARY_.yield.luaCall_ = function(vm, args, nres,
+                                                            protect) {
+  vm.yield_(args, nres, protect);
+};
+
+// String library.
+
+/**
+ * Convert a relative string position to an absolute one, as posrelat does.
+ * @private
+ */
+LuaInterpreter.stringPosition_ = function(position, length) {
+  return position < 0 ? length + position + 1 : position;
+};
+
+/**
+ * Lua pattern matcher, after lstrlib.c.
+ * @param {string} source String being searched.
+ * @param {string} pattern The pattern.
+ * @param {string} name Name of the function, for errors.
+ * @constructor
+ * @private
+ */
+LuaInterpreter.Matcher_ = function(source, pattern, name) {
+  this.source = source;
+  this.pattern = pattern;
+  this.name = name;
+  this.level = 0;
+  this.captures = [];
+};
+
+LuaInterpreter.Matcher_.CAP_UNFINISHED = -1;
+LuaInterpreter.Matcher_.CAP_POSITION = -2;
+
+/**
+ * Characters that make a pattern more than plain text.
+ */
+LuaInterpreter.Matcher_.SPECIALS = /[\^$*+?.()[\]%-]/;
+
+LuaInterpreter.Matcher_.prototype.error = function(message) {
+  throw new LuaInterpreter.Error(message);
+};
+
+/**
+ * Find the end of the character class starting at p.
+ */
+LuaInterpreter.Matcher_.prototype.classEnd = function(p) {
+  var pattern = this.pattern;
+  var c = pattern.charAt(p++);
+  if (c == '%') {
+    if (p >= pattern.length) {
+      this.error('malformed pattern (ends with \'%\')');
+    }
+    return p + 1;
+  }
+  if (c == '[') {
+    if (pattern.charAt(p) == '^') {
+      p++;
+    }
+    // Look for a ']', which may be the first character of the set.
+    do {
+      if (p >= pattern.length) {
+        this.error('malformed pattern (missing \']\')');
+      }
+      c = pattern.charAt(p++);
+      if (c == '%' && p < pattern.length) {
+        p++;
+      }
+    } while (pattern.charAt(p) != ']');
+    return p + 1;
+  }
+  return p;
+};
+
+/**
+ * Does a character belong to a class such as 'a' or 'D'?
+ */
+LuaInterpreter.Matcher_.matchClass = function(c, cl) {
+  var code = c.charCodeAt(0);
+  var result;
+  switch (cl.toLowerCase()) {
+    case 'a':
+      result = /[A-Za-z]/.test(c);
+      break;
+    case 'c':
+      result = code < 32 || code == 127;
+      break;
+    case 'd':
+      result = code >= 48 && code <= 57;
+      break;
+    case 'l':
+      result = code >= 97 && code <= 122;
+      break;
+    case 'p':
+      result = code > 32 && code < 127 && !/[A-Za-z0-9]/.test(c);
+      break;
+    case 's':
+      result = code == 32 || (code >= 9 && code <= 13);
+      break;
+    case 'u':
+      result = code >= 65 && code <= 90;
+      break;
+    case 'w':
+      result = /[A-Za-z0-9]/.test(c);
+      break;
+    case 'x':
+      result = /[0-9A-Fa-f]/.test(c);
+      break;
+    case 'z':
+      result = code == 0;
+      break;
+    default:
+      return cl == c;
+  }
+  return cl.toLowerCase() == cl ? result : !result;
+};
+
+/**
+ * Does a character belong to the set from '[' at p to ']' at end?
+ */
+LuaInterpreter.Matcher_.prototype.matchBracketClass = function(c, p, end) {
+  var pattern = this.pattern;
+  var sign = true;
+  if (pattern.charAt(p + 1) == '^') {
+    sign = false;
+    p++;
+  }
+  while (++p < end) {
+    var pc = pattern.charAt(p);
+    if (pc == '%') {
+      p++;
+      if (LuaInterpreter.Matcher_.matchClass(c, pattern.charAt(p))) {
+        return sign;
+      }
+    } else if (pattern.charAt(p + 1) == '-' && p + 2 < end) {
+      p += 2;
+      if (pc <= c && c <= pattern.charAt(p)) {
+        return sign;
+      }
+    } else if (pc == c) {
+      return sign;
+    }
+  }
+  return !sign;
+};
+
+/**
+ * Does the character at s match the class from p to ep?
+ */
+LuaInterpreter.Matcher_.prototype.singleMatch = function(s, p, ep) {
+  if (s >= this.source.length) {
+    return false;
+  }
+  var c = this.source.charAt(s);
+  switch (this.pattern.charAt(p)) {
+    case '.':
+      return true;
+    case '%':
+      return LuaInterpreter.Matcher_.matchClass(c,
+                                                this.pattern.charAt(p + 1));
+    case '[':
+      return this.matchBracketClass(c, p, ep - 1);
+  }
+  return this.pattern.charAt(p) == c;
+};
+
+/**
+ * Match the pattern from p against the source from s.
+ * @return {number} End of the match, or -1.
+ */
+LuaInterpreter.Matcher_.prototype.match = function(s, p) {
+  var source = this.source;
+  var pattern = this.pattern;
+  while (true) {
+    if (p >= pattern.length) {
+      return s;
+    }
+    var c = pattern.charAt(p);
+    if (c == '(') {
+      if (pattern.charAt(p + 1) == ')') {
+        return this.startCapture(s, p + 2,
+                                 LuaInterpreter.Matcher_.CAP_POSITION);
+      }
+      return this.startCapture(s, p + 1,
+                               LuaInterpreter.Matcher_.CAP_UNFINISHED);
+    }
+    if (c == ')') {
+      return this.endCapture(s, p + 1);
+    }
+    if (c == '$' && p + 1 == pattern.length) {
+      return s == source.length ? s : -1;
+    }
+    if (c == '%') {
+      var next = pattern.charAt(p + 1);
+      if (next == 'b') {
+        s = this.matchBalance(s, p + 2);
+        if (s == -1) {
+          return -1;
+        }
+        p += 4;
+        continue;
+      }
+      if (next == 'f') {
+        p += 2;
+        if (pattern.charAt(p) != '[') {
+          this.error('missing \'[\' after \'%f\' in pattern');
+        }
+        var ep = this.classEnd(p);
+        var previous = s == 0 ? '\0' : source.charAt(s - 1);
+        var current = s < source.length ? source.charAt(s) : '\0';
+        if (!this.matchBracketClass(previous, p, ep - 1) &&
+            this.matchBracketClass(current, p, ep - 1)) {
+          p = ep;
+          continue;
+        }
+        return -1;
+      }
+      if (/[0-9]/.test(next)) {
+        s = this.matchCapture(s, next);
+        if (s == -1) {
+          return -1;
+        }
+        p += 2;
+        continue;
+      }
+    }
+    var ep = this.classEnd(p);
+    var matched = this.singleMatch(s, p, ep);
+    switch (pattern.charAt(ep)) {
+      case '?':
+        if (matched) {
+          var result = this.match(s + 1, ep + 1);
+          if (result != -1) {
+            return result;
+          }
+        }
+        p = ep + 1;
+        continue;
+      case '*':
+        return this.maxExpand(s, p, ep);
+      case '+':
+        return matched ? this.maxExpand(s + 1, p, ep) : -1;
+      case '-':
+        return this.minExpand(s, p, ep);
+    }
+    if (!matched) {
+      return -1;
+    }
+    s++;
+    p = ep;
+  }
+};
+
+LuaInterpreter.Matcher_.prototype.maxExpand = function(s, p, ep) {
+  var i = 0;
+  while (this.singleMatch(s + i, p, ep)) {
+    i++;
+  }
+  // Try with the most repetitions, then fewer.
+  for (; i >= 0; i--) {
+    var result = this.match(s + i, ep + 1);
+    if (result != -1) {
+      return result;
+    }
+  }
+  return -1;
+};
+
+LuaInterpreter.Matcher_.prototype.minExpand = function(s, p, ep) {
+  while (true) {
+    var result = this.match(s, ep + 1);
+    if (result != -1) {
+      return result;
+    }
+    if (!this.singleMatch(s, p, ep)) {
+      return -1;
+    }
+    s++;
+  }
+};
+
+LuaInterpreter.Matcher_.prototype.matchBalance = function(s, p) {
+  if (p + 1 >= this.pattern.length) {
+    this.error('unbalanced pattern');
+  }
+  var source = this.source;
+  var open = this.pattern.charAt(p);
+  var close = this.pattern.charAt(p + 1);
+  if (source.charAt(s) != open || s >= source.length) {
+    return -1;
+  }
+  var depth = 1;
+  while (++s < source.length) {
+    var c = source.charAt(s);
+    if (c == close) {
+      if (--depth == 0) {
+        return s + 1;
+      }
+    } else if (c == open) {
+      depth++;
+    }
+  }
+  return -1;
+};
+
+LuaInterpreter.Matcher_.prototype.startCapture = function(s, p, what) {
+  this.captures[this.level] = {start: s, length: what};
+  this.level++;
+  var result = this.match(s, p);
+  if (result == -1) {
+    this.level--;
+  }
+  return result;
+};
+
+LuaInterpreter.Matcher_.prototype.endCapture = function(s, p) {
+  var l = -1;
+  for (var x = this.level - 1; x >= 0; x--) {
+    if (this.captures[x].length == LuaInterpreter.Matcher_.CAP_UNFINISHED) {
+      l = x;
+      break;
+    }
+  }
+  if (l == -1) {
+    this.error('invalid pattern capture');
+  }
+  this.captures[l].length = s - this.captures[l].start;
+  var result = this.match(s, p);
+  if (result == -1) {
+    this.captures[l].length = LuaInterpreter.Matcher_.CAP_UNFINISHED;
+  }
+  return result;
+};
+
+LuaInterpreter.Matcher_.prototype.matchCapture = function(s, digit) {
+  var l = parseInt(digit, 10) - 1;
+  if (l < 0 || l >= this.level ||
+      this.captures[l].length == LuaInterpreter.Matcher_.CAP_UNFINISHED) {
+    this.error('invalid capture index');
+  }
+  var capture = this.captures[l];
+  var text = this.source.substr(capture.start, capture.length);
+  if (this.source.length - s >= capture.length &&
+      this.source.substr(s, capture.length) == text) {
+    return s + capture.length;
+  }
+  return -1;
+};
+
+/**
+ * Get the value of a capture, or the whole match from s to e.
+ */
+LuaInterpreter.Matcher_.prototype.getCapture = function(i, s, e) {
+  if (i >= this.level) {
+    if (i == 0) {
+      return this.source.substring(s, e);
+    }
+    this.error('invalid capture index');
+  }
+  var capture = this.captures[i];
+  if (capture.length == LuaInterpreter.Matcher_.CAP_UNFINISHED) {
+    this.error('unfinished capture');
+  }
+  if (capture.length == LuaInterpreter.Matcher_.CAP_POSITION) {
+    return capture.start + 1;
+  }
+  return this.source.substr(capture.start, capture.length);
+};
+
+/**
+ * Get the values of all captures, or the whole match if there are none
+ * and wholeIfNone is true.
+ */
+LuaInterpreter.Matcher_.prototype.getCaptures = function(s, e, wholeIfNone) {
+  var count = this.level == 0 && wholeIfNone ? 1 : this.level;
+  var values = [];
+  for (var i = 0; i < count; i++) {
+    values.push(this.getCapture(i, s, e));
+  }
+  return values;
+};
+
+/**
+ * Implementation of string.find and string.match.
+ * @private
+ */
+LuaInterpreter.findAux_ = function(args, find) {
+  var name = find ? 'find' : 'match';
+  var source = LuaInterpreter.checkString(args, 0, name);
+  var pattern = LuaInterpreter.checkString(args, 1, name);
+  var init = LuaInterpreter.stringPosition_(
+      LuaInterpreter.checkInteger(args, 2, name, 1), source.length) - 1;
+  if (init < 0) {
+    init = 0;
+  } else if (init > source.length) {
+    return [undefined];
+  }
+  if (find && (LuaInterpreter.truthy(args[3]) ||
+               !LuaInterpreter.Matcher_.SPECIALS.test(pattern))) {
+    var index = source.indexOf(pattern, init);
+    return index == -1 ? [undefined] : [index + 1, index + pattern.length];
+  }
+  var matcher = new LuaInterpreter.Matcher_(source, pattern, name);
+  var anchor = pattern.charAt(0) == '^';
+  var p = anchor ? 1 : 0;
+  var s = init;
+  do {
+    matcher.level = 0;
+    var e = matcher.match(s, p);
+    if (e != -1) {
+      if (find) {
+        return [s + 1, e].concat(matcher.getCaptures(s, e, false));
+      }
+      return matcher.getCaptures(s, e, true);
+    }
+  } while (s++ < source.length && !anchor);
+  return [undefined];
+};
+
+/**
+ * Format an integer for string.format.
+ * @private
+ */
+LuaInterpreter.formatInteger_ = function(n, radix, flags, precision) {
+  var text = Math.abs(n).toString(radix);
+  if (precision !== null) {
+    while (text.length < precision) {
+      text = '0' + text;
+    }
+    if (precision == 0 && n == 0) {
+      text = '';
+    }
+  }
+  if (flags.indexOf('#') != -1 && n != 0) {
+    text = (radix == 16 ? '0x' : radix == 8 ? '0' : '') + text;
+  }
+  return text;
+};
+
+/**
+ * Pad a formatted value to a width.
+ * @private
+ */
+LuaInterpreter.pad_ = function(text, sign, width, flags, numeric) {
+  var length = text.length + sign.length;
+  if (length >= width) {
+    return sign + text;
+  }
+  var padding = new Array(width - length + 1).join(
+      numeric && flags.indexOf('0') != -1 && flags.indexOf('-') == -1 ?
+      '0' : ' ');
+  if (flags.indexOf('-') != -1) {
+    return sign + text + padding;
+  }
+  return padding.charAt(0) == '0' ? sign + padding + text :
+      padding + sign + text;
+};
+
+/**
+ * Implementation of string.format.
+ * @private
+ */
+LuaInterpreter.format_ = function(args) {
+  var format = LuaInterpreter.checkString(args, 0, 'format');
+  var argIndex = 0;
+  var output = '';
+  var spec = /%([-+ #0]*)(\d*)(?:\.(\d*))?(.?)/g;
+  var last = 0;
+  var match;
+  while ((match = spec.exec(format))) {
+    output += format.substring(last, match.index);
+    last = spec.lastIndex;
+    var flags = match[1];
+    var width = match[2] ? parseInt(match[2], 10) : 0;
+    var precision = match[3] !== undefined ?
+        parseInt(match[3] || '0', 10) : null;
+    var conversion = match[4];
+    if (conversion == '%' && !flags && !match[2] && precision === null) {
+      output += '%';
+      continue;
+    }
+    if (flags.length > 5 || match[2].length > 2 ||
+        (match[3] && match[3].length > 2)) {
+      throw new LuaInterpreter.Error('invalid format (repeated flags)');
+    }
+    argIndex++;
+    var sign = '';
+    var text;
+    switch (conversion) {
+      case 'd':
+      case 'i':
+      case 'u':
+      case 'o':
+      case 'x':
+      case 'X':
+        var n = LuaInterpreter.checkInteger(args, argIndex, 'format');
+        var radix = {'o': 8, 'x': 16, 'X': 16}[conversion] || 10;
+        if (radix != 10 && n < 0) {
+          n += 4294967296;
+        }
+        text = LuaInterpreter.formatInteger_(n, radix, flags, precision);
+        if (conversion == 'X') {
+          text = text.toUpperCase();
+        }
+        sign = n < 0 ? '-' : flags.indexOf('+') != -1 ? '+' :
+            flags.indexOf(' ') != -1 ? ' ' : '';
+        output += LuaInterpreter.pad_(text, sign, width, flags,
+                                      precision === null);
+        break;
+      case 'c':
+        output += LuaInterpreter.pad_(String.fromCharCode(
+            LuaInterpreter.checkInteger(args, argIndex, 'format') & 0xFF),
+            '', width, flags, false);
+        break;
+      case 'e':
+      case 'E':
+      case 'f':
+      case 'g':
+      case 'G':
+        var n = LuaInterpreter.checkNumber(args, argIndex, 'format');
+        var digits = precision === null ? 6 : precision;
+        var magnitude = Math.abs(n);
+        if (magnitude == Infinity || n !== n) {
+          text = n !== n ? 'nan' : 'inf';
+        } else if (conversion == 'f') {
+          text = magnitude.toFixed(Math.min(digits, 100));
+        } else if (conversion == 'e' || conversion == 'E') {
+          text = magnitude.toExponential(Math.min(digits, 100)).replace(
+              /e([-+])(\d)$/, 'e$10$2');
+        } else {
+          text = LuaInterpreter.formatG(magnitude, digits || 1,
+                                        flags.indexOf('#') != -1);
+        }
+        if (conversion == 'E' || conversion == 'G') {
+          text = text.toUpperCase();
+        }
+        sign = n < 0 || (n === 0 && 1 / n < 0) ? '-' :
+            flags.indexOf('+') != -1 ? '+' :
+            flags.indexOf(' ') != -1 ? ' ' : '';
+        output += LuaInterpreter.pad_(text, sign, width, flags,
+                                      isFinite(n));
+        break;
+      case 'q':
+        var value = LuaInterpreter.checkString(args, argIndex, 'format');
+        output += '"' + value.replace(/[\\"\n\r\0]/g, function(c) {
+          return c == '\r' ? '\\r' : c == '\0' ? '\\000' : '\\' + c;
+        }) + '"';
+        break;
+      case 's':
+        text = LuaInterpreter.checkString(args, argIndex, 'format');
+        if (precision !== null) {
+          text = text.substring(0, precision);
+        }
+        output += LuaInterpreter.pad_(text, '', width, flags, false);
+        break;
+      default:
+        throw new LuaInterpreter.Error('invalid option \'%' + conversion +
+                                       '\' to \'format\'');
+    }
+  }
+  return [output + format.substring(last)];
+};
+
+/**
+ * String library.
+ * @private
+ */
+LuaInterpreter.STRING_LIBRARY_ = {
+  byte: function(args) {
+    var text = LuaInterpreter.checkString(args, 0, 'byte');
+    var i = LuaInterpreter.stringPosition_(
+        LuaInterpreter.checkInteger(args, 1, 'byte', 1), text.length);
+    var j = LuaInterpreter.stringPosition_(
+        LuaInterpreter.checkInteger(args, 2, 'byte', i), text.length);
+    var codes = [];
+    for (i = Math.max(i, 1); i <= Math.min(j, text.length); i++) {
+      codes.push(text.charCodeAt(i - 1));
+    }
+    return codes;
+  },
+  char: function(args) {
+    var text = '';
+    for (var x = 0; x < args.length; x++) {
+      var code = LuaInterpreter.checkInteger(args, x, 'char');
+      if (code < 0 || code > 255) {
+        LuaInterpreter.argError(x + 1, 'char', 'invalid value');
+      }
+      text += String.fromCharCode(code);
+    }
+    return [text];
+  },
+  dump: function() {
+    throw new LuaInterpreter.Error('unable to dump given function');
+  },
+  find: function(args) {
+    return LuaInterpreter.findAux_(args, true);
+  },
+  format: function(args) {
+    return LuaInterpreter.format_(args);
+  },
+  gmatch: function(args) {
+    var source = LuaInterpreter.checkString(args, 0, 'gmatch');
+    var pattern = LuaInterpreter.checkString(args, 1, 'gmatch');
+    var matcher = new LuaInterpreter.Matcher_(source, pattern, 'gmatch');
+    var position = 0;
+    var iterator = function() {
+      for (; position <= source.length; position++) {
+        matcher.level = 0;
+        var e = matcher.match(position, 0);
+        if (e != -1) {
+          var start = position;
+          position = e == position ? e + 1 : e;
+          return matcher.getCaptures(start, e, true);
+        }
+      }
+      return [undefined];
+    };
+    return [iterator];
+  },
+  gsub: function(args, vm) {
+    var source = LuaInterpreter.checkString(args, 0, 'gsub');
+    var pattern = LuaInterpreter.checkString(args, 1, 'gsub');
+    var replacement = args[2];
+    var type = LuaInterpreter.type(replacement);
+    if (type == 'number') {
+      replacement = LuaInterpreter.numberToString(replacement);
+      type = 'string';
+    }
+    if (type != 'string' && type != 'table' && type != 'function') {
+      LuaInterpreter.argError(3, 'gsub',
+                              'string/function/table expected');
+    }
+    var maxCount = LuaInterpreter.checkInteger(args, 3, 'gsub',
+                                               source.length + 1);
+    var anchor = pattern.charAt(0) == '^';
+    var p = anchor ? 1 : 0;
+    var matcher = new LuaInterpreter.Matcher_(source, pattern, 'gsub');
+    var output = '';
+    var s = 0;
+    var count = 0;
+    while (count < maxCount) {
+      matcher.level = 0;
+      var e = matcher.match(s, p);
+      if (e != -1) {
+        count++;
+        var whole = source.substring(s, e);
+        var value;
+        if (type == 'string') {
+          value = replacement.replace(/%([\s\S])/g, function(all, c) {
+            if (!/[0-9]/.test(c)) {
+              return c;
+            }
+            var capture = c == '0' ? whole :
+                matcher.getCapture(parseInt(c, 10) - 1, s, e);
+            return typeof capture == 'number' ?
+                LuaInterpreter.numberToString(capture) : capture;
+          });
+        } else {
+          var captures = matcher.getCaptures(s, e, true);
+          value = type == 'table' ?
+              vm.index(replacement, captures[0]) :
+              vm.call(replacement, captures)[0];
+          if (!LuaInterpreter.truthy(value)) {
+            value = whole;
+          } else if (typeof value == 'number') {
+            value = LuaInterpreter.numberToString(value);
+          } else if (typeof value != 'string') {
+            throw new LuaInterpreter.Error('invalid replacement value (a ' +
+                LuaInterpreter.type(value) + ')');
+          }
+        }
+        output += value;
+      }
+      if (e != -1 && e > s) {
+        s = e;
+      } else if (s < source.length) {
+        output += source.charAt(s++);
+      } else {
+        break;
+      }
+      if (anchor) {
+        break;
+      }
+    }
+    return [output + source.substring(s), count];
+  },
+  len: function(args) {
+    return [LuaInterpreter.checkString(args, 0, 'len').length];
+  },
+  lower: function(args) {
+    return [LuaInterpreter.checkString(args, 0, 'lower').replace(/[A-Z]+/g,
+        function(letters) {
+          return letters.toLowerCase();
+        })];
+  },
+  match: function(args) {
+    return LuaInterpreter.findAux_(args, false);
+  },
+  rep: function(args) {
+    var text = LuaInterpreter.checkString(args, 0, 'rep');
+    var n = LuaInterpreter.checkInteger(args, 1, 'rep');
+    if (n <= 0) {
+      return [''];
+    }
+    if (text.length * n > 0x10000000) {
+      throw new LuaInterpreter.Error('not enough memory');
+    }
+    return [new Array(n + 1).join(text)];
+  },
+  reverse: function(args) {
+    return [LuaInterpreter.checkString(args, 0, 'reverse').split('')
+        .reverse().join('')];
+  },
+  sub: function(args) {
+    var text = LuaInterpreter.checkString(args, 0, 'sub');
+    var i = LuaInterpreter.stringPosition_(
+        LuaInterpreter.checkInteger(args, 1, 'sub', 1), text.length);
+    var j = LuaInterpreter.stringPosition_(
+        LuaInterpreter.checkInteger(args, 2, 'sub', -1), text.length);
+    i = Math.max(i, 1);
+    j = Math.min(j, text.length);
+    return [i > j ? '' : text.substring(i - 1, j)];
+  },
+  upper: function(args) {
+    return [LuaInterpreter.checkString(args, 0, 'upper').replace(/[a-z]+/g,
+        function(letters) {
+          return letters.toUpperCase();
+        })];
+  }
+};
+
+/**
+ * Table library.
+ * @private
+ */
+LuaInterpreter.TABLE_LIBRARY_ = {
+  concat: function(args) {
+    LuaInterpreter.checkType(args, 0, 'table', 'concat');
+    var table = args[0];
+    var separator = LuaInterpreter.checkString(args, 1, 'concat', '');
+    var i = LuaInterpreter.checkInteger(args, 2, 'concat', 1);
+    var j = args[3] === undefined ? table.length() :
+        LuaInterpreter.checkInteger(args, 3, 'concat');
+    var parts = [];
+    for (var x = i; x <= j; x++) {
+      var value = table.get(x);
+      if (typeof value == 'number') {
+        value = LuaInterpreter.numberToString(value);
+      } else if (typeof value != 'string') {
+        throw new LuaInterpreter.Error('invalid value (at index ' + x +
+                                       ') in table for \'concat\'');
+      }
+      parts.push(value);
+    }
+    return [parts.join(separator)];
+  },
+  foreach: function(args, vm) {
+    LuaInterpreter.checkType(args, 0, 'table', 'foreach');
+    var entry = args[0].next(undefined);
+    while (entry) {
+      var result = vm.call(args[1], entry)[0];
+      if (result !== undefined) {
+        return [result];
+      }
+      entry = args[0].next(entry[0]);
+    }
+    return [];
+  },
+  foreachi: function(args, vm) {
+    LuaInterpreter.checkType(args, 0, 'table', 'foreachi');
+    var length = args[0].length();
+    for (var i = 1; i <= length; i++) {
+      var result = vm.call(args[1], [i, args[0].get(i)])[0];
+      if (result !== undefined) {
+        return [result];
+      }
+    }
+    return [];
+  },
+  getn: function(args) {
+    LuaInterpreter.checkType(args, 0, 'table', 'getn');
+    return [args[0].length()];
+  },
+  insert: function(args) {
+    LuaInterpreter.checkType(args, 0, 'table', 'insert');
+    var table = args[0];
+    var end = table.length() + 1;
+    var position;
+    if (args.length == 2) {
+      position = end;
+    } else if (args.length == 3) {
+      position = LuaInterpreter.checkInteger(args, 1, 'insert');
+      if (position > end) {
+        end = position;
+      }
+      for (var i = end; i > position; i--) {
+        table.set(i, table.get(i - 1));
+      }
+    } else {
+      throw new LuaInterpreter.Error(
+          'wrong number of arguments to \'insert\'');
+    }
+    LuaInterpreter.checkKey_(position);
+    table.set(position, args[args.length - 1]);
+    return [];
+  },
+  maxn: function(args) {
+    LuaInterpreter.checkType(args, 0, 'table', 'maxn');
+    var max = 0;
+    var entry = args[0].next(undefined);
+    while (entry) {
+      if (typeof entry[0] == 'number' && entry[0] > max) {
+        max = entry[0];
+      }
+      entry = args[0].next(entry[0]);
+    }
+    return [max];
+  },
+  remove: function(args) {
+    LuaInterpreter.checkType(args, 0, 'table', 'remove');
+    var table = args[0];
+    var end = table.length();
+    var position = LuaInterpreter.checkInteger(args, 1, 'remove', end);
+    if (end == 0) {
+      return [];
+    }
+    var value = table.get(position);
+    for (; position < end; position++) {
+      table.set(position, table.get(position + 1));
+    }
+    table.set(end, undefined);
+    return [value];
+  },
+  setn: function() {
+    throw new LuaInterpreter.Error('\'setn\' is obsolete');
+  },
+  sort: function(args, vm) {
+    LuaInterpreter.checkType(args, 0, 'table', 'sort');
+    var table = args[0];
+    var comparator = args[1];
+    if (comparator !== undefined) {
+      LuaInterpreter.checkType(args, 1, 'function', 'sort');
+    }
+    var lessThan = comparator === undefined ?
+        function(a, b) {
+          return vm.lessThan(a, b);
+        } :
+        function(a, b) {
+          return LuaInterpreter.truthy(vm.call(comparator, [a, b])[0]);
+        };
+    var values = [];
+    var length = table.length();
+    for (var i = 1; i <= length; i++) {
+      values.push(table.get(i));
+    }
+    values.sort(function(a, b) {
+      return lessThan(a, b) ? -1 : lessThan(b, a) ? 1 : 0;
+    });
+    for (var i = 1; i <= length; i++) {
+      table.set(i, values[i - 1]);
+    }
+    return [];
+  }
+};
+
+/**
+ * Math library.
+ * @private
+ */
+LuaInterpreter.MATH_LIBRARY_ = {
+  abs: function(args) {
+    return [Math.abs(LuaInterpreter.checkNumber(args, 0, 'abs'))];
+  },
+  acos: function(args) {
+    return [Math.acos(LuaInterpreter.checkNumber(args, 0, 'acos'))];
+  },
+  asin: function(args) {
+    return [Math.asin(LuaInterpreter.checkNumber(args, 0, 'asin'))];
+  },
+  atan: function(args) {
+    return [Math.atan(LuaInterpreter.checkNumber(args, 0, 'atan'))];
+  },
+  atan2: function(args) {
+    return [Math.atan2(LuaInterpreter.checkNumber(args, 0, 'atan2'),
+                       LuaInterpreter.checkNumber(args, 1, 'atan2'))];
+  },
+  ceil: function(args) {
+    return [Math.ceil(LuaInterpreter.checkNumber(args, 0, 'ceil'))];
+  },
+  cos: function(args) {
+    return [Math.cos(LuaInterpreter.checkNumber(args, 0, 'cos'))];
+  },
+  cosh: function(args) {
+    var x = LuaInterpreter.checkNumber(args, 0, 'cosh');
+    return [(Math.exp(x) + Math.exp(-x)) / 2];
+  },
+  deg: function(args) {
+    return [LuaInterpreter.checkNumber(args, 0, 'deg') * 180 / Math.PI];
+  },
+  exp: function(args) {
+    return [Math.exp(LuaInterpreter.checkNumber(args, 0, 'exp'))];
+  },
+  floor: function(args) {
+    return [Math.floor(LuaInterpreter.checkNumber(args, 0, 'floor'))];
+  },
+  fmod: function(args) {
+    return [LuaInterpreter.checkNumber(args, 0, 'fmod') %
+            LuaInterpreter.checkNumber(args, 1, 'fmod')];
+  },
+  frexp: function(args) {
+    var x = LuaInterpreter.checkNumber(args, 0, 'frexp');
+    if (x === 0 || !isFinite(x)) {
+      return [x, 0];
+    }
+    var exponent = Math.max(-1073, Math.floor(Math.log(Math.abs(x)) /
+                                              Math.LN2) + 1);
+    var mantissa = x * Math.pow(2, -exponent);
+    // Correct for rounding in the logarithm.
+    while (Math.abs(mantissa) < 0.5) {
+      mantissa *= 2;
+      exponent--;
+    }
+    while (Math.abs(mantissa) >= 1) {
+      mantissa /= 2;
+      exponent++;
+    }
+    return [mantissa, exponent];
+  },
+  ldexp: function(args) {
+    return [LuaInterpreter.checkNumber(args, 0, 'ldexp') *
+            Math.pow(2, LuaInterpreter.checkInteger(args, 1, 'ldexp'))];
+  },
+  log: function(args) {
+    return [Math.log(LuaInterpreter.checkNumber(args, 0, 'log'))];
+  },
+  log10: function(args) {
+    return [Math.log(LuaInterpreter.checkNumber(args, 0, 'log10')) /
+            Math.LN10];
+  },
+  max: function(args) {
+    var max = LuaInterpreter.checkNumber(args, 0, 'max');
+    for (var x = 1; x < args.length; x++) {
+      max = Math.max(max, LuaInterpreter.checkNumber(args, x, 'max'));
+    }
+    return [max];
+  },
+  min: function(args) {
+    var min = LuaInterpreter.checkNumber(args, 0, 'min');
+    for (var x = 1; x < args.length; x++) {
+      min = Math.min(min, LuaInterpreter.checkNumber(args, x, 'min'));
+    }
+    return [min];
+  },
+  modf: function(args) {
+    var x = LuaInterpreter.checkNumber(args, 0, 'modf');
+    var whole = x < 0 ? Math.ceil(x) : Math.floor(x);
+    return [whole, isFinite(x) ? x - whole : 0];
+  },
+  pow: function(args) {
+    return [Math.pow(LuaInterpreter.checkNumber(args, 0, 'pow'),
+                     LuaInterpreter.checkNumber(args, 1, 'pow'))];
+  },
+  rad: function(args) {
+    return [LuaInterpreter.checkNumber(args, 0, 'rad') * Math.PI / 180];
+  },
+  random: function(args, vm) {
+    var r = vm.random();
+    switch (args.length) {
+      case 0:
+        return [r];
+      case 1:
+        var m = LuaInterpreter.checkInteger(args, 0, 'random');
+        if (m < 1) {
+          LuaInterpreter.argError(1, 'random', 'interval is empty');
+        }
+        return [Math.floor(r * m) + 1];
+      case 2:
+        var m = LuaInterpreter.checkInteger(args, 0, 'random');
+        var n = LuaInterpreter.checkInteger(args, 1, 'random');
+        if (m > n) {
+          LuaInterpreter.argError(2, 'random', 'interval is empty');
+        }
+        return [Math.floor(r * (n - m + 1)) + m];
+    }
+    throw new LuaInterpreter.Error('wrong number of arguments');
+  },
+  randomseed: function(args, vm) {
+    vm.randomSeed(LuaInterpreter.checkInteger(args, 0, 'randomseed'));
+    return [];
+  },
+  sin: function(args) {
+    return [Math.sin(LuaInterpreter.checkNumber(args, 0, 'sin'))];
+  },
+  sinh: function(args) {
+    var x = LuaInterpreter.checkNumber(args, 0, 'sinh');
+    return [(Math.exp(x) - Math.exp(-x)) / 2];
+  },
+  sqrt: function(args) {
+    return [Math.sqrt(LuaInterpreter.checkNumber(args, 0, 'sqrt'))];
+  },
+  tan: function(args) {
+    return [Math.tan(LuaInterpreter.checkNumber(args, 0, 'tan'))];
+  },
+  tanh: function(args) {
+    var x = LuaInterpreter.checkNumber(args, 0, 'tanh');
+    var a = Math.exp(x);
+    var b = Math.exp(-x);
+    return [a == Infinity ? 1 : b == Infinity ? -1 : (a - b) / (a + b)];
+  }
+};
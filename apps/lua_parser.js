@@ -0,0 +1,993 @@
+/**
+ * Blockly Apps: Lua Parser
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Parser for Lua 5.1 source code, producing a syntax tree.
+ *
+ * Every node is an object with a 'type' field (such as 'LocalStatement' or
+ * 'BinaryExpression'), a 1-based 'line', a 0-based 'column', and 'start' and
+ * 'end' character offsets into the source.  The node types follow the
+ * grammar in section 8 of the Lua 5.1 reference manual:
+ * http://www.lua.org/manual/5.1/manual.html#8
+ *
+ * The value of a string literal is a byte string: each character has a code
+ * between 0 and 255, just as in Lua.  Non-ASCII characters appearing in the
+ * source are encoded as UTF-8.
+ */
+'use strict';
+
+var LuaParser = {};
+
+/**
+ * Reserved words, which may not be used as names.
+ * @type {!Array.<string>}
+ */
+LuaParser.KEYWORDS = ['and', 'break', 'do', 'else', 'elseif', 'end', 'false',
+    'for', 'function', 'if', 'in', 'local', 'nil', 'not', 'or', 'repeat',
+    'return', 'then', 'true', 'until', 'while'];
+
+/**
+ * Symbols, longest first so that the tokenizer is greedy.
+ * @private
+ */
+LuaParser.SYMBOLS_ = ['...', '..', '==', '~=', '<=', '>=',
+    '+', '-', '*', '/', '%', '^', '#', '<', '>', '=', '(', ')', '{', '}',
+    '[', ']', ';', ':', ',', '.'];
+
+/**
+ * Binary operators mapped to [left priority, right priority], as in
+ * lparser.c.  A right priority lower than the left makes the operator
+ * right-associative.
+ * @private
+ */
+LuaParser.BINARY_PRIORITY_ = {
+  'or': [1, 1],
+  'and': [2, 2],
+  '<': [3, 3], '>': [3, 3], '<=': [3, 3], '>=': [3, 3], '~=': [3, 3],
+  '==': [3, 3],
+  '..': [5, 4],
+  '+': [6, 6], '-': [6, 6],
+  '*': [7, 7], '/': [7, 7], '%': [7, 7],
+  '^': [10, 9]
+};
+
+/**
+ * Priority of the unary operators 'not', '-' and '#'.
+ * @private
+ */
+LuaParser.UNARY_PRIORITY_ = 8;
+
+/**
+ * Exception thrown when the source is not valid Lua.
+ * @param {string} message Description of the problem.
+ * @param {number} line 1-based line on which the problem was found.
+ * @param {number} column 0-based column at which the problem was found.
+ * @constructor
+ */
+LuaParser.Error = function(message, line, column) {
+  this.name = 'LuaParser.Error';
+  this.message = 'line ' + line + ': ' + message;
+  this.line = line;
+  this.column = column;
+};
+LuaParser.Error.prototype = new Error();
+LuaParser.Error.prototype.constructor = LuaParser.Error;
+
+/**
+ * Parse a Lua chunk.
+ * @param {string} source Lua source code.
+ * @param {Object=} opt_options Options.  If 'comments' is true, the chunk
+ *     gets a 'comments' array holding every comment in the source.
+ * @return {!Object} A syntax tree whose root has type 'Chunk'.
+ * @throws {LuaParser.Error} if the source is not valid Lua.
+ */
+LuaParser.parse = function(source, opt_options) {
+  var parser = new LuaParser.Parser_(source, opt_options || {});
+  return parser.parseChunk();
+};
+
+/**
+ * Convert a JavaScript string to a byte string holding its UTF-8 encoding.
+ * @param {string} text Any string.
+ * @return {string} A string of characters with codes between 0 and 255.
+ */
+LuaParser.toBytes = function(text) {
+  return unescape(encodeURIComponent(text));
+};
+
+/**
+ * Convert a byte string holding UTF-8 back to a JavaScript string.  Bytes
+ * that are not valid UTF-8 are kept as they are.
+ * @param {string} bytes A string of characters with codes between 0 and 255.
+ * @return {string} The decoded string.
+ */
+LuaParser.fromBytes = function(bytes) {
+  try {
+    return decodeURIComponent(escape(bytes));
+  } catch (e) {
+    return bytes;
+  }
+};
+
+/**
+ * Tokenizer and recursive-descent parser.
+ * @param {string} source Lua source code.
+ * @param {!Object} options Options passed to LuaParser.parse.
+ * @constructor
+ * @private
+ */
+LuaParser.Parser_ = function(source, options) {
+  this.source_ = source;
+  this.options_ = options;
+  this.pos_ = 0;
+  this.line_ = 1;
+  this.lineStart_ = 0;
+  this.comments_ = [];
+  // Skip a leading '#!' line, as the standalone interpreter does.
+  if (source.charAt(0) == '#') {
+    while (this.pos_ < source.length && !this.isNewline_(this.pos_)) {
+      this.pos_++;
+    }
+  }
+  this.token_ = null;
+  this.lookahead_ = null;
+  this.next_();
+};
+
+/**
+ * Report a syntax error at the current token.
+ * @param {string} message Description of the problem.
+ * @param {Object=} opt_token Token to blame, if not the current one.
+ * @throws {LuaParser.Error}
+ * @private
+ */
+LuaParser.Parser_.prototype.error_ = function(message, opt_token) {
+  var token = opt_token || this.token_;
+  var near = token.type == 'eof' ? '<eof>' :
+      this.source_.substring(token.start, token.end);
+  throw new LuaParser.Error(message + " near '" + near + "'",
+                            token.line, token.column);
+};
+
+// Tokenizer.
+
+LuaParser.Parser_.prototype.isNewline_ = function(pos) {
+  var c = this.source_.charAt(pos);
+  return c == '\n' || c == '\r';
+};
+
+/**
+ * Advance past a newline sequence ('\n', '\r', '\r\n' or '\n\r'), counting
+ * it as a single line.
+ * @private
+ */
+LuaParser.Parser_.prototype.skipNewline_ = function() {
+  var c = this.source_.charAt(this.pos_);
+  this.pos_++;
+  var d = this.source_.charAt(this.pos_);
+  if ((d == '\n' || d == '\r') && d != c) {
+    this.pos_++;
+  }
+  this.line_++;
+  this.lineStart_ = this.pos_;
+};
+
+/**
+ * If a long bracket ('[[', '[=[', ...) starts at the current position,
+ * return its level (the number of '=' signs); otherwise return -1.
+ * @private
+ */
+LuaParser.Parser_.prototype.longBracketLevel_ = function() {
+  if (this.source_.charAt(this.pos_) != '[') {
+    return -1;
+  }
+  var pos = this.pos_ + 1;
+  while (this.source_.charAt(pos) == '=') {
+    pos++;
+  }
+  return this.source_.charAt(pos) == '[' ? pos - this.pos_ - 1 : -1;
+};
+
+/**
+ * Read a long string or long comment whose opening bracket starts at the
+ * current position.
+ * @param {number} level The bracket level.
+ * @return {string} The contents, without the brackets.
+ * @private
+ */
+LuaParser.Parser_.prototype.readLongString_ = function(level) {
+  var startLine = this.line_;
+  this.pos_ += level + 2;
+  // A newline immediately following the opening bracket is skipped.
+  if (this.isNewline_(this.pos_)) {
+    this.skipNewline_();
+  }
+  var close = ']' + new Array(level + 1).join('=') + ']';
+  var text = '';
+  while (true) {
+    if (this.pos_ >= this.source_.length) {
+      throw new LuaParser.Error('unfinished long string/comment', startLine,
+                                0);
+    }
+    if (this.source_.substr(this.pos_, close.length) == close) {
+      this.pos_ += close.length;
+      return text;
+    }
+    if (this.isNewline_(this.pos_)) {
+      this.skipNewline_();
+      text += '\n';
+    } else {
+      text += this.source_.charAt(this.pos_);
+      this.pos_++;
+    }
+  }
+};
+
+/**
+ * Read a quoted string starting at the current position.
+ * @return {string} The value of the string, as a byte string.
+ * @private
+ */
+LuaParser.Parser_.prototype.readQuotedString_ = function() {
+  var quote = this.source_.charAt(this.pos_);
+  var startLine = this.line_;
+  var startColumn = this.pos_ - this.lineStart_;
+  this.pos_++;
+  var value = '';
+  while (true) {
+    if (this.pos_ >= this.source_.length || this.isNewline_(this.pos_)) {
+      throw new LuaParser.Error('unfinished string', startLine, startColumn);
+    }
+    var c = this.source_.charAt(this.pos_);
+    if (c == quote) {
+      this.pos_++;
+      return value;
+    }
+    if (c != '\\') {
+      value += c.charCodeAt(0) < 0x80 ? c : LuaParser.toBytes(c);
+      this.pos_++;
+      continue;
+    }
+    // Escape sequence.
+    this.pos_++;
+    c = this.source_.charAt(this.pos_);
+    var simple = {'a': '\x07', 'b': '\b', 'f': '\f', 'n': '\n', 'r': '\r',
+                  't': '\t', 'v': '\v'};
+    if (simple.hasOwnProperty(c)) {
+      value += simple[c];
+      this.pos_++;
+    } else if (c == '\n' || c == '\r') {
+      value += '\n';
+      this.skipNewline_();
+    } else if (/[0-9]/.test(c)) {
+      var digits = /^[0-9]{1,3}/.exec(this.source_.substr(this.pos_, 3))[0];
+      var code = parseInt(digits, 10);
+      if (code > 255) {
+        throw new LuaParser.Error('escape sequence too large', this.line_,
+                                  this.pos_ - this.lineStart_);
+      }
+      value += String.fromCharCode(code);
+      this.pos_ += digits.length;
+    } else if (this.pos_ >= this.source_.length) {
+      throw new LuaParser.Error('unfinished string', startLine, startColumn);
+    } else {
+      // Lua 5.1 treats any other escaped character as itself.
+      value += c.charCodeAt(0) < 0x80 ? c : LuaParser.toBytes(c);
+      this.pos_++;
+    }
+  }
+};
+
+/**
+ * Skip whitespace and comments, recording comments if requested.
+ * @private
+ */
+LuaParser.Parser_.prototype.skipSpace_ = function() {
+  var source = this.source_;
+  while (this.pos_ < source.length) {
+    var c = source.charAt(this.pos_);
+    if (c == '\n' || c == '\r') {
+      this.skipNewline_();
+    } else if (c == ' ' || c == '\t' || c == '\f' || c == '\v') {
+      this.pos_++;
+    } else if (c == '-' && source.charAt(this.pos_ + 1) == '-') {
+      var comment = {type: 'Comment', line: this.line_,
+                     column: this.pos_ - this.lineStart_, start: this.pos_};
+      this.pos_ += 2;
+      var level = this.longBracketLevel_();
+      if (level >= 0) {
+        comment.value = this.readLongString_(level);
+        comment.isLong = true;
+      } else {
+        var start = this.pos_;
+        while (this.pos_ < source.length && !this.isNewline_(this.pos_)) {
+          this.pos_++;
+        }
+        comment.value = source.substring(start, this.pos_);
+        comment.isLong = false;
+      }
+      comment.end = this.pos_;
+      this.comments_.push(comment);
+    } else {
+      return;
+    }
+  }
+};
+
+/**
+ * Read the next token from the source.
+ * @return {!Object} The token, with fields type ('name', 'keyword',
+ *     'string', 'number', 'symbol' or 'eof'), value, line, column, start and
+ *     end.
+ * @private
+ */
+LuaParser.Parser_.prototype.readToken_ = function() {
+  this.skipSpace_();
+  var source = this.source_;
+  var token = {line: this.line_, column: this.pos_ - this.lineStart_,
+               start: this.pos_};
+  var c = source.charAt(this.pos_);
+  var rest = source.substring(this.pos_);
+  var match;
+  if (this.pos_ >= source.length) {
+    token.type = 'eof';
+    token.value = '<eof>';
+  } else if ((match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest))) {
+    token.value = match[0];
+    token.type = LuaParser.KEYWORDS.indexOf(token.value) == -1 ?
+        'name' : 'keyword';
+    this.pos_ += token.value.length;
+  } else if ((match = /^0[xX][0-9A-Fa-f]+/.exec(rest)) ||
+             (match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(rest))) {
+    token.type = 'number';
+    token.value = Number(match[0]);
+    this.pos_ += match[0].length;
+    if (/^[A-Za-z0-9_.]/.test(source.charAt(this.pos_))) {
+      throw new LuaParser.Error("malformed number near '" +
+          match[0] + source.charAt(this.pos_) + "'", token.line,
+          token.column);
+    }
+  } else if (c == '"' || c == '\'') {
+    token.type = 'string';
+    token.value = this.readQuotedString_();
+  } else if (c == '[' && this.longBracketLevel_() >= 0) {
+    token.type = 'string';
+    token.value = LuaParser.toBytes(
+        this.readLongString_(this.longBracketLevel_()));
+  } else {
+    for (var x = 0; x < LuaParser.SYMBOLS_.length; x++) {
+      var symbol = LuaParser.SYMBOLS_[x];
+      if (rest.substr(0, symbol.length) == symbol) {
+        token.type = 'symbol';
+        token.value = symbol;
+        this.pos_ += symbol.length;
+        break;
+      }
+    }
+    if (!token.type) {
+      throw new LuaParser.Error("unexpected symbol near '" + c + "'",
+                                token.line, token.column);
+    }
+  }
+  token.end = this.pos_;
+  return token;
+};
+
+/**
+ * Advance to the next token.
+ * @private
+ */
+LuaParser.Parser_.prototype.next_ = function() {
+  this.previous_ = this.token_;
+  if (this.lookahead_) {
+    this.token_ = this.lookahead_;
+    this.lookahead_ = null;
+  } else {
+    this.token_ = this.readToken_();
+  }
+};
+
+/**
+ * Return the token after the current one without consuming anything.
+ * @private
+ */
+LuaParser.Parser_.prototype.peek_ = function() {
+  if (!this.lookahead_) {
+    this.lookahead_ = this.readToken_();
+  }
+  return this.lookahead_;
+};
+
+/**
+ * Is the current token the given keyword or symbol?
+ * @private
+ */
+LuaParser.Parser_.prototype.is_ = function(value) {
+  return (this.token_.type == 'keyword' || this.token_.type == 'symbol') &&
+      this.token_.value == value;
+};
+
+/**
+ * Consume the current token if it is the given keyword or symbol.
+ * @return {boolean} True if the token was consumed.
+ * @private
+ */
+LuaParser.Parser_.prototype.accept_ = function(value) {
+  if (this.is_(value)) {
+    this.next_();
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Consume the given keyword or symbol, or report an error.
+ * @param {string} value The expected keyword or symbol.
+ * @param {Object=} opt_opener Token that opened the construct being closed,
+ *     for a better error message.
+ * @private
+ */
+LuaParser.Parser_.prototype.expect_ = function(value, opt_opener) {
+  if (!this.accept_(value)) {
+    var message = "'" + value + "' expected";
+    if (opt_opener && opt_opener.line != this.token_.line) {
+      message += " (to close '" + opt_opener.value + "' at line " +
+          opt_opener.line + ')';
+    }
+    this.error_(message);
+  }
+};
+
+/**
+ * Consume a name and return it as an Identifier node.
+ * @private
+ */
+LuaParser.Parser_.prototype.expectName_ = function() {
+  if (this.token_.type != 'name') {
+    this.error_('<name> expected');
+  }
+  var node = this.startNode_('Identifier');
+  node.name = this.token_.value;
+  this.next_();
+  return this.finishNode_(node);
+};
+
+/**
+ * Create a node positioned at the current token.
+ * @private
+ */
+LuaParser.Parser_.prototype.startNode_ = function(type, opt_token) {
+  var token = opt_token || this.token_;
+  return {type: type, line: token.line, column: token.column,
+          start: token.start};
+};
+
+/**
+ * Record where a node ends (at the previous token).
+ * @private
+ */
+LuaParser.Parser_.prototype.finishNode_ = function(node) {
+  node.end = this.previous_.end;
+  return node;
+};
+
+/**
+ * Create a node positioned at the same place as another node.
+ * @private
+ */
+LuaParser.Parser_.prototype.startNodeAt_ = function(type, other) {
+  return {type: type, line: other.line, column: other.column,
+          start: other.start};
+};
+
+// Statements.
+
+/**
+ * Parse the whole source as a chunk.
+ * @return {!Object} Node of type 'Chunk'.
+ */
+LuaParser.Parser_.prototype.parseChunk = function() {
+  var node = this.startNode_('Chunk');
+  node.body = this.parseBlock_();
+  if (this.token_.type != 'eof') {
+    this.error_("'<eof>' expected");
+  }
+  node.end = this.source_.length;
+  if (this.options_.comments) {
+    node.comments = this.comments_;
+  }
+  return node;
+};
+
+/**
+ * Is the current token one that ends a block?
+ * @private
+ */
+LuaParser.Parser_.prototype.blockFollows_ = function() {
+  return this.token_.type == 'eof' || this.is_('else') ||
+      this.is_('elseif') || this.is_('end') || this.is_('until');
+};
+
+/**
+ * Parse a sequence of statements, optionally ending in 'return' or 'break'.
+ * @return {!Array.<!Object>} Statement nodes.
+ * @private
+ */
+LuaParser.Parser_.prototype.parseBlock_ = function() {
+  var body = [];
+  while (!this.blockFollows_()) {
+    if (this.is_('return') || this.is_('break')) {
+      body.push(this.is_('return') ? this.parseReturn_() :
+                                     this.parseBreak_());
+      this.accept_(';');
+      // 'return' and 'break' must be the last statement in a block.
+      if (!this.blockFollows_()) {
+        this.error_("'end' expected");
+      }
+      break;
+    }
+    body.push(this.parseStatement_());
+    this.accept_(';');
+  }
+  return body;
+};
+
+LuaParser.Parser_.prototype.parseReturn_ = function() {
+  var node = this.startNode_('ReturnStatement');
+  this.next_();
+  node.arguments = (this.blockFollows_() || this.is_(';')) ?
+      [] : this.parseExpressionList_();
+  return this.finishNode_(node);
+};
+
+LuaParser.Parser_.prototype.parseBreak_ = function() {
+  var node = this.startNode_('BreakStatement');
+  this.next_();
+  return this.finishNode_(node);
+};
+
+/**
+ * Parse one statement.
+ * @private
+ */
+LuaParser.Parser_.prototype.parseStatement_ = function() {
+  var token = this.token_;
+  if (token.type == 'keyword') {
+    switch (token.value) {
+      case 'if':
+        return this.parseIf_();
+      case 'while':
+        return this.parseWhile_();
+      case 'do':
+        var node = this.startNode_('DoStatement');
+        this.next_();
+        node.body = this.parseBlock_();
+        this.expect_('end', token);
+        return this.finishNode_(node);
+      case 'for':
+        return this.parseFor_();
+      case 'repeat':
+        return this.parseRepeat_();
+      case 'function':
+        return this.parseFunctionStatement_();
+      case 'local':
+        return this.parseLocal_();
+    }
+  }
+  return this.parseExpressionStatement_();
+};
+
+LuaParser.Parser_.prototype.parseIf_ = function() {
+  var opener = this.token_;
+  var node = this.startNode_('IfStatement');
+  node.clauses = [];
+  do {
+    var clause = this.startNode_(
+        node.clauses.length ? 'ElseifClause' : 'IfClause');
+    this.next_();
+    clause.condition = this.parseExpression_();
+    this.expect_('then');
+    clause.body = this.parseBlock_();
+    node.clauses.push(this.finishNode_(clause));
+  } while (this.is_('elseif'));
+  if (this.is_('else')) {
+    var clause = this.startNode_('ElseClause');
+    this.next_();
+    clause.body = this.parseBlock_();
+    node.clauses.push(this.finishNode_(clause));
+  }
+  this.expect_('end', opener);
+  return this.finishNode_(node);
+};
+
+LuaParser.Parser_.prototype.parseWhile_ = function() {
+  var opener = this.token_;
+  var node = this.startNode_('WhileStatement');
+  this.next_();
+  node.condition = this.parseExpression_();
+  this.expect_('do');
+  node.body = this.parseBlock_();
+  this.expect_('end', opener);
+  return this.finishNode_(node);
+};
+
+LuaParser.Parser_.prototype.parseRepeat_ = function() {
+  var opener = this.token_;
+  var node = this.startNode_('RepeatStatement');
+  this.next_();
+  node.body = this.parseBlock_();
+  this.expect_('until', opener);
+  node.condition = this.parseExpression_();
+  return this.finishNode_(node);
+};
+
+LuaParser.Parser_.prototype.parseFor_ = function() {
+  var start = this.token_;
+  var opener = start;
+  this.next_();
+  var first = this.expectName_();
+  var node;
+  if (this.accept_('=')) {
+    node = this.startNode_('ForNumericStatement', start);
+    node.variable = first;
+    node.init = this.parseExpression_();
+    this.expect_(',');
+    node.limit = this.parseExpression_();
+    node.step = this.accept_(',') ? this.parseExpression_() : null;
+  } else {
+    node = this.startNode_('ForGenericStatement', start);
+    node.variables = [first];
+    while (this.accept_(',')) {
+      node.variables.push(this.expectName_());
+    }
+    this.expect_('in');
+    node.iterators = this.parseExpressionList_();
+  }
+  this.expect_('do');
+  node.body = this.parseBlock_();
+  this.expect_('end', opener);
+  return this.finishNode_(node);
+};
+
+LuaParser.Parser_.prototype.parseFunctionStatement_ = function() {
+  var node = this.startNode_('FunctionDeclaration');
+  this.next_();
+  // funcname: Name {'.' Name} [':' Name]
+  var name = this.expectName_();
+  var isMethod = false;
+  while (this.is_('.') || this.is_(':')) {
+    var indexer = this.token_.value;
+    this.next_();
+    var member = this.startNodeAt_('MemberExpression', name);
+    member.base = name;
+    member.indexer = indexer;
+    member.identifier = this.expectName_();
+    name = this.finishNode_(member);
+    if (indexer == ':') {
+      isMethod = true;
+      break;
+    }
+  }
+  node.identifier = name;
+  node.isLocal = false;
+  this.parseFunctionBody_(node, isMethod);
+  return this.finishNode_(node);
+};
+
+LuaParser.Parser_.prototype.parseLocal_ = function() {
+  var start = this.token_;
+  this.next_();
+  if (this.is_('function')) {
+    var node = this.startNode_('FunctionDeclaration', start);
+    this.next_();
+    node.identifier = this.expectName_();
+    node.isLocal = true;
+    this.parseFunctionBody_(node, false);
+    return this.finishNode_(node);
+  }
+  var node = this.startNode_('LocalStatement', start);
+  node.variables = [this.expectName_()];
+  while (this.accept_(',')) {
+    node.variables.push(this.expectName_());
+  }
+  node.init = this.accept_('=') ? this.parseExpressionList_() : [];
+  return this.finishNode_(node);
+};
+
+/**
+ * Parse parameters and body of a function, from '(' to 'end'.
+ * @param {!Object} node The FunctionDeclaration node to fill in.
+ * @param {boolean} isMethod Whether to add an implicit 'self' parameter.
+ * @private
+ */
+LuaParser.Parser_.prototype.parseFunctionBody_ = function(node, isMethod) {
+  var opener = this.previous_;
+  node.parameters = [];
+  if (isMethod) {
+    var self = this.startNode_('Identifier');
+    self.name = 'self';
+    self.end = self.start;
+    node.parameters.push(self);
+  }
+  node.isVararg = false;
+  this.expect_('(');
+  if (!this.is_(')')) {
+    do {
+      if (this.is_('...')) {
+        this.next_();
+        node.isVararg = true;
+        break;
+      }
+      node.parameters.push(this.expectName_());
+    } while (this.accept_(','));
+  }
+  this.expect_(')');
+  node.body = this.parseBlock_();
+  this.expect_('end', opener);
+};
+
+/**
+ * Parse an assignment or function call statement.
+ * @private
+ */
+LuaParser.Parser_.prototype.parseExpressionStatement_ = function() {
+  var start = this.token_;
+  var expression = this.parseSuffixedExpression_();
+  if (this.is_('=') || this.is_(',')) {
+    var node = this.startNode_('AssignmentStatement', start);
+    node.variables = [expression];
+    while (this.accept_(',')) {
+      node.variables.push(this.parseSuffixedExpression_());
+    }
+    for (var x = 0; x < node.variables.length; x++) {
+      var type = node.variables[x].type;
+      if (type != 'Identifier' && type != 'MemberExpression' &&
+          type != 'IndexExpression') {
+        this.error_('syntax error', start);
+      }
+    }
+    this.expect_('=');
+    node.init = this.parseExpressionList_();
+    return this.finishNode_(node);
+  }
+  if (expression.type != 'CallExpression') {
+    this.error_('syntax error');
+  }
+  var node = this.startNode_('CallStatement', start);
+  node.expression = expression;
+  return this.finishNode_(node);
+};
+
+// Expressions.
+
+LuaParser.Parser_.prototype.parseExpressionList_ = function() {
+  var list = [this.parseExpression_()];
+  while (this.accept_(',')) {
+    list.push(this.parseExpression_());
+  }
+  return list;
+};
+
+LuaParser.Parser_.prototype.parseExpression_ = function() {
+  return this.parseSubExpression_(0);
+};
+
+/**
+ * Parse an expression whose binary operators bind more tightly than limit.
+ * @param {number} limit Priority limit.
+ * @private
+ */
+LuaParser.Parser_.prototype.parseSubExpression_ = function(limit) {
+  var start = this.token_;
+  var left;
+  if (this.is_('not') || this.is_('-') || this.is_('#')) {
+    left = this.startNode_('UnaryExpression');
+    left.operator = this.token_.value;
+    this.next_();
+    left.argument = this.parseSubExpression_(LuaParser.UNARY_PRIORITY_);
+    this.finishNode_(left);
+  } else {
+    left = this.parseSimpleExpression_();
+  }
+  while ((this.token_.type == 'keyword' || this.token_.type == 'symbol') &&
+         LuaParser.BINARY_PRIORITY_.hasOwnProperty(this.token_.value)) {
+    var operator = this.token_.value;
+    var priority = LuaParser.BINARY_PRIORITY_[operator];
+    if (priority[0] <= limit) {
+      break;
+    }
+    this.next_();
+    var node = this.startNode_(
+        operator == 'and' || operator == 'or' ?
+        'LogicalExpression' : 'BinaryExpression', start);
+    node.operator = operator;
+    node.left = left;
+    node.right = this.parseSubExpression_(priority[1]);
+    left = this.finishNode_(node);
+  }
+  return left;
+};
+
+LuaParser.Parser_.prototype.parseSimpleExpression_ = function() {
+  var token = this.token_;
+  var node;
+  switch (token.type) {
+    case 'number':
+      node = this.startNode_('NumericLiteral');
+      node.value = token.value;
+      node.raw = this.source_.substring(token.start, token.end);
+      this.next_();
+      return this.finishNode_(node);
+    case 'string':
+      node = this.startNode_('StringLiteral');
+      node.value = token.value;
+      node.raw = this.source_.substring(token.start, token.end);
+      this.next_();
+      return this.finishNode_(node);
+    case 'keyword':
+      if (token.value == 'nil') {
+        node = this.startNode_('NilLiteral');
+        this.next_();
+        return this.finishNode_(node);
+      } else if (token.value == 'true' || token.value == 'false') {
+        node = this.startNode_('BooleanLiteral');
+        node.value = token.value == 'true';
+        this.next_();
+        return this.finishNode_(node);
+      } else if (token.value == 'function') {
+        node = this.startNode_('FunctionDeclaration');
+        this.next_();
+        node.identifier = null;
+        node.isLocal = false;
+        this.parseFunctionBody_(node, false);
+        return this.finishNode_(node);
+      }
+      break;
+    case 'symbol':
+      if (token.value == '...') {
+        node = this.startNode_('VarargLiteral');
+        this.next_();
+        return this.finishNode_(node);
+      } else if (token.value == '{') {
+        return this.parseTable_();
+      }
+      break;
+  }
+  return this.parseSuffixedExpression_();
+};
+
+/**
+ * Parse a name or parenthesized expression.
+ * @private
+ */
+LuaParser.Parser_.prototype.parsePrimaryExpression_ = function() {
+  if (this.token_.type == 'name') {
+    return this.expectName_();
+  }
+  if (this.is_('(')) {
+    var opener = this.token_;
+    var node = this.startNode_('ParenthesizedExpression');
+    this.next_();
+    node.expression = this.parseExpression_();
+    this.expect_(')', opener);
+    return this.finishNode_(node);
+  }
+  this.error_('unexpected symbol');
+};
+
+/**
+ * Parse a primary expression followed by any number of field accesses,
+ * indexes and calls.
+ * @private
+ */
+LuaParser.Parser_.prototype.parseSuffixedExpression_ = function() {
+  var base = this.parsePrimaryExpression_();
+  while (true) {
+    var node;
+    if (this.is_('.')) {
+      node = this.startNodeAt_('MemberExpression', base);
+      this.next_();
+      node.base = base;
+      node.indexer = '.';
+      node.identifier = this.expectName_();
+    } else if (this.is_('[')) {
+      var opener = this.token_;
+      node = this.startNodeAt_('IndexExpression', base);
+      this.next_();
+      node.base = base;
+      node.index = this.parseExpression_();
+      this.expect_(']', opener);
+    } else if (this.is_(':')) {
+      var member = this.startNodeAt_('MemberExpression', base);
+      this.next_();
+      member.base = base;
+      member.indexer = ':';
+      member.identifier = this.expectName_();
+      this.finishNode_(member);
+      node = this.startNodeAt_('CallExpression', base);
+      node.base = member;
+      node.arguments = this.parseCallArguments_();
+    } else if (this.is_('(') || this.is_('{') ||
+               this.token_.type == 'string') {
+      if (this.is_('(') && this.token_.line != this.previous_.line) {
+        // Lua 5.1 rejects this as ambiguous with a new statement.
+        this.error_('ambiguous syntax (function call x new statement)');
+      }
+      node = this.startNodeAt_('CallExpression', base);
+      node.base = base;
+      node.arguments = this.parseCallArguments_();
+    } else {
+      return base;
+    }
+    base = this.finishNode_(node);
+  }
+};
+
+/**
+ * Parse the arguments of a call: '(' [explist] ')', a table constructor
+ * or a string literal.
+ * @return {!Array.<!Object>} Argument expressions.
+ * @private
+ */
+LuaParser.Parser_.prototype.parseCallArguments_ = function() {
+  if (this.is_('{')) {
+    return [this.parseTable_()];
+  }
+  if (this.token_.type == 'string') {
+    return [this.parseSimpleExpression_()];
+  }
+  var opener = this.token_;
+  this.expect_('(');
+  var args = this.is_(')') ? [] : this.parseExpressionList_();
+  this.expect_(')', opener);
+  return args;
+};
+
+LuaParser.Parser_.prototype.parseTable_ = function() {
+  var opener = this.token_;
+  var node = this.startNode_('TableConstructorExpression');
+  node.fields = [];
+  this.expect_('{');
+  while (!this.is_('}')) {
+    var field;
+    if (this.is_('[')) {
+      field = this.startNode_('TableKey');
+      this.next_();
+      field.key = this.parseExpression_();
+      this.expect_(']');
+      this.expect_('=');
+      field.value = this.parseExpression_();
+    } else if (this.token_.type == 'name' && this.peek_().type == 'symbol' &&
+               this.peek_().value == '=') {
+      field = this.startNode_('TableKeyString');
+      field.key = this.expectName_();
+      this.next_();
+      field.value = this.parseExpression_();
+    } else {
+      field = this.startNode_('TableValue');
+      field.value = this.parseExpression_();
+    }
+    node.fields.push(this.finishNode_(field));
+    if (!this.accept_(',') && !this.accept_(';')) {
+      break;
+    }
+  }
+  this.expect_('}', opener);
+  return this.finishNode_(node);
+};
@@ -175,16 +175,30 @@ Blockly.Blocks['controls_forEach'] = {
 };
 
 Blockly.Blocks['controls_flow_statements'] = {
-  // Flow statement: break
+  // Flow statements: continue, break.
   init: function() {
     this.setHelpUrl(Blockly.Msg.CONTROLS_FLOW_STATEMENTS_HELPURL);
     this.setColour(120);
+    var dropdown = new Blockly.FieldDropdown(
+        [[Blockly.Msg.CONTROLS_FLOW_STATEMENTS_OPERATOR_BREAK, 'BREAK'],
+         [Blockly.Msg.CONTROLS_FLOW_STATEMENTS_OPERATOR_CONTINUE, 'CONTINUE']]);
     this.appendDummyInput()
-        .appendTitle(Blockly.Msg.CONTROLS_FLOW_STATEMENTS_OPERATOR_BREAK);
+        .appendTitle(dropdown, 'FLOW');
     this.setPreviousStatement(true);
     // Assign 'this' to a variable for use in the tooltip closure below.
     var thisBlock = this;
-    this.setTooltip(Blockly.Msg.CONTROLS_FLOW_STATEMENTS_TOOLTIP_BREAK);
+    this.setTooltip(function() {
+      var op = thisBlock.getTitleValue('FLOW');
+      var TOOLTIPS = {
+        BREAK: Blockly.Msg.CONTROLS_FLOW_STATEMENTS_TOOLTIP_BREAK,
+        CONTINUE: Blockly.Msg.CONTROLS_FLOW_STATEMENTS_TOOLTIP_CONTINUE
+      };
+      return TOOLTIPS[op];
+    });
+  },
+  isContinueSupported: function() {
+    // Apps generating a language that lacks 'continue' replace this.
+    return true;
   },
   onchange: function() {
     if (!this.workspace) {
@@ -192,6 +206,7 @@ Blockly.Blocks['controls_flow_statements'] = {
       return;
     }
     var legal = false;
+    var isolated = false;
     // Is the block nested in a control statement?
     var block = this;
     do {
@@ -203,12 +218,22 @@ Blockly.Blocks['controls_flow_statements'] = {
         legal = true;
         break;
       }
+      if (block.isolatesStatements) {
+        // The blocks inside this one can't jump out of it.
+        isolated = true;
+        break;
+      }
       block = block.getSurroundParent();
     } while (block);
-    if (legal) {
-      this.setWarningText(null);
-    } else {
+    if (isolated) {
+      this.setWarningText(Blockly.Msg.CONTROLS_FLOW_STATEMENTS_WARNING_ISOLATED);
+    } else if (!legal) {
       this.setWarningText(Blockly.Msg.CONTROLS_FLOW_STATEMENTS_WARNING);
+    } else if (this.getTitleValue('FLOW') == 'CONTINUE' &&
+        !this.isContinueSupported()) {
+      this.setWarningText(Blockly.Msg.CONTROLS_FLOW_STATEMENTS_WARNING_CONTINUE);
+    } else {
+      this.setWarningText(null);
     }
   }
 };
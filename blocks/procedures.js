@@ -485,6 +485,7 @@ Blockly.Blocks['procedures_ifreturn'] = {
       return;
     }
     var legal = false;
+    var isolated = false;
     // Is the block nested in a procedure?
     var block = this;
     do {
@@ -493,9 +494,16 @@ Blockly.Blocks['procedures_ifreturn'] = {
         legal = true;
         break;
       }
+      if (block.isolatesStatements) {
+        // The blocks inside this one can't return from the procedure.
+        isolated = true;
+        break;
+      }
       block = block.getSurroundParent();
     } while (block);
-    if (legal) {
+    if (isolated) {
+      this.setWarningText(Blockly.Msg.PROCEDURES_IFRETURN_WARNING_ISOLATED);
+    } else if (legal) {
       // If needed, toggle whether this block has a return value.
       if (block.type == 'procedures_defnoreturn' && this.hasReturnValue_) {
         this.removeInput('VALUE');
@@ -170,6 +170,13 @@ Blockly.Block.prototype.getSvgRoot = function() {
  */
 Blockly.Block.dragMode_ = 0;
 
+/**
+ * Function the app may set to add or modify options in every block's context
+ * menu.  Called with the block and the array of options.
+ * @type {Function}
+ */
+Blockly.Block.contextMenuHook = null;
+
 /**
  * Wrapper function called when a mouseUp occurs during a drag operation.
  * @type {Array.<!Array>}
@@ -664,6 +671,9 @@ Blockly.Block.prototype.showContextMenu_ = function(xy) {
   if (this.customContextMenu && !block.isInFlyout) {
     this.customContextMenu(options);
   }
+  if (Blockly.Block.contextMenuHook && !block.isInFlyout) {
+    Blockly.Block.contextMenuHook(block, options);
+  }
 
   Blockly.ContextMenu.show(xy, options);
 };
@@ -1717,6 +1727,39 @@ Blockly.Block.prototype.setWarningText = function(text) {
   }
 };
 
+/**
+ * Text of this block's badge, a short note shown to the right of its top
+ * row, such as the result of analysing the program.  It isn't saved.
+ * @type {?string}
+ * @private
+ */
+Blockly.Block.prototype.badgeText_ = null;
+
+/**
+ * Get this block's badge text.
+ * @return {?string} The text, or null if there is no badge.
+ */
+Blockly.Block.prototype.getBadgeText = function() {
+  return this.badgeText_;
+};
+
+/**
+ * Set this block's badge text.
+ * @param {?string} text The text, or null to delete the badge.
+ */
+Blockly.Block.prototype.setBadgeText = function(text) {
+  if (this.isInFlyout) {
+    text = null;
+  }
+  if (text === this.badgeText_) {
+    return;
+  }
+  this.badgeText_ = text;
+  if (this.rendered) {
+    this.render();
+  }
+};
+
 /**
  * Render the block.
  * Lays out and reflows a block based on its contents and settings.
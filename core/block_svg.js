@@ -44,6 +44,8 @@ Blockly.BlockSvg = function(block) {
       this.svgGroup_);
   this.svgPathLight_ = Blockly.createSvgElement('path',
       {'class': 'blocklyPathLight'}, this.svgGroup_);
+  // Text of the block's badge, created when it is first shown.
+  this.svgBadge_ = null;
   this.svgPath_.tooltip = this.block_;
   Blockly.Tooltip && Blockly.Tooltip.bindMouseEvents(this.svgPath_);
   this.updateMovable();
@@ -296,6 +298,7 @@ Blockly.BlockSvg.prototype.dispose = function() {
   this.svgPath_ = null;
   this.svgPathLight_ = null;
   this.svgPathDark_ = null;
+  this.svgBadge_ = null;
   // Break circular references.
   this.block_ = null;
 };
@@ -729,6 +732,32 @@ Blockly.BlockSvg.prototype.renderDraw_ = function(iconWidth, inputRows) {
     this.svgPathLight_.setAttribute('transform', 'scale(-1 1)');
     this.svgPathDark_.setAttribute('transform', 'translate(1,1) scale(-1 1)');
   }
+  this.renderBadge_(inputRows.rightEdge);
+};
+
+/**
+ * Show the block's badge, if it has one, to the right of its top row.
+ * @param {number} rightEdge X-coordinate of the block's right edge.
+ * @private
+ */
+Blockly.BlockSvg.prototype.renderBadge_ = function(rightEdge) {
+  var text = this.block_.getBadgeText();
+  if (text === null) {
+    if (this.svgBadge_) {
+      goog.dom.removeNode(this.svgBadge_);
+      this.svgBadge_ = null;
+    }
+    return;
+  }
+  if (!this.svgBadge_) {
+    // Level with the titles of a top row of the usual height.
+    this.svgBadge_ = Blockly.createSvgElement('text',
+        {'class': 'blocklyBadge', 'y': 17}, this.svgGroup_);
+  }
+  goog.dom.setTextContent(this.svgBadge_, text);
+  var x = rightEdge + Blockly.BlockSvg.SEP_SPACE_X;
+  this.svgBadge_.setAttribute('x', Blockly.RTL ? -x : x);
+  this.svgBadge_.setAttribute('text-anchor', Blockly.RTL ? 'end' : 'start');
 };
 
 /**
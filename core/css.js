@@ -184,6 +184,12 @@ Blockly.Css.CONTENT = [
   '  fill: #ccc;',
   '  text-anchor: middle;',
   '}',
+  '.blocklyBadge {',
+  '  cursor: default;',
+  '  font-family: sans-serif;',
+  '  font-size: 9pt;',
+  '  fill: #666;',
+  '}',
   '.blocklyWarningBody {',
   '}',
   '.blocklyMinimalBody {',
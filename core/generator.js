@@ -44,6 +44,35 @@ Blockly.Generator = function(name) {
  */
 Blockly.Generator.NAME_TYPE = 'generated_function';
 
+/**
+ * Characters that surround a block ID in generated code to mark the start
+ * and end of the code produced by that block.  They are only inserted while
+ * a source map is being recorded, and are removed before the code is
+ * returned.
+ * @private
+ */
+Blockly.Generator.MARK_START_ = '\u0001';
+Blockly.Generator.MARK_START_END_ = '\u0002';
+Blockly.Generator.MARK_END_ = '\u0003';
+Blockly.Generator.MARK_END_END_ = '\u0004';
+Blockly.Generator.MARK_REGEXP_ =
+    /\u0001([^\u0002]*)\u0002|\u0003([^\u0004]*)\u0004/g;
+
+/**
+ * Whether blockToCode should mark the code each block produces.
+ * @type {boolean}
+ * @private
+ */
+Blockly.Generator.prototype.recordSourceMap_ = false;
+
+/**
+ * Arbitrary code to inject before every statement.
+ * Any instances of '%1' will be replaced by the statement's block ID.
+ * E.g. 'highlight(%1)\n'
+ * @type {?string}
+ */
+Blockly.Generator.prototype.STATEMENT_PREFIX = null;
+
 /**
  * Generate code for all blocks in the workspace to the specified language.
  * @return {string} Generated code.
@@ -51,7 +80,7 @@ Blockly.Generator.NAME_TYPE = 'generated_function';
 Blockly.Generator.prototype.workspaceToCode = function() {
   var code = [];
   this.init();
-  var blocks = Blockly.mainWorkspace.getTopBlocks(true);
+  var blocks = this.getTopBlocks();
   for (var x = 0, block; block = blocks[x]; x++) {
     var line = this.blockToCode(block);
     if (line instanceof Array) {
@@ -77,9 +106,146 @@ Blockly.Generator.prototype.workspaceToCode = function() {
   return code;
 };
 
+/**
+ * Get the top blocks to generate code for.  Languages that generate some
+ * blocks separately may override this.
+ * @return {!Array.<!Blockly.Block>} Top blocks, ordered by position.
+ */
+Blockly.Generator.prototype.getTopBlocks = function() {
+  return Blockly.mainWorkspace.getTopBlocks(true);
+};
+
+/**
+ * Severity of a diagnostic about a block that will produce wrong code.
+ */
+Blockly.Generator.ERROR = 'error';
+
+/**
+ * Severity of a diagnostic about a block that may produce wrong code.
+ */
+Blockly.Generator.WARNING = 'warning';
+
+/**
+ * Diagnostics being reported by workspaceToCodeWithDiagnostics, or null if
+ * code is being generated without them.
+ * @type {Array.<!Object>}
+ * @private
+ */
+Blockly.Generator.prototype.diagnostics_ = null;
+
+/**
+ * Generate code for all blocks in the workspace, along with diagnostics
+ * about the blocks that are unlikely to produce correct code.  Unlike
+ * workspaceToCode, this generates no code for blocks that the language
+ * doesn't know rather than throwing an exception.
+ * @return {{code: string, diagnostics: !Array.<!Object>}} The generated
+ *     code and the diagnostics from getDiagnostics.
+ */
+Blockly.Generator.prototype.workspaceToCodeWithDiagnostics = function() {
+  var diagnostics = this.getDiagnostics();
+  this.diagnostics_ = diagnostics;
+  try {
+    var code = this.workspaceToCode();
+  } finally {
+    this.diagnostics_ = null;
+  }
+  return {code: code, diagnostics: diagnostics};
+};
+
+/**
+ * Generate code for all blocks in the workspace, along with a source map
+ * recording which part of the code each block produced, and diagnostics as
+ * from workspaceToCodeWithDiagnostics.  As there, blocks that the language
+ * doesn't know generate no code.
+ * @return {{code: string, sourceMap: !Blockly.Generator.SourceMap,
+ *     diagnostics: !Array.<!Object>}} The generated code (identical to that
+ *     from workspaceToCode if every block is known), its map and the
+ *     diagnostics from getDiagnostics.
+ */
+Blockly.Generator.prototype.workspaceToCodeWithSourceMap = function() {
+  this.recordSourceMap_ = true;
+  try {
+    var result = this.workspaceToCodeWithDiagnostics();
+  } finally {
+    this.recordSourceMap_ = false;
+  }
+  var code = result.code;
+  var sourceMap = new Blockly.Generator.SourceMap();
+  var output = [];
+  var open = [];
+  var line = 0;
+  var column = 0;
+  var advance = function(text) {
+    var lines = text.split('\n');
+    if (lines.length > 1) {
+      line += lines.length - 1;
+      column = 0;
+    }
+    column += lines[lines.length - 1].length;
+    output.push(text);
+  };
+  var regexp = Blockly.Generator.MARK_REGEXP_;
+  regexp.lastIndex = 0;
+  var last = 0;
+  var match;
+  while ((match = regexp.exec(code))) {
+    advance(code.substring(last, match.index));
+    last = regexp.lastIndex;
+    if (match[0].charAt(0) == Blockly.Generator.MARK_START_) {
+      open.push({id: match[1], startLine: line, startColumn: column});
+    } else {
+      // Close the matching mark, discarding any left unclosed inside it.
+      for (var x = open.length - 1; x >= 0; x--) {
+        if (open[x].id == match[2]) {
+          var range = open[x];
+          open.length = x;
+          sourceMap.addRange(range.id, range.startLine, range.startColumn,
+                             line, column);
+          break;
+        }
+      }
+    }
+  }
+  advance(code.substring(last));
+  return {code: output.join(''), sourceMap: sourceMap,
+          diagnostics: result.diagnostics};
+};
+
 // The following are some helpful functions which can be used by multiple
 // languages.
 
+/**
+ * If a source map is being recorded, mark the code as having been produced
+ * by the given block.  Trailing newlines are left outside the mark, so that
+ * a statement's range ends on its last line.
+ * @param {!Blockly.Block} block The block that produced the code.
+ * @param {string} code Generated code.
+ * @return {string} The code, possibly with marks added.
+ */
+Blockly.Generator.prototype.markSource = function(block, code) {
+  if (!this.recordSourceMap_ || !code) {
+    return code;
+  }
+  var trailing = /\n*$/.exec(code)[0];
+  return Blockly.Generator.MARK_START_ + block.id +
+      Blockly.Generator.MARK_START_END_ +
+      code.substring(0, code.length - trailing.length) +
+      Blockly.Generator.MARK_END_ + block.id +
+      Blockly.Generator.MARK_END_END_ + trailing;
+};
+
+/**
+ * Remove source map marks from generated code.  Generators that inspect the
+ * code of an input (for instance, to check whether it is a number) must
+ * inspect the stripped code so that their output does not depend on whether
+ * a source map is being recorded.
+ * @param {string} code Generated code, possibly with marks.
+ * @return {string} The code without marks.
+ */
+Blockly.Generator.prototype.stripSourceMarks = function(code) {
+  return code.replace(Blockly.Generator.MARK_REGEXP_, '');
+};
+
 /**
  * Prepend a common prefix onto each line of code.
  * @param {string} text The lines of code.
@@ -129,6 +295,11 @@ Blockly.Generator.prototype.blockToCode = function(block) {
   }
 
   var func = this[block.type];
+  if (!func && this.diagnostics_) {
+    // The block has been reported, so skip past it like a disabled block.
+    var nextBlock = block.nextConnection && block.nextConnection.targetBlock();
+    return this.blockToCode(nextBlock);
+  }
   if (!func) {
     throw 'Language "' + this.name_ + '" does not know how to generate code ' +
         'for block type "' + block.type + '".';
@@ -142,6 +313,10 @@ Blockly.Generator.prototype.blockToCode = function(block) {
     // Value blocks return tuples of code and operator order.
     return [this.scrub_(block, code[0]), code[1]];
   } else {
+    if (code && this.STATEMENT_PREFIX) {
+      code = this.STATEMENT_PREFIX.replace(/%1/g, '\'' + block.id + '\'') +
+          code;
+    }
     return this.scrub_(block, code);
   }
 };
@@ -251,3 +426,156 @@ Blockly.Generator.prototype.getBlockWithWarning = function() {
   }
   return null;
 };
+
+/**
+ * Find the problems with the blocks in the workspace that make it unlikely
+ * that the generated code is correct: empty value inputs (unless they are
+ * optional), values whose type doesn't fit their input, values that aren't
+ * plugged into anything, blocks the language can't generate code for,
+ * deprecated blocks (those with a 'deprecated' property explaining what
+ * replaces them), blocks with warnings, and the problems found by the
+ * language's diagnoseBlock.
+ * Disabled blocks are skipped.
+ * Each diagnostic is an object with these fields:
+ * <ul>
+ * <li>blockId {string} ID of the block with the problem.
+ * <li>inputName {?string} Name of the input with the problem, if any.
+ * <li>severity {string} Blockly.Generator.ERROR or Blockly.Generator.WARNING.
+ * <li>message {string} Description of the problem for the user.
+ * </ul>
+ * @return {!Array.<!Object>} Diagnostics, in the order of the blocks.
+ */
+Blockly.Generator.prototype.getDiagnostics = function() {
+  var diagnostics = [];
+  var report = function(block, inputName, severity, message) {
+    diagnostics.push({blockId: block.id, inputName: inputName,
+                      severity: severity, message: message});
+  };
+  var blocks = Blockly.mainWorkspace.getAllBlocks();
+  for (var i = 0, block; block = blocks[i]; i++) {
+    if (block.disabled) {
+      continue;
+    }
+    if (!this[block.type]) {
+      report(block, null, Blockly.Generator.ERROR,
+          'No ' + this.name_ + ' code can be generated for this block.');
+    }
+    if (block.outputConnection && !block.outputConnection.targetConnection) {
+      report(block, null, Blockly.Generator.WARNING,
+          'This block is not connected to other blocks, so its value is ' +
+          'not used.');
+    }
+    for (var j = 0, input; input = block.inputList[j]; j++) {
+      if (input.type != Blockly.INPUT_VALUE) {
+        continue;
+      }
+      var label = input.titleRow.map(function(title) {
+        return title.getText();
+      }).join(' ').trim() || input.name;
+      var target = input.connection.targetConnection;
+      if (!target) {
+        if (input.optional) {
+          continue;
+        }
+        report(block, input.name, Blockly.Generator.ERROR,
+            'The "' + label + '" input needs a block plugged into it.');
+      } else if (!input.connection.checkType_(target)) {
+        report(block, input.name, Blockly.Generator.ERROR,
+            'The block plugged into the "' + label + '" input gives the ' +
+            'wrong type of value.');
+      }
+    }
+    if (block.deprecated) {
+      report(block, null, Blockly.Generator.WARNING, block.deprecated);
+    }
+    if (block.warning && block.warning.getText() != block.deprecated) {
+      report(block, null, Blockly.Generator.WARNING,
+          block.warning.getText());
+    }
+    this.diagnoseBlock(block, report);
+  }
+  return diagnostics;
+};
+
+/**
+ * Report problems with a block that are particular to the language, in
+ * addition to those found by getDiagnostics.  Languages may override this.
+ * @param {!Blockly.Block} block The block, which is not disabled.
+ * @param {function(!Blockly.Block, ?string, string, string)} report
+ *     Function to report a problem with a block, given the block, the name
+ *     of the input with the problem (if any), the severity and the message.
+ */
+Blockly.Generator.prototype.diagnoseBlock = function(block, report) {};
+
+/**
+ * Class for a map from blocks to the ranges of generated code they produced.
+ * Lines and columns are 0-based, and each range's end is exclusive.
+ * @constructor
+ */
+Blockly.Generator.SourceMap = function() {
+  /**
+   * Ranges of code, keyed by block ID.
+   * @type {!Object.<string, !Array.<!Object>>}
+   * @private
+   */
+  this.ranges_ = {};
+};
+
+/**
+ * Record that a block produced a range of code.
+ * @param {string} id ID of the block.
+ * @param {number} startLine Line on which the range starts.
+ * @param {number} startColumn Column at which the range starts.
+ * @param {number} endLine Line on which the range ends.
+ * @param {number} endColumn Column just past the end of the range.
+ */
+Blockly.Generator.SourceMap.prototype.addRange = function(id, startLine,
+    startColumn, endLine, endColumn) {
+  if (!this.ranges_[id]) {
+    this.ranges_[id] = [];
+  }
+  this.ranges_[id].push({startLine: startLine, startColumn: startColumn,
+                         endLine: endLine, endColumn: endColumn});
+};
+
+/**
+ * Get the ranges of code produced by a block.  A block has more than one
+ * range if its generator used an input's code more than once.
+ * @param {string} id ID of the block.
+ * @return {!Array.<!Object>} Ranges, each with startLine, startColumn,
+ *     endLine and endColumn fields.  Empty if the block produced no code.
+ */
+Blockly.Generator.SourceMap.prototype.getRanges = function(id) {
+  return this.ranges_[id] || [];
+};
+
+/**
+ * Find the innermost block whose code contains a position.
+ * @param {number} line Line of the position.
+ * @param {number} column Column of the position.
+ * @return {?string} ID of the block, or null if no block's code contains
+ *     the position.
+ */
+Blockly.Generator.SourceMap.prototype.getBlockAt = function(line, column) {
+  var best = null;
+  var bestRange = null;
+  var before = function(line1, column1, line2, column2) {
+    return line1 < line2 || (line1 == line2 && column1 <= column2);
+  };
+  for (var id in this.ranges_) {
+    var ranges = this.ranges_[id];
+    for (var x = 0, range; range = ranges[x]; x++) {
+      if (before(range.startLine, range.startColumn, line, column) &&
+          !before(range.endLine, range.endColumn, line, column) &&
+          (!bestRange ||
+           before(bestRange.startLine, bestRange.startColumn,
+                  range.startLine, range.startColumn) &&
+           before(range.endLine, range.endColumn,
+                  bestRange.endLine, bestRange.endColumn))) {
+        best = id;
+        bestRange = range;
+      }
+    }
+  }
+  return best;
+};
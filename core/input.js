@@ -47,6 +47,7 @@ Blockly.Input = function(type, name, block, connection) {
   this.connection = connection;
   this.titleRow = [];
   this.align = Blockly.ALIGN_LEFT;
+  this.optional = false;
 
   this.visible_ = true;
 };
@@ -161,6 +162,17 @@ Blockly.Input.prototype.setAlign = function(align) {
   return this;
 };
 
+/**
+ * Change whether the input may be left empty, so that
+ * Blockly.Generator.prototype.getDiagnostics doesn't report it.
+ * @param {boolean} optional True if the block works without a value here.
+ * @return {!Blockly.Input} The input being modified (to allow chaining).
+ */
+Blockly.Input.prototype.setOptional = function(optional) {
+  this.optional = optional;
+  return this;
+};
+
 /**
  * Initialize the titles on this input.
  */
@@ -149,6 +149,14 @@ Blockly.Warning.prototype.setText = function(text) {
   }
 };
 
+/**
+ * Get this warning's text.
+ * @return {string} Warning text.
+ */
+Blockly.Warning.prototype.getText = function() {
+  return this.text_;
+};
+
 /**
  * Dispose of this warning.
  */
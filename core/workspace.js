@@ -53,6 +53,13 @@ Blockly.Workspace = function(getMetrics, setMetrics) {
   /** @type {number} */
   this.maxBlocks = Infinity;
 
+  /**
+   * Program-level settings saved along with the blocks, such as a title.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.properties_ = {};
+
   Blockly.ConnectionDB.init(this);
 };
 
@@ -230,13 +237,50 @@ Blockly.Workspace.prototype.getAllBlocks = function() {
 };
 
 /**
- * Dispose of all blocks in workspace.
+ * Dispose of all blocks in workspace and forget its program-level properties.
  */
 Blockly.Workspace.prototype.clear = function() {
   Blockly.hideChaff();
   while (this.topBlocks_.length) {
     this.topBlocks_[0].dispose();
   }
+  this.properties_ = {};
+};
+
+/**
+ * Get a program-level property of this workspace.
+ * @param {string} name Name of the property (e.g. 'title').
+ * @return {string} Value of the property, or '' if it has not been set.
+ */
+Blockly.Workspace.prototype.getProperty = function(name) {
+  return this.properties_.hasOwnProperty(name) ? this.properties_[name] : '';
+};
+
+/**
+ * Set a program-level property of this workspace.  Properties are saved in
+ * the workspace's XML.
+ * @param {string} name Name of the property (e.g. 'title').
+ * @param {?string} value New value of the property.  Setting a property to
+ *     '' or null removes it.
+ */
+Blockly.Workspace.prototype.setProperty = function(name, value) {
+  if (value) {
+    this.properties_[name] = String(value);
+  } else {
+    delete this.properties_[name];
+  }
+};
+
+/**
+ * Get the names of all program-level properties that have been set.
+ * @return {!Array.<string>} Property names.
+ */
+Blockly.Workspace.prototype.getPropertyNames = function() {
+  var names = [];
+  for (var name in this.properties_) {
+    names.push(name);
+  }
+  return names;
 };
 
 /**
@@ -37,6 +37,13 @@ goog.provide('Blockly.Xml');
 Blockly.Xml.workspaceToDom = function(workspace) {
   var width = Blockly.svgSize().width;
   var xml = goog.dom.createDom('xml');
+  var names = workspace.getPropertyNames();
+  for (var i = 0; i < names.length; i++) {
+    var element = goog.dom.createDom('property', null,
+        workspace.getProperty(names[i]));
+    element.setAttribute('name', names[i]);
+    xml.appendChild(element);
+  }
   var blocks = workspace.getTopBlocks(true);
   for (var i = 0, block; block = blocks[i]; i++) {
     var element = Blockly.Xml.blockToDom_(block);
@@ -218,6 +225,9 @@ Blockly.Xml.domToWorkspace = function(workspace, xml) {
       if (!isNaN(blockX) && !isNaN(blockY)) {
         block.moveBy(Blockly.RTL ? width - blockX : blockX, blockY);
       }
+    } else if (xmlChild.nodeName.toLowerCase() == 'property') {
+      workspace.setProperty(xmlChild.getAttribute('name'),
+                            xmlChild.textContent);
     }
   }
 };
@@ -31,10 +31,94 @@ goog.require('Blockly.Generator');
 Blockly.Lua = new Blockly.Generator('Lua');
 
 /**
- * Note: ComputerCraft uses Lua 5.1, so that's what we use
+ * Note: ComputerCraft uses Lua 5.1, so that's what we use by default
  * [http://www.computercraft.info/forums2/index.php?/topic/15305-lua-52/].
+ * Other dialects can be targeted through Blockly.Lua.DIALECT or the
+ * workspace's 'dialect' property.
  */
 
+/**
+ * Lua dialects that code can be generated for.  Each has these fields:
+ * <ul>
+ * <li>name {string} Name shown to the user.
+ * <li>bitLibrary {?string} Library for bitwise operations: 'bit' (the
+ *     ComputerCraft API), 'bit32' (Lua 5.2), or null to use Lua 5.3's
+ *     operators.
+ * <li>unpack {string} Function unpacking a table into multiple values, as
+ *     called by Blockly.Lua.unpack_.
+ * <li>hasGoto {boolean} Whether 'goto' and labels (Lua 5.2) are available,
+ *     which are used for 'continue'.
+ * <li>hasIntegerDivision {boolean} Whether the '//' operator (Lua 5.3) is
+ *     available.
+ * <li>hasMathCompat {boolean} Whether math.pow and math.log10, removed in
+ *     Lua 5.3, are available.
+ * <li>reservedWords {string} Comma-separated words reserved in this dialect
+ *     in addition to Blockly.Lua.RESERVED_WORDS_.
+ * </ul>
+ */
+Blockly.Lua.DIALECTS = {
+  COMPUTERCRAFT: {
+    name: 'ComputerCraft (Lua 5.1)',
+    bitLibrary: 'bit',
+    unpack: 'unpack',
+    hasGoto: false,
+    hasIntegerDivision: false,
+    hasMathCompat: true,
+    reservedWords: ''
+  },
+  CC_TWEAKED: {
+    name: 'CC: Tweaked (Lua 5.2)',
+    bitLibrary: 'bit32',
+    unpack: 'table.unpack',
+    hasGoto: true,
+    hasIntegerDivision: false,
+    hasMathCompat: true,
+    reservedWords: 'goto'
+  },
+  LUA_53: {
+    name: 'Lua 5.3',
+    bitLibrary: null,
+    unpack: 'table.unpack',
+    hasGoto: true,
+    hasIntegerDivision: true,
+    hasMathCompat: false,
+    reservedWords: 'goto,utf8'
+  }
+};
+
+/**
+ * Key in Blockly.Lua.DIALECTS of the dialect to generate code for, unless
+ * the workspace names one in its 'dialect' property.
+ * @type string
+ */
+Blockly.Lua.DIALECT = 'COMPUTERCRAFT';
+
+/**
+ * Get the dialect that code is being generated for.
+ * @return {!Object} An entry in Blockly.Lua.DIALECTS.
+ */
+Blockly.Lua.getDialect = function() {
+  var workspace = Blockly.mainWorkspace;
+  var key = workspace && workspace.getProperty('dialect');
+  return Blockly.Lua.DIALECTS[key] ||
+      Blockly.Lua.DIALECTS[Blockly.Lua.DIALECT];
+};
+
+/**
+ * Build a call unpacking a table into multiple values, using the function
+ * the dialect has for it.  Generated code should unpack tables with this
+ * rather than by naming 'unpack', which Lua 5.2 moved into the table library.
+ * @param {string} table Lua expression for the table.
+ * @param {string=} opt_start Lua expression for the index of the first value
+ *     to unpack, if not 1.
+ * @return {string} Lua function call.
+ * @private
+ */
+Blockly.Lua.unpack_ = function(table, opt_start) {
+  return Blockly.Lua.getDialect().unpack + '(' + table +
+      (opt_start ? ', ' + opt_start : '') + ')';
+};
+
 /**
  * List of illegal variable names.
  * This is not intended to be a security feature.  Blockly is 100% client-side,
@@ -93,6 +177,113 @@ Blockly.Lua.ORDER_NONE = 10;
  */
 Blockly.Lua.INFINITE_LOOP_TRAP = null;
 
+/**
+ * Arbitrary code to inject before every statement, for tracing which block
+ * is running.  Any instances of '%1' will be replaced by the statement's
+ * block ID.
+ * E.g. 'print(\'block_id_\' .. %1)\n'
+ * @type ?string
+ */
+Blockly.Lua.STATEMENT_PREFIX = null;
+
+/**
+ * If true, loops yield to ComputerCraft every Blockly.Lua.LOOP_YIELD_INTERVAL
+ * iterations, so that a busy loop isn't stopped for running "too long without
+ * yielding".  The workspace's 'loopYield' property ('true' or 'false')
+ * overrides this.
+ * @type boolean
+ */
+Blockly.Lua.LOOP_YIELD = false;
+
+/**
+ * Number of loop iterations between yields, if loops yield.
+ * @type number
+ */
+Blockly.Lua.LOOP_YIELD_INTERVAL = 100;
+
+/**
+ * Number of loop iterations, counted over all loops, after which the program
+ * stops with an error naming the loop's block, or 0 for no limit.  The
+ * workspace's 'stepBudget' property overrides this.
+ * @type number
+ */
+Blockly.Lua.STEP_BUDGET = 0;
+
+/**
+ * Get the protection against runaway loops that code is being generated
+ * with, from the workspace's properties or else Blockly.Lua.LOOP_YIELD and
+ * Blockly.Lua.STEP_BUDGET.
+ * @return {!Object} Object with a 'yields' field, true if loops yield, and a
+ *     'stepBudget' field, the limit on loop iterations or 0 for none.
+ */
+Blockly.Lua.getLoopProtection = function() {
+  var workspace = Blockly.mainWorkspace;
+  var yields = workspace ? workspace.getProperty('loopYield') : '';
+  var stepBudget = workspace ? workspace.getProperty('stepBudget') : '';
+  stepBudget = stepBudget ? parseInt(stepBudget, 10) : Blockly.Lua.STEP_BUDGET;
+  return {
+    yields: yields ? yields == 'true' : Blockly.Lua.LOOP_YIELD,
+    stepBudget: stepBudget > 0 ? stepBudget : 0
+  };
+};
+
+/**
+ * Build the code that starts each iteration of a loop: the
+ * Blockly.Lua.INFINITE_LOOP_TRAP, if any, and a call to a function that
+ * yields now and then and enforces the step budget, if the loop protection
+ * asks for either.
+ * @param {!Blockly.Block} block A loop block.
+ * @return {string} Lua code, indented for the loop body, or ''.
+ * @private
+ */
+Blockly.Lua.loopTrap_ = function(block) {
+  var code = '';
+  if (Blockly.Lua.INFINITE_LOOP_TRAP) {
+    code += Blockly.Lua.INFINITE_LOOP_TRAP.replace(/%1/g,
+        Blockly.Lua.quote_(block.id));
+  }
+  var protection = Blockly.Lua.getLoopProtection();
+  if (!protection.yields && !protection.stepBudget) {
+    return code;
+  }
+  // The function is declared before the block that hides its step count,
+  // so that it is local to the program.
+  var lines = ['local ' + Blockly.Lua.FUNCTION_NAME_PLACEHOLDER_,
+               'do',
+               '  local steps = 0',
+               '  function ' + Blockly.Lua.FUNCTION_NAME_PLACEHOLDER_ + '(id)',
+               '    steps = steps + 1'];
+  if (protection.stepBudget) {
+    lines.push(
+        '    if steps > ' + protection.stepBudget + ' then',
+        '      error(\'Stopped after ' + protection.stepBudget +
+            ' loop steps, in the loop of block \' .. id .. \'.\', 0)',
+        '    end');
+  }
+  if (protection.yields) {
+    // Waiting for an event of our own lets ComputerCraft run other computers
+    // without putting this one to sleep.
+    lines.push(
+        '    if steps % ' + Blockly.Lua.LOOP_YIELD_INTERVAL + ' == 0 then',
+        '      os.queueEvent(\'blockly_yield\')',
+        '      os.pullEvent(\'blockly_yield\')',
+        '    end');
+  }
+  lines.push('  end', 'end');
+  var functionName = Blockly.Lua.provideFunction_('loopStep', lines);
+  return code + '  ' + functionName + '(' + Blockly.Lua.quote_(block.id) +
+      ')\n';
+};
+
+/**
+ * If true, variables are assigned as globals.  Otherwise each variable is
+ * declared local to the procedure using it or, if it is shared, to the
+ * program, so that programs sharing a computer don't clobber each other's
+ * variables or the built-in APIs.
+ * @type boolean
+ */
+Blockly.Lua.GLOBAL_VARIABLES = false;
+
 /**
  * This is used as a placeholder in functions defined using
  * Blockly.Lua.provideFunction_.  It must not be legal code that could
@@ -117,39 +308,490 @@ Blockly.Lua.init = function() {
   // Create a dictionary mapping desired function names in definitions_
   // to actual function names (to avoid collisions with user functions).
   Blockly.Lua.functionNames_ = {};
+  // Create a list of the event handlers to put in the event loop.
+  Blockly.Lua.eventHandlers_ = [];
 
   if (Blockly.Variables) {
-    if (!Blockly.Lua.variableDB_) {
-      Blockly.Lua.variableDB_ =
-          new Blockly.Names(Blockly.Lua.RESERVED_WORDS_);
+    // Each dialect reserves different words.
+    var reservedWords = Blockly.Lua.RESERVED_WORDS_ +
+        Blockly.Lua.getDialect().reservedWords;
+    if (!Blockly.Lua.variableDB_ ||
+        Blockly.Lua.reservedWords_ != reservedWords) {
+      Blockly.Lua.variableDB_ = new Blockly.Names(reservedWords);
+      Blockly.Lua.reservedWords_ = reservedWords;
     } else {
       Blockly.Lua.variableDB_.reset();
     }
 
-    /*
-    var variables = Blockly.Variables.allVariables();
-    for (var x = 0; x < variables.length; x++) {
-      defvars[x] = Blockly.Lua.variableDB_.getName(variables[x],
-          Blockly.Variables.NAME_TYPE) + ' = nil';
+    if (Blockly.Lua.module_ !== null) {
+      // Give module and procedure names first, so that each file of the
+      // program spells them the same way.
+      var modules = Blockly.Lua.getModules();
+      for (var x = 0; x < modules.length; x++) {
+        Blockly.Lua.variableDB_.getName(modules[x], Blockly.Lua.MODULE_TYPE_);
+      }
+      var procedures = Blockly.Procedures.allProcedures();
+      procedures = procedures[0].concat(procedures[1]);
+      for (var x = 0; x < procedures.length; x++) {
+        Blockly.Lua.variableDB_.getName(procedures[x][0],
+            Blockly.Procedures.NAME_TYPE);
+      }
+    }
+    Blockly.Lua.findLocals_();
+  }
+};
+
+/**
+ * API module whose file is being generated by Blockly.Lua.workspaceToFiles:
+ * '' for the main program, or null if the whole program is being generated
+ * as one file.
+ * @type ?string
+ * @private
+ */
+Blockly.Lua.module_ = null;
+
+/**
+ * Type of names in the variable database that are API modules.
+ * @private
+ */
+Blockly.Lua.MODULE_TYPE_ = 'MODULE';
+
+/**
+ * Get the API module that a procedure definition belongs to.  A definition
+ * block may name its module in a 'module_' property; procedures without one
+ * are part of the main program.
+ * @param {Blockly.Block} block A procedure definition block.
+ * @return {string} Name of the module, or '' for the main program.
+ */
+Blockly.Lua.getModule = function(block) {
+  return (block && block.module_) || '';
+};
+
+/**
+ * Get the names of the API modules that the workspace's procedures belong
+ * to.
+ * @return {!Array.<string>} Module names, sorted.
+ */
+Blockly.Lua.getModules = function() {
+  var modules = [];
+  var blocks = Blockly.mainWorkspace.getTopBlocks(false);
+  for (var x = 0, block; block = blocks[x]; x++) {
+    var module = block.getProcedureDef && Blockly.Lua.getModule(block);
+    if (module && modules.indexOf(module) == -1) {
+      modules.push(module);
+    }
+  }
+  return modules.sort();
+};
+
+/**
+ * Get the top blocks that belong in the file being generated: the
+ * procedures of the API module whose file is being generated, or everything
+ * else for the main program.
+ * @return {!Array.<!Blockly.Block>} Top blocks, ordered by position.
+ */
+Blockly.Lua.getTopBlocks = function() {
+  var blocks = Blockly.Generator.prototype.getTopBlocks.call(this);
+  var module = Blockly.Lua.module_;
+  if (module === null) {
+    return blocks;
+  }
+  return blocks.filter(function(block) {
+    return (block.getProcedureDef ? Blockly.Lua.getModule(block) : '') ==
+        module;
+  });
+};
+
+/**
+ * Generate a program whose procedures are split into API modules as
+ * several files: the main program, which loads each module with os.loadAPI,
+ * and a file for each module, defining its procedures.  Calls to a
+ * procedure in another file become calls to the procedure in its module's
+ * API, such as 'mining.digTunnel()'.  Each file has its own variables, and
+ * the procedures of a module can't call those of the main program: such
+ * calls are reported by Blockly.Lua.diagnoseBlock.
+ * @param {string} mainName File name of the main program.
+ * @return {!Array.<{name: string, code: string}>} The file name and code of
+ *     each file, starting with the main program, then each module in order
+ *     of name.
+ */
+Blockly.Lua.workspaceToFiles = function(mainName) {
+  var modules = [''].concat(Blockly.Lua.getModules());
+  var files = [];
+  try {
+    for (var x = 0; x < modules.length; x++) {
+      Blockly.Lua.module_ = modules[x];
+      files.push({name: modules[x] || mainName,
+                  code: Blockly.Lua.workspaceToCode()});
     }
-    Blockly.Lua.definitions_['variables'] = defvars.join('\n');
-    */
+  } finally {
+    Blockly.Lua.module_ = null;
   }
+  return files;
+};
+
+/**
+ * Get the name to call a procedure by in the file being generated, which is
+ * qualified with its module's name if the procedure is in another file.
+ * @param {string} name Name of the procedure.
+ * @return {string} Lua expression for the procedure.
+ * @private
+ */
+Blockly.Lua.procedureCallee_ = function(name) {
+  var funcName = Blockly.Lua.variableDB_.getName(name,
+      Blockly.Procedures.NAME_TYPE);
+  if (Blockly.Lua.module_ === null) {
+    return funcName;
+  }
+  var module = Blockly.Lua.getModule(
+      Blockly.Procedures.getDefinition(name, Blockly.mainWorkspace));
+  if (!module || module == Blockly.Lua.module_) {
+    return funcName;
+  }
+  return Blockly.Lua.variableDB_.getName(module, Blockly.Lua.MODULE_TYPE_) +
+      '.' + funcName;
+};
+
+/**
+ * Report calls from a procedure in an API module to one in the main program,
+ * which the module can't see once Blockly.Lua.workspaceToFiles has split
+ * them into separate files.
+ * @param {!Blockly.Block} block The block.
+ * @param {function(!Blockly.Block, ?string, string, string)} report
+ *     Function to report a problem with the block.
+ */
+Blockly.Lua.diagnoseBlock = function(block, report) {
+  if (!block.getProcedureCall) {
+    return;
+  }
+  var caller = block.getRootBlock();
+  var module = caller.getProcedureDef && Blockly.Lua.getModule(caller);
+  var name = block.getProcedureCall();
+  var definition = Blockly.Procedures.getDefinition(name,
+      Blockly.mainWorkspace);
+  if (module && definition && !Blockly.Lua.getModule(definition)) {
+    report(block, null, Blockly.Generator.ERROR,
+        'This call is in API module "' + module + '", which can\'t call "' +
+        name + '" in the main program once the program is exported.  Move "' +
+        name + '" into an API module.');
+  }
+};
+
+/**
+ * Build the code that loads the program's API modules from the directory
+ * holding the program.
+ * @return {string} Lua code, or '' if there are no modules.
+ * @private
+ */
+Blockly.Lua.loadModules_ = function() {
+  return Blockly.Lua.getModules().map(function(module) {
+    return 'os.loadAPI(fs.combine(fs.getDir(shell.getRunningProgram()), ' +
+        Blockly.Lua.quote_(module) + '))\n';
+  }).join('');
+};
+
+/**
+ * Type of names in the variable database that hold the event being handled
+ * by the event loop.
+ * @private
+ */
+Blockly.Lua.EVENT_TYPE_ = 'EVENT';
+
+/**
+ * Placeholder for the name of the table holding the event being handled by
+ * the event loop: the event's name, followed by its parameters.  The name is
+ * only chosen once the code has been generated, so that the program's
+ * variables keep theirs.
+ */
+Blockly.Lua.EVENT_PLACEHOLDER_ = '{{{event}}}';
+Blockly.Lua.EVENT_PLACEHOLDER_REGEXP_ =
+    new RegExp(Blockly.Lua.EVENT_PLACEHOLDER_, 'g');
+
+/**
+ * Add an event handler to the loop that ends the program.  The loop waits
+ * for events and runs the handlers of each, in the order they were added.
+ * @param {string} event Name of the event.
+ * @param {string} code Lua code handling the event, indented one level (as
+ *     by statementToCode), which uses Blockly.Lua.EVENT_PLACEHOLDER_ for the
+ *     table holding the event.
+ */
+Blockly.Lua.addEventHandler = function(event, code) {
+  Blockly.Lua.eventHandlers_.push({event: event, code: code});
+};
+
+/**
+ * Build the loop that runs the event handlers.  If the 'terminate' event is
+ * handled, its handlers run before the program stops.
+ * @return {string} Lua code, or '' if there are no event handlers.
+ * @private
+ */
+Blockly.Lua.eventLoop_ = function() {
+  var handlers = Blockly.Lua.eventHandlers_;
+  if (!handlers || !handlers.length) {
+    return '';
+  }
+  var events = [];
+  var branches = {};
+  for (var x = 0; x < handlers.length; x++) {
+    var key = 'event_' + handlers[x].event;
+    if (!(key in branches)) {
+      events.push(handlers[x].event);
+      branches[key] = '';
+    }
+    branches[key] += handlers[x].code;
+  }
+  var variable = Blockly.Lua.variableDB_.getName('event',
+      Blockly.Lua.EVENT_TYPE_);
+  var pull = events.indexOf('terminate') == -1 ? 'os.pullEvent' :
+      'os.pullEventRaw';
+  var code = 'while true do\n' +
+      '  local ' + variable + ' = {' + pull + '()}\n';
+  for (var x = 0; x < events.length; x++) {
+    var branch = branches['event_' + events[x]];
+    if (events[x] == 'terminate') {
+      branch += '  break\n';
+    }
+    code += '  ' + (x ? 'elseif ' : 'if ') + variable + '[1] == ' +
+        Blockly.Lua.quote_(events[x]) + ' then\n' +
+        Blockly.Lua.prefixLines(branch, '  ');
+  }
+  code += '  end\nend\n';
+  return code.replace(Blockly.Lua.EVENT_PLACEHOLDER_REGEXP_, variable);
+};
+
+/**
+ * Decide where each variable is declared local.  A variable used by only one
+ * procedure (other than as a parameter) is local to that procedure; one used
+ * only by the main program, or by more than one part of the workspace, is
+ * local to the program.  The declaration goes on the variable's first
+ * assignment if that is a top-level statement that doesn't also read it
+ * ('local x = 0'); otherwise a 'local' statement at the top of the procedure
+ * or program declares it.
+ * The results are stored in Blockly.Lua.inlineLocals_, which maps the IDs of
+ * setter blocks to true, and Blockly.Lua.hoistedLocals_, which maps procedure
+ * block IDs (or '' for the program) to lists of variable names.
+ * @private
+ */
+Blockly.Lua.findLocals_ = function() {
+  Blockly.Lua.inlineLocals_ = {};
+  Blockly.Lua.hoistedLocals_ = {'': []};
+  if (Blockly.Lua.GLOBAL_VARIABLES || !Blockly.mainWorkspace) {
+    return;
+  }
+  // Map each lower-case variable name to its spelling, the scopes using it,
+  // and, for each scope, the ID of the setter declaring it (or null).
+  var variables = {};
+  var order = [];
+  var useVariables = function(scope, statement, found, setters) {
+    for (var key in found) {
+      if (!variables[key]) {
+        variables[key] = {name: found[key], scopes: {}};
+        order.push(key);
+      }
+      var scopes = variables[key].scopes;
+      if (!(scope in scopes)) {
+        scopes[scope] = setters && setters.indexOf(key) != -1 ?
+            statement.id : null;
+      }
+    }
+  };
+  var blocks = Blockly.Lua.getTopBlocks();
+  for (var x = 0, block; block = blocks[x]; x++) {
+    if (block.getProcedureDef) {
+      // Parameters are already local to the procedure.
+      var scope = block.id;
+      Blockly.Lua.hoistedLocals_[scope] = [];
+      var bound = {};
+      var args = block.getProcedureDef()[1];
+      for (var y = 0; y < args.length; y++) {
+        bound[args[y].toLowerCase()] = true;
+      }
+      var statement = block.getInputTargetBlock('STACK');
+      var returnBlock = block.getInputTargetBlock('RETURN');
+    } else {
+      var scope = '';
+      var bound = {};
+      var statement = block;
+      var returnBlock = null;
+    }
+    for (; statement; statement = statement.nextConnection &&
+         statement.nextConnection.targetBlock()) {
+      var found = {};
+      Blockly.Lua.blockVariables_(statement, bound, found);
+      var setters = null;
+      if (Blockly.Lua.SETTER_TYPES_.indexOf(statement.type) != -1) {
+        // A setter can declare the variables it sets, unless its value
+        // reads one of them.
+        var read = {};
+        Blockly.Lua.blockVariables_(statement.getInputTargetBlock('VALUE'),
+            bound, read);
+        setters = Blockly.Lua.variableTitles_(statement).map(function(name) {
+          return name.toLowerCase();
+        }).filter(function(key) {
+          return !(key in read) && !bound[key];
+        });
+      }
+      useVariables(scope, statement, found, setters);
+    }
+    if (returnBlock) {
+      var found = {};
+      Blockly.Lua.blockVariables_(returnBlock, bound, found);
+      useVariables(scope, returnBlock, found, null);
+    }
+  }
+  // A setter of several variables can only declare them if it is the first
+  // assignment of all of them.
+  var declares = {};
+  for (var x = 0; x < order.length; x++) {
+    var scopes = variables[order[x]].scopes;
+    for (var scope in scopes) {
+      if (scopes[scope]) {
+        declares[scopes[scope]] = (declares[scopes[scope]] || 0) + 1;
+      }
+    }
+  }
+  for (var x = 0; x < order.length; x++) {
+    var variable = variables[order[x]];
+    var scopes = Object.keys(variable.scopes);
+    if (scopes.length > 1) {
+      Blockly.Lua.hoistedLocals_[''].push(variable.name);
+      continue;
+    }
+    var id = variable.scopes[scopes[0]];
+    var setter = id && Blockly.mainWorkspace.getBlockById(id);
+    if (setter &&
+        declares[id] == Blockly.Lua.variableTitles_(setter).length) {
+      Blockly.Lua.inlineLocals_[id] = true;
+    } else {
+      Blockly.Lua.hoistedLocals_[scopes[0]].push(variable.name);
+    }
+  }
+};
+
+/**
+ * Types of blocks that assign to all of their variables.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.Lua.SETTER_TYPES_ =
+    ['variables_set', 'variables_set_two', 'variables_set_three'];
+
+/**
+ * Find the names of the variables named in a block's titles.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Array.<string>} Variable names.
+ * @private
+ */
+Blockly.Lua.variableTitles_ = function(block) {
+  var names = [];
+  for (var x = 0, input; input = block.inputList[x]; x++) {
+    for (var y = 0, title; title = input.titleRow[y]; y++) {
+      if (title instanceof Blockly.FieldVariable && title.getValue()) {
+        names.push(title.getValue());
+      }
+    }
+  }
+  return names;
+};
+
+/**
+ * Find the variables used by a block and the blocks nested in it, other than
+ * those bound by an enclosing 'for' loop (which Lua makes local to the loop).
+ * @param {Blockly.Block} block The block.
+ * @param {!Object} bound Lower-case names of variables that are already local.
+ * @param {!Object} found Map from lower-case names to the variables' names,
+ *     to which the variables found are added.
+ * @private
+ */
+Blockly.Lua.blockVariables_ = function(block, bound, found) {
+  if (!block) {
+    return;
+  }
+  var names = Blockly.Lua.variableTitles_(block);
+  var isLoop = block.type == 'controls_for' || block.type == 'controls_forEach';
+  if (isLoop) {
+    var loopBound = {};
+    for (var key in bound) {
+      loopBound[key] = true;
+    }
+    loopBound[names[0].toLowerCase()] = true;
+  } else {
+    for (var x = 0; x < names.length; x++) {
+      if (!bound[names[x].toLowerCase()]) {
+        found[names[x].toLowerCase()] = names[x];
+      }
+    }
+  }
+  for (var x = 0, input; input = block.inputList[x]; x++) {
+    var child = input.connection && input.connection.targetBlock();
+    var childBound = isLoop && input.type == Blockly.NEXT_STATEMENT ?
+        loopBound : bound;
+    for (; child; child = child.nextConnection &&
+         child.nextConnection.targetBlock()) {
+      Blockly.Lua.blockVariables_(child, childBound, found);
+    }
+  }
+};
+
+/**
+ * Build the 'local' statement declaring the variables hoisted to the top of
+ * a procedure or of the program.
+ * @param {string} scope ID of the procedure definition block, or '' for the
+ *     program.
+ * @return {string} Lua code, or '' if there is nothing to declare.
+ * @private
+ */
+Blockly.Lua.localDeclaration_ = function(scope) {
+  var names = Blockly.Lua.hoistedLocals_ && Blockly.Lua.hoistedLocals_[scope];
+  if (!names || !names.length) {
+    return '';
+  }
+  return 'local ' + names.map(function(name) {
+    return Blockly.Lua.variableDB_.getName(name, Blockly.Variables.NAME_TYPE);
+  }).join(', ') + '\n';
+};
+
+/**
+ * Get the keyword to put before a setter block's assignment.
+ * @param {!Blockly.Block} block A variable setter block.
+ * @return {string} 'local ' if the assignment declares its variables,
+ *     otherwise ''.
+ * @private
+ */
+Blockly.Lua.localPrefix_ = function(block) {
+  return Blockly.Lua.inlineLocals_ && Blockly.Lua.inlineLocals_[block.id] ?
+      'local ' : '';
 };
 
 Blockly.Lua.SENSOR_REGEXP_ = /\Wsensor\./;
 
 /**
- * Prepend the generated code with the function definitions.
+ * Prepend the generated code with the file header and function definitions.
  * @param {string} code Generated code.
  * @return {string} Completed code.
  */
 Blockly.Lua.finish = function(code) {
   var definitions = [];
+  if (Blockly.Lua.module_ === '') {
+    var loads = Blockly.Lua.loadModules_();
+    if (loads) {
+      definitions.push(loads);
+    }
+  }
+  // Variables shared with procedures must be declared before them.
+  var declaration = Blockly.Lua.localDeclaration_('');
+  if (declaration) {
+    definitions.push(declaration);
+  }
   for (var name in Blockly.Lua.definitions_) {
     definitions.push(Blockly.Lua.definitions_[name]);
   }
   var prefix = definitions.join('\n\n');
+  // Event handlers run after the rest of the program.
+  var loop = Blockly.Lua.eventLoop_();
+  if (loop) {
+    code = code ? code + '\n' + loop : loop;
+  }
 /*
   if (Blockly.Lua.SENSOR_REGEXP_.test(code) ||
       Blockly.Lua.SENSOR_REGEXP_.test(prefix)) {
@@ -169,7 +811,28 @@ Blockly.Lua.finish = function(code) {
         'end\n';
   }
 */
-  return prefix.replace(/\n\n+/g, '\n\n').replace(/\n*$/, '\n\n\n') + code;
+  // A module's file has only definitions, and the program's header is in
+  // the main program.
+  var header = Blockly.Lua.module_ ? '' : Blockly.Lua.fileHeader_();
+  return header +
+      prefix.replace(/\n\n+/g, '\n\n').replace(/\n*$/, '\n\n\n') + code;
+};
+
+/**
+ * Build a comment describing the program from the workspace's 'title' and
+ * 'description' properties.
+ * @return {string} Lua comment followed by a blank line, or '' if the
+ *     workspace has neither a title nor a description.
+ * @private
+ */
+Blockly.Lua.fileHeader_ = function() {
+  var workspace = Blockly.mainWorkspace;
+  var title = workspace ? workspace.getProperty('title') : '';
+  var description = workspace ? workspace.getProperty('description') : '';
+  var text = [title, description].filter(function(part) {
+    return part;
+  }).join('\n\n');
+  return text ? Blockly.Lua.comment_(text) + '\n' : '';
 };
 
 /**
@@ -183,23 +846,124 @@ Blockly.Lua.scrubNakedValue = function(line) {
 };
 
 /**
- * Encode a string as a properly escaped Lua string, complete with quotes.
+ * Stands in for line breaks in long strings until the code is complete, so
+ * that they aren't indented or stripped of trailing whitespace.  It must not
+ * appear in generated code otherwise, so it is a control character that
+ * Blockly.Lua.quote_ always escapes.
+ * @private
+ */
+Blockly.Lua.LONG_STRING_NEWLINE_ = '\u0005';
+Blockly.Lua.LONG_STRING_NEWLINE_REGEXP_ =
+    new RegExp(Blockly.Lua.LONG_STRING_NEWLINE_, 'g');
+
+/**
+ * Generate Lua for all blocks in the workspace.
+ * @return {string} Generated code.
+ */
+Blockly.Lua.workspaceToCode = function() {
+  var code = Blockly.Generator.prototype.workspaceToCode.call(this);
+  return code.replace(Blockly.Lua.LONG_STRING_NEWLINE_REGEXP_, '\n');
+};
+
+/**
+ * Escape sequences for the control characters that have them.
+ * @private
+ */
+Blockly.Lua.ESCAPES_ = {'\n': '\\n', '\r': '\\r', '\t': '\\t'};
+
+/**
+ * Encode a string as a Lua string literal, complete with quotes.
+ * The text is encoded as UTF-8.  Text with line breaks becomes a long string
+ * ('[[ ]]', '[==[ ]==]', ...) if it needs no escapes.  Otherwise it is quoted
+ * with ' (or " if it contains only single quotes), and bytes that
+ * ComputerCraft's Lua 5.1 can't take literally are written as '\ddd'.
  * @param {string} string Text to encode.
  * @return {string} Lua string.
  * @private
  */
 Blockly.Lua.quote_ = function(string) {
-  // TODO: This is a quick hack.  Replace with goog.string.quote
-  string = string.replace(/\\/g, '\\\\')
-                 .replace(/\n/g, '\\\n')
-                 .replace(/\%/g, '\\%')
-                 .replace(/'/g, '\\\'');
-  return '\'' + string + '\'';
+  var bytes = unescape(encodeURIComponent(string));
+  var needsEscape = /[\x00-\x08\x0B-\x1F\x7F-\xFF]/;
+  if (bytes.indexOf('\n') != -1 && !needsEscape.test(bytes)) {
+    // A closing bracket must not be formed with the last character either.
+    var equals = Blockly.Lua.longBracketEquals_(bytes + ']');
+    // Lua skips a line break straight after the opening bracket.
+    return '[' + equals + '[' + ('\n' + bytes).replace(/\n/g,
+        Blockly.Lua.LONG_STRING_NEWLINE_) + ']' + equals + ']';
+  }
+  var quote = bytes.indexOf('\'') != -1 && bytes.indexOf('"') == -1 ?
+      '"' : '\'';
+  bytes = bytes.replace(/[\\'"\x00-\x1F\x7F-\xFF]/g, function(c) {
+    if (c == '\\' || c == quote) {
+      return '\\' + c;
+    } else if (c == '\'' || c == '"') {
+      return c;
+    } else if (Blockly.Lua.ESCAPES_[c]) {
+      return Blockly.Lua.ESCAPES_[c];
+    }
+    // Always use three digits, in case a digit follows.
+    return '\\' + ('00' + c.charCodeAt(0)).slice(-3);
+  });
+  return quote + bytes + quote;
+};
+
+/**
+ * Find the level of the shortest long bracket ('[[', '[=[', '[==[', ...)
+ * whose closing bracket does not appear in the given text, so that the text
+ * can be placed in a long string or long comment.
+ * @param {string} text Text to be enclosed.
+ * @return {string} The '=' signs to put between the brackets.
+ * @private
+ */
+Blockly.Lua.longBracketEquals_ = function(text) {
+  var equals = '';
+  while (text.indexOf(']' + equals + ']') != -1) {
+    equals += '=';
+  }
+  return equals;
+};
+
+/**
+ * Encode text as a Lua comment.  A single line becomes a '--' line comment;
+ * multiple lines become a '--[[ ]]' long comment.
+ * @param {string} text Comment text.
+ * @return {string} Lua comment, ending with a newline.
+ * @private
+ */
+Blockly.Lua.comment_ = function(text) {
+  text = text.replace(/\r\n?/g, '\n');
+  if (text.indexOf('\n') == -1) {
+    return '-- ' + text + '\n';
+  }
+  var equals = Blockly.Lua.longBracketEquals_(text);
+  return '--[' + equals + '[\n' + text + '\n]' + equals + ']\n';
+};
+
+/**
+ * Encode the comment on a procedure definition as a documentation header,
+ * in the style understood by LuaDoc and LDoc: the first line starts with
+ * '---' and each parameter gets a '@param' tag.
+ * @param {!Blockly.Block} block A procedure definition block.
+ * @param {string} text Comment text.
+ * @return {string} Lua comment, ending with a newline.
+ * @private
+ */
+Blockly.Lua.procedureComment_ = function(block, text) {
+  var lines = text.replace(/\r\n?/g, '\n').split('\n');
+  var args = block.getProcedureDef()[1];
+  for (var x = 0; x < args.length; x++) {
+    lines.push('@param ' + Blockly.Lua.variableDB_.getName(args[x],
+        Blockly.Variables.NAME_TYPE));
+  }
+  return lines.map(function(line, x) {
+    return (x ? '-- ' : '--- ') + line;
+  }).join('\n') + '\n';
 };
 
 /**
  * Common tasks for generating Lua from blocks.
  * Handles comments for the specified block and any connected value blocks.
+ * Marks the block's code for the source map, if one is being recorded.
  * Calls any statements following this block.
  * @param {!Blockly.Block} block The current block.
  * @param {string} code The Lua code created for this block.
@@ -218,7 +982,11 @@ Blockly.Lua.scrub_ = function(block, code) {
     // Collect comment for this block.
     var comment = block.getCommentText();
     if (comment) {
-      commentCode += this.prefixLines(comment, '# ') + '\n';
+      if (block.getProcedureDef) {
+        commentCode += this.procedureComment_(block, comment);
+      } else {
+        commentCode += this.comment_(comment);
+      }
     }
     // Collect comments for all value arguments.
     // Don't collect comments for nested statements.
@@ -226,9 +994,12 @@ Blockly.Lua.scrub_ = function(block, code) {
       if (block.inputList[x].type == Blockly.INPUT_VALUE) {
         var childBlock = block.inputList[x].connection.targetBlock();
         if (childBlock) {
-          var comment = this.allNestedComments(childBlock);
-          if (comment) {
-            commentCode += this.prefixLines(comment, '# ');
+          var descendants = childBlock.getDescendants();
+          for (var y = 0; y < descendants.length; y++) {
+            comment = descendants[y].getCommentText();
+            if (comment) {
+              commentCode += this.comment_(comment);
+            }
           }
         }
       }
@@ -236,7 +1007,8 @@ Blockly.Lua.scrub_ = function(block, code) {
   }
   var nextBlock = block.nextConnection && block.nextConnection.targetBlock();
   var nextCode = this.blockToCode(nextBlock);
-  return commentCode + code + nextCode;
+  // Record the block's code, including its comments, in the source map.
+  return this.markSource(block, commentCode + code) + nextCode;
 };
 
 /**
@@ -151,7 +151,7 @@ Blockly.Lua['lists_getIndex'] = function(block) {
   // case for LAST, FROM_END, and RANDOM) and is non-trivial, make sure
   // to access it only once.
   if ((where == 'LAST' || where == 'FROM_END' || where == 'RANDOM') &&
-      !list.match(/^\w+$/)) {
+      !Blockly.Lua.stripSourceMarks(list).match(/^\w+$/)) {
     // List is an expression, so we may not evaluate it more than once.
     if (mode == 'REMOVE') {
       // We can use multiple statements.
@@ -219,7 +219,7 @@ Blockly.Lua['lists_setIndex'] = function(block) {
   // case for LAST, FROM_END, and RANDOM) and is non-trivial, make sure
   // to access it only once.
   if ((where == 'LAST' || where == 'FROM_END' || where == 'RANDOM') &&
-      !list.match(/^\w+$/)) {
+      !Blockly.Lua.stripSourceMarks(list).match(/^\w+$/)) {
     // List is an expression, so we may not evaluate it more than once.
     if (where == 'RANDOM' || where == 'LAST') {
       // In these cases, 'at' is implicit.  getIndex_() ignores its value.
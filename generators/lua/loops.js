@@ -28,10 +28,44 @@ goog.provide('Blockly.Lua.loops');
 goog.require('Blockly.Lua');
 
 
+/**
+ * Types of blocks that 'break' and 'continue' apply to.
+ * @private
+ */
+Blockly.Lua.LOOP_TYPES_ = ['controls_repeat', 'controls_repeat_ext',
+    'controls_forEach', 'controls_for', 'controls_whileUntil'];
+
+/**
+ * Generate the body of a loop, starting with any loop trap.  If it contains
+ * a 'continue' belonging to this loop, the body ends with the label that the
+ * 'continue' jumps to.
+ * @param {!Blockly.Block} block A loop block.
+ * @return {string} Lua code for the body, or '' if it is empty.
+ * @private
+ */
+Blockly.Lua.loopBody_ = function(block) {
+  var branch = Blockly.Lua.loopTrap_(block) +
+      Blockly.Lua.statementToCode(block, 'DO');
+  var descendants = block.getDescendants();
+  for (var x = 0; x < descendants.length; x++) {
+    if (descendants[x].type == 'controls_flow_statements' &&
+        descendants[x].getTitleValue('FLOW') == 'CONTINUE') {
+      var loop = descendants[x].getSurroundParent();
+      while (loop && Blockly.Lua.LOOP_TYPES_.indexOf(loop.type) == -1) {
+        loop = loop.getSurroundParent();
+      }
+      if (loop == block && Blockly.Lua.getDialect().hasGoto) {
+        return branch + '  ::continue::\n';
+      }
+    }
+  }
+  return branch;
+};
+
 Blockly.Lua['controls_repeat'] = function(block) {
   // Repeat n times (internal number).
   var repeats = parseInt(block.getTitleValue('TIMES'), 10);
-  var branch = Blockly.Lua.statementToCode(block, 'DO') || '';
+  var branch = Blockly.Lua.loopBody_(block) || '';
   var loopVar = Blockly.Lua.variableDB_.getDistinctName(
       'count', Blockly.Variables.NAME_TYPE);
   var code = 'for ' + loopVar + '= 1, ' + repeats + ' do\n' + branch + 'end';
@@ -42,12 +76,12 @@ Blockly.Lua['controls_repeat_ext'] = function(block) {
   // Repeat n times (external number).
   var repeats = Blockly.Lua.valueToCode(block, 'TIMES',
       Blockly.Lua.ORDER_NONE) || '0';
-  if (Blockly.isNumber(repeats)) {
-    repeats = parseInt(repeats, 10);
+  if (Blockly.isNumber(Blockly.Lua.stripSourceMarks(repeats))) {
+    repeats = parseInt(Blockly.Lua.stripSourceMarks(repeats), 10);
   } else {
     repeats = 'math.floor(' + repeats + ')';
   }
-  var branch = Blockly.Lua.statementToCode(block, 'DO') || '\n';
+  var branch = Blockly.Lua.loopBody_(block) || '\n';
   var loopVar = Blockly.Lua.variableDB_.getDistinctName(
       'count', Blockly.Variables.NAME_TYPE);
   var code = 'for ' + loopVar + ' = 1, ' + repeats + ' do\n' +
@@ -61,9 +95,9 @@ Blockly.Lua['controls_whileUntil'] = function(block) {
   var argument0 = Blockly.Lua.valueToCode(block, 'BOOL',
       until ? Blockly.Lua.ORDER_UNARY :
       Blockly.Lua.ORDER_NONE) || 'False';
-  var branch = Blockly.Lua.statementToCode(block, 'DO') || '\n';
+  var branch = Blockly.Lua.loopBody_(block) || '\n';
   if (block.getTitleValue('MODE') == 'UNTIL') {
-    if (!argument0.match(/^\w+$/)) {
+    if (!Blockly.Lua.stripSourceMarks(argument0).match(/^\w+$/)) {
       argument0 = '(' + argument0 + ')';
     }
     argument0 = 'not ' + argument0;
@@ -81,11 +115,13 @@ Blockly.Lua['controls_for'] = function(block) {
       Blockly.Lua.ORDER_NONE) || '0';
   var increment = Blockly.Lua.valueToCode(block, 'BY',
       Blockly.Lua.ORDER_NONE) || '1';
-  var branch = Blockly.Lua.statementToCode(block, 'DO') || '\n';
+  var branch = Blockly.Lua.loopBody_(block) || '\n';
 
   var code = 'for ' + variable0 + ' = ' + argument0 + ', ' + argument1;
   // Increment amount may be omitted if 1.
-  if (!Blockly.isNumber(increment) || Math.abs(parseFloat(increment)) != 1) {
+  var incrementNumber = Blockly.Lua.stripSourceMarks(increment);
+  if (!Blockly.isNumber(incrementNumber) ||
+      parseFloat(incrementNumber) != 1) {
     code += ', ' + increment;
   }
   code += ' do\n' + branch + 'end\n';
@@ -98,13 +134,25 @@ Blockly.Lua['controls_forEach'] = function(block) {
       block.getTitleValue('VAR'), Blockly.Variables.NAME_TYPE);
   var argument0 = Blockly.Lua.valueToCode(block, 'LIST',
       Blockly.Lua.ORDER_RELATIONAL) || '[]';
-  var branch = Blockly.Lua.statementToCode(block, 'DO') || '\n';
+  var branch = Blockly.Lua.loopBody_(block) || '\n';
   var code = 'for _, ' + variable0 + ' in ipairs(' + argument0 + ') do \n' +
       branch + 'end\n';
   return code;
 };
 
 Blockly.Lua['controls_flow_statements'] = function(block) {
-  // break; we eliminated "continue"
-  return 'break\n';
+  // Flow statements: continue, break.
+  switch (block.getTitleValue('FLOW')) {
+    case 'BREAK':
+      return 'break\n';
+    case 'CONTINUE':
+      // Lua has no 'continue', but from Lua 5.2 it can jump to a label at the
+      // end of the loop body.
+      if (Blockly.Lua.getDialect().hasGoto) {
+        return 'goto continue\n';
+      }
+      return 'error(\'Continuing with the next iteration needs Lua 5.2 or ' +
+          'later.\')\n';
+  }
+  throw 'Unknown flow statement.';
 };
@@ -84,13 +84,23 @@ Blockly.Lua['math_single'] = function(block) {
       code = 'math.log(' + arg + ')';
       break;
     case 'LOG10':
-      code = 'math.log10(' + arg + ')';
+      if (Blockly.Lua.getDialect().hasMathCompat) {
+        code = 'math.log10(' + arg + ')';
+      } else {
+        code = 'math.log(' + arg + ', 10)';
+      }
       break;
     case 'EXP':
       code = 'math.exp(' + arg + ')';
       break;
     case 'POW10':
-      code = 'math.pow(10,' + arg + ')';
+      if (Blockly.Lua.getDialect().hasMathCompat) {
+        code = 'math.pow(10,' + arg + ')';
+      } else {
+        var exponent = Blockly.Lua.valueToCode(block, 'NUM',
+            Blockly.Lua.ORDER_EXPONENTIATION) || '0';
+        return ['10 ^ ' + exponent, Blockly.Lua.ORDER_EXPONENTIATION];
+      }
       break;
     case 'ROUND':
       // This rounds up.  Blockly does not specify rounding direction.
@@ -197,7 +207,7 @@ Blockly.Lua['math_number_property'] = function(block) {
           Blockly.Lua.ORDER_MULTIPLICATIVE);
       // If 'divisor' is some code that evals to 0, Lua will produce a nan.
       // Let's produce nil if we can determine this at compile-time.
-      if (!divisor || divisor == '0') {
+      if (!divisor || Blockly.Lua.stripSourceMarks(divisor) == '0') {
         return ['nil', Blockly.Lua.ORDER_ATOMIC];
       }
       // The normal trick to implement ?: with and/or doesn't work here:
@@ -294,6 +304,9 @@ Blockly.Lua['math_on_list'] = function(block) {
       break;
 
     case 'MEDIAN':
+      // Lua 5.3 can keep the indices integers.
+      var half = Blockly.Lua.getDialect().hasIntegerDivision ?
+          '#temp // 2' : '#temp/2';
       var functionName = Blockly.Lua.provideFunction_(
           'math_median',
           // This operation excludes non-numbers.
@@ -307,7 +320,7 @@ Blockly.Lua['math_on_list'] = function(block) {
            '  end',
            '  table.sort( temp )',
            '  if math.fmod(#temp,2) == 0 then',
-           '    return ( temp[#temp/2] + temp[(#temp/2)+1] ) / 2',
+           '    return ( temp[' + half + '] + temp[(' + half + ')+1] ) / 2',
            '  else',
            '    return temp[math.ceil(#temp/2)]',
            '  end',
@@ -33,6 +33,11 @@ Blockly.Lua['procedures_defreturn'] = function(block) {
   var funcName = Blockly.Lua.variableDB_.getName(block.getTitleValue('NAME'),
       Blockly.Procedures.NAME_TYPE);
   var branch = Blockly.Lua.statementToCode(block, 'STACK');
+  // Declare the procedure's own variables.
+  var declaration = Blockly.Lua.localDeclaration_(block.id);
+  if (declaration) {
+    branch = Blockly.Lua.prefixLines(declaration, '  ') + branch;
+  }
   if (Blockly.Lua.INFINITE_LOOP_TRAP) {
     branch = Blockly.Lua.INFINITE_LOOP_TRAP.replace(/%1/g,
         '"' + block.id + '"') + branch;
@@ -63,8 +68,7 @@ Blockly.Lua['procedures_defnoreturn'] =
 
 Blockly.Lua['procedures_callreturn'] = function(block) {
   // Call a procedure with a return value.
-  var funcName = Blockly.Lua.variableDB_.getName(block.getTitleValue('NAME'),
-      Blockly.Procedures.NAME_TYPE);
+  var funcName = Blockly.Lua.procedureCallee_(block.getTitleValue('NAME'));
   var args = [];
   for (var x = 0; x < block.arguments_.length; x++) {
     args[x] = Blockly.Lua.valueToCode(block, 'ARG' + x,
@@ -76,8 +80,7 @@ Blockly.Lua['procedures_callreturn'] = function(block) {
 
 Blockly.Lua['procedures_callnoreturn'] = function(block) {
   // Call a procedure with no return value.
-  var funcName = Blockly.Lua.variableDB_.getName(block.getTitleValue('NAME'),
-      Blockly.Procedures.NAME_TYPE);
+  var funcName = Blockly.Lua.procedureCallee_(block.getTitleValue('NAME'));
   var args = [];
   for (var x = 0; x < block.arguments_.length; x++) {
     args[x] = Blockly.Lua.valueToCode(block, 'ARG' + x,
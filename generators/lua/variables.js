@@ -45,7 +45,7 @@ Blockly.Lua['variables_set'] = function(block) {
       Blockly.Lua.ORDER_NONE) || '0';
   var varName = Blockly.Lua.variableDB_.getName(block.getTitleValue('VAR'),
       Blockly.Variables.NAME_TYPE);
-  return varName + ' = ' + argument0 + '\n';
+  return Blockly.Lua.localPrefix_(block) + varName + ' = ' + argument0 + '\n';
 };
 
 Blockly.Lua['variables_set_two'] = function(block) {
@@ -59,7 +59,8 @@ Blockly.Lua['variables_set_two'] = function(block) {
       Blockly.Variables.NAME_TYPE);
   var varName2 = Blockly.Lua.variableDB_.getName(block.getTitleValue('VAR2'),
       Blockly.Variables.NAME_TYPE);
-  return varName1 + ', ' + varName2 + ' = ' + value + '\n';
+  return Blockly.Lua.localPrefix_(block) + varName1 + ', ' + varName2 +
+      ' = ' + value + '\n';
 };
 
 Blockly.Lua['variables_set_three'] = function(block) {
@@ -75,5 +76,6 @@ Blockly.Lua['variables_set_three'] = function(block) {
       Blockly.Variables.NAME_TYPE);
   var varName3 = Blockly.Lua.variableDB_.getName(block.getTitleValue('VAR3'),
       Blockly.Variables.NAME_TYPE);
-  return varName1 + ', ' + varName2 + ', ' + varName3 + ' = ' + value + '\n';
+  return Blockly.Lua.localPrefix_(block) + varName1 + ', ' + varName2 +
+      ', ' + varName3 + ' = ' + value + '\n';
 };
@@ -185,6 +185,10 @@ Blockly.Msg.CONTROLS_FLOW_STATEMENTS_TOOLTIP_BREAK = 'Break out of the containin
 Blockly.Msg.CONTROLS_FLOW_STATEMENTS_TOOLTIP_CONTINUE = 'Skip the rest of this loop, and continue with the next iteration.';
 ///warning - The user has tried placing a block outside of a loop (for each, while, repeat, etc.), but this type of block may only be used within a loop.  See [https://code.google.com/p/blockly/wiki/Loops#Loop_Termination_Blocks https://code.google.com/p/blockly/wiki/Loops#Loop_Termination_Blocks].
 Blockly.Msg.CONTROLS_FLOW_STATEMENTS_WARNING = 'Warning: This block may only be used within a loop.';
+///warning - The user has chosen to continue with the next iteration of a loop, but the version of the language chosen cannot do that.
+Blockly.Msg.CONTROLS_FLOW_STATEMENTS_WARNING_CONTINUE = 'Warning: Continuing with the next iteration needs Lua 5.2 or later.\nChoose another Lua version, or rearrange the loop.';
+///warning - The user has placed this block inside a block whose contents run on their own, such as in a separate function, so it cannot jump out of the loop around that block.
+Blockly.Msg.CONTROLS_FLOW_STATEMENTS_WARNING_ISOLATED = 'Warning: This block cannot jump out of the block it is in.';
 
 // Logic Blocks.
 ///url - Describes conditional statements (if-then-else) in computer programs.  Consider using your language's translation of [http://en.wikipedia.org/wiki/If_else http://en.wikipedia.org/wiki/If_else], if present.
@@ -829,3 +833,5 @@ Blockly.Msg.PROCEDURES_CREATE_DO = 'Create "%1"';
 Blockly.Msg.PROCEDURES_IFRETURN_TOOLTIP = 'If a value is true, then return a second value.';
 /// warning - This appears if the user tries to use [http://blockly-share.appspot.com/static/apps/code/readonly.html?lang=en&xml=%3Cblock%20type%3D%22procedures_ifreturn%22%20inline%3D%22true%22%20x%3D%2278%22%20y%3D%22119%22%3E%3Cmutation%20value%3D%221%22%3E%3C%2Fmutation%3E%3Cvalue%20name%3D%22CONDITION%22%3E%3Cblock%20type%3D%22logic_compare%22%20inline%3D%22true%22%3E%3Ctitle%20name%3D%22OP%22%3ELT%3C%2Ftitle%3E%3Cvalue%20name%3D%22A%22%3E%3Cblock%20type%3D%22variables_get%22%3E%3Ctitle%20name%3D%22VAR%22%3Ex%3C%2Ftitle%3E%3C%2Fblock%3E%3C%2Fvalue%3E%3Cvalue%20name%3D%22B%22%3E%3Cblock%20type%3D%22math_number%22%3E%3Ctitle%20name%3D%22NUM%22%3E0%3C%2Ftitle%3E%3C%2Fblock%3E%3C%2Fvalue%3E%3C%2Fblock%3E%3C%2Fvalue%3E%3Cvalue%20name%3D%22VALUE%22%3E%3Cblock%20type%3D%22math_number%22%3E%3Ctitle%20name%3D%22NUM%22%3E0%3C%2Ftitle%3E%3C%2Fblock%3E%3C%2Fvalue%3E%3C%2Fblock%3E this block] outside of a function definition.
 Blockly.Msg.PROCEDURES_IFRETURN_WARNING = 'Warning: This block may be used only within a function definition.';
+/// warning - The user has placed this block inside a block whose contents run on their own, such as in a separate function, so it cannot return from the function around that block.
+Blockly.Msg.PROCEDURES_IFRETURN_WARNING_ISOLATED = 'Warning: This block cannot return from inside the block it is in.';
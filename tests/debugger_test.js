@@ -0,0 +1,132 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Blocks of a program with a procedure: 'bump' sets its own variable 'y'
+ * and prints it, and the program sets 'x', calls 'bump' and prints 'x'.
+ * @private
+ */
+var DEBUGGER_XML_ =
+    '<block type="procedures_defnoreturn">' +
+    '  <mutation></mutation>' +
+    '  <title name="NAME">bump</title>' +
+    '  <statement name="STACK">' + setXml_('y', 5, printXml_('y')) +
+    '  </statement>' +
+    '</block>' +
+    setXml_('x', 3,
+        '<block type="procedures_callnoreturn">' +
+        '  <mutation name="bump"></mutation>' +
+        '  <next>' + printXml_('x') + '</next>' +
+        '</block>');
+
+/**
+ * Generate the program in DEBUGGER_XML_ for the debugger, and start it on a
+ * computer.
+ * @param {string} mode How the debugger starts: 'run' or 'into'.
+ * @param {Array.<string>=} opt_breakpoints Types of blocks with breakpoints.
+ * @return {{computer: !Blockly.ComputerCraft.Computer,
+ *     debug: !Blockly.ComputerCraft.Debugger, pauses: !Array.<string>,
+ *     output: function(): string}} The computer, the debugger, the types of
+ *     the blocks the program has paused at, and a function getting what the
+ *     program has printed so far.
+ */
+function startDebugging_(mode, opt_breakpoints) {
+  Blockly.Lua.STATEMENT_PREFIX =
+      Blockly.ComputerCraft.Debugger.STEP_FUNCTION + '(%1); ';
+  var code = luaFromXml_(DEBUGGER_XML_);
+  Blockly.Lua.STATEMENT_PREFIX = null;
+  var output = '';
+  var computer = new Blockly.ComputerCraft.Computer({
+    onOutput: function(text) {
+      output += text;
+    }
+  });
+  var debug = new Blockly.ComputerCraft.Debugger();
+  Blockly.mainWorkspace.getAllBlocks().forEach(function(block) {
+    if ((opt_breakpoints || []).indexOf(block.type) != -1) {
+      debug.toggleBreakpoint(String(block.id));
+    }
+  });
+  var pauses = [];
+  debug.onPause = function(blockId) {
+    pauses.push(Blockly.mainWorkspace.getBlockById(blockId).type);
+  };
+  debug.install(computer, mode);
+  computer.start(code, 'program');
+  computer.runToCompletion();
+  return {computer: computer, debug: debug, pauses: pauses,
+          output: function() {
+            return output;
+          }};
+}
+
+function test_debuggerStepping() {
+  var result = startDebugging_('into');
+  var debug = result.debug;
+  var computer = result.computer;
+  assertEquals('Paused at the start.', 'paused', computer.state);
+  assertTrue('Debugger paused.', debug.isPaused());
+  assertUndefined('x not set yet.', debug.getVariables(['x'])['x']);
+  debug.resume('into');
+  computer.runToCompletion();
+  assertEquals('x set.', 3, debug.getVariables(['x'])['x']);
+  debug.resume('over');
+  computer.runToCompletion();
+  assertEquals('Stepped over the call.', '5\n', result.output());
+  debug.resume('into');
+  computer.runToCompletion();
+  assertEquals('Finished.', 'done', computer.state);
+  assertEquals('Output.', '5\n3\n', result.output());
+  assertEquals('Pauses.', 'variables_set,procedures_callnoreturn,' +
+               'text_print', result.pauses.join(','));
+  assertNull('Not paused.', debug.blockId);
+}
+
+function test_debuggerBreakpoints() {
+  var result = startDebugging_('run', ['procedures_callnoreturn']);
+  var debug = result.debug;
+  var computer = result.computer;
+  assertEquals('At the call.', 'procedures_callnoreturn',
+               result.pauses.join(','));
+  debug.resume('into');
+  computer.runToCompletion();
+  debug.resume('into');
+  computer.runToCompletion();
+  assertEquals('Stepped into the procedure.',
+               'procedures_callnoreturn,variables_set,text_print',
+               result.pauses.join(','));
+  var values = debug.getVariables(['x', 'y', 'print']);
+  assertEquals('Local of the program.', 3, values['x']);
+  assertEquals('Local of the procedure.', 5, values['y']);
+  assertTrue('Global.', values['print'] !== undefined);
+  debug.pause();
+  debug.resume('over');
+  computer.runToCompletion();
+  assertEquals('Back in the program.', 'text_print',
+               result.pauses[result.pauses.length - 1]);
+  assertUndefined('Procedure finished.', debug.getVariables(['y'])['y']);
+  var call = Blockly.mainWorkspace.getAllBlocks().filter(function(block) {
+    return block.type == 'procedures_callnoreturn';
+  })[0];
+  assertFalse('Breakpoint removed.', debug.toggleBreakpoint(String(call.id)));
+  debug.resume();
+  computer.runToCompletion();
+  assertEquals('Output.', '5\n3\n', result.output());
+}
@@ -0,0 +1,360 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Run a program on a computer with files.
+ * @param {string} source Lua source code.
+ * @param {Blockly.ComputerCraft.FileSystem=} opt_fileSystem The files, if
+ *     not a new file system.
+ * @return {{output: string, fileSystem: !Blockly.ComputerCraft.FileSystem,
+ *     computer: !Blockly.ComputerCraft.Computer}} What the program printed,
+ *     and the files and computer afterwards.
+ */
+function runFiles_(source, opt_fileSystem) {
+  var output = '';
+  var fileSystem = opt_fileSystem || new Blockly.ComputerCraft.FileSystem();
+  var computer = new Blockly.ComputerCraft.Computer({
+    onOutput: function(text) {
+      output += text;
+    }
+  });
+  fileSystem.install(computer);
+  computer.start(source, 'test');
+  computer.runToCompletion(600000);
+  return {output: output, fileSystem: fileSystem, computer: computer};
+}
+
+function test_paths() {
+  var sanitize = Blockly.ComputerCraft.FileSystem.sanitize;
+  assertEquals('Slashes.', 'a/b', sanitize('/a//b/'));
+  assertEquals('Dots.', 'b/c', sanitize('a/../b/./c'));
+  assertEquals('Above the top.', '../x', sanitize('a/../../x'));
+  assertEquals('Backslashes and special characters.', 'a/b',
+               sanitize('a\\b?*'));
+  assertEquals('Path functions.', 'a/c c root a',
+      runFiles_('print(fs.combine("a/b", "../c"), " ", fs.getName("a/c"), ' +
+                '" ", fs.getName("/"), " ", fs.getDir("a/c"))').output
+          .replace(/\n$/, ''));
+}
+
+function test_readAndWrite() {
+  var result = runFiles_(
+      'local file = fs.open("notes/todo", "w")\n' +
+      'file.writeLine("one")\n' +
+      'file.write("two")\n' +
+      'file.close()\n' +
+      'file = fs.open("notes/todo", "a")\n' +
+      'file.writeLine()\n' +
+      'file.close()\n' +
+      'file = fs.open("notes/todo", "r")\n' +
+      'print(file.readLine(), ",", file.readAll(), ",", ' +
+      'tostring(file.readLine()))\n' +
+      'file.close()\n' +
+      'print(pcall(file.readLine))\n' +
+      'file = fs.open("bytes", "wb")\n' +
+      'file.write(65) file.write(256 + 66) file.close()\n' +
+      'file = fs.open("bytes", "rb")\n' +
+      'print(file.read(), file.read(), tostring(file.read()))\n' +
+      'print(tostring(fs.open("missing", "r")), ' +
+      'tostring(fs.open("notes", "w")))');
+  assertEquals('Output.', 'one,two,nil\n' +
+      'falsetest:11: Stream closed\n' +
+      '6566nil\n' +
+      'nilnil\n', result.output);
+  assertEquals('Contents.', 'one\ntwo\n',
+               result.fileSystem.readFile('notes/todo'));
+}
+
+function test_directories() {
+  var result = runFiles_(
+      'fs.makeDir("a/b")\n' +
+      'local file = fs.open("a/b/c", "w") file.close()\n' +
+      'print(fs.isDir("a"), fs.isDir("a/b/c"), ' +
+      'fs.exists("a/b/c"), fs.exists("../x"))\n' +
+      'print(table.concat(fs.list(""), ","), " ", ' +
+      'table.concat(fs.list("rom"), ","))\n' +
+      'fs.copy("a", "d")\n' +
+      'fs.move("a/b", "e")\n' +
+      'fs.delete("d/b/c")\n' +
+      'print(fs.exists("a/b"), fs.exists("e/c"), fs.isDir("d/b"), ' +
+      'fs.exists("d/b/c"))');
+  assertEquals('Output.', 'truefalsetruefalse\n' +
+      'a,rom help,programs\n' +
+      'falsetruetruefalse\n', result.output);
+}
+
+function test_fileErrors() {
+  var result = runFiles_(
+      'local function try(fn, ...) print(select(2, pcall(fn, ...))) end\n' +
+      'local file = fs.open("f", "w") file.close()\n' +
+      'try(fs.list, "f")\n' +
+      'try(fs.getSize, "g")\n' +
+      'try(fs.makeDir, "f")\n' +
+      'try(fs.makeDir, "rom/x")\n' +
+      'try(fs.delete, "rom")\n' +
+      'try(fs.copy, "g", "h")\n' +
+      'try(fs.copy, "f", "rom")\n' +
+      'try(fs.move, "f", "rom/f")\n' +
+      'fs.makeDir("d")\n' +
+      'try(fs.move, "d", "d/e")\n' +
+      'try(fs.list, "..")\n' +
+      'print(fs.isReadOnly("rom/help"), fs.isReadOnly("f"), ' +
+      'tostring(fs.open("rom/f", "w")))');
+  assertEquals('Messages.',
+      'test:1: Not a directory\n' +
+      'test:1: No such file\n' +
+      'test:1: File exists\n' +
+      'test:1: Access denied\n' +
+      'test:1: Access denied\n' +
+      'test:1: No such file\n' +
+      'test:1: Access denied\n' +
+      'test:1: Access denied\n' +
+      'test:1: Can\'t move a directory inside itself\n' +
+      'test:1: Invalid Path\n' +
+      'truefalsenil\n', result.output);
+}
+
+function test_space() {
+  var fileSystem = new Blockly.ComputerCraft.FileSystem(2000);
+  var result = runFiles_(
+      'print(fs.getFreeSpace(""), " ", fs.getFreeSpace("rom"))\n' +
+      'local file = fs.open("small", "w") file.write("x") file.close()\n' +
+      'print(fs.getFreeSpace(""))\n' +
+      'file = fs.open("big", "w")\n' +
+      'file.write(string.rep("x", 1600))\n' +
+      'print(pcall(file.close))\n' +
+      'fs.makeDir("a")\n' +
+      'print(fs.getFreeSpace(""), pcall(fs.makeDir, "b/c"))',
+      fileSystem);
+  assertEquals('Output.', '2000 0\n' +
+      '1500\n' +
+      'falsetest:6: Out of space\n' +
+      '500falsetest:8: Out of space\n', result.output);
+}
+
+function test_disks() {
+  var fileSystem = new Blockly.ComputerCraft.FileSystem();
+  fileSystem.insertDisk('left', fileSystem.createDisk('Backup'));
+  fileSystem.insertDisk('right', {audioTitle: 'C418 - cat'});
+  var result = runFiles_(
+      'print(disk.isPresent("left"), disk.hasData("left"), ' +
+      'disk.getMountPath("left"), disk.getLabel("left"), ' +
+      'disk.getID("left"))\n' +
+      'print(disk.hasData("right"), disk.hasAudio("right"), ' +
+      'disk.getAudioTitle("right"), disk.isPresent("top"))\n' +
+      'local file = fs.open("disk/saved", "w") file.close()\n' +
+      'print(fs.getDrive("disk/saved"), fs.getDrive(""), ' +
+      'fs.getDrive("rom"), fs.getFreeSpace("disk"))\n' +
+      'disk.setLabel("left", "Old")\n' +
+      'disk.eject("left")\n' +
+      'local event, side = os.pullEvent()\n' +
+      'print(event, side, fs.exists("disk"), disk.isPresent("left"))',
+      fileSystem);
+  assertEquals('Output.', 'truetruediskBackup0\n' +
+      'falsetrueC418 - catfalse\n' +
+      'lefthddrom124500\n' +
+      'disk_ejectleftfalsefalse\n', result.output);
+  var disk = fileSystem.createDisk();
+  disk.mount.files['startup'] = '';
+  result.computer.start('os.pullEvent("disk")', 'test');
+  fileSystem.insertDisk('top', disk);
+  result.computer.runToCompletion();
+  assertEquals('Insert event.', 'done', result.computer.state);
+  assertTrue('Mounted.', fileSystem.exists('disk/startup'));
+}
+
+function test_loadApi() {
+  var fileSystem = new Blockly.ComputerCraft.FileSystem();
+  fileSystem.writeFile('apis/greet',
+      'local greeting = "Hello, "\n' +
+      'function hello(name) return greeting .. name end');
+  fileSystem.writeFile('broken', 'x = = 1');
+  fileSystem.writeFile('run', 'return ...');
+  var result = runFiles_(
+      'print(os.loadAPI("apis/greet"), greet.hello("Sam"), ' +
+      'tostring(greet.greeting))\n' +
+      'os.unloadAPI("greet")\n' +
+      'print(tostring(greet), os.loadAPI("broken"))\n' +
+      'print(select(2, loadfile("missing")))\n' +
+      'print(loadfile("run")(4, 5))',
+      fileSystem);
+  assertEquals('Output.', 'trueHello, Samnil\n' +
+      'broken:1: unexpected symbol near \'=\'\n' +
+      'nilfalse\n' +
+      'File not found\n' +
+      '45\n', result.output);
+}
+
+function test_saving() {
+  var fileSystem = new Blockly.ComputerCraft.FileSystem();
+  fileSystem.writeFile('a/b', 'text');
+  fileSystem.makeDir('c');
+  var disk = fileSystem.createDisk('Mine');
+  fileSystem.insertDisk('back', disk);
+  fileSystem.writeFile('disk/d', 'on disk');
+  var copy = new Blockly.ComputerCraft.FileSystem();
+  copy.loadJson(JSON.parse(JSON.stringify(fileSystem.toJson())));
+  assertEquals('Paths.', 'a,a/b,c,disk,disk/d,rom,rom/help,rom/help/intro,' +
+               'rom/programs,rom/programs/hello',
+               copy.getAllPaths().join(','));
+  assertEquals('File.', 'text', copy.readFile('a/b'));
+  assertEquals('Disk.', 'Mine on disk', copy.drives['back'].disk.label +
+               ' ' + copy.readFile('disk/d'));
+  assertEquals('Next disk ID.', 1, copy.createDisk().id);
+}
+
+function test_loadImage() {
+  var computer = new Blockly.ComputerCraft.Computer();
+  var terminal = new Blockly.ComputerCraft.Terminal();
+  var fileSystem = new Blockly.ComputerCraft.FileSystem();
+  terminal.install(computer);
+  fileSystem.install(computer);
+  fileSystem.writeFile('image', 'e e\n b');
+  computer.start('local image = paintutils.loadImage("image")\n' +
+                 'paintutils.drawImage(image, 1, 1)\n' +
+                 'print(paintutils.loadImage("missing"))', 'test');
+  computer.runToCompletion();
+  assertEquals('Row 1.', 'efe', terminal.getBackgroundColours(1).substr(0, 3));
+  assertEquals('Row 2.', 'fb', terminal.getBackgroundColours(2).substr(0, 2));
+}
+
+function test_fileHandleBlocks() {
+  var text = function(value) {
+    return '<block type="text"><title name="TEXT">' + value +
+        '</title></block>';
+  };
+  var handle = function(name) {
+    return '<value name="HANDLE"><block type="variables_get">' +
+        '<title name="VAR">' + name + '</title></block></value>';
+  };
+  var code = luaFromXml_(
+      '<block type="fs_with_file">' +
+      '<title name="MODE">w</title>' +
+      '<title name="VAR">handle</title>' +
+      '<value name="PATH">' + text('log') + '</value>' +
+      '<statement name="DO">' +
+      '<block type="fs_handle_write_line">' + handle('handle') +
+      '<value name="VALUE">' + text('one') + '</value>' +
+      '</block></statement>' +
+      '<next><block type="variables_set">' +
+      '<title name="VAR">reader</title>' +
+      '<value name="VALUE"><block type="fs_open">' +
+      '<title name="MODE">r</title>' +
+      '<value name="PATH">' + text('log') + '</value>' +
+      '</block></value>' +
+      '<next><block type="text_print">' +
+      '<value name="TEXT"><block type="fs_handle_read_all">' +
+      handle('reader') + '</block></value>' +
+      '<next><block type="fs_handle_close">' + handle('reader') +
+      '<next><block type="fs_with_file">' +
+      '<title name="MODE">a</title>' +
+      '<title name="VAR">handle</title>' +
+      '<value name="PATH">' + text('log') + '</value>' +
+      '<statement name="DO">' +
+      '<block type="fs_handle_write">' + handle('handle') +
+      '<value name="VALUE">' + text('two') + '</value>' +
+      '<next><block type="text_print">' +
+      '<value name="TEXT"><block type="fs_handle_read_line">' +
+      handle('handle') + '</block></value>' +
+      '</block></next>' +
+      '</block></statement>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block>');
+  assertEquals('Generated code.',
+      'handle = fs.open(\'log\', \'w\')\n' +
+      'if handle then\n' +
+      '  local ok, message = pcall(function()\n' +
+      '    handle.writeLine(\'one\')\n' +
+      '  end)\n' +
+      '  handle.close()\n' +
+      '  if not ok then\n' +
+      '    error(message, 0)\n' +
+      '  end\n' +
+      'end\n' +
+      'local reader = fs.open(\'log\', \'r\')\n' +
+      'print(reader.readAll())\n' +
+      'reader.close()\n',
+      code.substring(code.indexOf('handle = '),
+                     code.lastIndexOf('handle = ')));
+  var result = runFiles_(code);
+  assertEquals('Output.', 'one\n' +
+      'test:21: attempt to call field \'readLine\' (a nil value)\n',
+      result.output);
+  assertEquals('Closed after an error.', 'one\ntwo',
+               result.fileSystem.readFile('log'));
+  assertEquals('Error.', 'error', result.computer.state);
+}
+
+function test_fileHandleTypes() {
+  var open = new Blockly.Block(Blockly.mainWorkspace, 'fs_open');
+  var read = new Blockly.Block(Blockly.mainWorkspace, 'fs_handle_read');
+  var sum = new Blockly.Block(Blockly.mainWorkspace, 'math_arithmetic');
+  var handleInput = read.getInput('HANDLE').connection;
+  var numberInput = sum.getInput('A').connection;
+  assertTrue('Handle to handle input.',
+             open.outputConnection.checkType_(handleInput));
+  assertFalse('Handle to number input.',
+              open.outputConnection.checkType_(numberInput));
+  assertTrue('Byte to number input.',
+             read.outputConnection.checkType_(numberInput));
+  assertFalse('Number to handle input.',
+              sum.outputConnection.checkType_(handleInput));
+}
+
+function test_fileHandleBlockFlow() {
+  var xml = Blockly.Xml.textToDom('<xml>' +
+      '<block type="procedures_defreturn">' +
+      '<title name="NAME">first</title>' +
+      '<statement name="STACK"><block type="controls_whileUntil">' +
+      '<statement name="DO"><block type="fs_with_file">' +
+      '<title name="MODE">r</title>' +
+      '<title name="VAR">handle</title>' +
+      '<statement name="DO"><block type="procedures_ifreturn">' +
+      '<mutation value="1"></mutation>' +
+      '<next><block type="controls_flow_statements">' +
+      '<title name="FLOW">BREAK</title>' +
+      '</block></next>' +
+      '</block></statement>' +
+      '</block></statement>' +
+      '<next><block type="controls_flow_statements">' +
+      '<title name="FLOW">BREAK</title>' +
+      '</block></next>' +
+      '</block></statement>' +
+      '</block>' +
+      '</xml>');
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
+  var warnings = Blockly.mainWorkspace.getAllBlocks().filter(function(block) {
+    return block.onchange;
+  }).map(function(block) {
+    block.onchange();
+    return block.type + ': ' + (block.warning && block.warning.getText());
+  });
+  assertEquals(
+      'controls_flow_statements: ' +
+      Blockly.Msg.CONTROLS_FLOW_STATEMENTS_WARNING + '\n' +
+      'procedures_ifreturn: ' +
+      Blockly.Msg.PROCEDURES_IFRETURN_WARNING_ISOLATED + '\n' +
+      'controls_flow_statements: ' +
+      Blockly.Msg.CONTROLS_FLOW_STATEMENTS_WARNING_ISOLATED,
+      warnings.join('\n'));
+}
@@ -0,0 +1,100 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function test_fixturePasses() {
+  var fixture = new Blockly.ComputerCraft.Fixture({
+    turtle: {fuel: 10, inventory: [{name: 'coal', count: 2}]},
+    blocks: [{x: 0, y: 64, z: -2, name: 'stone'}],
+    files: {'data/plan': '2', 'empty': null},
+    events: [['key', 28]],
+    expect: {
+      turtle: {x: 0, z: -1, fuel: 9,
+               inventory: [{name: 'coal', count: 2}]},
+      files: {'log': 'blocked\n', 'data/plan': null},
+      screen: 'key 28\nDone'
+    }
+  });
+  var result = fixture.run(
+      'local file = fs.open("data/plan", "r")\n' +
+      'local steps = tonumber(file.readAll())\n' +
+      'file.close()\n' +
+      'fs.delete("data/plan")\n' +
+      'file = fs.open("log", "w")\n' +
+      'for i = 1, steps do\n' +
+      '  if not turtle.forward() then file.writeLine("blocked") end\n' +
+      'end\n' +
+      'file.close()\n' +
+      'local event, key = os.pullEvent("key")\n' +
+      'print(event, " ", key)\n' +
+      'write("Done")');
+  assertEquals('Failures.', '', result.failures.join('\n'));
+  assertTrue('Passed.', result.passed);
+  assertEquals('State.', 'done', result.state);
+  assertEquals('Files.', '{"log":"blocked\\n"}', JSON.stringify(result.files));
+  assertEquals('Selected slot.', 1, result.turtle.selected);
+  assertEquals('Tests.', null, result.tests);
+}
+
+function test_fixtureFailures() {
+  var fixture = new Blockly.ComputerCraft.Fixture({
+    expect: {turtle: {x: 1}, files: {'out': 'yes'}, screen: 'Hello'}
+  });
+  var result = fixture.run('print("Hi")\nerror("Oops")');
+  assertFalse('Passed.', result.passed);
+  assertEquals('Error.', 'program:2: Oops', result.error);
+  assertEquals('Failures.', 'State: expected "done", got "error"\n' +
+      'Turtle: the fixture has no turtle\n' +
+      'File out: expected "yes", got null\n' +
+      'Screen: expected "Hello", got "Hi\\nprogram:2: Oops"',
+      result.failures.join('\n'));
+  result = new Blockly.ComputerCraft.Fixture({
+    maxTime: 1000,
+    expect: {state: 'waiting'}
+  }).run('sleep(5)');
+  assertTrue('Stopped waiting.', result.passed);
+  assertEquals('Time.', 0, result.time);
+}
+
+function test_fixtureTestResults() {
+  var xml = '<block type="unittest_main">' +
+      '<statement name="DO">' +
+      '<block type="unittest_assertequals">' +
+      '<title name="MESSAGE">sum</title>' +
+      '<value name="ACTUAL"><block type="math_number">' +
+      '<title name="NUM">4</title></block></value>' +
+      '<value name="EXPECTED"><block type="math_number">' +
+      '<title name="NUM">4</title></block></value>' +
+      '<next><block type="unittest_assertequals">' +
+      '<title name="MESSAGE">product</title>' +
+      '<value name="ACTUAL"><block type="math_number">' +
+      '<title name="NUM">4</title></block></value>' +
+      '<value name="EXPECTED"><block type="math_number">' +
+      '<title name="NUM">5</title></block></value>' +
+      '</block></next>' +
+      '</block></statement></block>';
+  var result = new Blockly.ComputerCraft.Fixture().run(luaFromXml_(xml));
+  assertEquals('Tests.', '[{"title":"sum","success":true,"log":"OK"},' +
+      '{"title":"product","success":false,' +
+      '"log":"Expected: 5\\nActual: 4"}]',
+      JSON.stringify(result.tests));
+  assertEquals('Failures.', 'Test product: Expected: 5\nActual: 4',
+               result.failures.join('\n'));
+  assertEquals('Report.', '.F', result.screen.split('\n')[0]);
+}
@@ -0,0 +1,207 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * XML for a turtle_move block used as a statement.
+ * @param {string=} opt_next XML for the blocks after it.
+ * @return {string} The XML.
+ */
+function moveXml_(opt_next) {
+  return '<block type="turtle_move">' +
+      '<mutation is_statement="true"></mutation>' +
+      '<title name="DIRECTIONS">forward</title>' +
+      (opt_next ? '<next>' + opt_next + '</next>' : '') +
+      '</block>';
+}
+
+/**
+ * Estimate the fuel used by blocks.
+ * @param {string} xmlText XML for the blocks, without the xml element.
+ * @return {!Blockly.ComputerCraft.FuelEstimate} The estimate.
+ */
+function estimateFuel_(xmlText) {
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace,
+      Blockly.Xml.textToDom('<xml>' + xmlText + '</xml>'));
+  return new Blockly.ComputerCraft.FuelEstimate(Blockly.mainWorkspace);
+}
+
+/**
+ * Describe the estimates of the loops of a type, in the order they are on
+ * the workspace.
+ * @param {!Blockly.ComputerCraft.FuelEstimate} estimate The estimate.
+ * @param {string} type Type of the loop blocks.
+ * @return {string} The estimates, as badges show them.
+ */
+function loopFuel_(estimate, type) {
+  return Blockly.mainWorkspace.getAllBlocks().filter(function(block) {
+    return block.type == type;
+  }).map(function(block) {
+    var loop = estimate.getLoop(block.id);
+    return loop ? Blockly.ComputerCraft.formatFuel(loop) : 'none';
+  }).join(', ');
+}
+
+function test_fuelRepeat() {
+  var estimate = estimateFuel_(moveXml_(
+      '<block type="controls_repeat">' +
+      '<title name="TIMES">3</title>' +
+      '<statement name="DO">' + moveXml_(
+          '<block type="controls_if">' +
+          '<value name="IF0"><block type="logic_boolean">' +
+          '<title name="BOOL">TRUE</title></block></value>' +
+          '<statement name="DO0">' + moveXml_() + '</statement>' +
+          '</block>') +
+      '</statement></block>'));
+  assertEquals('Loop.', '3-6', loopFuel_(estimate, 'controls_repeat'));
+  assertEquals('Total.', '4-7',
+               Blockly.ComputerCraft.formatFuel(estimate.total));
+}
+
+function test_fuelBounds() {
+  var number = function(value) {
+    return '<block type="math_number"><title name="NUM">' + value +
+        '</title></block>';
+  };
+  var estimate = estimateFuel_(
+      '<block type="controls_for">' +
+      '<title name="VAR">i</title>' +
+      '<value name="FROM">' + number(1) + '</value>' +
+      '<value name="TO">' + number(10) + '</value>' +
+      '<value name="BY">' + number(2) + '</value>' +
+      '<statement name="DO">' + moveXml_() + '</statement>' +
+      '<next><block type="controls_repeat_ext">' +
+      '<value name="TIMES"><block type="variables_get">' +
+      '<title name="VAR">i</title></block></value>' +
+      '<statement name="DO">' + moveXml_(
+          '<block type="controls_flow_statements">' +
+          '<title name="FLOW">BREAK</title></block>') +
+      '</statement>' +
+      '<next><block type="controls_whileUntil">' +
+      '<title name="MODE">WHILE</title>' +
+      '<statement name="DO"><block type="text_print"></block></statement>' +
+      '<next><block type="controls_repeat_ext">' +
+      '<value name="TIMES">' + number(2.5) + '</value>' +
+      '<statement name="DO">' + moveXml_() + '</statement>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block>');
+  assertEquals('For loop.', '5', loopFuel_(estimate, 'controls_for'));
+  assertEquals('Repeat loops.', '0+, 2',
+               loopFuel_(estimate, 'controls_repeat_ext'));
+  assertEquals('While loop without moves.', '0',
+               loopFuel_(estimate, 'controls_whileUntil'));
+  assertEquals('Total.', '7+',
+               Blockly.ComputerCraft.formatFuel(estimate.total));
+}
+
+function test_fuelProcedures() {
+  var estimate = estimateFuel_(
+      '<block type="controls_repeat">' +
+      '<title name="TIMES">4</title>' +
+      '<statement name="DO">' +
+      '<block type="procedures_callnoreturn">' +
+      '<mutation name="side"></mutation></block>' +
+      '</statement></block>' +
+      '<block type="procedures_defnoreturn">' +
+      '<title name="NAME">side</title>' +
+      '<statement name="STACK">' +
+      '<block type="controls_repeat">' +
+      '<title name="TIMES">5</title>' +
+      '<statement name="DO">' + moveXml_() + '</statement>' +
+      '</block></statement></block>' +
+      '<block type="procedures_defnoreturn">' +
+      '<title name="NAME">spiral</title>' +
+      '<statement name="STACK">' + moveXml_(
+          '<block type="procedures_callnoreturn">' +
+          '<mutation name="spiral"></mutation></block>') +
+      '</statement></block>');
+  assertEquals('Loops.', '20, 5', loopFuel_(estimate, 'controls_repeat'));
+  assertEquals('Total.', '20',
+               Blockly.ComputerCraft.formatFuel(estimate.total));
+  Blockly.mainWorkspace.clear();
+  estimate = estimateFuel_(
+      '<block type="procedures_callnoreturn">' +
+      '<mutation name="spiral"></mutation></block>' +
+      '<block type="procedures_defnoreturn">' +
+      '<title name="NAME">spiral</title>' +
+      '<statement name="STACK">' + moveXml_(
+          '<block type="procedures_callnoreturn">' +
+          '<mutation name="spiral"></mutation></block>') +
+      '</statement></block>');
+  assertEquals('Recursion.', '1+',
+               Blockly.ComputerCraft.formatFuel(estimate.total));
+}
+
+function test_fuelGps() {
+  var estimate = estimateFuel_(
+      '<block type="turtle_face">' +
+      '<mutation is_statement="true"></mutation>' +
+      '<title name="DIRECTION">east</title>' +
+      '</block>');
+  assertEquals('Face.', '0-2',
+               Blockly.ComputerCraft.formatFuel(estimate.total));
+  Blockly.mainWorkspace.clear();
+  estimate = estimateFuel_(moveXml_(
+      '<block type="turtle_go_to">' +
+      '<mutation is_statement="true"></mutation>' +
+      '</block>'));
+  assertEquals('Go to.', '1+',
+               Blockly.ComputerCraft.formatFuel(estimate.total));
+}
+
+function test_fuelParallel() {
+  var estimate = estimateFuel_(
+      '<block type="parallel_wait_for_all">' +
+      '<mutation var_arg_count="2"></mutation>' +
+      '<statement name="ARG1">' + moveXml_(moveXml_()) + '</statement>' +
+      '<statement name="ARG2">' + moveXml_() + '</statement>' +
+      '<next><block type="parallel_wait_for_any">' +
+      '<mutation var_arg_count="2"></mutation>' +
+      '<statement name="ARG1">' + moveXml_(moveXml_()) + '</statement>' +
+      '<statement name="ARG2">' + moveXml_() + '</statement>' +
+      '</block></next>' +
+      '</block>');
+  assertEquals('Total.', '4-6',
+               Blockly.ComputerCraft.formatFuel(estimate.total));
+}
+
+function test_fuelEventHandler() {
+  var estimate = estimateFuel_(moveXml_() +
+      '<block type="events_key">' +
+      '<statement name="DO">' + moveXml_() + '</statement>' +
+      '</block>');
+  assertEquals('Total.', '1+',
+               Blockly.ComputerCraft.formatFuel(estimate.total));
+}
+
+function test_blockBadge() {
+  var block = new Blockly.Block(Blockly.mainWorkspace, 'controls_repeat');
+  block.initSvg();
+  block.render();
+  assertEquals('No badge.', null, block.getBadgeText());
+  block.setBadgeText('fuel 3');
+  assertEquals('Badge.', 'fuel 3', block.getBadgeText());
+  var badges = block.getSvgRoot().getElementsByClassName('blocklyBadge');
+  assertEquals('Badge shown.', 'fuel 3', badges[0].textContent);
+  block.setBadgeText(null);
+  assertEquals('Badge removed.', 0, block.getSvgRoot()
+      .getElementsByClassName('blocklyBadge').length);
+}
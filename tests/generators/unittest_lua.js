@@ -63,6 +63,12 @@ Blockly.Lua['unittest_main'] = function(block) {
   var reportVar = Blockly.Lua.variableDB_.getDistinctName(
       'report', Blockly.Variables.NAME_TYPE);
   code += reportVar + ' = ' + functionName + '()\n';
+  // Hand the results to the test runner, if there is one
+  // (see apps/code/fixture.js).
+  var hook = Blockly.Lua.unittest_main.RESULTS_FUNCTION;
+  code += 'if ' + hook + ' then\n' +
+      '  ' + hook + '(' + resultsVar + ')\n' +
+      'end\n';
   // Destroy results.
   code += resultsVar + ' = nil\n';
   // Print the report.
@@ -70,6 +76,12 @@ Blockly.Lua['unittest_main'] = function(block) {
   return code;
 };
 
+/**
+ * Name of the global function a test runner defines to be given the table
+ * of results, as Blockly.ComputerCraft.TEST_RESULTS_FUNCTION.
+ */
+Blockly.Lua.unittest_main.RESULTS_FUNCTION = 'unittestReportResults';
+
 
 
 Blockly.Lua.unittest_main.defineAssert_ = function(block) {
@@ -0,0 +1,825 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function setUp() {
+  if (!Blockly.mainWorkspace) {
+    Blockly.inject(document.getElementById('blocklyDiv'), {path: '../'});
+  }
+  Blockly.mainWorkspace.clear();
+  Blockly.Lua.GLOBAL_VARIABLES = false;
+  Blockly.Lua.DIALECT = 'COMPUTERCRAFT';
+  Blockly.Lua.LOOP_YIELD = false;
+  Blockly.Lua.STEP_BUDGET = 0;
+  Blockly.Lua.INFINITE_LOOP_TRAP = null;
+  Blockly.Lua.STATEMENT_PREFIX = null;
+}
+
+/**
+ * Load blocks into the workspace and generate Lua from them.
+ * @param {string} xmlText Blocks, without the enclosing <xml> tag.
+ * @return {string} Generated Lua.
+ */
+function luaFromXml_(xmlText) {
+  var xml = Blockly.Xml.textToDom('<xml>' + xmlText + '</xml>');
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
+  return Blockly.Lua.workspaceToCode();
+}
+
+/**
+ * Parse generated Lua, failing the test if it is not valid Lua 5.1.
+ * @param {string} code Generated Lua.
+ * @return {!Object} Syntax tree, including comments.
+ */
+function parseLua_(code) {
+  try {
+    return LuaParser.parse(code, {comments: true});
+  } catch (e) {
+    fail(e.message + '\n' + code);
+  }
+}
+
+function test_luaComment() {
+  assertEquals('One line.', '-- Hello\n', Blockly.Lua.comment_('Hello'));
+  assertEquals('Two lines.', '--[[\nHello\nWorld\n]]\n',
+               Blockly.Lua.comment_('Hello\nWorld'));
+  assertEquals('Carriage returns.', '--[[\nHello\nWorld\n]]\n',
+               Blockly.Lua.comment_('Hello\r\nWorld'));
+  assertEquals('Closing bracket.', '--[=[\na[1][2]]\nb\n]=]\n',
+               Blockly.Lua.comment_('a[1][2]]\nb'));
+  assertEquals('Closing brackets.', '--[==[\n]]\n]=]\n]==]\n',
+               Blockly.Lua.comment_(']]\n]=]'));
+}
+
+function test_statementComments() {
+  var code = luaFromXml_(
+      '<block type="text_print">' +
+      '  <comment>Say hi.\n# Not a length.</comment>' +
+      '  <value name="TEXT">' +
+      '    <block type="text">' +
+      '      <comment>Greeting]]</comment>' +
+      '      <title name="TEXT">hi</title>' +
+      '    </block>' +
+      '  </value>' +
+      '  <next>' +
+      '    <block type="text_print">' +
+      '      <comment>Say bye.</comment>' +
+      '      <value name="TEXT">' +
+      '        <block type="text">' +
+      '          <title name="TEXT">bye</title>' +
+      '        </block>' +
+      '      </value>' +
+      '    </block>' +
+      '  </next>' +
+      '</block>');
+  var chunk = parseLua_(code);
+  assertEquals('Statements.', 2, chunk.body.length);
+  assertEquals('Comments.', 3, chunk.comments.length);
+  assertEquals('Block comment.', 'Say hi.\n# Not a length.\n',
+               chunk.comments[0].value);
+  assertTrue('Long comment.', chunk.comments[0].isLong);
+  assertEquals('Value comment.', ' Greeting]]', chunk.comments[1].value);
+  assertEquals('Next comment.', ' Say bye.', chunk.comments[2].value);
+}
+
+function test_nestedComments() {
+  var code = luaFromXml_(
+      '<block type="controls_whileUntil">' +
+      '  <title name="MODE">WHILE</title>' +
+      '  <value name="BOOL">' +
+      '    <block type="logic_boolean">' +
+      '      <title name="BOOL">TRUE</title>' +
+      '    </block>' +
+      '  </value>' +
+      '  <statement name="DO">' +
+      '    <block type="controls_flow_statements">' +
+      '      <comment>Stop\nnow ]==]</comment>' +
+      '    </block>' +
+      '  </statement>' +
+      '</block>');
+  var chunk = parseLua_(code);
+  assertEquals('Statements.', 1, chunk.body.length);
+  assertEquals('Comments.', 1, chunk.comments.length);
+  // The comment is indented along with the rest of the loop body.
+  assertEquals('Indented comment.', '  Stop\n  now ]==]\n  ',
+               chunk.comments[0].value);
+}
+
+function test_procedureComment() {
+  var code = luaFromXml_(
+      '<block type="procedures_defreturn">' +
+      '  <mutation>' +
+      '    <arg name="x"></arg>' +
+      '    <arg name="y"></arg>' +
+      '  </mutation>' +
+      '  <comment>Add two numbers.\n\nBoth must be numbers.</comment>' +
+      '  <title name="NAME">plus</title>' +
+      '  <value name="RETURN">' +
+      '    <block type="math_arithmetic">' +
+      '      <title name="OP">ADD</title>' +
+      '      <value name="A">' +
+      '        <block type="variables_get">' +
+      '          <title name="VAR">x</title>' +
+      '        </block>' +
+      '      </value>' +
+      '      <value name="B">' +
+      '        <block type="variables_get">' +
+      '          <title name="VAR">y</title>' +
+      '        </block>' +
+      '      </value>' +
+      '    </block>' +
+      '  </value>' +
+      '</block>');
+  assertEquals('Doc header.',
+      '--- Add two numbers.\n' +
+      '--\n' +
+      '-- Both must be numbers.\n' +
+      '-- @param x\n' +
+      '-- @param y\n' +
+      'function plus(x, y)\n', code.substring(0, code.indexOf(')\n') + 2));
+  var chunk = parseLua_(code);
+  assertEquals('Function.', 'FunctionDeclaration', chunk.body[0].type);
+  assertEquals('Comments.', 5, chunk.comments.length);
+}
+
+function test_fileHeader() {
+  Blockly.mainWorkspace.setProperty('title', 'Tunnel');
+  var code = luaFromXml_(
+      '<block type="text_print">' +
+      '  <value name="TEXT">' +
+      '    <block type="text">' +
+      '      <title name="TEXT">dig</title>' +
+      '    </block>' +
+      '  </value>' +
+      '</block>');
+  assertEquals('Title only.', '-- Tunnel\n', code.substring(0, 10));
+  parseLua_(code);
+
+  Blockly.mainWorkspace.setProperty('description',
+      'Digs a 3x3 tunnel.\nRefuel first!');
+  code = Blockly.Lua.workspaceToCode();
+  assertEquals('Title and description.',
+      '--[[\nTunnel\n\nDigs a 3x3 tunnel.\nRefuel first!\n]]\n',
+      code.substring(0, code.indexOf(']]\n') + 3));
+  var chunk = parseLua_(code);
+  assertEquals('Header comment.', 1, chunk.comments.length);
+  assertEquals('Statement.', 1, chunk.body.length);
+}
+
+function test_workspaceProperties() {
+  Blockly.mainWorkspace.setProperty('title', 'Tree farm');
+  var xml = Blockly.Xml.workspaceToDom(Blockly.mainWorkspace);
+  Blockly.mainWorkspace.setProperty('title', null);
+  assertEquals('Cleared.', '', Blockly.mainWorkspace.getProperty('title'));
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
+  assertEquals('Restored.', 'Tree farm',
+               Blockly.mainWorkspace.getProperty('title'));
+  Blockly.mainWorkspace.clear();
+  assertEquals('Forgotten.', '', Blockly.mainWorkspace.getProperty('title'));
+  assertEquals('No names.', 0,
+               Blockly.mainWorkspace.getPropertyNames().length);
+}
+
+/**
+ * Check a source map range.
+ * @param {string} msg Assertion message.
+ * @param {!Array.<number>} expected Start line, start column, end line and
+ *     end column.
+ * @param {!Object} range Range from the source map.
+ */
+function assertRange_(msg, expected, range) {
+  assertEquals(msg, expected.join(),
+      [range.startLine, range.startColumn, range.endLine, range.endColumn]
+      .join());
+}
+
+function test_sourceMap() {
+  var xml = Blockly.Xml.textToDom('<xml>' +
+      '<block type="text_print">' +
+      '  <comment>Greet.</comment>' +
+      '  <value name="TEXT">' +
+      '    <block type="text">' +
+      '      <title name="TEXT">hi</title>' +
+      '    </block>' +
+      '  </value>' +
+      '  <next>' +
+      '    <block type="controls_repeat_ext">' +
+      '      <value name="TIMES">' +
+      '        <block type="math_number">' +
+      '          <title name="NUM">3</title>' +
+      '        </block>' +
+      '      </value>' +
+      '      <statement name="DO">' +
+      '        <block type="text_print"></block>' +
+      '      </statement>' +
+      '    </block>' +
+      '  </next>' +
+      '</block></xml>');
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
+  var print = Blockly.mainWorkspace.getTopBlocks()[0];
+  var text = print.getInputTargetBlock('TEXT');
+  var loop = print.nextConnection.targetBlock();
+  var innerPrint = loop.getInputTargetBlock('DO');
+  var result = Blockly.Lua.workspaceToCodeWithSourceMap();
+  assertEquals('Same code.', Blockly.Lua.workspaceToCode(), result.code);
+  assertEquals('Code.',
+      '-- Greet.\n' +
+      'print(\'hi\')\n' +
+      'for count = 1, 3 do\n' +
+      '  print(\'\')\n' +
+      'end\n', result.code);
+  var map = result.sourceMap;
+  assertEquals('Print ranges.', 1, map.getRanges(print.id).length);
+  assertRange_('Print range.', [0, 0, 1, 11], map.getRanges(print.id)[0]);
+  assertRange_('Text range.', [1, 6, 1, 10], map.getRanges(text.id)[0]);
+  assertRange_('Loop range.', [2, 0, 4, 3], map.getRanges(loop.id)[0]);
+  assertEquals('Comment line.', String(print.id), map.getBlockAt(0, 0));
+  assertEquals('Value.', String(text.id), map.getBlockAt(1, 7));
+  assertEquals('Loop header.', String(loop.id), map.getBlockAt(2, 0));
+  assertEquals('Loop body.', String(innerPrint.id), map.getBlockAt(3, 2));
+  assertNull('Past the end.', map.getBlockAt(5, 0));
+}
+
+/**
+ * Build the XML for a block setting a variable to a number.
+ * @param {string} name Variable name.
+ * @param {number} value Number.
+ * @param {string=} opt_next XML for the following block.
+ * @return {string} Block XML.
+ */
+function setXml_(name, value, opt_next) {
+  return '<block type="variables_set">' +
+      '  <title name="VAR">' + name + '</title>' +
+      '  <value name="VALUE">' +
+      '    <block type="math_number"><title name="NUM">' + value +
+      '</title></block>' +
+      '  </value>' +
+      (opt_next ? '<next>' + opt_next + '</next>' : '') +
+      '</block>';
+}
+
+/**
+ * Build the XML for a block printing a variable.
+ * @param {string} name Variable name.
+ * @return {string} Block XML.
+ */
+function printXml_(name) {
+  return '<block type="text_print">' +
+      '  <value name="TEXT">' +
+      '    <block type="variables_get"><title name="VAR">' + name +
+      '</title></block>' +
+      '  </value>' +
+      '</block>';
+}
+
+function test_localOnFirstAssignment() {
+  var code = luaFromXml_(
+      setXml_('x', 1, setXml_('x', 2, printXml_('x'))));
+  assertEquals('local x = 1\nx = 2\nprint(x)\n', code);
+}
+
+function test_localHoisted() {
+  // The first assignment is nested, and the second reads the variable.
+  var code = luaFromXml_(
+      '<block type="controls_if">' +
+      '  <value name="IF0"><block type="logic_boolean">' +
+      '    <title name="BOOL">TRUE</title></block></value>' +
+      '  <statement name="DO0">' + setXml_('x', 1) + '</statement>' +
+      '  <next>' +
+      '    <block type="math_change">' +
+      '      <title name="VAR">y</title>' +
+      '      <value name="DELTA"><block type="math_number">' +
+      '        <title name="NUM">1</title></block></value>' +
+      '    </block>' +
+      '  </next>' +
+      '</block>');
+  assertEquals('local x, y\n\n\nif true then\n  x = 1\nend\ny = y + 1\n',
+               code);
+  parseLua_(code);
+}
+
+function test_localShared() {
+  // 'x' is shared with the procedure; 'y' belongs to the procedure; 'z' is a
+  // parameter.
+  var code = luaFromXml_(
+      '<block type="procedures_defnoreturn">' +
+      '  <mutation><arg name="z"></arg></mutation>' +
+      '  <title name="NAME">show</title>' +
+      '  <statement name="STACK">' +
+      '    <block type="controls_if">' +
+      '      <value name="IF0"><block type="logic_boolean">' +
+      '        <title name="BOOL">TRUE</title></block></value>' +
+      '      <statement name="DO0">' + setXml_('y', 1) + '</statement>' +
+      '      <next>' + setXml_('z', 2, printXml_('x')) + '</next>' +
+      '    </block>' +
+      '  </statement>' +
+      '</block>' +
+      setXml_('x', 3));
+  assertEquals(
+      'local x\n\n' +
+      'function show(z)\n' +
+      '  local y\n' +
+      '  if true then\n' +
+      '    y = 1\n' +
+      '  end\n' +
+      '  z = 2\n' +
+      '  print(x)\n' +
+      'end\n\n\n' +
+      'x = 3\n', code);
+}
+
+function test_localMultipleSetter() {
+  // 'b' was assigned before, so 'a' can't be declared by the second setter.
+  var code = luaFromXml_(
+      setXml_('b', 1,
+          '<block type="variables_set_two">' +
+          '  <title name="VAR1">a</title>' +
+          '  <title name="VAR2">b</title>' +
+          '</block>'));
+  assertEquals('local a\n\n\nlocal b = 1\na, b = nil, nil\n', code);
+}
+
+function test_localLoopVariable() {
+  // Lua makes the loop variable local to the loop.
+  var code = luaFromXml_(
+      '<block type="controls_for">' +
+      '  <title name="VAR">i</title>' +
+      '  <value name="FROM"><block type="math_number">' +
+      '    <title name="NUM">1</title></block></value>' +
+      '  <value name="TO"><block type="math_number">' +
+      '    <title name="NUM">3</title></block></value>' +
+      '  <statement name="DO">' + printXml_('i') + '</statement>' +
+      '</block>');
+  assertEquals('for i = 1, 3 do\n  print(i)\nend\n', code);
+}
+
+function test_globalVariables() {
+  Blockly.Lua.GLOBAL_VARIABLES = true;
+  var code = luaFromXml_(setXml_('x', 1, printXml_('x')));
+  assertEquals('x = 1\nprint(x)\n', code);
+}
+
+/**
+ * Fetch a file synchronously.
+ * @param {string} url Address of the file, relative to this page.
+ * @return {string} Contents of the file.
+ */
+function fetchFile_(url) {
+  var xmlHttp = new XMLHttpRequest();
+  xmlHttp.open('GET', url, false);
+  xmlHttp.send('');
+  return xmlHttp.responseText;
+}
+
+/**
+ * Find the values of the text blocks in a block, in the order of its inputs.
+ * @param {Blockly.Block} block The block.
+ * @param {!Array.<string>} values List to which to add the text, as UTF-8.
+ */
+function textValues_(block, values) {
+  if (!block) {
+    return;
+  }
+  if (block.type == 'text') {
+    values.push(LuaParser.toBytes(block.getTitleValue('TEXT')));
+  }
+  for (var x = 0, input; input = block.inputList[x]; x++) {
+    textValues_(input.connection && input.connection.targetBlock(), values);
+  }
+}
+
+/**
+ * Find the values of the string literals in a syntax tree, in source order.
+ * @param {*} node Syntax tree node, or any other property value.
+ * @param {!Array.<!Object>} literals List to which to add the literals.
+ */
+function stringLiterals_(node, literals) {
+  if (!node || typeof node != 'object') {
+    return;
+  }
+  if (node.type == 'StringLiteral') {
+    literals.push(node);
+  }
+  for (var key in node) {
+    stringLiterals_(node[key], literals);
+  }
+}
+
+function test_quote() {
+  assertEquals('Plain.', '\'abc\'', Blockly.Lua.quote_('abc'));
+  assertEquals('Single quote.', '"It\'s"', Blockly.Lua.quote_('It\'s'));
+  assertEquals('Both quotes.', '\'\\\'"\'', Blockly.Lua.quote_('\'"'));
+  assertEquals('Percent.', '\'100%\'', Blockly.Lua.quote_('100%'));
+  assertEquals('Control characters.', '\'\\000\\t\\r\\0271\'',
+               Blockly.Lua.quote_('\0\t\r\x1b1'));
+  assertEquals('Non-ASCII.', '\'\\226\\130\\172\'', Blockly.Lua.quote_('€'));
+}
+
+function test_longString() {
+  // Lines of a long string must not be indented or have spaces stripped.
+  var code = luaFromXml_(
+      '<block type="controls_if">' +
+      '  <value name="IF0"><block type="logic_boolean">' +
+      '    <title name="BOOL">TRUE</title></block></value>' +
+      '  <statement name="DO0">' +
+      '    <block type="text_print">' +
+      '      <value name="TEXT">' +
+      '        <block type="text"><title name="TEXT">a]]&#10;b  &#10;c' +
+      '</title></block>' +
+      '      </value>' +
+      '    </block>' +
+      '  </statement>' +
+      '</block>');
+  assertEquals('if true then\n  print([=[\na]]\nb  \nc]=])\nend\n', code);
+}
+
+function test_quoteRoundTrip() {
+  var xml = Blockly.Xml.textToDom(fetchFile_('generators/text.xml'));
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
+  var cases = Blockly.mainWorkspace.getAllBlocks().filter(function(block) {
+    return block.type == 'text' || block.type == 'text_join' ||
+        block.type == 'text_print';
+  }).map(function(block) {
+    var dom = Blockly.Xml.blockToDom_(block);
+    Blockly.Xml.deleteNext(dom);
+    return Blockly.Xml.domToText(dom);
+  });
+  assertTrue('Cases found.', cases.length > 0);
+  for (var x = 0; x < cases.length; x++) {
+    Blockly.mainWorkspace.clear();
+    var xmlText = cases[x];
+    if (!/^<block type="text_print"/.test(xmlText)) {
+      xmlText = '<block type="text_print"><value name="TEXT">' + xmlText +
+          '</value></block>';
+    }
+    var code = luaFromXml_(xmlText);
+    var expected = [];
+    textValues_(Blockly.mainWorkspace.getTopBlocks(false)[0], expected);
+    var literals = [];
+    stringLiterals_(parseLua_(code), literals);
+    literals.sort(function(a, b) {
+      return a.start - b.start;
+    });
+    assertEquals(code, expected.join('\n'), literals.map(function(literal) {
+      return literal.value;
+    }).join('\n'));
+  }
+}
+
+/**
+ * XML for a loop printing 1 and 3, skipping 2 with 'continue'.
+ */
+var CONTINUE_XML_ =
+    '<block type="controls_for">' +
+    '  <title name="VAR">i</title>' +
+    '  <value name="FROM"><block type="math_number">' +
+    '    <title name="NUM">1</title></block></value>' +
+    '  <value name="TO"><block type="math_number">' +
+    '    <title name="NUM">3</title></block></value>' +
+    '  <statement name="DO">' +
+    '    <block type="controls_if">' +
+    '      <value name="IF0">' +
+    '        <block type="logic_compare">' +
+    '          <title name="OP">EQ</title>' +
+    '          <value name="A"><block type="variables_get">' +
+    '            <title name="VAR">i</title></block></value>' +
+    '          <value name="B"><block type="math_number">' +
+    '            <title name="NUM">2</title></block></value>' +
+    '        </block>' +
+    '      </value>' +
+    '      <statement name="DO0">' +
+    '        <block type="controls_flow_statements">' +
+    '          <title name="FLOW">CONTINUE</title>' +
+    '        </block>' +
+    '      </statement>' +
+    '      <next>' + printXml_('i') + '</next>' +
+    '    </block>' +
+    '  </statement>' +
+    '</block>';
+
+function test_dialectContinue() {
+  var code = luaFromXml_(CONTINUE_XML_);
+  assertEquals('ComputerCraft.',
+      'for i = 1, 3 do\n' +
+      '  if i == 2 then\n' +
+      '    error(\'Continuing with the next iteration needs Lua 5.2 or ' +
+      'later.\')\n' +
+      '  end\n' +
+      '  print(i)\n' +
+      'end\n', code);
+  Blockly.mainWorkspace.setProperty('dialect', 'CC_TWEAKED');
+  code = Blockly.Lua.workspaceToCode();
+  assertEquals('CC: Tweaked.',
+      'for i = 1, 3 do\n' +
+      '  if i == 2 then\n' +
+      '    goto continue\n' +
+      '  end\n' +
+      '  print(i)\n' +
+      '  ::continue::\n' +
+      'end\n', code);
+}
+
+function test_dialectMath() {
+  var xml =
+      '<block type="text_print">' +
+      '  <value name="TEXT">' +
+      '    <block type="math_single">' +
+      '      <title name="OP">POW10</title>' +
+      '      <value name="NUM">' +
+      '        <block type="math_single">' +
+      '          <title name="OP">LOG10</title>' +
+      '          <value name="NUM"><block type="math_number">' +
+      '            <title name="NUM">100</title></block></value>' +
+      '        </block>' +
+      '      </value>' +
+      '    </block>' +
+      '  </value>' +
+      '</block>';
+  assertEquals('ComputerCraft.', 'print(math.pow(10,math.log10(100)))\n',
+               luaFromXml_(xml));
+  Blockly.Lua.DIALECT = 'LUA_53';
+  assertEquals('Lua 5.3.', 'print(10 ^ math.log(100, 10))\n',
+               Blockly.Lua.workspaceToCode());
+}
+
+function test_dialectBitShift() {
+  var xml =
+      '<block type="text_print">' +
+      '  <value name="TEXT">' +
+      '    <block type="bit_shift">' +
+      '      <title name="OPTION">blogic_rshift</title>' +
+      '      <value name="N">' +
+      '        <block type="math_number"><title name="NUM">-16</title></block>' +
+      '      </value>' +
+      '      <value name="BITS">' +
+      '        <block type="math_number"><title name="NUM">2</title></block>' +
+      '      </value>' +
+      '    </block>' +
+      '  </value>' +
+      '</block>';
+  assertEquals('ComputerCraft.', 'print(bit.blogic_rshift(-16, 2))\n',
+               luaFromXml_(xml));
+  Blockly.Lua.DIALECT = 'LUA_53';
+  // The number is taken as 32 bits, as by the bit API.
+  assertEquals('Lua 5.3.', 'print((-16 & 0xFFFFFFFF) >> 2)\n',
+               Blockly.Lua.workspaceToCode());
+}
+
+function test_dialectUnpack() {
+  var calls = ['COMPUTERCRAFT', 'CC_TWEAKED', 'LUA_53'].map(function(key) {
+    Blockly.Lua.DIALECT = key;
+    return Blockly.Lua.unpack_('args', '2');
+  });
+  assertEquals('unpack(args, 2) table.unpack(args, 2) table.unpack(args, 2)',
+               calls.join(' '));
+  assertEquals('From the start.', 'table.unpack(args)',
+               Blockly.Lua.unpack_('args'));
+}
+
+function test_dialectReservedWords() {
+  var xml = setXml_('goto', 1);
+  assertEquals('ComputerCraft.', 'local goto = 1\n', luaFromXml_(xml));
+  Blockly.Lua.DIALECT = 'CC_TWEAKED';
+  assertEquals('CC: Tweaked.', 'local goto2 = 1\n',
+               Blockly.Lua.workspaceToCode());
+}
+
+function test_dialectProperty() {
+  Blockly.mainWorkspace.setProperty('dialect', 'LUA_53');
+  var xml = Blockly.Xml.workspaceToDom(Blockly.mainWorkspace);
+  Blockly.mainWorkspace.setProperty('dialect', null);
+  assertEquals('Default.', Blockly.Lua.DIALECTS.COMPUTERCRAFT,
+               Blockly.Lua.getDialect());
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
+  assertEquals('Loaded.', Blockly.Lua.DIALECTS.LUA_53,
+               Blockly.Lua.getDialect());
+}
+
+var WHILE_XML_ =
+    '<block type="controls_whileUntil">' +
+    '  <value name="BOOL"><block type="logic_boolean">' +
+    '    <title name="BOOL">TRUE</title></block></value>' +
+    '  <statement name="DO">' + printXml_('i') + '</statement>' +
+    '</block>';
+
+function test_loopYield() {
+  var code = luaFromXml_(WHILE_XML_);
+  var id = Blockly.mainWorkspace.getTopBlocks(false)[0].id;
+  assertEquals('Unprotected.',
+      'local i\n\n\n' +
+      'while true do\n' +
+      '  print(i)\n' +
+      'end\n', code);
+  Blockly.Lua.LOOP_YIELD = true;
+  code = Blockly.Lua.workspaceToCode();
+  assertEquals('Yielding.',
+      'local i\n\n' +
+      'local loopStep\n' +
+      'do\n' +
+      '  local steps = 0\n' +
+      '  function loopStep(id)\n' +
+      '    steps = steps + 1\n' +
+      '    if steps % 100 == 0 then\n' +
+      '      os.queueEvent(\'blockly_yield\')\n' +
+      '      os.pullEvent(\'blockly_yield\')\n' +
+      '    end\n' +
+      '  end\n' +
+      'end\n\n\n' +
+      'while true do\n' +
+      '  loopStep(\'' + id + '\')\n' +
+      '  print(i)\n' +
+      'end\n', code);
+  parseLua_(code);
+  // The workspace's property overrides the generator's setting.
+  Blockly.mainWorkspace.setProperty('loopYield', 'false');
+  assertEquals('Property.', -1,
+               Blockly.Lua.workspaceToCode().indexOf('loopStep'));
+}
+
+function test_stepBudget() {
+  Blockly.mainWorkspace.setProperty('stepBudget', '500');
+  var code = luaFromXml_(WHILE_XML_);
+  var id = Blockly.mainWorkspace.getTopBlocks(false)[0].id;
+  assertTrue('Budget.', code.indexOf(
+      '    if steps > 500 then\n' +
+      '      error(\'Stopped after 500 loop steps, in the loop of block \' ' +
+      '.. id .. \'.\', 0)\n' +
+      '    end\n') != -1);
+  assertEquals('No yield.', -1, code.indexOf('os.queueEvent'));
+  assertTrue('Step.', code.indexOf('  loopStep(\'' + id + '\')\n') != -1);
+  parseLua_(code);
+  var xml = Blockly.Xml.workspaceToDom(Blockly.mainWorkspace);
+  Blockly.mainWorkspace.setProperty('stepBudget', null);
+  assertEquals('Default.', 0, Blockly.Lua.getLoopProtection().stepBudget);
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
+  assertEquals('Loaded.', 500, Blockly.Lua.getLoopProtection().stepBudget);
+}
+
+function test_infiniteLoopTrap() {
+  Blockly.Lua.INFINITE_LOOP_TRAP = '  checkTimeout(%1)\n';
+  var code = luaFromXml_(WHILE_XML_);
+  var id = Blockly.mainWorkspace.getTopBlocks(false)[0].id;
+  assertEquals(
+      'local i\n\n\n' +
+      'while true do\n' +
+      '  checkTimeout(\'' + id + '\')\n' +
+      '  print(i)\n' +
+      'end\n', code);
+}
+
+function test_statementPrefix() {
+  var xml = setXml_('i', 1,
+      '<block type="controls_if">' +
+      '  <value name="IF0"><block type="logic_boolean">' +
+      '    <title name="BOOL">TRUE</title></block></value>' +
+      '  <statement name="DO0">' + printXml_('i') + '</statement>' +
+      '</block>');
+  var code = luaFromXml_(xml);
+  assertEquals('No trace.',
+      'local i = 1\n' +
+      'if true then\n' +
+      '  print(i)\n' +
+      'end\n', code);
+  Blockly.Lua.STATEMENT_PREFIX = 'trace(%1)\n';
+  var ids = {};
+  Blockly.mainWorkspace.getAllBlocks().forEach(function(block) {
+    ids[block.type] = block.id;
+  });
+  assertEquals('Traced.',
+      'trace(\'' + ids['variables_set'] + '\')\n' +
+      'local i = 1\n' +
+      'trace(\'' + ids['controls_if'] + '\')\n' +
+      'if true then\n' +
+      '  trace(\'' + ids['text_print'] + '\')\n' +
+      '  print(i)\n' +
+      'end\n', Blockly.Lua.workspaceToCode());
+  Blockly.Lua.STATEMENT_PREFIX = null;
+  assertEquals('Off again.', code, Blockly.Lua.workspaceToCode());
+}
+
+function test_diagnostics() {
+  Blockly.Blocks['test_no_generator'] = {
+    init: function() {
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+    }
+  };
+  var xml = Blockly.Xml.textToDom('<xml>' +
+      '<block type="text_print">' +
+      '  <next><block type="test_no_generator">' +
+      '    <next>' + printXml_('i') + '</next>' +
+      '  </block></next>' +
+      '</block>' +
+      '<block type="turtle_get_item_count"></block>' +
+      '<block type="math_arithmetic">' +
+      '  <title name="OP">ADD</title>' +
+      '  <value name="A"><block type="text">' +
+      '    <title name="TEXT">a</title></block></value>' +
+      '  <value name="B"><block type="math_number">' +
+      '    <title name="NUM">1</title></block></value>' +
+      '</block>' +
+      '</xml>');
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
+  var diagnostics = Blockly.Lua.getDiagnostics();
+  var found = diagnostics.map(function(diagnostic) {
+    var block = Blockly.mainWorkspace.getBlockById(diagnostic.blockId);
+    return [block.type, diagnostic.inputName, diagnostic.severity].join(' ');
+  });
+  assertEquals('Diagnostics.', [
+      'text_print TEXT error',
+      'turtle_get_item_count  warning',
+      'turtle_get_item_count VALUE error',
+      'turtle_get_item_count  warning',
+      'math_arithmetic  warning',
+      'math_arithmetic A error',
+      'test_no_generator  error'].join('\n'), found.join('\n'));
+  var result = Blockly.Lua.workspaceToCodeWithDiagnostics();
+  assertEquals('Same diagnostics.', diagnostics.length,
+               result.diagnostics.length);
+  assertTrue('Code without the unknown block.',
+             result.code.indexOf('print(\'\')\nprint(i)\n') != -1);
+  // The Lua pane generates code this way once the user chooses to generate
+  // it despite the problems.
+  var mapped = Blockly.Lua.workspaceToCodeWithSourceMap();
+  assertEquals('Same code.', result.code, mapped.code);
+  assertEquals('Diagnostics with the map.', diagnostics.length,
+               mapped.diagnostics.length);
+  var print = Blockly.mainWorkspace.getTopBlocks(true)[0];
+  assertEquals('Mapped.', 1, mapped.sourceMap.getRanges(print.id).length);
+  delete Blockly.Blocks['test_no_generator'];
+}
+
+function test_eventHandlers() {
+  var printXml = function(name) {
+    return '<block type="text_print"><value name="TEXT">' +
+        '<block type="variables_get"><title name="VAR">' + name +
+        '</title></block></value></block>';
+  };
+  var code = luaFromXml_(
+      '<block type="text_print" x="0" y="0">' +
+      '  <value name="TEXT">' +
+      '    <block type="text"><title name="TEXT">start</title></block>' +
+      '  </value>' +
+      '</block>' +
+      '<block type="events_key" x="0" y="100">' +
+      '  <title name="KEY_VAR">event</title>' +
+      '  <statement name="DO">' + printXml('event') + '</statement>' +
+      '</block>' +
+      '<block type="events_custom" x="0" y="200">' +
+      '  <title name="EVENT">greet</title>' +
+      '  <statement name="DO">' + printXml('parameters') + '</statement>' +
+      '</block>' +
+      '<block type="events_terminate" x="0" y="300"></block>' +
+      '<block type="events_key" x="0" y="400">' +
+      '  <title name="KEY_VAR">key</title>' +
+      '</block>' +
+      '<block type="events_monitor_touch" x="0" y="500">' +
+      '  <statement name="DO">' + printXml('x') + '</statement>' +
+      '</block>');
+  assertEquals('Code.',
+      'local event, parameters, key, side, x, y\n' +
+      '\n\n' +
+      'print(\'start\')\n' +
+      '\n' +
+      'while true do\n' +
+      '  local event2 = {os.pullEventRaw()}\n' +
+      '  if event2[1] == \'key\' then\n' +
+      '    event = event2[2]\n' +
+      '    print(event)\n' +
+      '    key = event2[2]\n' +
+      '  elseif event2[1] == \'greet\' then\n' +
+      '    parameters = {unpack(event2, 2)}\n' +
+      '    print(parameters)\n' +
+      '  elseif event2[1] == \'terminate\' then\n' +
+      '    break\n' +
+      '  elseif event2[1] == \'monitor_touch\' then\n' +
+      '    side, x, y = event2[2], event2[3], event2[4]\n' +
+      '    print(x)\n' +
+      '  end\n' +
+      'end\n', code);
+  parseLua_(code);
+  assertEquals('Handlers are legitimate roots.', 0,
+               Blockly.Lua.getDiagnostics().length);
+  Blockly.Lua.DIALECT = 'CC_TWEAKED';
+  assertTrue('CC: Tweaked.', Blockly.Lua.workspaceToCode().indexOf(
+      '    parameters = {table.unpack(event2, 2)}\n') != -1);
+  Blockly.Lua.DIALECT = 'LUA_53';
+  assertTrue('Lua 5.3.', Blockly.Lua.workspaceToCode().indexOf(
+      '    parameters = {table.unpack(event2, 2)}\n') != -1);
+}
@@ -0,0 +1,282 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Import Lua into the workspace and generate Lua from the blocks.
+ * @param {string} source Lua source code.
+ * @return {string} Generated Lua.
+ */
+function importLua_(source) {
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace,
+      Blockly.ComputerCraft.Importer.luaToDom(source));
+  return Blockly.Lua.workspaceToCode();
+}
+
+/**
+ * Get the types of the blocks in the workspace.
+ * @return {string} Block types, separated by spaces.
+ */
+function blockTypes_() {
+  return Blockly.mainWorkspace.getAllBlocks().map(function(block) {
+    return block.type;
+  }).join(' ');
+}
+
+function test_importControlFlow() {
+  var source =
+      'local n = 3\n' +
+      'for i = 1, n do\n' +
+      '  if i == 2 then\n' +
+      '    print(\'two\')\n' +
+      '  elseif i > 2 then\n' +
+      '    break\n' +
+      '  else\n' +
+      '    print(i)\n' +
+      '  end\n' +
+      'end\n' +
+      'while not done do\n' +
+      '  done = n < 1 or #list > 0\n' +
+      'end\n' +
+      'for _, item in ipairs({1, 2}) do\n' +
+      '  print(\'item \' .. item .. \'!\')\n' +
+      'end\n';
+  var code = importLua_(source);
+  var types = blockTypes_();
+  assertEquals('No raw Lua.', -1, types.indexOf('lua_raw'));
+  ['controls_for', 'controls_if', 'controls_whileUntil', 'controls_forEach',
+   'controls_flow_statements', 'text_join', 'lists_length'].forEach(
+      function(type) {
+        assertTrue(type, types.indexOf(type) != -1);
+      });
+  assertEquals('Generated code.',
+      'local done, list\n\n\n' +
+      'local n = 3\n' +
+      'for i = 1, n do\n' +
+      '  if i == 2 then\n' +
+      '    print(\'two\')\n' +
+      '  elseif i > 2 then\n' +
+      '    break\n' +
+      '  else\n' +
+      '    print(i)\n' +
+      '  end\n' +
+      'end\n' +
+      'while not done do\n' +
+      '  done = n < 1 or #list > 0\n' +
+      'end\n' +
+      'for _, item in ipairs(({1, 2})) do\n' +
+      '  print(table.concat({\'item \', item, \'!\'}))\n' +
+      'end\n', code);
+}
+
+function test_importCountdown() {
+  var source =
+      'for i = 10, 1, -1 do\n' +
+      '  print(i)\n' +
+      'end\n' +
+      'for i = 0, 1, 0.5 do\n' +
+      '  print(i)\n' +
+      'end\n';
+  // The step is kept unless it is 1, Lua's default.
+  assertEquals(source, importLua_(source));
+  Blockly.mainWorkspace.clear();
+  assertEquals('Default step.', 'for i = 1, 3 do\n  print(i)\nend\n',
+               importLua_('for i = 1, 3, 1 do\n  print(i)\nend\n'));
+}
+
+function test_importComputerCraftCalls() {
+  var code = importLua_(
+      'turtle.forward()\n' +
+      'if turtle.detectUp() then turtle.digUp() end\n' +
+      'rs.setOutput(\'left\', true)\n' +
+      'local files = fs.list(\'/\')\n' +
+      'local id, message = rednet.receive(5)\n' +
+      'sleep(1)\n');
+  var types = blockTypes_();
+  assertEquals('No raw Lua.', -1, types.indexOf('lua_raw'));
+  ['turtle_move', 'turtle_detect', 'turtle_dig', 'redstone_set_output',
+   'fs_list', 'rednet_receive', 'os_sleep'].forEach(function(type) {
+    assertTrue(type, types.indexOf(type) != -1);
+  });
+  var move = Blockly.mainWorkspace.getTopBlocks(false)[0];
+  assertEquals('turtle_move', move.type);
+  assertTrue('Move is a statement.', move.isStatement);
+  var receive = Blockly.mainWorkspace.getAllBlocks().filter(function(block) {
+    return block.type == 'rednet_receive';
+  })[0];
+  assertTrue('Timeout shown.', receive.dependentInputShown);
+  assertEquals('Generated code.',
+      'turtle.forward()\n' +
+      'if turtle.detectUp() then\n' +
+      '  turtle.digUp()\n' +
+      'end\n' +
+      'redstone.setOutput(\'left\', true)\n' +
+      'local files = fs.list(\'/\')\n' +
+      'local id, message = rednet.receive(5)\n' +
+      'os.sleep(1)\n', code);
+}
+
+function test_importRawLua() {
+  var code = importLua_(
+      'repeat\n' +
+      '  x = x - 1\n' +
+      'until x < 0\n' +
+      'rs.setOutput(side, tbl.value)\n' +
+      'turtle.forward(1, 2)\n');
+  assertEquals('Block types.', 'lua_raw lua_raw lua_raw', blockTypes_());
+  assertEquals('Generated code.',
+      'repeat\n' +
+      '  x = x - 1\n' +
+      'until x < 0\n' +
+      'rs.setOutput(side, tbl.value)\n' +
+      'turtle.forward(1, 2)\n', code);
+  Blockly.mainWorkspace.clear();
+  code = importLua_('x = tbl.value + math.max(1, y)\n');
+  assertEquals('Raw values.',
+      'variables_set math_arithmetic lua_raw_value lua_raw_value',
+      blockTypes_());
+  assertEquals('local x = tbl.value + math.max(1, y)\n', code);
+  Blockly.mainWorkspace.clear();
+  code = importLua_('y = 1\nx = 2 * (y + z.w)\n');
+  assertEquals('local y = 1\nlocal x = 2 * (y + z.w)\n', code);
+}
+
+function test_importProcedures() {
+  var code = importLua_(
+      'print(double(2))\n' +
+      '\n' +
+      '--- Double a number.\n' +
+      '-- @param n\n' +
+      'function double(n)\n' +
+      '  if n == nil then return 0 end\n' +
+      '  return n * 2\n' +
+      'end\n' +
+      '\n' +
+      'local function greet()\n' +
+      '  print(\'hi\')\n' +
+      'end\n' +
+      'greet()\n');
+  var types = blockTypes_();
+  assertTrue('Definition with return.',
+             types.indexOf('procedures_defreturn') != -1);
+  assertTrue('Definition without return.',
+             types.indexOf('procedures_defnoreturn') != -1);
+  assertTrue('Early return.', types.indexOf('procedures_ifreturn') != -1);
+  assertTrue('Call with return.',
+             types.indexOf('procedures_callreturn') != -1);
+  assertTrue('Call without return.',
+             types.indexOf('procedures_callnoreturn') != -1);
+  assertEquals('Generated code.',
+      '--- Double a number.\n' +
+      '-- @param n\n' +
+      'function double(n)\n' +
+      '  if n == nil then\n' +
+      '    return 0\n' +
+      '  end\n' +
+      '  return n * 2\n' +
+      'end\n' +
+      '\n' +
+      'function greet()\n' +
+      '  print(\'hi\')\n' +
+      'end\n' +
+      '\n\n' +
+      'print(double(2))\n' +
+      'greet()\n', code);
+}
+
+function test_importComments() {
+  var code = importLua_(
+      '-- Miner\n' +
+      '--\n' +
+      '-- Digs a tunnel.\n' +
+      '\n' +
+      '-- Go forward.\n' +
+      'turtle.forward()  -- Or fail.\n' +
+      'turtle.dig()\n');
+  assertEquals('Title.', 'Miner',
+               Blockly.mainWorkspace.getProperty('title'));
+  assertEquals('Description.', 'Digs a tunnel.',
+               Blockly.mainWorkspace.getProperty('description'));
+  assertEquals('Block comment.', 'Go forward.\nOr fail.',
+               Blockly.mainWorkspace.getAllBlocks()[0].getCommentText());
+  assertEquals('Generated code.',
+      '--[[\n' +
+      'Miner\n' +
+      '\n' +
+      'Digs a tunnel.\n' +
+      ']]\n' +
+      '\n\n\n\n' +
+      '--[[\n' +
+      'Go forward.\n' +
+      'Or fail.\n' +
+      ']]\n' +
+      'turtle.forward()\n' +
+      'turtle.dig()\n', code);
+  Blockly.mainWorkspace.clear();
+  // Without a blank line, the comment belongs to the first statement.
+  importLua_('-- Go forward.\nturtle.forward()\n');
+  assertEquals('No title.', '', Blockly.mainWorkspace.getProperty('title'));
+  assertEquals('Go forward.',
+               Blockly.mainWorkspace.getAllBlocks()[0].getCommentText());
+}
+
+function test_importRoundTrip() {
+  Blockly.mainWorkspace.setProperty('title', 'Round trip');
+  var code = luaFromXml_(
+      '<block type="procedures_defreturn">' +
+      '  <mutation><arg name="a"></arg></mutation>' +
+      '  <title name="NAME">half</title>' +
+      '  <comment>Halve a number.</comment>' +
+      '  <value name="RETURN">' +
+      '    <block type="math_arithmetic">' +
+      '      <title name="OP">DIVIDE</title>' +
+      '      <value name="A"><block type="variables_get">' +
+      '        <title name="VAR">a</title></block></value>' +
+      '      <value name="B"><block type="math_number">' +
+      '        <title name="NUM">2</title></block></value>' +
+      '    </block>' +
+      '  </value>' +
+      '</block>' +
+      '<block type="controls_whileUntil">' +
+      '  <title name="MODE">UNTIL</title>' +
+      '  <value name="BOOL"><block type="turtle_detect">' +
+      '    <mutation is_statement="false"></mutation>' +
+      '    <title name="DIRECTIONS">detectDown</title></block></value>' +
+      '  <statement name="DO">' +
+      '    <block type="turtle_move">' +
+      '      <mutation is_statement="true"></mutation>' +
+      '      <title name="DIRECTIONS">down</title>' +
+      '      <comment>Descend.</comment>' +
+      '    </block>' +
+      '  </statement>' +
+      '</block>');
+  Blockly.mainWorkspace.clear();
+  assertEquals(code, importLua_(code));
+  assertEquals('Round trip', Blockly.mainWorkspace.getProperty('title'));
+  assertEquals('No raw Lua.', -1, blockTypes_().indexOf('lua_raw'));
+}
+
+function test_importSyntaxError() {
+  try {
+    Blockly.ComputerCraft.Importer.luaToDom('if x then\n');
+    fail('No error.');
+  } catch (e) {
+    assertTrue(e instanceof LuaParser.Error);
+  }
+}
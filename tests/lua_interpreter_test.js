@@ -0,0 +1,321 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Run a Lua program to completion, collecting what it passes to 'out'.
+ * @param {string} source Lua source code.
+ * @return {string} The values passed to 'out', one line per call, with
+ *     arguments separated by spaces, or the error message.
+ */
+function runLua_(source) {
+  var vm = new LuaInterpreter();
+  var output = [];
+  vm.setGlobal('out', function(args, vm) {
+    output.push(args.map(function(value) {
+      return vm.tostring(value);
+    }).join(' '));
+    return [];
+  });
+  vm.start(vm.load(source, 'test'));
+  var result;
+  do {
+    result = vm.run(1000000);
+    if (result.status == 'yield') {
+      vm.resume(result.values);
+    }
+  } while (result.status != 'done' && result.status != 'error');
+  if (result.status == 'error') {
+    output.push('error: ' + result.message);
+  }
+  return output.join('\n');
+}
+
+function test_values() {
+  assertEquals('Numbers.', '1 2.5 -3 1e+100 0.33333333333333',
+      runLua_('out(1, 2.5, -3, 1e100, 1/3)'));
+  assertEquals('Others.', 'nil true false x',
+      runLua_('out(nil, true, false, "x")'));
+  assertEquals('Coercion.', '15 1020 3',
+      runLua_('out("10" + 5, 10 .. 20, #"abc")'));
+  assertEquals('Arithmetic.', '1 2 1024 -2',
+      runLua_('out(7 % 3, -7 % 3, 2 ^ 10, -(1 + 1))'));
+}
+
+function test_control() {
+  assertEquals('Loops.', '15 9 3',
+      runLua_('local s = 0 for i = 1, 5 do s = s + i end\n' +
+              'local n = 0 while n < 9 do n = n + 1 end\n' +
+              'local r = 0 repeat r = r + 1 until r == 3\n' +
+              'out(s, n, r)'));
+  assertEquals('Break.', '4',
+      runLua_('local i = 0 while true do i = i + 1 if i == 4 then break ' +
+              'end end out(i)'));
+  assertEquals('Tail calls.', 'done',
+      runLua_('local function f(n) if n == 0 then return "done" end ' +
+              'return f(n - 1) end out(f(100000))'));
+}
+
+function test_closures() {
+  assertEquals('Upvalues.', '1 2 1',
+      runLua_('local function counter()\n' +
+              '  local n = 0\n' +
+              '  return function() n = n + 1 return n end\n' +
+              'end\n' +
+              'local a, b = counter(), counter()\n' +
+              'out(a(), a(), b())'));
+  assertEquals('Each iteration has its own local.', '1 2 3',
+      runLua_('local fs = {}\n' +
+              'for i = 1, 3 do fs[i] = function() return i end end\n' +
+              'out(fs[1](), fs[2](), fs[3]())'));
+}
+
+function test_tables() {
+  assertEquals('Length and fields.', '3 5 b',
+      runLua_('local t = {1, 2, 3, x = 5, [10] = "b"} out(#t, t.x, t[10])'));
+  assertEquals('Multiple results.', '4 a b',
+      runLua_('local function f() return "a", "b" end\n' +
+              'local t = {1, 2, f()} out(#t, t[3], t[4])'));
+  assertEquals('Sum by pairs.', '21',
+      runLua_('local s = 0 for k, v in pairs({1, 2, 3, x = 15}) do ' +
+              's = s + v end out(s)'));
+}
+
+function test_metatables() {
+  assertEquals('Metamethods.', 'foo! 42 OBJ true',
+      runLua_('local mt = {\n' +
+              '  __index = function(t, k) return k .. "!" end,\n' +
+              '  __add = function(a, b) return 42 end,\n' +
+              '  __tostring = function() return "OBJ" end,\n' +
+              '  __lt = function(a, b) return true end}\n' +
+              'local o = setmetatable({}, mt)\n' +
+              'out(o.foo, o + 1, tostring(o), o < o)'));
+  assertEquals('Protected metatable.',
+      'locked\nerror: test:3: cannot change a protected metatable',
+      runLua_('local t = setmetatable({}, {__metatable = "locked"})\n' +
+              'out(getmetatable(t))\n' +
+              'setmetatable(t, {})'));
+}
+
+function test_errors() {
+  assertEquals('Runtime error.',
+      'error: test:1: attempt to index global \'x\' (a nil value)',
+      runLua_('local y = x.z'));
+  assertEquals('Arithmetic error.',
+      'error: test:2: attempt to perform arithmetic on local \'t\' ' +
+      '(a table value)',
+      runLua_('local t = {}\nlocal y = t + 1'));
+  assertEquals('Calling nil.',
+      'error: test:1: attempt to call field \'nope\' (a nil value)',
+      runLua_('string.nope()'));
+  assertEquals('pcall.', 'false test:1: boom',
+      runLua_('out(pcall(function() error("boom") end))'));
+  assertEquals('Error values and levels.', 'false table true',
+      runLua_('local ok, e = pcall(error, {})\n' +
+              'out(ok, type(e), pcall(function() end))'));
+  assertEquals('error with level 2.', 'test:2: bad',
+      runLua_('local function check() error("bad", 2) end\n' +
+              'local ok, e = pcall(function() check() end)\n' +
+              'out(e)'));
+  assertEquals('xpcall.', 'false handled: test:1: bad',
+      runLua_('out(xpcall(function() error("bad") end, ' +
+              'function(e) return "handled: " .. e end))'));
+  assertEquals('Bad argument.',
+      'error: test:1: bad argument #1 to \'rep\' (string expected, ' +
+      'got no value)',
+      runLua_('string.rep()'));
+  assertEquals('Stack overflow.', 'false',
+      runLua_('local function f() return 1 + f() end out((pcall(f)))'));
+}
+
+function test_syntaxError() {
+  var vm = new LuaInterpreter();
+  try {
+    vm.load('x = = 1', 'test');
+    fail('No error.');
+  } catch (e) {
+    assertEquals('Message.', 'test:1: unexpected symbol near \'=\'',
+                 e.value);
+  }
+  assertEquals('loadstring.',
+      'nil [string "return +"]:1: unexpected symbol near \'+\'',
+      runLua_('out(loadstring("return +"))'));
+}
+
+function test_coroutines() {
+  assertEquals('Resume and yield.', 'true 3\ntrue 20\ntrue 7\n' +
+      'false cannot resume dead coroutine\ndead',
+      runLua_('local co = coroutine.create(function(a, b)\n' +
+              '  local c = coroutine.yield(a + b)\n' +
+              '  local d, e = coroutine.yield(c * 2)\n' +
+              '  return d + e\n' +
+              'end)\n' +
+              'out(coroutine.resume(co, 1, 2))\n' +
+              'out(coroutine.resume(co, 10))\n' +
+              'out(coroutine.resume(co, 3, 4))\n' +
+              'out(coroutine.resume(co))\n' +
+              'out(coroutine.status(co))'));
+  assertEquals('Wrap.', '1 2 3',
+      runLua_('local gen = coroutine.wrap(function()\n' +
+              '  for i = 1, 3 do coroutine.yield(i) end\n' +
+              'end)\n' +
+              'out(gen(), gen(), gen())'));
+  assertEquals('Errors in coroutines.', 'false test:1: oops',
+      runLua_('local co = coroutine.create(function() error("oops") end)\n' +
+              'out(coroutine.resume(co))'));
+}
+
+function test_suspend() {
+  var vm = new LuaInterpreter();
+  vm.setGlobal('wait', function() {
+    return LuaInterpreter.SUSPEND;
+  });
+  vm.start(vm.load('local a, b = wait() return a + b', 'test'));
+  var result = vm.run(1000);
+  assertEquals('Suspended.', 'suspend', result.status);
+  vm.resume([2, 3]);
+  result = vm.run(1000);
+  assertEquals('Finished.', 'done', result.status);
+  assertEquals('Results of the host function.', 5, result.values[0]);
+}
+
+function test_budget() {
+  var vm = new LuaInterpreter();
+  vm.start(vm.load('while true do end', 'test'));
+  assertEquals('Out of instructions.', 'budget', vm.run(1000).status);
+  assertTrue('Still running.', vm.isRunning());
+  vm.maxInstructionsWithoutYield = 5000;
+  var result = vm.run(10000);
+  assertEquals('Stopped.', 'error', result.status);
+  assertEquals('Message.', 'Too long without yielding', result.message);
+}
+
+function test_debugInfo() {
+  var vm = new LuaInterpreter();
+  var seen = [];
+  vm.setGlobal('look', function(args, vm) {
+    var describe = function(frame) {
+      return frame ? Object.keys(frame.locals).sort().map(function(name) {
+        var value = frame.locals[name];
+        return name + '=' + (value instanceof LuaInterpreter.Table ?
+            'table' : vm.tostring(value));
+      }).join(',') : '';
+    };
+    var stack = vm.getStack();
+    seen.push(vm.getCallDepth() + ':' + stack[0].chunkName + ':' +
+              stack[0].line + ':' + describe(stack[0]) + ';' +
+              describe(stack[1]));
+    return vm.canSuspend() ? LuaInterpreter.SUSPEND : [];
+  });
+  vm.start(vm.load(
+      'local a = 1\n' +
+      'local t = {}\n' +
+      'local function f(x)\n' +
+      '  local a = x * 2\n' +
+      '  look()\n' +
+      '  return function() return a end\n' +
+      'end\n' +
+      'look()\n' +
+      'do local b = f(5) end\n' +
+      'setmetatable(t, {__tostring = function() look() return "" end})\n' +
+      'local c = tostring(t)\n' +
+      'look()', 'test'));
+  var statuses = [];
+  var result;
+  do {
+    result = vm.run(1000);
+    statuses.push(result.status);
+    if (result.status == 'suspend') {
+      vm.resume([]);
+    }
+  } while (result.status != 'done' && result.status != 'error');
+  assertEquals('Statuses.', 'suspend,suspend,suspend,done',
+               statuses.join(','));
+  assertEquals('Locals.',
+      '1:test:8:a=1,f=function,t=table;\n' +
+      '2:test:5:a=10,x=5;a=1,f=function,t=table\n' +
+      // tostring calls the metamethod from JavaScript, so it can't suspend.
+      '2:test:10:;a=1,f=function,t=table\n' +
+      '1:test:12:a=1,c=,f=function,t=table;',
+      seen.join('\n').replace(/function: \w+/g, 'function'));
+  assertEquals('Nothing running.', 0, vm.getStack().length);
+}
+
+function test_stringLibrary() {
+  assertEquals('find.', '5 7 1 5 hello',
+      runLua_('local s = "hello world"\n' +
+              'local a, b = s:find("o w")\n' +
+              'out(a, b, s:find("(%a+)"))'));
+  assertEquals('match.', 'key 42',
+      runLua_('out(string.match("key = 42", "(%w+)%s*=%s*(%d+)"))'));
+  assertEquals('gsub.', 'hell0 w0rld 2 <a> <b> 2',
+      runLua_('local s, n = string.gsub("hello world", "o", "0")\n' +
+              'out(s, n, string.gsub("a b", "%w", "<%0>"))'));
+  assertEquals('gsub with a function.', 'HELLO world',
+      runLua_('out((("hello world"):gsub("^%a+", string.upper)))'));
+  assertEquals('gmatch.', 'one,two,three',
+      runLua_('local words = {}\n' +
+              'for w in ("one two three"):gmatch("%a+") do ' +
+              'words[#words + 1] = w end\n' +
+              'out(table.concat(words, ","))'));
+  assertEquals('Balanced and frontier patterns.', '(a(b)) THE',
+      runLua_('out(("x(a(b))y"):match("%b()"), ' +
+              '("THE (quick) fox"):match("%f[%a]%u+%f[%A]"))'));
+  assertEquals('format.', ' 3.14|42   |-0042|ff|"a\\"b"|1e+20',
+      runLua_('out(string.format("%5.2f|%-5d|%05d|%x|%q|%g", ' +
+              '3.14159, 42, -42, 255, \'a"b\', 1e20))'));
+  assertEquals('Other functions.', 'ababab X 65 Hi cba ell',
+      runLua_('out(("ab"):rep(3), ("x"):upper(), ("A"):byte(), ' +
+              'string.char(72, 105), ("abc"):reverse(), ' +
+              '("hello"):sub(2, -2))'));
+}
+
+function test_tableLibrary() {
+  assertEquals('sort.', '1,2,5,8 8,5,2,1',
+      runLua_('local t = {5, 2, 8, 1}\n' +
+              'table.sort(t)\n' +
+              'local a = table.concat(t, ",")\n' +
+              'table.sort(t, function(x, y) return x > y end)\n' +
+              'out(a, table.concat(t, ","))'));
+  assertEquals('insert and remove.', '0,1,2,3,4 4 0 1,2,3',
+      runLua_('local t = {1, 2, 3}\n' +
+              'table.insert(t, 1, 0) table.insert(t, 4)\n' +
+              'local all = table.concat(t, ",")\n' +
+              'out(all, table.remove(t), table.remove(t, 1), ' +
+              'table.concat(t, ","))'));
+  assertEquals('unpack and select.', '1 2 3 3 c',
+      runLua_('out(unpack({1, 2, 3}))\n' +
+              'out(select("#", 1, 2, 3), select(-1, "a", "b", "c"))')
+          .replace('\n', ' '));
+}
+
+function test_mathLibrary() {
+  assertEquals('Functions.', '3 -4 5 2 inf',
+      runLua_('out(math.floor(3.7), math.ceil(-4.2), math.max(1, 5, 3), ' +
+              'math.sqrt(4), math.huge)'));
+  assertEquals('Random numbers are repeatable.', 'true true',
+      runLua_('math.randomseed(42)\n' +
+              'local a = {math.random(), math.random(10)}\n' +
+              'math.randomseed(42)\n' +
+              'local b = {math.random(), math.random(10)}\n' +
+              'out(a[1] == b[1], a[2] == b[2] and a[2] >= 1 and a[2] <= 10)'));
+  assertEquals('tonumber.', '16 5 35 nil',
+      runLua_('out(tonumber("0x10"), tonumber("101", 2), ' +
+              'tonumber("z", 36), tonumber("abc"))'));
+}
@@ -0,0 +1,153 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * A program whose 'dig' procedure is in the 'mining' module and calls 'step'
+ * in the 'moves' module.
+ */
+var MODULES_XML_ =
+    '<block type="procedures_defnoreturn">' +
+    '  <mutation module="mining"></mutation>' +
+    '  <title name="NAME">dig</title>' +
+    '  <statement name="STACK">' +
+    '    <block type="procedures_callnoreturn">' +
+    '      <mutation name="step"></mutation>' +
+    '    </block>' +
+    '  </statement>' +
+    '</block>' +
+    '<block type="procedures_defnoreturn">' +
+    '  <mutation module="moves"></mutation>' +
+    '  <title name="NAME">step</title>' +
+    '  <statement name="STACK">' +
+    '    <block type="turtle_move">' +
+    '      <mutation is_statement="true"></mutation>' +
+    '      <title name="DIRECTIONS">forward</title>' +
+    '    </block>' +
+    '  </statement>' +
+    '</block>' +
+    '<block type="procedures_defnoreturn">' +
+    '  <title name="NAME">turn</title>' +
+    '</block>' +
+    '<block type="procedures_callnoreturn">' +
+    '  <mutation name="dig"></mutation>' +
+    '  <next><block type="procedures_callnoreturn">' +
+    '    <mutation name="turn"></mutation></block></next>' +
+    '</block>';
+
+function test_singleFile() {
+  var code = luaFromXml_(MODULES_XML_);
+  assertEquals('Modules ignored.',
+      'function dig()\n' +
+      '  step()\n' +
+      'end\n' +
+      '\n' +
+      'function step()\n' +
+      '  turtle.forward()\n' +
+      'end\n' +
+      '\n' +
+      'function turn()\n' +
+      'end\n' +
+      '\n\n' +
+      'dig()\n' +
+      'turn()\n', code);
+  assertEquals('Modules.', 'mining,moves', Blockly.Lua.getModules().join());
+}
+
+function test_workspaceToFiles() {
+  luaFromXml_(MODULES_XML_);
+  var files = Blockly.Lua.workspaceToFiles('miner');
+  assertEquals('Names.', 'miner mining moves', files.map(function(file) {
+    return file.name;
+  }).join(' '));
+  assertEquals('Main program.',
+      'os.loadAPI(fs.combine(fs.getDir(shell.getRunningProgram()), ' +
+      '\'mining\'))\n' +
+      'os.loadAPI(fs.combine(fs.getDir(shell.getRunningProgram()), ' +
+      '\'moves\'))\n' +
+      '\n' +
+      'function turn()\n' +
+      'end\n' +
+      '\n\n' +
+      'mining.dig()\n' +
+      'turn()\n', files[0].code);
+  assertEquals('Module calling another.',
+      'function dig()\n' +
+      '  moves.step()\n' +
+      'end\n', files[1].code);
+  assertEquals('Module.',
+      'function step()\n' +
+      '  turtle.forward()\n' +
+      'end\n', files[2].code);
+  // Generating one file afterwards is unaffected.
+  assertEquals('miner', files[0].name);
+  assertEquals(-1, Blockly.Lua.workspaceToCode().indexOf('os.loadAPI'));
+}
+
+function test_moduleCallingMainProgram() {
+  luaFromXml_(MODULES_XML_);
+  assertEquals('Calls between modules.', 0,
+               Blockly.Lua.getDiagnostics().length);
+  var step = Blockly.Procedures.getDefinition('step', Blockly.mainWorkspace);
+  Blockly.ComputerCraft.setModule(step, '');
+  var diagnostics = Blockly.Lua.getDiagnostics();
+  assertEquals('Call to the main program.', 1, diagnostics.length);
+  var call = Blockly.mainWorkspace.getBlockById(diagnostics[0].blockId);
+  assertEquals('step', call.getProcedureCall());
+  assertEquals(Blockly.Generator.ERROR, diagnostics[0].severity);
+}
+
+function test_moduleMutation() {
+  luaFromXml_(MODULES_XML_);
+  var xml = Blockly.Xml.workspaceToDom(Blockly.mainWorkspace);
+  Blockly.mainWorkspace.clear();
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, xml);
+  var dig = Blockly.Procedures.getDefinition('dig', Blockly.mainWorkspace);
+  assertEquals('mining', Blockly.Lua.getModule(dig));
+  assertEquals('in API mining', dig.getTitleValue('MODULE'));
+  Blockly.ComputerCraft.setModule(dig, '');
+  assertEquals('moves', Blockly.Lua.getModules().join());
+  assertTrue(Blockly.ComputerCraft.isLegalModuleName('mining_2'));
+  assertFalse(Blockly.ComputerCraft.isLegalModuleName('turtle'));
+  assertFalse(Blockly.ComputerCraft.isLegalModuleName('2d'));
+}
+
+function test_installerScript() {
+  var code = Blockly.ComputerCraft.installerScript([
+      {name: 'miner', code: 'print(\'hi\')\nmining.dig()\n'},
+      {name: 'mining', code: 'function dig()\nend\n'}]);
+  var tree = parseLua_(code);
+  var entries = tree.body[0].init[0].fields;
+  assertEquals('Files.', 2, entries.length);
+  assertEquals('Code written literally.',
+      '  {\'miner\', [[\nprint(\'hi\')\nmining.dig()\n]]},\n',
+      code.substring(code.indexOf('  {\'miner\''),
+                     code.indexOf('  {\'mining\'')));
+}
+
+function test_zip() {
+  assertEquals('CRC-32.', 0xCBF43926,
+      Blockly.ComputerCraft.crc32([49, 50, 51, 52, 53, 54, 55, 56, 57]));
+  var bytes = Blockly.ComputerCraft.zip([{name: 'a', code: 'é'}]);
+  // A local header, a central directory entry and the end record.
+  assertEquals('Size.', 30 + 1 + 2 + 46 + 1 + 22, bytes.length);
+  assertEquals('Signature.', 'PK\u0003\u0004',
+               String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]));
+  assertEquals('UTF-8.', '195,169', [bytes[31], bytes[32]].join());
+}
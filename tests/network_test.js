@@ -0,0 +1,333 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Run programs on computers in a network until they finish.
+ * @param {!Array.<!Object>} computers For each computer: its 'source', and
+ *     optionally its 'id', 'label', 'position' and 'modems' (by default a
+ *     wireless modem on top).
+ * @param {number=} opt_range Distance wireless modems reach.
+ * @return {{outputs: !Array.<string>, network:
+ *     !Blockly.ComputerCraft.Network}} What each computer printed, and the
+ *     network afterwards.
+ */
+function runNetwork_(computers, opt_range) {
+  var network = new Blockly.ComputerCraft.Network(opt_range);
+  var outputs = [];
+  computers.forEach(function(settings, x) {
+    outputs.push('');
+    var computer = new Blockly.ComputerCraft.Computer({
+      id: settings.id === undefined ? x : settings.id,
+      label: settings.label,
+      onOutput: function(text) {
+        outputs[x] += text;
+      }
+    });
+    network.install(computer, {position: settings.position,
+                               modems: settings.modems || {top: 'wireless'}});
+    computer.start(settings.source, 'test');
+  });
+  network.runToCompletion(600000);
+  return {outputs: outputs, network: network};
+}
+
+function test_peripherals() {
+  var output = runNetwork_([{
+    source: 'print(peripheral.isPresent("top"), peripheral.isPresent("left"),' +
+        ' peripheral.getType("top"), " ", ' +
+        'table.concat(peripheral.getNames(), ","))\n' +
+        'print(table.concat(peripheral.getMethods("top"), ","))\n' +
+        'local modem = peripheral.wrap("back")\n' +
+        'print(modem.isWireless(), peripheral.call("top", "isWireless"), ' +
+        'peripheral.find("modem") ~= nil, ' +
+        'tostring(peripheral.wrap("left")))\n' +
+        'print(select(2, pcall(peripheral.call, "left", "open", 1)))\n' +
+        'print(select(2, pcall(peripheral.call, "top", "explode")))\n' +
+        'print(select(2, pcall(peripheral.call, "back", "open", 65536)))',
+    modems: {top: 'wireless', back: 'wired'}}]).outputs[0];
+  assertEquals('Output.',
+      'truefalsemodem top,back\n' +
+      'isOpen,open,close,closeAll,transmit,isWireless\n' +
+      'falsetruetruenil\n' +
+      'test:5: No peripheral attached\n' +
+      'test:6: No such method explode\n' +
+      'test:7: Expected number in range 0-65535\n', output);
+}
+
+function test_modemMessages() {
+  var result = runNetwork_([
+    {source: 'local modem = peripheral.wrap("top")\n' +
+        'modem.open(5)\n' +
+        'local event, side, channel, reply, message, distance = ' +
+        'os.pullEvent("modem_message")\n' +
+        'print(side, " ", channel, " ", reply, " ", message.text, " ", ' +
+        'tostring(message.fn), " ", distance)',
+     position: {x: 0, y: 64, z: 0}},
+    {source: 'peripheral.call("top", "transmit", 5, 6, ' +
+        '{text = "hi", fn = print})',
+     position: {x: 3, y: 64, z: 4}}]);
+  assertEquals('Received.', 'top 5 6 hi nil 5\n', result.outputs[0]);
+  var log = result.network.log;
+  assertEquals('Logged.', 1, log.length);
+  assertEquals('Sender.', 1, log[0].from);
+  assertEquals('Receivers.', '0', log[0].receivedBy.join(','));
+  assertEquals('Channel.', 5, log[0].channel);
+  assertEquals('Message.', '{text = "hi"}', log[0].message);
+}
+
+function test_rednet() {
+  var result = runNetwork_([
+    {source: 'rednet.open("top")\n' +
+        'print(rednet.isOpen("top"), rednet.isOpen())\n' +
+        'for i = 1, 3 do\n' +
+        '  local id, message, protocol = rednet.receive()\n' +
+        '  print(id, " ", message, " ", tostring(protocol))\n' +
+        'end',
+     label: 'server'},
+    {source: 'rednet.open("top")\n' +
+        'rednet.send(0, "first")\n' +
+        'rednet.broadcast("second", "chat")\n' +
+        'rednet.send(2, "not for you")\n' +
+        'rednet.send(0, "third")'},
+    {source: 'print(pcall(rednet.open, "left"))\n' +
+        'print(rednet.isOpen(), os.getComputerID())',
+     modems: {}}]);
+  assertEquals('Server.', 'truetrue\n' +
+      '1 first nil\n' +
+      '1 second chat\n' +
+      '1 third nil\n', result.outputs[0]);
+  assertEquals('No modem.', 'falsetest:1: No such modem: left\n' +
+      'false2\n', result.outputs[2]);
+  var log = result.network.log;
+  assertEquals('Messages.', 4, log.length);
+  assertEquals('Broadcast.', 65535, log[1].to);
+  assertEquals('Protocol.', 'chat', log[1].protocol);
+  assertEquals('Payload.', '"second"', log[1].message);
+  assertEquals('Not received.', 0, log[2].receivedBy.length);
+}
+
+function test_range() {
+  var listener = 'rednet.open("top")\n' +
+      'print(rednet.receive(1))';
+  var result = runNetwork_([
+    {source: 'rednet.open("top") sleep(0) rednet.broadcast("ping")',
+     position: {x: 0, y: 64, z: 0}},
+    {source: listener, position: {x: 10, y: 64, z: 0}},
+    {source: listener, position: {x: 11, y: 64, z: 0}},
+    {source: listener, position: {x: 1000, y: 64, z: 0},
+     modems: {top: 'wired'}}], 10);
+  assertEquals('In range.', '0ping\n', result.outputs[1]);
+  assertEquals('Out of range.', '\n', result.outputs[2]);
+  assertEquals('Different kind of modem.', '\n', result.outputs[3]);
+  result = runNetwork_([
+    {source: 'rednet.open("back") sleep(0) rednet.broadcast("ping")',
+     modems: {back: 'wired'}, position: {x: 0, y: 64, z: 0}},
+    {source: listener, position: {x: 1000, y: 64, z: 0},
+     modems: {top: 'wired'}}], 10);
+  assertEquals('Wired.', '0ping\n', result.outputs[1]);
+}
+
+function test_timeout() {
+  var result = runNetwork_([
+    {source: 'rednet.open("top")\n' +
+        'local start = os.clock()\n' +
+        'local id = rednet.receive(2)\n' +
+        'print(tostring(id), " ", os.clock() - start)\n' +
+        'print(rednet.receive("wanted", 5))\n' +
+        'print(os.clock())'},
+    {source: 'rednet.open("top")\n' +
+        'sleep(3)\n' +
+        'rednet.send(0, "ignored", "other")\n' +
+        'sleep(1)\n' +
+        'rednet.send(0, "late", "wanted")'}]);
+  assertEquals('Timed out, then received.', 'nil 2\n' +
+      '1latewanted\n' +
+      '4\n', result.outputs[0]);
+}
+
+function test_hostnames() {
+  var result = runNetwork_([
+    {source: 'rednet.open("top")\n' +
+        'rednet.host("chat", "alice")\n' +
+        'print(rednet.lookup("chat", "localhost"))\n' +
+        'while true do rednet.receive() end'},
+    {source: 'rednet.open("top")\n' +
+        'rednet.host("chat", "bob")\n' +
+        'sleep(5)\n' +
+        'rednet.unhost("chat")'},
+    {source: 'rednet.open("top")\n' +
+        'sleep(3)\n' +
+        'print(rednet.lookup("chat", "alice"))\n' +
+        'print(rednet.lookup("chat"))\n' +
+        'print(pcall(rednet.host, "chat", "alice"))\n' +
+        'sleep(5)\n' +
+        'print(rednet.lookup("chat"))\n' +
+        'print(pcall(rednet.run))'}]);
+  assertEquals('Own hostname.', '0\n', result.outputs[0]);
+  assertEquals('Lookups.', '0\n' +
+      '01\n' +
+      'falsetest:5: Hostname in use\n' +
+      '0\n' +
+      'falsetest:8: rednet is already running\n', result.outputs[2]);
+}
+
+function test_rednetBlocks() {
+  var text = function(value) {
+    return '<block type="text"><title name="TEXT">' + value +
+        '</title></block>';
+  };
+  var open = '<block type="rednet_open"><title name="SIDE">top</title>';
+  var server = luaFromXml_(open +
+      '<next><block type="rednet_host">' +
+      '<value name="PROTOCOL">' + text('chat') + '</value>' +
+      '<value name="HOSTNAME">' + text('server') + '</value>' +
+      '<next><block type="rednet_receive_vars">' +
+      '<value name="PROTOCOL">' + text('chat') + '</value>' +
+      '<title name="SENDER_VAR">from</title>' +
+      '<next><block type="text_print">' +
+      '<value name="TEXT"><block type="variables_get">' +
+      '<title name="VAR">message</title></block></value>' +
+      '<next><block type="rednet_receive_vars">' +
+      '<value name="TIMEOUT"><block type="math_number">' +
+      '<title name="NUM">3</title></block></value>' +
+      '<title name="SENDER_VAR">from</title>' +
+      '<next><block type="text_print">' +
+      '<value name="TEXT"><block type="variables_get">' +
+      '<title name="VAR">message</title></block></value>' +
+      '<next><block type="rednet_unhost">' +
+      '<value name="PROTOCOL">' + text('chat') + '</value>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block>');
+  Blockly.mainWorkspace.clear();
+  // The server takes two seconds to check that its hostname is free.
+  var client = luaFromXml_(open +
+      '<next><block type="os_sleep">' +
+      '<value name="VALUE"><block type="math_number">' +
+      '<title name="NUM">3</title></block></value>' +
+      '<next><block type="variables_set">' +
+      '<title name="VAR">id</title>' +
+      '<value name="VALUE"><block type="rednet_lookup">' +
+      '<value name="PROTOCOL">' + text('chat') + '</value>' +
+      '<value name="HOSTNAME">' + text('server') + '</value>' +
+      '</block></value>' +
+      '<next><block type="rednet_send">' +
+      '<mutation dependent_input="true"></mutation>' +
+      '<title name="OPTION">protocol</title>' +
+      '<value name="ID"><block type="variables_get">' +
+      '<title name="VAR">id</title></block></value>' +
+      '<value name="MESSAGE">' + text('hi') + '</value>' +
+      '<value name="PROTOCOL">' + text('chat') + '</value>' +
+      '<next><block type="rednet_send">' +
+      '<value name="ID"><block type="variables_get">' +
+      '<title name="VAR">id</title></block></value>' +
+      '<value name="MESSAGE">' + text('bye') + '</value>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block>');
+  assertEquals('Receive code.',
+      'from, message, protocol = rednet.receive(\'chat\')\n' +
+      'print(message)\n' +
+      'from, message, protocol = rednet.receive(3)\n' +
+      'print(message)\n',
+      server.substring(server.indexOf('from, message, protocol ='),
+                       server.indexOf('rednet.unhost')));
+  assertEquals('Send code.',
+      'rednet.send(id, \'hi\', \'chat\')\n' +
+      'rednet.send(id, \'bye\')\n',
+      client.substring(client.indexOf('rednet.send')));
+  var result = runNetwork_([{source: server}, {source: client}]);
+  assertEquals('Server.', 'hi\nbye\n', result.outputs[0]);
+  assertEquals('Client.', '', result.outputs[1]);
+  Blockly.mainWorkspace.clear();
+  var sendTable =
+      'function rednet_send(id, message, protocol)\n' +
+      '  if type(message) == \'table\' then\n' +
+      '    message = textutils.serialize(message)\n' +
+      '  end\n' +
+      '  rednet.send(id, message, protocol)\n' +
+      'end\n' +
+      '\n\n';
+  assertEquals('Table sent as a string.',
+      sendTable + 'rednet_send(1, ({\'hi\'}))\n',
+      luaFromXml_('<block type="rednet_send">' +
+          '<value name="ID"><block type="math_number">' +
+          '<title name="NUM">1</title></block></value>' +
+          '<value name="MESSAGE"><block type="lists_create_with">' +
+          '<mutation items="1"></mutation>' +
+          '<value name="ADD0">' + text('hi') + '</value>' +
+          '</block></value>' +
+          '</block>'));
+  Blockly.mainWorkspace.clear();
+  assertEquals('Variable checked when sent.',
+      'local reply\n\n' + sendTable + 'rednet_send(1, reply)\n',
+      luaFromXml_('<block type="rednet_send">' +
+          '<value name="ID"><block type="math_number">' +
+          '<title name="NUM">1</title></block></value>' +
+          '<value name="MESSAGE"><block type="variables_get">' +
+          '<title name="VAR">reply</title></block></value>' +
+          '</block>'));
+  Blockly.mainWorkspace.clear();
+  assertEquals('Variable checked when broadcast.',
+      'local reply\n\n' +
+      'function rednet_broadcast(message)\n' +
+      '  if type(message) == \'table\' then\n' +
+      '    message = textutils.serialize(message)\n' +
+      '  end\n' +
+      '  rednet.broadcast(message)\n' +
+      'end\n' +
+      '\n\n' +
+      'rednet_broadcast(reply)\n',
+      luaFromXml_('<block type="rednet_broadcast">' +
+          '<mutation dependent_input="true"></mutation>' +
+          '<title name="OPTION">broadcast</title>' +
+          '<value name="MESSAGE"><block type="variables_get">' +
+          '<title name="VAR">reply</title></block></value>' +
+          '</block>'));
+  Blockly.mainWorkspace.clear();
+  assertEquals('String broadcast.',
+      'rednet.broadcast(\'hi\')\nrednet.announce()\n',
+      luaFromXml_('<block type="rednet_broadcast">' +
+          '<mutation dependent_input="true"></mutation>' +
+          '<title name="OPTION">broadcast</title>' +
+          '<value name="MESSAGE">' + text('hi') + '</value>' +
+          '<next><block type="rednet_broadcast">' +
+          '<title name="OPTION">announce</title>' +
+          '</block></next>' +
+          '</block>'));
+  Blockly.mainWorkspace.clear();
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, Blockly.Xml.textToDom(
+      '<xml><block type="rednet_receive_vars"></block></xml>'));
+  assertEquals('Protocol and timeout are optional.', 0,
+               Blockly.Lua.getDiagnostics().length);
+  Blockly.mainWorkspace.clear();
+  assertEquals('All hosts.', 'print({rednet.lookup(\'chat\')})\n',
+      luaFromXml_('<block type="text_print">' +
+          '<value name="TEXT"><block type="rednet_lookup_all">' +
+          '<value name="PROTOCOL">' + text('chat') + '</value>' +
+          '</block></value>' +
+          '</block>'));
+}
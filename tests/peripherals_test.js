@@ -0,0 +1,169 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Run a program on a computer with files and a network, after attaching
+ * peripherals to it.
+ * @param {string} source Lua source code.
+ * @param {!Object} kinds Kinds of peripherals to attach, by side.
+ * @param {Function=} opt_setup Called with the computer, its peripherals by
+ *     side and its files once the program has started.
+ * @return {{output: string, peripherals: !Object,
+ *     fileSystem: !Blockly.ComputerCraft.FileSystem}} What the program
+ *     printed, its peripherals by side, and its files.
+ */
+function runPeripherals_(source, kinds, opt_setup) {
+  var output = '';
+  var computer = new Blockly.ComputerCraft.Computer({
+    onOutput: function(text) {
+      output += text;
+    }
+  });
+  var fileSystem = new Blockly.ComputerCraft.FileSystem();
+  fileSystem.install(computer);
+  var network = new Blockly.ComputerCraft.Network();
+  network.install(computer);
+  var peripherals = {};
+  for (var side in kinds) {
+    peripherals[side] = Blockly.ComputerCraft.attachPeripheral(computer,
+        side, kinds[side], {fileSystem: fileSystem, network: network});
+  }
+  computer.start(source, 'test');
+  if (opt_setup) {
+    opt_setup(computer, peripherals, fileSystem);
+  }
+  computer.runToCompletion(600000);
+  return {output: output, peripherals: peripherals, fileSystem: fileSystem};
+}
+
+function test_monitor() {
+  var result = runPeripherals_(
+      'local m = peripheral.wrap("right")\n' +
+      'print(peripheral.getType("right"), " ", m.getSize())\n' +
+      'm.setTextScale(0.5)\n' +
+      'print(m.getSize())\n' +
+      'm.setCursorPos(2, 1)\n' +
+      'm.write("hi")\n' +
+      'print(select(2, pcall(peripheral.call, "right", "setTextScale", 6)))\n' +
+      'local _, side, x, y = os.pullEvent("monitor_touch")\n' +
+      'print(side, " ", x, " ", y)',
+      {right: 'monitor'}, function(computer, peripherals) {
+        peripherals.right.touch(3, 4);
+      });
+  assertEquals('Output.', 'monitor 2912\n' +
+      '5724\n' +
+      'test:7: Expected number in range 0.5-5\n' +
+      'right 3 4\n', result.output);
+  var terminal = result.peripherals.right.terminal;
+  assertEquals('Written on the monitor.', ' hi', terminal.toString());
+  assertEquals('Resized.', 57, terminal.getLine(1).length);
+}
+
+function test_printer() {
+  var result = runPeripherals_(
+      'local p = peripheral.wrap("bottom")\n' +
+      'print(pcall(peripheral.call, "bottom", "write", "x"))\n' +
+      'print(p.newPage(), " ", p.getPaperLevel(), " ", p.getPageSize())\n' +
+      'p.setPageTitle("Report")\n' +
+      'p.write("Hello")\n' +
+      'p.setCursorPos(24, 2)\n' +
+      'p.write("World")\n' +
+      'print(p.endPage(), " ", p.getInkLevel())',
+      {bottom: 'printer'});
+  assertEquals('Output.', 'falsetest:2: Page not started\n' +
+      'true 63 2521\n' +
+      'true 63\n', result.output);
+  var pages = result.peripherals.bottom.pages;
+  assertEquals('Pages.', 1, pages.length);
+  assertEquals('Title.', 'Report', pages[0].title);
+  assertEquals('Line 1.', 'Hello', pages[0].lines[0].replace(/ +$/, ''));
+  assertEquals('Line 2.', 'Wo', pages[0].lines[1].replace(/^ +/, ''));
+}
+
+function test_chest() {
+  var result = runPeripherals_(
+      'local chest = peripheral.wrap("front")\n' +
+      'print(chest.size())\n' +
+      'for slot, item in pairs(chest.list()) do\n' +
+      '  print(slot, " ", item.name, " ", item.count)\n' +
+      'end\n' +
+      'print(chest.getItemDetail(2) == nil, chest.getItemDetail(3).name)\n' +
+      'print(pcall(peripheral.call, "front", "getItemDetail", 28))',
+      {}, function(computer) {
+        computer.attachPeripheral('front', new Blockly.ComputerCraft.Chest(
+            [{name: 'minecraft:coal', count: 5}, null,
+             {name: 'minecraft:stone', count: 64}]));
+      });
+  assertEquals('Output.', '27\n' +
+      '1 minecraft:coal 5\n' +
+      '3 minecraft:stone 64\n' +
+      'trueminecraft:stone\n' +
+      'falsetest:7: Slot out of range\n', result.output);
+}
+
+function test_diskDrive() {
+  var result = runPeripherals_(
+      'local drive = peripheral.wrap("left")\n' +
+      'print(drive.isDiskPresent(), " ", drive.hasData(), " ", ' +
+      'drive.getMountPath(), " ", drive.getDiskID())\n' +
+      'drive.setDiskLabel("Mine")\n' +
+      'print(disk.getLabel("left"))\n' +
+      'drive.ejectDisk()\n' +
+      'print(os.pullEvent("disk_eject"))\n' +
+      'print(drive.isDiskPresent(), " ", tostring(drive.getMountPath()))',
+      {left: 'drive'}, function(computer, peripherals, fileSystem) {
+        fileSystem.insertDisk('left', fileSystem.createDisk());
+      });
+  assertEquals('Output.', 'true true disk 0\n' +
+      'Mine\n' +
+      'disk_ejectleft\n' +
+      'false nil\n', result.output);
+}
+
+function test_customPeripheral() {
+  Blockly.ComputerCraft.registerPeripheral('test:counter', 'Counter',
+      function(computer, side) {
+        var count = 0;
+        return {type: 'counter', methods: {
+          increment: function(args) {
+            count += LuaInterpreter.checkNumber(args, 0, 'increment', 1);
+            return [count];
+          },
+          getSide: function() {
+            return [side];
+          }
+        }};
+      });
+  var kinds = Blockly.ComputerCraft.getPeripheralKinds().map(function(entry) {
+    return entry.kind;
+  });
+  assertEquals('Kinds.', 'monitor,drive,modem,wired_modem,printer,chest,' +
+      'test:counter', kinds.join(','));
+  var result = runPeripherals_(
+      'print(table.concat(peripheral.getMethods("top"), ","))\n' +
+      'local counter = peripheral.find("counter")\n' +
+      'counter.increment()\n' +
+      'print(counter.increment(5), counter.getSide())\n' +
+      'print(peripheral.call("back", "isWireless"))',
+      {top: 'test:counter', back: 'wired_modem'});
+  assertEquals('Output.', 'increment,getSide\n' +
+      '6top\n' +
+      'false\n', result.output);
+}
@@ -0,0 +1,124 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Start a program on a computer with redstone.
+ * @param {string} source Lua source code.
+ * @param {Blockly.ComputerCraft.Redstone=} opt_redstone The signals, if not
+ *     new ones.
+ * @return {{computer: !Blockly.ComputerCraft.Computer,
+ *     redstone: !Blockly.ComputerCraft.Redstone, output: function(): string}}
+ *     The computer, its signals, and a function getting what the program
+ *     has printed so far.
+ */
+function startRedstone_(source, opt_redstone) {
+  var output = '';
+  var computer = new Blockly.ComputerCraft.Computer({
+    onOutput: function(text) {
+      output += text;
+    }
+  });
+  var redstone = opt_redstone || new Blockly.ComputerCraft.Redstone();
+  redstone.install(computer);
+  computer.start(source, 'test');
+  computer.runToCompletion(600000);
+  return {computer: computer, redstone: redstone, output: function() {
+    return output;
+  }};
+}
+
+function test_redstoneSignals() {
+  var redstone = new Blockly.ComputerCraft.Redstone();
+  redstone.setInput('left', 7);
+  redstone.setInput('back', 20);
+  var result = startRedstone_(
+      'print(table.concat(rs.getSides(), ","))\n' +
+      'print(rs.getInput("left"), rs.getAnalogInput("left"), ' +
+      'redstone.getAnalogInput("back"), rs.getInput("top"))\n' +
+      'rs.setOutput("top", true)\n' +
+      'rs.setAnalogOutput("front", 3.5)\n' +
+      'print(rs.getOutput("top"), rs.getAnalogOutput("front"), ' +
+      'rs.getOutput("bottom"))\n' +
+      'print(select(2, pcall(rs.getInput, "inside")))\n' +
+      'print(select(2, pcall(rs.setAnalogOutput, "top", 16)))\n' +
+      'print(select(2, pcall(rs.setOutput, "top", 1)))', redstone);
+  assertEquals('Output.', 'bottom,top,back,front,right,left\n' +
+      'true715false\n' +
+      'true3false\n' +
+      'test:6: Invalid side.\n' +
+      'test:7: Expected number in range 0-15\n' +
+      'test:8: bad argument #2 to \'setOutput\' ' +
+      '(boolean expected, got number)\n', result.output());
+  assertEquals('Top.', 15, redstone.outputs['top']);
+  assertEquals('Front.', 3, redstone.outputs['front']);
+  startRedstone_('', redstone);
+  assertEquals('Outputs off after restarting.', 0, redstone.outputs['top']);
+  assertEquals('Inputs kept.', 7, redstone.inputs['left']);
+}
+
+function test_bundledCables() {
+  var redstone = new Blockly.ComputerCraft.Redstone();
+  // Only the 16 colours' bits are kept.
+  redstone.setBundledInput('right', 0x10000 | (1 << 14) | (1 << 0));
+  // White is 1, lime 32, blue 2048, red 16384 and black 32768.
+  var result = startRedstone_(
+      'print(rs.getBundledInput("right"), " ", ' +
+      'rs.testBundledInput("right", 16384), ' +
+      'rs.testBundledInput("right", 16384 + 1), ' +
+      'rs.testBundledInput("right", 2048))\n' +
+      'rs.setBundledOutput("back", 32 + 32768)\n' +
+      'print(rs.getBundledOutput("back"))\n' +
+      'rs.setBundledOutput("back", 32)\n' +
+      'print(rs.getBundledOutput("back"))',
+      redstone);
+  assertEquals('Output.', '16385 truetruefalse\n' +
+      '32800\n' +
+      '32\n', result.output());
+  assertEquals('Back.', 32, redstone.bundledOutputs['back']);
+}
+
+function test_redstoneEvents() {
+  var changes = 0;
+  var redstone = new Blockly.ComputerCraft.Redstone();
+  redstone.onChange = function() {
+    changes++;
+  };
+  var result = startRedstone_(
+      'while true do\n' +
+      '  os.pullEvent("redstone")\n' +
+      '  rs.setOutput("top", rs.getInput("left"))\n' +
+      '  print(rs.getInput("left"), rs.getBundledInput("back"))\n' +
+      'end', redstone);
+  assertEquals('Waiting.', 'waiting', result.computer.state);
+  redstone.setInput('left', 15);
+  // Setting an input to what it already is changes nothing.
+  redstone.setInput('left', 15);
+  result.computer.runToCompletion();
+  assertEquals('Door opened.', 15, redstone.outputs['top']);
+  // Both events are waiting when the program looks at the inputs.
+  redstone.setBundledInput('back', 8);
+  redstone.setInput('left', 0);
+  result.computer.runToCompletion();
+  assertEquals('Output.', 'true0\n' +
+      'false8\n' +
+      'false8\n', result.output());
+  assertEquals('Door closed.', 0, redstone.outputs['top']);
+  assertEquals('Changes.', 2, changes);
+}
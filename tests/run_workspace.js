@@ -0,0 +1,181 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Run a saved workspace without a browser, for continuous
+ * integration:
+ *
+ *   node tests/run_workspace.js program.xml [fixture.json]
+ *
+ * The workspace's blocks are turned into Lua by Blockly.Lua.workspaceToCode,
+ * in a page simulated by jsdom, and the program is run on a simulated
+ * computer set up from the fixture (see apps/code/fixture.js).  The results
+ * are written as JSON, and the exit status is 0 if the program did what the
+ * fixture expects, 1 if not, or 2 if it couldn't be run.
+ *
+ * Like tests/lua_test.html, this needs the Closure Library next to Blockly,
+ * in closure-library-read-only, and the jsdom module (npm install jsdom).
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var jsdom = require('jsdom');
+
+var BLOCKLY_DIR = path.join(__dirname, '..');
+var CLOSURE_DIR = path.join(BLOCKLY_DIR, '..', 'closure-library-read-only',
+                            'closure', 'goog');
+
+/**
+ * Scripts loaded after Blockly, as by tests/lua_test.html.  The Code app's
+ * own scripts are added from apps/code/index.html.
+ */
+var SCRIPTS = ['generators/lua.js'].concat(
+    fs.readdirSync(path.join(BLOCKLY_DIR, 'generators', 'lua')).sort()
+        .map(function(name) {
+          return 'generators/lua/' + name;
+        }),
+    ['msg/messages.js'],
+    fs.readdirSync(path.join(BLOCKLY_DIR, 'blocks')).sort()
+        .map(function(name) {
+          return 'blocks/' + name;
+        }),
+    ['tests/generators/unittest.js', 'tests/generators/unittest_lua.js',
+     'apps/lua_parser.js', 'apps/lua_interpreter.js',
+     'apps/lua_library.js']);
+
+/**
+ * Scripts of the Code app that aren't needed to generate and run programs.
+ */
+var SKIPPED_SCRIPTS = ['code.js', 'key.js'];
+
+/**
+ * Get the Code app's scripts that are in its own directory, such as its
+ * blocks and simulators, in the order it loads them.
+ * @return {!Array.<string>} Their paths, relative to Blockly.
+ */
+function getCodeScripts() {
+  var html = fs.readFileSync(
+      path.join(BLOCKLY_DIR, 'apps', 'code', 'index.html'), 'utf8');
+  var scripts = [];
+  var re = /<script[^>]* src="([\w-]+\.js)"/g;
+  var match;
+  while ((match = re.exec(html))) {
+    if (SKIPPED_SCRIPTS.indexOf(match[1]) == -1) {
+      scripts.push('apps/code/' + match[1]);
+    }
+  }
+  scripts.push('apps/code/fixture.js');
+  return scripts;
+}
+
+/**
+ * Create a page with Blockly and the Code app's blocks and simulators.
+ * @return {!Window} The page's window.
+ */
+function createWindow() {
+  var dom = new jsdom.JSDOM('<!DOCTYPE html><html><body>' +
+      '<div id="blocklyDiv" style="height: 480px; width: 600px;"></div>' +
+      '</body></html>', {
+        url: 'file://' + path.join(BLOCKLY_DIR, 'tests', 'run_workspace.html'),
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+      });
+  var window = dom.window;
+  var context = dom.getInternalVMContext();
+  // jsdom doesn't lay out SVG, so give every element a small size.
+  var svg = window.SVGElement.prototype;
+  svg.getBBox = function() {
+    return {x: 0, y: 0, width: 10, height: 10};
+  };
+  svg.getComputedTextLength = function() {
+    return 10;
+  };
+  svg.getScreenCTM = function() {
+    return {a: 1, b: 0, c: 0, d: 1, e: 0, f: 0, inverse: function() {
+      return this;
+    }};
+  };
+  svg.createSVGPoint = function() {
+    return {x: 0, y: 0, matrixTransform: function() {
+      return this;
+    }};
+  };
+  var load = function(file) {
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, {filename: file});
+  };
+  // Load Blockly as blockly_uncompressed.js does, but with Closure reading
+  // each file here rather than writing script tags.
+  window.CLOSURE_BASE_PATH = CLOSURE_DIR + path.sep;
+  window.CLOSURE_IMPORT_SCRIPT = function(src) {
+    load(path.resolve(src));
+    return true;
+  };
+  load(path.join(CLOSURE_DIR, 'base.js'));
+  window.document.write = function() {};
+  var uncompressed = path.join(BLOCKLY_DIR, 'blockly_uncompressed.js');
+  // It finds Blockly's directory from its script tag.
+  var script = window.document.createElement('script');
+  script.src = 'file://' + uncompressed;
+  window.document.head.appendChild(script);
+  load(uncompressed);
+  window.BLOCKLY_BOOT();
+  SCRIPTS.concat(getCodeScripts()).forEach(function(name) {
+    load(path.join(BLOCKLY_DIR, name));
+  });
+  window.Blockly.inject(window.document.getElementById('blocklyDiv'),
+                        {path: BLOCKLY_DIR + path.sep, toolbox: false});
+  return window;
+}
+
+/**
+ * Turn a saved workspace into a program and run it.
+ * @param {string} xmlFile Path of the workspace, as saved by the Code app.
+ * @param {string=} opt_fixtureFile Path of the fixture, in JSON.
+ * @return {!Object} The results, as from Blockly.ComputerCraft.Fixture.
+ */
+function runWorkspace(xmlFile, opt_fixtureFile) {
+  var fixture = opt_fixtureFile ?
+      JSON.parse(fs.readFileSync(opt_fixtureFile, 'utf8')) : {};
+  var window = createWindow();
+  var Blockly = window.Blockly;
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace,
+      Blockly.Xml.textToDom(fs.readFileSync(xmlFile, 'utf8')));
+  var code = Blockly.Lua.workspaceToCode();
+  return new Blockly.ComputerCraft.Fixture(fixture).run(code);
+}
+
+if (require.main == module) {
+  var args = process.argv.slice(2);
+  if (args.length < 1 || args.length > 2) {
+    console.error('Usage: node run_workspace.js program.xml [fixture.json]');
+    process.exit(2);
+  }
+  try {
+    var result = runWorkspace(args[0], args[1]);
+  } catch (e) {
+    console.error(e.stack || String(e));
+    process.exit(2);
+  }
+  console.log(JSON.stringify(result, null, 2));
+  process.exit(result.passed ? 0 : 1);
+}
+
+exports.runWorkspace = runWorkspace;
@@ -0,0 +1,287 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Run a program on a computer with a terminal, typing keys when it waits.
+ * @param {string} source Lua source code.
+ * @param {string=} opt_typing Characters to type, one at a time; '\n'
+ *     presses enter and '\b' backspace.
+ * @return {{terminal: !Blockly.ComputerCraft.Terminal,
+ *     computer: !Blockly.ComputerCraft.Computer}} The terminal and computer
+ *     afterwards.
+ */
+function runTerminal_(source, opt_typing) {
+  var computer = new Blockly.ComputerCraft.Computer();
+  var terminal = new Blockly.ComputerCraft.Terminal();
+  terminal.install(computer);
+  computer.start(source, 'test');
+  computer.runToCompletion(600000);
+  var typing = opt_typing || '';
+  for (var x = 0; x < typing.length; x++) {
+    var c = typing.charAt(x);
+    if (c == '\n') {
+      terminal.keyDown(13, false);
+    } else if (c == '\b') {
+      terminal.keyDown(8, false);
+    } else {
+      terminal.keyDown(c.toUpperCase().charCodeAt(0), false);
+      terminal.keyPress(c.charCodeAt(0));
+    }
+    computer.runToCompletion(600000);
+  }
+  return {terminal: terminal, computer: computer};
+}
+
+function test_termApi() {
+  var terminal = runTerminal_(
+      'term.write("abc")\n' +
+      'term.setCursorPos(50, 2)\n' +
+      'term.write("xyz")\n' +
+      'local x, y = term.getCursorPos()\n' +
+      'local w, h = term.getSize()\n' +
+      'term.setCursorPos(1, 3)\n' +
+      'term.write(x .. " " .. y .. " " .. w .. " " .. h)\n' +
+      'term.setCursorPos(1, 1)\n' +
+      'term.clearLine()').terminal;
+  assertEquals('Text.', '\n' +
+      '                                                 xy\n' +
+      '53 2 51 19', terminal.toString());
+  terminal = runTerminal_('term.write("top")\n' +
+                          'term.setCursorPos(1, 19)\n' +
+                          'term.write("bottom")\n' +
+                          'term.scroll(1)').terminal;
+  assertEquals('Scrolled up.', 'bottom',
+               terminal.getLine(18).replace(/ +$/, ''));
+  terminal = runTerminal_('term.write("top")\n' +
+                          'term.scroll(-2)').terminal;
+  assertEquals('Scrolled down.', '\n\ntop', terminal.toString());
+}
+
+function test_colours() {
+  var result = runTerminal_(
+      'term.setTextColour(colours.red)\n' +
+      'term.setBackgroundColor(colors.lightGray)\n' +
+      'term.write("ab")\n' +
+      'term.setBackgroundColour(colours.black)\n' +
+      'term.setTextColor(colours.combine(colours.orange, colours.white))\n' +
+      'term.write("c")\n' +
+      'term.setTextColour(0)');
+  var terminal = result.terminal;
+  // A set of colours means the one with the highest bit.
+  assertEquals('Text colours.', 'ee1', terminal.getTextColours(1).substr(0, 3));
+  assertEquals('Background colours.', '88f',
+               terminal.getBackgroundColours(1).substr(0, 3));
+  assertEquals('Bad colour.', 'Colour out of range',
+               result.computer.error.replace(/^.*: /, ''));
+  terminal = new Blockly.ComputerCraft.Terminal({colour: false});
+  var computer = new Blockly.ComputerCraft.Computer();
+  terminal.install(computer);
+  computer.start('print(term.isColour())\n' +
+                 'term.setTextColour(colours.red)', 'test');
+  computer.runToCompletion();
+  assertEquals('Black and white.', 'false',
+               terminal.toString().split('\n')[0]);
+  assertEquals('No colours.', 'Colour not supported',
+               computer.error.replace(/^.*: /, ''));
+}
+
+function test_write() {
+  var terminal = runTerminal_(
+      'print(write("The quick brown fox jumps over the lazy dog and ' +
+      'keeps on running\\nhome"))\n' +
+      'print(("x"):rep(60))\n' +
+      'print("a", 1, nil, 2)').terminal;
+  assertEquals('Wrapped.',
+      'The quick brown fox jumps over the lazy dog and\n' +
+      'keeps on running\n' +
+      'home2\n' +
+      'xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx\n' +
+      'xxxxxxxxx\n' +
+      'a1', terminal.toString());
+  terminal = runTerminal_('for i = 1, 25 do print(i) end').terminal;
+  assertEquals('Scrolled.', '8', terminal.getLine(1).replace(/ +$/, ''));
+}
+
+function test_terminalErrors() {
+  var terminal = runTerminal_('printError("oops")\n' +
+                              'print("fine")\n' +
+                              'error("bad")').terminal;
+  assertEquals('Messages.', 'oops\nfine\ntest:3: bad', terminal.toString());
+  assertEquals('printError is red.', 'e', terminal.getTextColours(1)[0]);
+  assertEquals('print is white.', '0', terminal.getTextColours(2)[0]);
+  assertEquals('Errors are red.', 'e', terminal.getTextColours(3)[0]);
+}
+
+function test_redirect() {
+  var terminal = runTerminal_(
+      'local target = {}\n' +
+      'local written = ""\n' +
+      'for name, fn in pairs(term.native) do target[name] = fn end\n' +
+      'function target.write(text) written = written .. text end\n' +
+      'term.redirect(target)\n' +
+      'term.write("hidden")\n' +
+      'term.restore()\n' +
+      'print("shown", written)').terminal;
+  assertEquals('Redirected.', 'shownhidden', terminal.toString());
+}
+
+function test_read() {
+  var result = runTerminal_(
+      'write("Name? ")\n' +
+      'local name = read()\n' +
+      'write("Password? ")\n' +
+      'local password = read("*")\n' +
+      'print(name, "/", password)', 'bobx\b\nabc\n');
+  assertEquals('Typed.', 'Name? bob\nPassword? ***\nbob/abc',
+               result.terminal.toString());
+  assertEquals('Finished.', 'done', result.computer.state);
+}
+
+function test_prompt() {
+  var code = luaFromXml_(
+      '<block type="text_print">' +
+      '  <value name="TEXT">' +
+      '    <block type="text_prompt">' +
+      '      <mutation type="TEXT"></mutation>' +
+      '      <title name="TYPE">TEXT</title>' +
+      '      <title name="TEXT">Colour?</title>' +
+      '    </block>' +
+      '  </value>' +
+      '</block>');
+  var result = runTerminal_(code, 'red\n');
+  assertEquals('Prompted and printed.', 'Colour?red\nred',
+               result.terminal.toString());
+}
+
+function test_textutils() {
+  var result = runTerminal_(
+      'textutils.slowPrint("slow", 10)\n' +
+      'textutils.tabulate({"a", "bb", "ccc"}, {"d"})\n' +
+      'print(textutils.formatTime(13.5), " ", ' +
+      'textutils.formatTime(13.5, true))\n' +
+      'local t = textutils.unserialize(textutils.serialize(' +
+      '{1, "two", x = {y = true}}))\n' +
+      'print(t[2], t.x.y, textutils.urlEncode("a b&c"))');
+  assertEquals('Output.', 'slow\n' +
+      'a     bb    ccc\n' +
+      'd\n' +
+      '1:30 PM 13:30\n' +
+      'twotruea+b%26c', result.terminal.toString());
+  assertEquals('Slow printing takes time.', 400, result.computer.time);
+}
+
+function test_pagedPrint() {
+  var source = 'local lines = {}\n' +
+      'for i = 1, 20 do lines[i] = "line " .. i end\n' +
+      'textutils.pagedPrint(table.concat(lines, "\\n"))\n' +
+      'print("done")';
+  var result = runTerminal_(source);
+  assertEquals('Waiting.', 'waiting', result.computer.state);
+  assertEquals('Prompt.', 'Press any key to continue',
+               result.terminal.getLine(19).replace(/ +$/, ''));
+  result = runTerminal_(source, 'xx');
+  assertEquals('Finished.', 'done', result.computer.state);
+  assertEquals('Last lines.', 'line 20\ndone',
+               result.terminal.toString().split('\n').slice(-2).join('\n'));
+}
+
+function test_paintutils() {
+  var terminal = runTerminal_(
+      'paintutils.drawLine(1, 1, 5, 2, colours.blue)\n' +
+      'paintutils.drawImage({{colours.red, 0, colours.red}}, 2, 3)\n' +
+      'paintutils.drawPixel(1, 4, colours.lime)').terminal;
+  assertEquals('Line.', 'bbbff', terminal.getBackgroundColours(1).substr(0, 5));
+  assertEquals('Line continues.', 'fffbb',
+               terminal.getBackgroundColours(2).substr(0, 5));
+  assertEquals('Image.', 'fefe', terminal.getBackgroundColours(3).substr(0, 4));
+  assertEquals('Pixel.', '5', terminal.getBackgroundColours(4)[0]);
+}
+
+function test_terminate() {
+  var computer = new Blockly.ComputerCraft.Computer();
+  var terminal = new Blockly.ComputerCraft.Terminal();
+  terminal.install(computer);
+  computer.start('print(keys.getName(keys.enter))\n' +
+                 'os.pullEvent("char")', 'test');
+  computer.runToCompletion();
+  assertTrue('Ctrl-T is handled.', terminal.keyDown(84, true));
+  computer.runToCompletion();
+  assertEquals('Terminated.', 'enter\nTerminated', terminal.toString());
+}
+
+function test_eventHandlerBlocks() {
+  var computer = new Blockly.ComputerCraft.Computer();
+  var terminal = new Blockly.ComputerCraft.Terminal();
+  terminal.install(computer);
+  var printXml = function(name) {
+    return '<block type="text_print"><value name="TEXT">' +
+        '<block type="variables_get"><title name="VAR">' + name +
+        '</title></block></value></block>';
+  };
+  computer.start(luaFromXml_(
+      '<block type="os_queue_event" x="0" y="0">' +
+      '  <mutation var_arg_count="1"></mutation>' +
+      '  <value name="EVENT">' +
+      '    <block type="text"><title name="TEXT">greet</title></block>' +
+      '  </value>' +
+      '  <value name="ARG1">' +
+      '    <block type="text"><title name="TEXT">hello</title></block>' +
+      '  </value>' +
+      '</block>' +
+      '<block type="events_char" x="0" y="100">' +
+      '  <statement name="DO">' + printXml('character') + '</statement>' +
+      '</block>' +
+      '<block type="events_custom" x="0" y="200">' +
+      '  <title name="EVENT">greet</title>' +
+      '  <statement name="DO">' +
+      '    <block type="text_print"><value name="TEXT">' +
+      '      <block type="lists_getIndex">' +
+      '        <mutation statement="false" at="true"></mutation>' +
+      '        <title name="MODE">GET</title>' +
+      '        <title name="WHERE">FROM_START</title>' +
+      '        <value name="AT">' +
+      '          <block type="math_number"><title name="NUM">1</title>' +
+      '          </block>' +
+      '        </value>' +
+      '        <value name="VALUE">' +
+      '          <block type="variables_get">' +
+      '            <title name="VAR">parameters</title></block>' +
+      '        </value>' +
+      '      </block>' +
+      '    </value></block>' +
+      '  </statement>' +
+      '</block>' +
+      '<block type="events_terminate" x="0" y="300">' +
+      '  <statement name="DO">' +
+      '    <block type="text_print"><value name="TEXT">' +
+      '      <block type="text"><title name="TEXT">bye</title></block>' +
+      '    </value></block>' +
+      '  </statement>' +
+      '</block>'), 'test');
+  computer.runToCompletion();
+  terminal.keyDown(65, false);
+  terminal.keyPress(97);
+  computer.runToCompletion();
+  assertEquals('Waiting for events.', 'waiting', computer.state);
+  terminal.keyDown(84, true);
+  computer.runToCompletion();
+  assertEquals('Output.', 'hello\na\nbye', terminal.toString());
+  assertEquals('Finished.', 'done', computer.state);
+}
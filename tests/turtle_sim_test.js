@@ -0,0 +1,524 @@
+/**
+ * Blockly Tests
+ *
+ * Copyright 2013 Google Inc.
+ * http://blockly.googlecode.com/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Run a program on a simulated turtle standing on the ground, facing north.
+ * @param {string} source Lua source code.
+ * @param {Object=} opt_options Options for the turtle.
+ * @param {Function=} opt_setup Called with the world, turtle and computer
+ *     before the program runs.
+ * @return {{output: string, turtle: !Blockly.ComputerCraft.SimulatedTurtle,
+ *     computer: !Blockly.ComputerCraft.Computer}} What the program printed,
+ *     and the turtle and computer afterwards.
+ */
+function runTurtle_(source, opt_options, opt_setup) {
+  var output = '';
+  var world = new Blockly.ComputerCraft.TurtleWorld();
+  var turtle = new Blockly.ComputerCraft.SimulatedTurtle(world, opt_options);
+  var computer = new Blockly.ComputerCraft.Computer({
+    onOutput: function(text) {
+      output += text;
+    }
+  });
+  turtle.install(computer);
+  if (opt_setup) {
+    opt_setup(world, turtle, computer);
+  }
+  computer.start(source, 'test');
+  computer.runToCompletion(600000);
+  return {output: output, turtle: turtle, computer: computer};
+}
+
+function test_move() {
+  var result = runTurtle_(
+      'print(turtle.forward(), " ", turtle.down())\n' +
+      'print(turtle.turnRight(), " ", turtle.up(), " ", turtle.back())');
+  assertEquals('Results.', 'true falseMovement obstructed\n' +
+               'true true true\n', result.output);
+  var turtle = result.turtle;
+  assertEquals('Position.', '-1 65 -1 1',
+               [turtle.x, turtle.y, turtle.z, turtle.facing].join(' '));
+  assertEquals('Fuel used.', 997, turtle.fuel);
+  assertEquals('Time taken.', 2000, result.computer.time);
+}
+
+function test_fuel() {
+  var result = runTurtle_(
+      'print(turtle.forward())\n' +
+      'print(turtle.refuel(0), turtle.getFuelLevel())\n' +
+      'print(turtle.refuel(1), turtle.getFuelLevel(), ' +
+      'turtle.getItemCount(1))\n' +
+      'turtle.select(2)\n' +
+      'print(turtle.refuel())\n' +
+      'turtle.select(3)\n' +
+      'print(turtle.refuel())',
+      {fuel: 0, inventory: [{name: 'coal', count: 2},
+                            {name: 'dirt', count: 1}]});
+  assertEquals('Results.', 'falseOut of fuel\n' +
+               'true0\n' +
+               'true801\n' +
+               'falseItems not combustible\n' +
+               'falseNo items to combust\n', result.output);
+  assertEquals('Unlimited fuel.', 'unlimitedstring\n',
+      runTurtle_('print(turtle.getFuelLevel(), ' +
+                 'type(turtle.getFuelLevel()))',
+                 {fuel: 'unlimited'}).output);
+}
+
+function test_dig() {
+  var result = runTurtle_(
+      'print(turtle.dig())\n' +
+      'print(turtle.digDown(), turtle.getItemCount(1))\n' +
+      'print(turtle.down(), turtle.digDown(), turtle.compareDown())\n' +
+      'turtle.select(2)\n' +
+      'print(turtle.compareDown(), turtle.detectDown(), turtle.detectUp())');
+  assertEquals('Results.', 'falseNothing to dig here\n' +
+               'true1\n' +
+               'truetruefalse\n' +
+               'truefalsefalse\n', result.output);
+  assertEquals('Items.', 'dirt 2', result.turtle.slots[0].name + ' ' +
+               result.turtle.slots[0].count);
+  result = runTurtle_('print(turtle.digDown())', {y: 1});
+  assertEquals('Bedrock.', 'falseUnbreakable block detected\n',
+               result.output);
+}
+
+function test_placeAndCompare() {
+  var result = runTurtle_(
+      'print(turtle.place("Hi"))\n' +
+      'print(turtle.compare(), turtle.place())\n' +
+      'turtle.select(2)\n' +
+      'print(turtle.placeUp())\n' +
+      'turtle.select(3)\n' +
+      'print(turtle.placeUp(), turtle.compareTo(4), turtle.compareTo(3))',
+      {inventory: [{name: 'sign', count: 2}, {name: 'coal', count: 1}, null,
+                   {name: 'sign', count: 1}]});
+  assertEquals('Results.', 'true\n' +
+               'truefalseCannot place block here\n' +
+               'falseCannot place item here\n' +
+               'falsefalsetrue\n', result.output);
+  assertEquals('Sign text.', 'Hi',
+               result.turtle.world.getSignText(0, 64, -1));
+}
+
+function test_inventories() {
+  var result = runTurtle_(
+      'print(turtle.drop(10), turtle.getItemCount())\n' +
+      'print(turtle.suck(), turtle.getItemCount())\n' +
+      'print(turtle.suck())\n' +
+      'print(turtle.dropDown(5), turtle.suckDown())\n' +
+      'print(turtle.transferTo(2, 3), turtle.getItemCount(2))\n' +
+      'turtle.select(3)\n' +
+      'print(turtle.transferTo(2), turtle.drop())\n' +
+      'print(turtle.getItemSpace(2), pcall(turtle.select, 17))',
+      {inventory: [{name: 'cobblestone', count: 20}]},
+      function(world) {
+        world.setBlock(0, 64, -1, 'chest');
+      });
+  assertEquals('Results.', 'true10\n' +
+               'true20\n' +
+               'falseNo items to take\n' +
+               'truetrue\n' +
+               'true3\n' +
+               'truefalseNo items to drop\n' +
+               '61falsetest:8: Slot number 17 out of range\n', result.output);
+}
+
+function test_attack() {
+  var result = runTurtle_(
+      'print(turtle.attackUp())\n' +
+      'for i = 1, 3 do turtle.attack() end\n' +
+      'print(turtle.attack(), turtle.getItemCount(1))',
+      null,
+      function(world) {
+        world.addMob(0, 64, -1, 'zombie');
+      });
+  assertEquals('Results.', 'falseNothing to attack here\n' +
+               'false1\n', result.output);
+}
+
+function test_craft() {
+  var result = runTurtle_(
+      'print(turtle.craft(0))\n' +
+      'print(turtle.craft(), turtle.getItemCount(1))\n' +
+      'turtle.select(5)\n' +
+      'print(turtle.craft())',
+      {inventory: [{name: 'log', count: 2}]});
+  assertEquals('Results.', 'true\n' +
+               'true8\n' +
+               'falseNo matching recipes\n', result.output);
+}
+
+function test_events() {
+  var result = runTurtle_(
+      'local timer = os.startTimer(1)\n' +
+      'os.queueEvent("custom", 1, 2)\n' +
+      'print(os.pullEvent("timer") == "timer")\n' +
+      'sleep(2)\n' +
+      'print(os.clock())');
+  assertEquals('Custom events are discarded while waiting for a timer.',
+               'true\n3\n', result.output);
+}
+
+function test_alarms() {
+  var result = runTurtle_(
+      'print(os.time(), " ", os.day())\n' +
+      'local alarm = os.setAlarm(7)\n' +
+      'local cancelled = os.setAlarm(6.5)\n' +
+      'os.cancelAlarm(cancelled)\n' +
+      'local event, id = os.pullEvent("alarm")\n' +
+      'print(id == alarm, " ", os.clock(), " ", os.time())\n' +
+      'print(os.setAlarm(6.5) == os.startTimer(1) - 1)\n' +
+      'print(pcall(os.setAlarm, 25))');
+  assertEquals('Output.', '6 0\n' +
+               'true 50 7\n' +
+               'true\n' +
+               'falsetest:8: Number out of range\n', result.output);
+  var timers = result.computer.getTimers();
+  assertEquals('Timer first.', 'timer', timers[0].name);
+  assertEquals('Alarm tomorrow.', 'alarm', timers[1].name);
+  assertEquals('Alarm time.', (50 + 23.5 * 50) * 1000, timers[1].time);
+}
+
+/**
+ * Check the types of a function's results.
+ * @param {!Array} results Results of a turtle function.
+ * @param {string} name Name of the function.
+ */
+function checkTurtleResults_(results, name) {
+  assertEquals(name + ' returns a boolean.', 'boolean', typeof results[0]);
+  if (results[0]) {
+    assertEquals(name + ' returns nothing else.', 1, results.length);
+  } else if (results.length > 1) {
+    assertEquals(name + ' explains failure.', 'string', typeof results[1]);
+  }
+}
+
+function test_blockFunctions() {
+  var names = [];
+  Blockly.ComputerCraft.TURTLE_DIR_FUNCS_.forEach(function(info) {
+    if (info.directions) {
+      info.directions.forEach(function(direction) {
+        names.push(direction[1]);
+      });
+    } else {
+      names.push(info.funcName);
+    }
+  });
+  names = names.concat(['place', 'placeUp', 'placeDown', 'compare',
+                        'compareUp', 'compareDown', 'compareTo']);
+  var world = new Blockly.ComputerCraft.TurtleWorld();
+  var turtle = new Blockly.ComputerCraft.SimulatedTurtle(world,
+      {inventory: [{name: 'dirt', count: 3}]});
+  var computer = new Blockly.ComputerCraft.Computer();
+  turtle.install(computer);
+  var api = computer.vm.getGlobal('turtle');
+  names.forEach(function(name) {
+    var fn = api.get(name);
+    assertEquals(name + ' exists.', 'function', typeof fn);
+    var args = name == 'select' || name == 'compareTo' ||
+        name == 'transferTo' ? [2] : [];
+    var results = fn(args, computer.vm);
+    if (results === LuaInterpreter.SUSPEND) {
+      computer.state = 'busy';
+      results = computer.busyAction_();
+      computer.state = 'off';
+    }
+    checkTurtleResults_(results, name);
+  });
+  assertEquals('getItemCount.', 'number',
+               typeof api.get('getItemCount')([1], computer.vm)[0]);
+  assertEquals('getItemSpace.', 'number',
+               typeof api.get('getItemSpace')([1], computer.vm)[0]);
+  assertEquals('getFuelLevel.', 'number',
+               typeof api.get('getFuelLevel')([], computer.vm)[0]);
+}
+
+function test_generatedProgram() {
+  var code = luaFromXml_(
+      '<block type="controls_repeat_ext">' +
+      '  <value name="TIMES">' +
+      '    <block type="math_number"><title name="NUM">3</title></block>' +
+      '  </value>' +
+      '  <statement name="DO">' +
+      '    <block type="turtle_dig">' +
+      '      <mutation is_statement="true"></mutation>' +
+      '      <title name="DIRECTIONS">digDown</title>' +
+      '      <next>' +
+      '        <block type="turtle_move">' +
+      '          <mutation is_statement="true"></mutation>' +
+      '          <title name="DIRECTIONS">down</title>' +
+      '        </block>' +
+      '      </next>' +
+      '    </block>' +
+      '  </statement>' +
+      '</block>');
+  var result = runTurtle_(code);
+  assertEquals('No output.', '', result.output);
+  assertEquals('Dug down.', 61, result.turtle.y);
+  assertEquals('Picked up dirt.', 3, result.turtle.slots[0].count);
+  assertEquals('Finished.', 'done', result.computer.state);
+}
+
+/**
+ * Give a computer a GPS API that locates a simulated turtle.
+ * @param {!Blockly.ComputerCraft.TurtleWorld} world The turtle's world.
+ * @param {!Blockly.ComputerCraft.SimulatedTurtle} turtle The turtle.
+ * @param {!Blockly.ComputerCraft.Computer} computer The turtle's computer.
+ */
+function installGps_(world, turtle, computer) {
+  var gps = new LuaInterpreter.Table();
+  computer.defineFunctions(gps, {
+    locate: function() {
+      return [turtle.x, turtle.y, turtle.z];
+    }
+  });
+  computer.vm.globals.set('gps', gps);
+}
+
+function test_gpsBlocks() {
+  var code = luaFromXml_(
+      '<block type="gps_locate">' +
+      '  <title name="DEBUG">true</title>' +
+      '  <value name="TIMEOUT">' +
+      '    <block type="math_number"><title name="NUM">5</title></block>' +
+      '  </value>' +
+      '</block>');
+  assertTrue('Locate.', code.indexOf('\ngps_locate_vector(5, true)') != -1);
+  assertTrue('Locate returns a vector.',
+             code.indexOf('return vector.new(x, y, z)') != -1);
+  Blockly.mainWorkspace.clear();
+  code = luaFromXml_('<block type="gps_host"></block>');
+  assertEquals('Host without a position.', 'shell.run(\'gps\', \'host\')\n',
+               code);
+  Blockly.mainWorkspace.clear();
+  var number = function(value) {
+    return '<block type="math_number"><title name="NUM">' + value +
+        '</title></block>';
+  };
+  code = luaFromXml_(
+      '<block type="gps_host">' +
+      '  <value name="X">' + number(1) + '</value>' +
+      '  <value name="Y">' + number(2) + '</value>' +
+      '  <value name="Z">' + number(3) + '</value>' +
+      '</block>');
+  assertEquals('Host at a position.',
+               'shell.run(\'gps\', \'host\', 1, 2, 3)\n', code);
+}
+
+function test_gpsNavigation() {
+  var number = function(value) {
+    return '<block type="math_number"><title name="NUM">' + value +
+        '</title></block>';
+  };
+  var code = luaFromXml_(
+      '<block type="turtle_go_to">' +
+      '  <mutation is_statement="true"></mutation>' +
+      '  <value name="X">' + number(2) + '</value>' +
+      '  <value name="Y">' + number(65) + '</value>' +
+      '  <value name="Z">' + number(-3) + '</value>' +
+      '  <next>' +
+      '    <block type="text_print">' +
+      '      <value name="TEXT">' +
+      '        <block type="turtle_face">' +
+      '          <title name="DIRECTION">west</title>' +
+      '        </block>' +
+      '      </value>' +
+      '    </block>' +
+      '  </next>' +
+      '</block>');
+  assertEquals('Helpers provided once.', 1,
+               code.split('function turtle_face(').length - 1);
+  var result = runTurtle_(code, null, installGps_);
+  assertEquals('Output.', 'true\n', result.output);
+  var turtle = result.turtle;
+  assertEquals('Position.', '2 65 -3 3',
+               [turtle.x, turtle.y, turtle.z, turtle.facing].join(' '));
+  result = runTurtle_(code);
+  assertEquals('Fails without GPS.', 'error',
+               result.computer.state);
+}
+
+function test_parallel() {
+  var result = runTurtle_(
+      'print(parallel.waitForAny(function()\n' +
+      '  sleep(5)\n' +
+      '  print("slept")\n' +
+      'end, function()\n' +
+      '  print(turtle.forward())\n' +
+      'end))\n' +
+      'parallel.waitForAll(function()\n' +
+      '  sleep(1)\n' +
+      '  print("a")\n' +
+      'end, function()\n' +
+      '  print("b")\n' +
+      'end)\n' +
+      'parallel.waitForAny()\n' +
+      'parallel.waitForAll()\n' +
+      'print("none")\n' +
+      'parallel.waitForAll(function()\n' +
+      '  error("failed", 0)\n' +
+      'end)');
+  assertEquals('Output.', 'true\n2\nb\na\nnone\nfailed\n', result.output);
+  assertEquals('Moved.', -1, result.turtle.z);
+  assertEquals('Errors stop the program.', 'error', result.computer.state);
+}
+
+function test_parallelBlocks() {
+  var number = function(value) {
+    return '<block type="math_number"><title name="NUM">' + value +
+        '</title></block>';
+  };
+  var variable = function(name) {
+    return '<block type="variables_get"><title name="VAR">' + name +
+        '</title></block>';
+  };
+  var code = luaFromXml_(
+      '<block type="procedures_callnoreturn">' +
+      '  <mutation name="walk"><arg name="steps"></arg></mutation>' +
+      '  <value name="ARG0">' + number(3) + '</value>' +
+      '</block>' +
+      '<block type="procedures_defnoreturn">' +
+      '  <mutation><arg name="steps"></arg></mutation>' +
+      '  <title name="NAME">walk</title>' +
+      '  <statement name="STACK">' +
+      '    <block type="variables_set">' +
+      '      <title name="VAR">walked</title>' +
+      '      <value name="VALUE">' + number(0) + '</value>' +
+      '      <next>' +
+      '        <block type="parallel_wait_for_all">' +
+      '          <mutation var_arg_count="2"></mutation>' +
+      '          <statement name="ARG1">' +
+      '            <block type="controls_for">' +
+      '              <title name="VAR">i</title>' +
+      '              <value name="FROM">' + number(1) + '</value>' +
+      '              <value name="TO">' + variable('steps') + '</value>' +
+      '              <statement name="DO">' +
+      '                <block type="turtle_move">' +
+      '                  <mutation is_statement="true"></mutation>' +
+      '                  <title name="DIRECTIONS">forward</title>' +
+      '                  <next>' +
+      '                    <block type="variables_set">' +
+      '                      <title name="VAR">walked</title>' +
+      '                      <value name="VALUE">' + variable('i') +
+      '                      </value>' +
+      '                    </block>' +
+      '                  </next>' +
+      '                </block>' +
+      '              </statement>' +
+      '            </block>' +
+      '          </statement>' +
+      '          <statement name="ARG2">' +
+      '            <block type="variables_set">' +
+      '              <title name="VAR">heard</title>' +
+      '              <value name="VALUE">' +
+      '                <block type="text"><title name="TEXT">done</title>' +
+      '                </block>' +
+      '              </value>' +
+      '            </block>' +
+      '          </statement>' +
+      '          <next>' +
+      '            <block type="text_print">' +
+      '              <value name="TEXT">' + variable('walked') + '</value>' +
+      '              <next>' +
+      '                <block type="text_print">' +
+      '                  <value name="TEXT">' + variable('heard') +
+      '                  </value>' +
+      '                </block>' +
+      '              </next>' +
+      '            </block>' +
+      '          </next>' +
+      '        </block>' +
+      '      </next>' +
+      '    </block>' +
+      '  </statement>' +
+      '</block>');
+  assertTrue('Branches are functions.',
+             code.indexOf('parallel.waitForAll(function()\n') != -1);
+  assertTrue('Variable set in a branch is declared outside it.',
+             code.indexOf('local heard\n') != -1 &&
+             code.indexOf('local heard =') == -1);
+  var result = runTurtle_(code);
+  assertEquals('Output.', '3\ndone\n', result.output);
+  assertEquals('Moved.', -3, result.turtle.z);
+}
+
+function test_parallelBlockFlow() {
+  var flow = function(op) {
+    return '<block type="controls_flow_statements">' +
+        '<title name="FLOW">' + op + '</title></block>';
+  };
+  Blockly.Xml.domToWorkspace(Blockly.mainWorkspace, Blockly.Xml.textToDom(
+      '<xml>' +
+      '<block type="procedures_defreturn">' +
+      '<title name="NAME">first</title>' +
+      '<statement name="STACK"><block type="controls_whileUntil">' +
+      '<statement name="DO"><block type="parallel_wait_for_any">' +
+      '<mutation var_arg_count="3"></mutation>' +
+      '<statement name="ARG1">' + flow('BREAK') + '</statement>' +
+      '<statement name="ARG2">' + flow('CONTINUE') + '</statement>' +
+      '<statement name="ARG3"><block type="procedures_ifreturn">' +
+      '<mutation value="1"></mutation></block></statement>' +
+      '<next><block type="parallel_wait_for_all">' +
+      '<mutation var_arg_count="1"></mutation>' +
+      '<statement name="ARG1"><block type="controls_repeat_ext">' +
+      '<statement name="DO">' + flow('BREAK') + '</statement>' +
+      '</block></statement>' +
+      '</block></next>' +
+      '</block></statement>' +
+      '</block></statement>' +
+      '</block>' +
+      '</xml>'));
+  var warnings = Blockly.mainWorkspace.getAllBlocks().filter(function(block) {
+    return block.onchange;
+  }).map(function(block) {
+    block.onchange();
+    return (block.getTitleValue('FLOW') || block.type) + ': ' +
+        (block.warning && block.warning.getText());
+  });
+  warnings.sort();
+  assertEquals(
+      'BREAK: ' + Blockly.Msg.CONTROLS_FLOW_STATEMENTS_WARNING_ISOLATED + '\n' +
+      'BREAK: null\n' +
+      'CONTINUE: ' +
+      Blockly.Msg.CONTROLS_FLOW_STATEMENTS_WARNING_ISOLATED + '\n' +
+      'procedures_ifreturn: ' +
+      Blockly.Msg.PROCEDURES_IFRETURN_WARNING_ISOLATED, warnings.join('\n'));
+}
+
+function test_parallelBranches() {
+  var workspace = Blockly.mainWorkspace;
+  Blockly.Xml.domToWorkspace(workspace, Blockly.Xml.textToDom(
+      '<xml>' +
+      '<block type="parallel_wait_for_any">' +
+      '<mutation var_arg_count="3"></mutation></block>' +
+      '<block type="parallel_wait_for_any">' +
+      '<mutation var_arg_count="1"></mutation></block>' +
+      '</xml>'));
+  var blocks = workspace.getTopBlocks(true);
+  assertNotNull('Three branches.', blocks[0].getInput('ARG3'));
+  assertEquals('One branch.', null, blocks[1].getInput('ARG2'));
+  assertEquals('Counted separately.', '3 1',
+               blocks[0].info.varArgCount + ' ' + blocks[1].info.varArgCount);
+  assertEquals('Branches are statements.', Blockly.NEXT_STATEMENT,
+               blocks[1].getInput('ARG1').type);
+  assertEquals('Code.', 'parallel.waitForAny(function()\nend)\n',
+               Blockly.Lua.blockToCode(blocks[1]));
+}